@@ -0,0 +1,424 @@
+/**
+ * Topic administration over the KafkaJS admin client, and a CLI for it (create, delete, describe, list, alter
+ * configs, add partitions). Operations are idempotent where Kafka allows: with ifNotExists/ifExists creating an
+ * existing topic or deleting a missing one is a no-op, and config or partition changes already in place are skipped.
+ *
+ * Exports:
+ * - listTopics: topic names, without internal topics unless asked for.
+ * - describeTopics: partitions, replicas and configs of topics.
+ * - createTopic: creates a topic with partitions, replication factor and configs.
+ * - deleteTopic: deletes a topic.
+ * - alterTopicConfigs: sets topic configs, keeping the other overrides.
+ * - addPartitions: grows a topic to a partition count.
+ * - formatTopicDescription: renders describeTopics results as text.
+ * - configFromEnv: builds configuration from the config file and environment variables for convenience/CLI.
+ * - main: CLI entrypoint used when running this file directly (see --help).
+ * - isDirectRun: detects whether the module is executed directly (node src/admin.js).
+ */
+import pkg from 'kafkajs';
+import {pathToFileURL} from 'url';
+import {parseTopics} from './utils.js';
+import {listSubscribedTopics} from './seek.js';
+import {createKafkaClient} from './client.js';
+import {loadConfig} from './config.js';
+import {parseCli, formatUsage, reportUsageError, packageVersion, UsageError} from './cli.js';
+
+// Centralized logger
+import logger from './logger.js';
+
+const {ConfigResourceTypes, ConfigSource} = pkg;
+
+/**
+ * @typedef {Object} TopicDescription
+ * @property {string} topic Topic name.
+ * @property {number} replicationFactor Replicas of the first partition.
+ * @property {{partition: number, leader: number, replicas: number[], isr: number[]}[]} partitions Partitions by number.
+ * @property {Object<string, string>} configs Effective configs (overrides, broker settings and defaults).
+ * @property {Object<string, string>} overrides Configs set on the topic itself.
+ */
+
+/**
+ * Lists topic names in alphabetical order.
+ * @param {Object} params List parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {boolean} [params.includeInternal=false] Include internal topics such as __consumer_offsets.
+ * @returns {Promise<string[]>} Topic names.
+ */
+export async function listTopics({admin, includeInternal = false}) {
+    const names = await admin.listTopics();
+    return names.filter((name) => includeInternal || !name.startsWith('__')).sort();
+}
+
+/**
+ * Throws unless every topic exists (metadata requests for a missing topic may auto-create it).
+ * @param {import('kafkajs').Admin} admin Connected admin client.
+ * @param {string[]} topics Topic names.
+ * @throws {Error} Naming the first missing topic.
+ */
+async function assertTopicsExist(admin, topics) {
+    const existing = new Set(await admin.listTopics());
+    const missing = topics.find((topic) => !existing.has(topic));
+    if (missing) throw new Error(`Topic ${missing} does not exist`);
+}
+
+/**
+ * Describes topics: partition leaders, replicas and in-sync replicas, plus effective and overridden configs.
+ * @param {Object} params Describe parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string[]} params.topics Topic names.
+ * @returns {Promise<TopicDescription[]>} Descriptions in the order of topics.
+ * @throws {Error} If a topic does not exist.
+ */
+export async function describeTopics({admin, topics}) {
+    if (topics.length === 0) return [];
+    await assertTopicsExist(admin, topics);
+    const metadata = await admin.fetchTopicMetadata({topics});
+    const {resources} = await admin.describeConfigs({
+        resources: topics.map((name) => ({type: ConfigResourceTypes.TOPIC, name})),
+        includeSynonyms: false,
+    });
+
+    return topics.map((topic) => {
+        const partitions = metadata.topics.find((t) => t.name === topic).partitions
+            .map(({partitionId, leader, replicas, isr}) => ({partition: partitionId, leader, replicas, isr}))
+            .sort((a, b) => a.partition - b.partition);
+        const configs = {};
+        const overrides = {};
+        for (const entry of resources.find((r) => r.resourceName === topic)?.configEntries || []) {
+            configs[entry.configName] = entry.configValue;
+            if (entry.configSource === ConfigSource.TOPIC_CONFIG) overrides[entry.configName] = entry.configValue;
+        }
+        return {topic, replicationFactor: partitions[0]?.replicas.length ?? 0, partitions, configs, overrides};
+    });
+}
+
+/**
+ * Converts {name: value} configs to KafkaJS config entries.
+ * @param {Object<string, string|number|boolean>} configs Configs.
+ * @returns {{name: string, value: string}[]} Config entries.
+ */
+function toConfigEntries(configs) {
+    return Object.entries(configs).map(([name, value]) => ({name, value: String(value)}));
+}
+
+/**
+ * Creates a topic and waits for its partition leaders.
+ * @param {Object} params Topic settings.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.topic Topic name.
+ * @param {number} [params.partitions=1] Number of partitions.
+ * @param {number} [params.replicationFactor=1] Replicas per partition.
+ * @param {Object<string, string|number|boolean>} [params.configs={}] Topic configs, e.g. {"retention.ms": 86400000}.
+ * @param {boolean} [params.ifNotExists=false] Do nothing when the topic exists instead of throwing.
+ * @returns {Promise<boolean>} True if the topic was created, false if it already existed.
+ * @throws {Error} If the topic exists (without ifNotExists) or the broker rejects the settings.
+ */
+export async function createTopic({admin, topic, partitions = 1, replicationFactor = 1, configs = {}, ifNotExists = false}) {
+    const created = await admin.createTopics({
+        topics: [{topic, numPartitions: partitions, replicationFactor, configEntries: toConfigEntries(configs)}],
+    });
+    if (!created && !ifNotExists) throw new Error(`Topic ${topic} already exists`);
+    return created;
+}
+
+/**
+ * Deletes a topic (the brokers must allow it with delete.topic.enable, the default).
+ * @param {Object} params Delete parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.topic Topic name.
+ * @param {boolean} [params.ifExists=false] Do nothing when the topic does not exist instead of throwing.
+ * @returns {Promise<boolean>} True if the topic was deleted, false if it did not exist.
+ * @throws {Error} If the topic does not exist (without ifExists) or the deletion fails.
+ */
+export async function deleteTopic({admin, topic, ifExists = false}) {
+    if (!(await admin.listTopics()).includes(topic)) {
+        if (ifExists) return false;
+        throw new Error(`Topic ${topic} does not exist`);
+    }
+    await admin.deleteTopics({topics: [topic]});
+    return true;
+}
+
+/**
+ * Sets topic configs. Kafka replaces all overrides of a topic on every change, so the current overrides are
+ * sent along; configs whose effective value already matches are not changed.
+ * @param {Object} params Alter parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.topic Topic name.
+ * @param {Object<string, string|number|boolean>} params.configs Configs to set.
+ * @returns {Promise<Object<string, {from: (string|null), to: string}>>} Changed configs (empty when up to date).
+ * @throws {Error} If the topic does not exist or the broker rejects a value.
+ */
+export async function alterTopicConfigs({admin, topic, configs}) {
+    const [current] = await describeTopics({admin, topics: [topic]});
+    const changes = {};
+    for (const [name, value] of Object.entries(configs)) {
+        const from = current.configs[name] ?? null;
+        if (from !== String(value)) changes[name] = {from, to: String(value)};
+    }
+    if (Object.keys(changes).length > 0) {
+        await admin.alterConfigs({
+            resources: [{
+                type: ConfigResourceTypes.TOPIC,
+                name: topic,
+                configEntries: toConfigEntries({...current.overrides, ...configs}),
+            }],
+        });
+    }
+    return changes;
+}
+
+/**
+ * Grows a topic to a number of partitions. Records with a key may map to a different partition afterwards.
+ * @param {Object} params Partition parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.topic Topic name.
+ * @param {number} params.partitions Total number of partitions wanted.
+ * @returns {Promise<boolean>} True if partitions were added, false if the topic already has that many.
+ * @throws {Error} If the topic does not exist or has more partitions (Kafka cannot remove partitions).
+ */
+export async function addPartitions({admin, topic, partitions}) {
+    const [current] = await describeTopics({admin, topics: [topic]});
+    const count = current.partitions.length;
+    if (count === partitions) return false;
+    if (count > partitions) {
+        throw new Error(`Topic ${topic} has ${count} partitions; partitions cannot be removed (requested ${partitions})`);
+    }
+    await admin.createPartitions({topicPartitions: [{topic, count: partitions}]});
+    return true;
+}
+
+/**
+ * Renders topic descriptions in the layout of kafka-topics.sh --describe, with the topic's config overrides.
+ * @param {TopicDescription[]} descriptions Topic descriptions.
+ * @returns {string} Text ending with a newline (empty for no topics).
+ */
+export function formatTopicDescription(descriptions) {
+    return descriptions.map(({topic, replicationFactor, partitions, overrides}) => {
+        const configs = Object.entries(overrides).map(([name, value]) => `${name}=${value}`).join(',');
+        const lines = [`Topic: ${topic}\tPartitions: ${partitions.length}\tReplicationFactor: ${replicationFactor}\tConfigs: ${configs}`];
+        for (const {partition, leader, replicas, isr} of partitions) {
+            lines.push(`\tPartition: ${partition}\tLeader: ${leader}\tReplicas: ${replicas.join(',')}\tIsr: ${isr.join(',')}`);
+        }
+        return `${lines.join('\n')}\n`;
+    }).join('');
+}
+
+/**
+ * Builds an admin CLI configuration from the config file named by KAFKA_CONFIG and environment variables
+ * (see src/config.js): KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_TOPIC, TOPIC_PARTITIONS, TOPIC_REPLICATION_FACTOR,
+ * the KAFKA_SSL* / KAFKA_SASL* security variables and the KAFKA_CLIENT_* tuning variables.
+ * @param {Object} [options] Overrides.
+ * @param {string} [options.file] Config file to use instead of KAFKA_CONFIG.
+ * @param {Object} [options.flags={}] Command-line overrides (see loadConfig).
+ * @returns {{brokers: string|string[], clientId: string, topic: string,
+ *            security: (import('./security.js').SecurityOptions|undefined), client: (Object|undefined),
+ *            partitions: (number|undefined), replicationFactor: (number|undefined), ifNotExists: boolean,
+ *            ifExists: boolean, includeInternal: boolean}}
+ * @throws {Error} If the config file or a value is invalid.
+ */
+export function configFromEnv({file, flags = {}} = {}) {
+    const config = loadConfig({file, flags});
+    return {
+        brokers: config.brokers,
+        clientId: config.clientId,
+        topic: config.topic,
+        security: config.security,
+        client: config.client,
+        partitions: config.admin?.partitions,
+        replicationFactor: config.admin?.replicationFactor,
+        ifNotExists: config.admin?.ifNotExists ?? false,
+        ifExists: config.admin?.ifExists ?? false,
+        includeInternal: config.admin?.includeInternal ?? false,
+    };
+}
+
+/**
+ * Creates the admin client for the CLI from its configuration.
+ * @param {ReturnType<typeof configFromEnv>} cfg CLI configuration.
+ * @returns {import('kafkajs').Admin} Admin client (not connected).
+ */
+function createAdminClient({brokers, clientId, security, client}) {
+    return createKafkaClient({brokers, clientId, security, client, logLevel: 'nothing'}).admin();
+}
+
+/**
+ * Usage error for commands that change or remove topics when --topic is not on the command line: they never act on
+ * KAFKA_TOPIC or the config default, which name the live topic of the producer and consumer.
+ * @param {string} command Command name.
+ * @param {{flags: Object}} args Parsed command-line arguments (see parseCli).
+ * @returns {string|undefined} Error message, if any.
+ */
+function requireTopicFlag(command, args) {
+    return typeof args.flags.topic === 'undefined' ? `${command} requires an explicit --topic` : undefined;
+}
+
+/**
+ * CLI commands: each runs against a connected admin client, once per topic given with --topic. `check` returns
+ * a usage error for settings the command cannot run without; `patterns` accepts /regex/ topics.
+ * @type {Object<string, {description: string, check?: (cfg: Object, args: Object) => (string|undefined), patterns?: boolean,
+ *                        run: (admin: import('kafkajs').Admin, cfg: Object, topics: string[]) => Promise<void>}>}
+ */
+const COMMANDS = {
+    list: {
+        description: 'List topics (--all includes internal topics)',
+        async run(admin, cfg) {
+            const names = await listTopics({admin, includeInternal: cfg.includeInternal});
+            process.stdout.write(names.map((name) => `${name}\n`).join(''));
+        },
+    },
+    describe: {
+        description: 'Show partitions, replicas and config overrides of the topics',
+        patterns: true,
+        async run(admin, cfg, topics) {
+            process.stdout.write(formatTopicDescription(await describeTopics({admin, topics})));
+        },
+    },
+    create: {
+        description: 'Create the topics (--partitions, --replication-factor, --topic-config; --if-not-exists)',
+        async run(admin, cfg, topics) {
+            const partitions = cfg.partitions ?? 1;
+            const replicationFactor = cfg.replicationFactor ?? 1;
+            for (const topic of topics) {
+                const created = await createTopic({
+                    admin, topic, partitions, replicationFactor, configs: cfg.topicConfigs, ifNotExists: cfg.ifNotExists,
+                });
+                logger.info(created
+                    ? `Created topic ${topic} (partitions=${partitions}, replication factor=${replicationFactor})`
+                    : `Topic ${topic} already exists`);
+            }
+        },
+    },
+    delete: {
+        description: 'Delete the topics given with --topic (--if-exists)',
+        check: (cfg, args) => requireTopicFlag('delete', args),
+        async run(admin, cfg, topics) {
+            for (const topic of topics) {
+                const deleted = await deleteTopic({admin, topic, ifExists: cfg.ifExists});
+                logger.info(deleted ? `Deleted topic ${topic}` : `Topic ${topic} does not exist`);
+            }
+        },
+    },
+    'alter-config': {
+        description: 'Set --topic-config entries on the topics',
+        check: (cfg, args) => requireTopicFlag('alter-config', args)
+            ?? (Object.keys(cfg.topicConfigs).length === 0 ? 'alter-config requires --topic-config' : undefined),
+        async run(admin, cfg, topics) {
+            for (const topic of topics) {
+                const changes = await alterTopicConfigs({admin, topic, configs: cfg.topicConfigs});
+                const changed = Object.entries(changes).map(([name, {from, to}]) => `${name}: ${from ?? '(unset)'} -> ${to}`);
+                logger.info(changed.length > 0
+                    ? `Updated configs of topic ${topic}: ${changed.join(', ')}`
+                    : `Configs of topic ${topic} are up to date`);
+            }
+        },
+    },
+    'add-partitions': {
+        description: 'Grow the topics to --partitions partitions',
+        check: (cfg, args) => requireTopicFlag('add-partitions', args)
+            ?? (typeof cfg.partitions === 'undefined' ? 'add-partitions requires --partitions' : undefined),
+        async run(admin, cfg, topics) {
+            for (const topic of topics) {
+                const added = await addPartitions({admin, topic, partitions: cfg.partitions});
+                logger.info(added
+                    ? `Topic ${topic} now has ${cfg.partitions} partitions`
+                    : `Topic ${topic} already has ${cfg.partitions} partitions`);
+            }
+        },
+    },
+};
+
+const COMMAND = 'node src/admin.js <command>';
+
+const SUMMARY = [
+    'Manages topics. Commands:',
+    ...Object.entries(COMMANDS).map(([name, {description}]) => `  ${name.padEnd(16)}${description}`),
+].join('\n');
+
+/** @type {import('./cli.js').CliOption[]} */
+const CLI_OPTIONS = [
+    {name: 'brokers', short: 'b', type: 'string', config: 'brokers', value: 'LIST', description: 'Comma-separated brokers'},
+    {name: 'topic', short: 't', type: 'string', config: 'topic', value: 'TOPICS', description: 'Topic or comma-separated topics (describe also takes /regex/)'},
+    {name: 'partitions', short: 'p', type: 'string', config: 'admin.partitions', value: 'N', description: 'Partitions (create: default 1; add-partitions: new total)'},
+    {name: 'replication-factor', short: 'r', type: 'string', config: 'admin.replicationFactor', value: 'N', description: 'Replicas per partition (create: default 1)'},
+    {name: 'topic-config', type: 'string', action: 'topic-config', value: 'KEY=VALUE', description: 'Topic config, e.g. retention.ms=86400000 (repeatable)'},
+    {name: 'if-not-exists', type: 'boolean', config: 'admin.ifNotExists', description: 'create: skip topics that exist'},
+    {name: 'if-exists', type: 'boolean', config: 'admin.ifExists', description: 'delete: skip topics that do not exist'},
+    {name: 'all', type: 'boolean', config: 'admin.includeInternal', description: 'list: include internal topics'},
+    {name: 'client-id', type: 'string', config: 'clientId', value: 'ID', description: 'Kafka client ID'},
+    {name: 'config', short: 'c', type: 'string', action: 'config', value: 'FILE', description: 'Config file (JSON or YAML) [env: KAFKA_CONFIG]'},
+    {name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Show this help and exit'},
+    {name: 'version', short: 'V', type: 'boolean', action: 'version', description: 'Show the version and exit'},
+];
+
+/**
+ * CLI entrypoint: `node src/admin.js <command> [options]` runs one of the COMMANDS against the topics given with
+ * --topic (comma-separated). Sets process.exitCode to 1 when the operation fails and to 2 on invalid usage.
+ * Accepts dependency injection for tests.
+ * @param {{ createAdminClient: typeof createAdminClient }} [deps] Optional dependency overrides.
+ * @param {string[]} [argv=[]] Command-line arguments (without node and the script path).
+ * @returns {Promise<void>} Resolves when the command finished.
+ */
+export async function main(deps = { createAdminClient }, argv = []) {
+    let command;
+    let cfg;
+    let topics;
+    let admin;
+    try {
+        const hasCommand = argv.length > 0 && !argv[0].startsWith('-');
+        const args = parseCli(hasCommand ? argv.slice(1) : argv, CLI_OPTIONS);
+        if (args.help || args.version) {
+            process.stdout.write(args.help ? formatUsage(COMMAND, SUMMARY, CLI_OPTIONS) : `${packageVersion()}\n`);
+            return;
+        }
+        const names = Object.keys(COMMANDS).join(', ');
+        if (!hasCommand) throw new UsageError(`Missing command: expected one of ${names}`);
+        command = COMMANDS[argv[0]];
+        if (!command) throw new UsageError(`Unknown command "${argv[0]}": expected one of ${names}`);
+
+        cfg = {...configFromEnv({file: args.file, flags: args.flags}), topicConfigs: args.topicConfigs ?? {}};
+        const problem = command.check?.(cfg, args);
+        if (problem) throw new UsageError(problem);
+        topics = parseTopics(cfg.topic);
+        if (!command.patterns && topics.some((t) => t instanceof RegExp)) {
+            throw new UsageError(`${argv[0]} takes topic names, not patterns`);
+        }
+        admin = deps.createAdminClient(cfg);
+    } catch (err) {
+        reportUsageError(COMMAND, err);
+        return;
+    }
+
+    try {
+        await admin.connect();
+        if (command.patterns) topics = await listSubscribedTopics(admin, topics);
+        await command.run(admin, cfg, topics);
+    } catch (err) {
+        logger.error(`Command ${argv[0]} failed:`, err);
+        process.exitCode = 1;
+    } finally {
+        try {
+            await admin.disconnect();
+        } catch (err) {
+            logger.error('Error disconnecting admin client:', err);
+        }
+    }
+}
+
+// Run as CLI if executed directly
+/**
+ * Detects whether this module is being executed directly (not imported) in Node.js.
+ * @returns {boolean} True if run via `node src/admin.js`, false if imported.
+ */
+export const isDirectRun = () => {
+    try {
+        return import.meta.url === pathToFileURL(process.argv[1]).href;
+    } catch {
+        return false;
+    }
+};
+
+if (isDirectRun()) {
+    // no top-level await to keep Node versions happy
+    main(undefined, process.argv.slice(2));
+}
@@ -0,0 +1,102 @@
+/**
+ * Avro serde using the Confluent wire format: a zero magic byte, the 4-byte big-endian schema ID, then the Avro
+ * binary encoding. Schemas live in a schema registry (see src/registry.js) under the subject "<topic>-<key|value>"
+ * (TopicNameStrategy); writer schemas are fetched by ID once and cached.
+ *
+ * Exports:
+ * - MAGIC_BYTE: first byte of every Confluent-framed record.
+ * - encodeFrame: prefixes an Avro payload with the magic byte and schema ID.
+ * - decodeFrame: splits a Confluent-framed record into schema ID and Avro payload.
+ * - createAvroSerde: creates a codec (see src/serde.js) backed by a schema registry.
+ */
+import avro from 'avsc';
+
+export const MAGIC_BYTE = 0;
+
+const HEADER_LENGTH = 5;
+
+/**
+ * Frames an Avro payload.
+ * @param {number} schemaId Registry schema ID.
+ * @param {Buffer} payload Avro binary encoding.
+ * @returns {Buffer} Framed record.
+ */
+export function encodeFrame(schemaId, payload) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(MAGIC_BYTE, 0);
+    header.writeUInt32BE(schemaId, 1);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Unframes a record.
+ * @param {Buffer} data Framed record.
+ * @returns {{schemaId: number, payload: Buffer}} Schema ID and Avro payload.
+ * @throws {Error} If the record is too short or does not start with the magic byte.
+ */
+export function decodeFrame(data) {
+    if (!Buffer.isBuffer(data) || data.length < HEADER_LENGTH) {
+        throw new Error(`expected a Confluent-framed Avro record of at least ${HEADER_LENGTH} bytes`);
+    }
+    if (data[0] !== MAGIC_BYTE) throw new Error(`Unknown magic byte ${data[0]} (expected ${MAGIC_BYTE})`);
+    return {schemaId: data.readUInt32BE(1), payload: data.subarray(HEADER_LENGTH)};
+}
+
+/**
+ * Creates an Avro codec. On the produce side the schema (when given) is registered under the record's subject, which
+ * fails if it is incompatible with the subject's earlier versions; without a schema the subject's latest version is
+ * used. On the consume side records are decoded with their writer schema, resolved to the reader schema when one is
+ * given so consumers can read records written with older or newer compatible versions.
+ *
+ * @param {Object} params Serde configuration.
+ * @param {import('./registry.js').SchemaRegistry} params.registry Schema registry.
+ * @param {string|Object} [params.schema] Avro schema (JSON text or object) to write with and read into.
+ * @returns {import('./serde.js').Codec} Codec for createMessageSerializer/createMessageDeserializer.
+ * @throws {Error} If the registry is missing or the schema is invalid.
+ */
+export function createAvroSerde({registry, schema}) {
+    if (!registry) throw new Error('Avro serde requires a schema registry');
+    const readerType = schema ? avro.Type.forSchema(typeof schema === 'string' ? JSON.parse(schema) : schema) : null;
+    const writers = new Map();
+    const readers = new Map();
+    const subjectOf = ({topic, field}) => `${topic}-${field}`;
+
+    const writerFor = async (context) => {
+        const subject = subjectOf(context);
+        if (!writers.has(subject)) {
+            const pending = readerType
+                ? registry.register(subject, readerType.schema({exportAttrs: true})).then((id) => ({id, type: readerType}))
+                : registry.getLatest(subject).then(({id, schema: latest}) => ({id, type: avro.Type.forSchema(latest)}));
+            writers.set(subject, pending);
+            // Do not cache failures, so a fixed registry or schema is picked up on the next record
+            pending.catch(() => writers.delete(subject));
+        }
+        return writers.get(subject);
+    };
+
+    const readerFor = (schemaId) => {
+        if (!readers.has(schemaId)) {
+            const pending = registry.getSchema(schemaId).then((writerSchema) => {
+                const writerType = avro.Type.forSchema(writerSchema);
+                if (!readerType) return (payload) => writerType.fromBuffer(payload);
+                const resolver = readerType.createResolver(writerType);
+                return (payload) => readerType.fromBuffer(payload, resolver);
+            });
+            readers.set(schemaId, pending);
+            pending.catch(() => readers.delete(schemaId));
+        }
+        return readers.get(schemaId);
+    };
+
+    return {
+        async serialize(value, context) {
+            const {id, type} = await writerFor(context);
+            return encodeFrame(id, type.toBuffer(value));
+        },
+        async deserialize(data) {
+            const {schemaId, payload} = decodeFrame(data);
+            const read = await readerFor(schemaId);
+            return read(payload);
+        },
+    };
+}
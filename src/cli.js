@@ -0,0 +1,164 @@
+/**
+ * Command-line parsing shared by the CLIs (producer, consumer, lag, admin), built on util.parseArgs.
+ * Flags map onto config keys (see src/config.js) and override the config file and environment variables.
+ *
+ * Exports:
+ * - UsageError: invalid command-line input; the CLIs print it with a usage hint and exit with code 2.
+ * - parseCli: parses argv against a list of option definitions.
+ * - formatUsage: renders the --help text for a list of option definitions.
+ * - reportUsageError: prints an error and a usage hint to stderr and sets exit code 2.
+ * - packageVersion: the version from package.json, for --version.
+ */
+import fs from 'fs';
+import {parseArgs} from 'util';
+import {envVarName} from './config.js';
+
+/**
+ * Error thrown for invalid command-line input (unknown flags, missing values, malformed headers).
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * @typedef {Object} CliOption
+ * @property {string} name Long flag name, e.g. "from-beginning" for --from-beginning.
+ * @property {string} [short] One-letter alias, e.g. "t" for -t.
+ * @property {'string'|'boolean'} type Whether the flag takes a value.
+ * @property {string} [config] Config key the flag sets (see CONFIG_OPTIONS); boolean flags set it to true.
+ * @property {boolean} [negatable] Also accept --no-<name>, which sets the config key to false.
+ * @property {'help'|'version'|'config'|'header'|'topic-config'} [action] Special handling instead of a config key.
+ * @property {string} [value] Value placeholder shown in the help text, e.g. "LIST".
+ * @property {string} description Help text.
+ */
+
+/**
+ * Splits a "key=value" argument (header or topic config).
+ * @param {string} text Argument value.
+ * @param {string} what What the argument is, for the error message.
+ * @returns {[string, string]} Key and value (the value may contain "=").
+ * @throws {UsageError} If there is no "=" or the key is empty.
+ */
+function parseKeyValue(text, what) {
+    const index = text.indexOf('=');
+    if (index <= 0) throw new UsageError(`Invalid ${what} "${text}": expected key=value`);
+    return [text.slice(0, index), text.slice(index + 1)];
+}
+
+/**
+ * Parses command-line arguments. Options are applied in order, so a later flag wins over an earlier one
+ * (e.g. "--from-beginning --no-from-beginning" is false). Repeated headers with the same key are kept as a list;
+ * a repeated topic config keeps the last value.
+ *
+ * @param {string[]} argv Arguments without the node binary and script path.
+ * @param {CliOption[]} options Supported options.
+ * @returns {{help: boolean, version: boolean, file: (string|undefined), flags: Object<string, (string|boolean)>,
+ *            headers: (Object<string, (string|string[])>|undefined), topicConfigs: (Object<string, string>|undefined)}}
+ *          Parsed arguments; `flags` is keyed by config key.
+ * @throws {UsageError} On unknown options, missing values, positional arguments or malformed headers or topic configs.
+ */
+export function parseCli(argv, options) {
+    const definitions = new Map();
+    const parseOptions = {};
+    for (const option of options) {
+        definitions.set(option.name, {option, negated: false});
+        parseOptions[option.name] = {type: option.type, ...(option.short ? {short: option.short} : {})};
+        if (option.negatable) {
+            definitions.set(`no-${option.name}`, {option, negated: true});
+            parseOptions[`no-${option.name}`] = {type: 'boolean'};
+        }
+    }
+
+    let tokens;
+    try {
+        ({tokens} = parseArgs({args: argv, options: parseOptions, strict: true, allowPositionals: false, tokens: true}));
+    } catch (err) {
+        if (typeof err.code === 'string' && err.code.startsWith('ERR_PARSE_ARGS_')) throw new UsageError(err.message);
+        throw err;
+    }
+
+    const result = {help: false, version: false, file: undefined, flags: {}, headers: undefined, topicConfigs: undefined};
+    for (const token of tokens) {
+        if (token.kind !== 'option') continue;
+        const {option, negated} = definitions.get(token.name);
+        switch (option.action) {
+            case 'help':
+                result.help = true;
+                break;
+            case 'version':
+                result.version = true;
+                break;
+            case 'config':
+                result.file = token.value;
+                break;
+            case 'header': {
+                const [key, value] = parseKeyValue(token.value, 'header');
+                result.headers ??= {};
+                const previous = result.headers[key];
+                if (typeof previous === 'undefined') result.headers[key] = value;
+                else result.headers[key] = [].concat(previous, value);
+                break;
+            }
+            case 'topic-config': {
+                const [key, value] = parseKeyValue(token.value, 'topic config');
+                result.topicConfigs = {...result.topicConfigs, [key]: value};
+                break;
+            }
+            default:
+                result.flags[option.config] = option.type === 'boolean' ? !negated : token.value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Renders the help text.
+ * @param {string} command Command line shown in the usage line, e.g. "node src/producer.js".
+ * @param {string} summary One-line description of the command.
+ * @param {CliOption[]} options Supported options.
+ * @returns {string} Help text ending with a newline.
+ */
+export function formatUsage(command, summary, options) {
+    const rows = options.map((option) => {
+        const names = [
+            option.short ? `-${option.short}, ` : '    ',
+            `--${option.negatable ? `[no-]${option.name}` : option.name}`,
+            option.type === 'string' ? ` ${option.value || 'VALUE'}` : '',
+        ].join('');
+        const env = option.config ? ` [env: ${envVarName(option.config)}]` : '';
+        return [names, `${option.description}${env}`];
+    });
+    const width = Math.max(...rows.map(([names]) => names.length));
+    return [
+        `Usage: ${command} [options]`,
+        '',
+        summary,
+        '',
+        'Options:',
+        ...rows.map(([names, text]) => `  ${names.padEnd(width)}  ${text}`),
+        '',
+        'Flags override environment variables, which override the config file (--config or KAFKA_CONFIG).',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Prints a command-line or configuration error followed by a usage hint to stderr and sets exit code 2.
+ * @param {string} command Command line shown in the hint, e.g. "node src/producer.js".
+ * @param {Error} err The error.
+ */
+export function reportUsageError(command, err) {
+    process.stderr.write(`${err.message}\nRun "${command} --help" for usage.\n`);
+    process.exitCode = 2;
+}
+
+/**
+ * Reads the version from package.json.
+ * @returns {string} Package version.
+ */
+export function packageVersion() {
+    return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+}
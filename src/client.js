@@ -0,0 +1,71 @@
+/**
+ * Shared KafkaJS client factory.
+ * Every module builds its Kafka instance here so brokers, security and client tuning options
+ * (timeouts, retry policy, log level) are applied the same way everywhere, and KafkaJS's own logs go through
+ * src/logger.js.
+ *
+ * Exports:
+ * - CLIENT_LOG_LEVELS: names accepted for the KafkaJS client log level.
+ * - createLogCreator: creates a KafkaJS logCreator that writes to the project logger.
+ * - createKafkaClient: creates a KafkaJS client from brokers, security and client options.
+ */
+import pkg from 'kafkajs';
+import logger from './logger.js';
+import {parseBrokers} from './utils.js';
+import {kafkaSecurityConfig} from './security.js';
+
+const {Kafka, logLevel} = pkg;
+
+export const CLIENT_LOG_LEVELS = ['nothing', 'error', 'warn', 'info', 'debug'];
+
+/**
+ * Creates a KafkaJS logCreator that writes client logs with the project logger, so they use its format (text or
+ * JSON) and LOG_LEVEL. KafkaJS levels map to the logger methods of the same name; the namespace (e.g. "Connection",
+ * "ConsumerGroup") and the entry's metadata (broker, clientId, groupId, error, ...) become bound fields.
+ * The client log level is applied by KafkaJS first, so an entry is written only when both levels allow it.
+ *
+ * @param {Object} [target=logger] Logger to write to (anything with error/warn/info/debug and child).
+ * @returns {import('kafkajs').logCreator} Log creator for the KafkaJS `logCreator` option.
+ */
+export function createLogCreator(target = logger) {
+    const methods = {
+        [logLevel.ERROR]: 'error',
+        [logLevel.WARN]: 'warn',
+        [logLevel.INFO]: 'info',
+        [logLevel.DEBUG]: 'debug',
+    };
+    // KafkaJS's timestamp and logger name are dropped: the project logger writes its own time
+    return () => ({namespace, level, log: {message, timestamp, logger: source, ...fields}}) => {
+        const method = methods[level];
+        if (!method) return;
+        target.child({namespace, ...fields})[method](message);
+    };
+}
+
+/**
+ * Creates a KafkaJS client.
+ *
+ * @param {Object} params Client configuration.
+ * @param {string|string[]} params.brokers Kafka broker(s); protocol prefixes are stripped (see parseBrokers).
+ * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID.
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options.
+ * @param {Object} [params.client] KafkaJS client options from the config "client" section: connectionTimeout,
+ *        authenticationTimeout, reauthenticationThreshold, requestTimeout, enforceRequestTimeout,
+ *        retry ({maxRetryTime, initialRetryTime, factor, multiplier, retries}) and logLevel.
+ * @param {'nothing'|'error'|'warn'|'info'|'debug'} [params.logLevel="info"] Client log level used when the client
+ *        options do not set one. It only decides which KafkaJS entries are emitted; they are written with the project
+ *        logger (see createLogCreator), which still applies LOG_LEVEL.
+ * @returns {import('kafkajs').Kafka} KafkaJS client.
+ * @throws {Error} If the security options are invalid.
+ */
+export function createKafkaClient({brokers, clientId = 'kafka-nodejs-demo', security, client = {}, logLevel: level = 'info'}) {
+    const {logLevel: configuredLevel, ...options} = client;
+    return new Kafka({
+        clientId,
+        brokers: parseBrokers(brokers),
+        ...kafkaSecurityConfig(brokers, security),
+        ...options,
+        logLevel: logLevel[String(configuredLevel || level).toUpperCase()],
+        logCreator: createLogCreator(),
+    });
+}
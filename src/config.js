@@ -0,0 +1,424 @@
+/**
+ * Central configuration for the producer and consumer CLIs.
+ * Settings are layered: defaults, then a config file (JSON or a simple YAML subset), then environment
+ * variables, then command-line flags. Every value is type-checked and unknown keys are rejected, with
+ * errors naming the key and where the bad value came from.
+ *
+ * Exports:
+ * - CONFIG_OPTIONS: the supported settings with their type, environment variable and default.
+ * - envVarName: the environment variable a setting is read from.
+ * - parseConfigText: parses config file contents (JSON, or YAML maps, lists and scalars).
+ * - loadConfig: resolves the layered configuration.
+ */
+import fs from 'fs';
+import {parseDuration} from './utils.js';
+import {SASL_MECHANISMS} from './security.js';
+import {CLIENT_LOG_LEVELS} from './client.js';
+import {INPUT_FORMATS} from './input.js';
+import {SERDE_NAMES} from './serde.js';
+import {COMPATIBILITY_LEVELS} from './registry.js';
+
+/**
+ * Supported settings by dotted path. `env` defaults to KAFKA_<PATH_IN_UPPER_SNAKE_CASE>,
+ * e.g. consumer.sessionTimeout is read from KAFKA_CONSUMER_SESSION_TIMEOUT.
+ * @type {Object<string, {type: string, env?: string, default?: unknown, min?: number, values?: unknown[]}>}
+ */
+export const CONFIG_OPTIONS = {
+    brokers: {type: 'brokers', env: 'KAFKA_BROKERS', default: 'localhost:9092'},
+    clientId: {type: 'string', env: 'KAFKA_CLIENT_ID', default: 'kafka-nodejs-demo'},
+    topic: {type: 'string', env: 'KAFKA_TOPIC', default: 'demo-topic'},
+    groupId: {type: 'string', env: 'KAFKA_GROUP_ID', default: 'kafka-nodejs-demo-group'},
+    fromBeginning: {type: 'boolean', env: 'FROM_BEGINNING', default: true},
+    startFrom: {type: 'string', env: 'START_FROM'},
+    maxMessages: {type: 'integer', env: 'MAX_MESSAGES', min: 1},
+    timeoutMs: {type: 'duration', env: 'TIMEOUT_MS'},
+    untilEnd: {type: 'boolean', env: 'UNTIL_END', default: false},
+    message: {type: 'string', env: 'MESSAGE', default: 'hello from producer'},
+    key: {type: 'string', env: 'KEY'},
+    transactionalId: {type: 'string', env: 'KAFKA_TRANSACTIONAL_ID'},
+    inputFile: {type: 'string', env: 'INPUT_FILE'},
+    inputFormat: {type: 'enum', env: 'INPUT_FORMAT', values: INPUT_FORMATS},
+    keySeparator: {type: 'string', env: 'KEY_SEPARATOR'},
+    batchSize: {type: 'integer', env: 'BATCH_SIZE', min: 1},
+    keySerde: {type: 'enum', env: 'KEY_SERDE', values: SERDE_NAMES},
+    valueSerde: {type: 'enum', env: 'VALUE_SERDE', values: SERDE_NAMES},
+    keySchema: {type: 'string', env: 'KEY_SCHEMA'},
+    valueSchema: {type: 'string', env: 'VALUE_SCHEMA'},
+    protoFile: {type: 'string', env: 'PROTO_FILE'},
+    keyProtoType: {type: 'string', env: 'KEY_PROTO_TYPE'},
+    valueProtoType: {type: 'string', env: 'VALUE_PROTO_TYPE'},
+    jsonSchemaFile: {type: 'string', env: 'JSON_SCHEMA_FILE'},
+    metricsPort: {type: 'integer', env: 'METRICS_PORT'},
+
+    'health.port': {type: 'integer', env: 'HEALTH_PORT'},
+    'health.stuckThresholdMs': {type: 'duration', env: 'HEALTH_STUCK_THRESHOLD'},
+    'health.heartbeatTimeoutMs': {type: 'duration', env: 'HEALTH_HEARTBEAT_TIMEOUT'},
+
+    'lag.topics': {type: 'string', env: 'LAG_TOPICS'},
+    'lag.format': {type: 'enum', env: 'LAG_FORMAT', values: ['table', 'json']},
+    'lag.watch': {type: 'boolean', env: 'LAG_WATCH'},
+    'lag.intervalMs': {type: 'duration', env: 'LAG_INTERVAL'},
+    'lag.maxLag': {type: 'integer', env: 'MAX_LAG'},
+
+    'admin.partitions': {type: 'integer', env: 'TOPIC_PARTITIONS', min: 1},
+    'admin.replicationFactor': {type: 'integer', env: 'TOPIC_REPLICATION_FACTOR', min: 1},
+    'admin.ifNotExists': {type: 'boolean'},
+    'admin.ifExists': {type: 'boolean'},
+    'admin.includeInternal': {type: 'boolean'},
+
+    'provision.manifest': {type: 'string', env: 'TOPICS_MANIFEST'},
+    'provision.dryRun': {type: 'boolean', env: 'PROVISION_DRY_RUN'},
+    'provision.deleteUnlisted': {type: 'boolean', env: 'PROVISION_DELETE_UNLISTED'},
+
+    'schemaRegistry.url': {type: 'string', env: 'SCHEMA_REGISTRY_URL'},
+    'schemaRegistry.username': {type: 'string', env: 'SCHEMA_REGISTRY_USERNAME'},
+    'schemaRegistry.password': {type: 'string', env: 'SCHEMA_REGISTRY_PASSWORD'},
+    'schemaRegistry.file': {type: 'string', env: 'SCHEMA_REGISTRY_FILE'},
+    'schemaRegistry.compatibility': {type: 'enum', env: 'SCHEMA_REGISTRY_COMPATIBILITY', values: COMPATIBILITY_LEVELS},
+
+    'security.ssl': {type: 'boolean', env: 'KAFKA_SSL'},
+    'security.caFile': {type: 'string', env: 'KAFKA_SSL_CA_FILE'},
+    'security.certFile': {type: 'string', env: 'KAFKA_SSL_CERT_FILE'},
+    'security.keyFile': {type: 'string', env: 'KAFKA_SSL_KEY_FILE'},
+    'security.keyPassphrase': {type: 'string', env: 'KAFKA_SSL_KEY_PASSPHRASE'},
+    'security.rejectUnauthorized': {type: 'boolean', env: 'KAFKA_SSL_REJECT_UNAUTHORIZED'},
+    'security.saslMechanism': {type: 'enum', env: 'KAFKA_SASL_MECHANISM', values: SASL_MECHANISMS},
+    'security.saslUsername': {type: 'string', env: 'KAFKA_SASL_USERNAME'},
+    'security.saslPassword': {type: 'string', env: 'KAFKA_SASL_PASSWORD'},
+
+    'client.connectionTimeout': {type: 'integer'},
+    'client.authenticationTimeout': {type: 'integer'},
+    'client.reauthenticationThreshold': {type: 'integer'},
+    'client.requestTimeout': {type: 'integer'},
+    'client.enforceRequestTimeout': {type: 'boolean'},
+    'client.logLevel': {type: 'enum', values: CLIENT_LOG_LEVELS},
+    'client.retry.maxRetryTime': {type: 'integer'},
+    'client.retry.initialRetryTime': {type: 'integer'},
+    'client.retry.factor': {type: 'number'},
+    'client.retry.multiplier': {type: 'number'},
+    'client.retry.retries': {type: 'integer'},
+
+    'producer.idempotent': {type: 'boolean'},
+    'producer.maxInFlightRequests': {type: 'integer', min: 1},
+    'producer.transactionTimeout': {type: 'integer'},
+    'producer.allowAutoTopicCreation': {type: 'boolean'},
+    'producer.metadataMaxAge': {type: 'integer'},
+    'producer.acks': {type: 'enum', values: [-1, 0, 1]},
+    'producer.timeout': {type: 'integer'},
+    'producer.compression': {type: 'enum', values: ['none', 'gzip']},
+
+    'consumer.sessionTimeout': {type: 'integer'},
+    'consumer.rebalanceTimeout': {type: 'integer'},
+    'consumer.heartbeatInterval': {type: 'integer'},
+    'consumer.metadataMaxAge': {type: 'integer'},
+    'consumer.maxBytesPerPartition': {type: 'integer'},
+    'consumer.minBytes': {type: 'integer'},
+    'consumer.maxBytes': {type: 'integer'},
+    'consumer.maxWaitTimeInMs': {type: 'integer'},
+    'consumer.allowAutoTopicCreation': {type: 'boolean'},
+    'consumer.readUncommitted': {type: 'boolean'},
+    'consumer.maxInFlightRequests': {type: 'integer', min: 1},
+    'consumer.partitionsConsumedConcurrently': {type: 'integer', min: 1},
+};
+
+// Every prefix of a dotted option path is a section, e.g. "client" and "client.retry"
+const SECTIONS = new Set(Object.keys(CONFIG_OPTIONS).flatMap((path) => {
+    const parts = path.split('.');
+    return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join('.'));
+}));
+
+/**
+ * Returns the environment variable an option is read from.
+ * @param {string} path Option path, e.g. "consumer.sessionTimeout".
+ * @returns {string} Variable name, e.g. "KAFKA_CONSUMER_SESSION_TIMEOUT".
+ */
+export function envVarName(path) {
+    return CONFIG_OPTIONS[path].env
+        || `KAFKA_${path.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+/**
+ * Parses one YAML scalar: quoted strings, booleans, null, numbers and inline lists ([a, b]).
+ * @param {string} text Raw scalar text.
+ * @returns {unknown} Parsed value.
+ */
+function parseScalar(text) {
+    const value = text.trim();
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) return JSON.parse(value);
+    if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner === '' ? [] : inner.split(',').map(parseScalar);
+    }
+    return value;
+}
+
+/**
+ * Removes a trailing "# comment" that is not inside quotes.
+ * @param {string} line Raw line.
+ * @returns {string} Line without the comment.
+ */
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Parses the YAML subset used by config files: nested maps by indentation, "key: value" scalars,
+ * block lists ("- item") and inline lists, and "#" comments.
+ * @param {string} text File contents.
+ * @param {string} source File name for error messages.
+ * @returns {Object} Parsed settings.
+ * @throws {Error} On unsupported syntax or inconsistent indentation.
+ */
+function parseYaml(text, source) {
+    const root = {};
+    const stack = [{indent: 0, container: root}];
+    // Key whose value is on the following, more indented lines
+    let pending = null;
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const fail = (message) => {
+            throw new Error(`${source}:${index + 1}: ${message}`);
+        };
+        const line = stripComment(raw).trimEnd();
+        if (line.trim() === '') return;
+        if (/^\s*\t/.test(line)) fail('tabs are not allowed for indentation');
+        const indent = line.length - line.trimStart().length;
+        const content = line.trim();
+
+        if (pending && indent > pending.indent) {
+            const container = content === '-' || content.startsWith('- ') ? [] : {};
+            pending.parent[pending.key] = container;
+            stack.push({indent, container});
+        }
+        pending = null;
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) stack.pop();
+        const frame = stack[stack.length - 1];
+        if (indent !== frame.indent) fail('unexpected indentation');
+
+        if (Array.isArray(frame.container)) {
+            if (content !== '-' && !content.startsWith('- ')) fail(`expected a list item ("- value"), got "${content}"`);
+            frame.container.push(parseScalar(content.slice(1)));
+            return;
+        }
+        const match = /^([^:\s][^:]*?)\s*:(?:\s+(.*))?$/.exec(content);
+        if (!match) fail(`expected "key: value", got "${content}"`);
+        const [, key, value] = match;
+        if (typeof value === 'undefined' || value.trim() === '') {
+            frame.container[key] = null;
+            pending = {parent: frame.container, key, indent};
+        } else {
+            frame.container[key] = parseScalar(value);
+        }
+    });
+    return root;
+}
+
+/**
+ * Parses config file contents. JSON is used for ".json" files and for contents starting with "{";
+ * anything else is read as the YAML subset described in parseYaml.
+ *
+ * @param {string} text File contents.
+ * @param {string} [source="config"] File name, used to pick the format and in error messages.
+ * @returns {Object} Parsed settings.
+ * @throws {Error} If the contents cannot be parsed.
+ */
+export function parseConfigText(text, source = 'config') {
+    if (source.endsWith('.json') || text.trimStart().startsWith('{')) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON in ${source}: ${err.message}`);
+        }
+    }
+    return parseYaml(text, source);
+}
+
+/**
+ * Computes the edit distance between two strings (for "did you mean" hints).
+ * @param {string} a First string.
+ * @param {string} b Second string.
+ * @returns {number} Levenshtein distance.
+ */
+function distance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Builds the error for an unknown key, suggesting the closest supported one.
+ * @param {string} path Unknown key.
+ * @param {string} source Where the key came from.
+ * @returns {Error} The error.
+ */
+function unknownKey(path, source) {
+    const candidates = [...Object.keys(CONFIG_OPTIONS), ...SECTIONS];
+    const closest = candidates
+        .map((candidate) => ({candidate, d: distance(path.toLowerCase(), candidate.toLowerCase())}))
+        .sort((x, y) => x.d - y.d)[0];
+    const hint = closest && closest.d <= 3 ? ` (did you mean "${closest.candidate}"?)` : '';
+    return new Error(`Unknown config key "${path}" in ${source}${hint}`);
+}
+
+/**
+ * Flattens nested settings into dotted paths, rejecting unknown keys.
+ * @param {Object} settings Nested or dotted settings.
+ * @param {string} source Where the settings came from.
+ * @param {string} [prefix] Path of the enclosing section.
+ * @param {Map<string, unknown>} [out] Accumulator.
+ * @returns {Map<string, unknown>} Values by option path.
+ * @throws {Error} On unknown keys or a section given as a scalar.
+ */
+function flatten(settings, source, prefix = '', out = new Map()) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`${prefix ? `Config section "${prefix}"` : 'Configuration'} in ${source} must be an object`);
+    }
+    for (const [name, value] of Object.entries(settings)) {
+        const path = prefix ? `${prefix}.${name}` : name;
+        if (CONFIG_OPTIONS[path]) out.set(path, value);
+        else if (SECTIONS.has(path) && value !== null) flatten(value, source, path, out);
+        else if (!SECTIONS.has(path)) throw unknownKey(path, source);
+    }
+    return out;
+}
+
+/**
+ * Validates and converts a raw value to the option's type. Strings from env vars and flags are accepted for
+ * every type ("true"/"false", "1"/"0", "yes"/"no" for booleans).
+ *
+ * @param {string} path Option path.
+ * @param {unknown} raw Raw value.
+ * @param {string} source Where the value came from, for error messages.
+ * @returns {unknown} Converted value.
+ * @throws {Error} If the value does not match the option type.
+ */
+function coerce(path, raw, source) {
+    const option = CONFIG_OPTIONS[path];
+    const fail = (expected) => {
+        throw new Error(`Invalid value for ${path} from ${source}: expected ${expected}, got ${JSON.stringify(raw)}`);
+    };
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    switch (option.type) {
+        case 'string':
+            if (typeof raw === 'string' || typeof raw === 'number') return String(raw);
+            return fail('a string');
+        case 'brokers':
+            if (typeof raw === 'string' && text !== '') return raw;
+            if (Array.isArray(raw) && raw.length > 0 && raw.every((b) => typeof b === 'string' && b.trim() !== '')) return raw;
+            return fail('a comma-separated string or a list of host:port');
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            const normalized = String(text).toLowerCase();
+            if (['true', '1', 'yes'].includes(normalized)) return true;
+            if (['false', '0', 'no'].includes(normalized)) return false;
+            return fail('true or false');
+        }
+        case 'integer':
+        case 'number': {
+            const n = typeof raw === 'number' ? raw : (text === '' ? NaN : Number(text));
+            const min = option.min ?? 0;
+            const valid = Number.isFinite(n) && n >= min && (option.type === 'number' || Number.isInteger(n));
+            if (valid) return n;
+            return fail(option.type === 'integer' ? `an integer >= ${min}` : `a number >= ${min}`);
+        }
+        case 'duration':
+            try {
+                return parseDuration(raw);
+            } catch {
+                return fail('a duration such as 500, "5s" or "1m"');
+            }
+        case 'enum': {
+            const match = option.values.find((v) => String(v).toLowerCase() === String(text).toLowerCase());
+            if (typeof match !== 'undefined') return match;
+            return fail(`one of ${option.values.join(', ')}`);
+        }
+        default:
+            throw new Error(`Unsupported option type ${option.type} for ${path}`);
+    }
+}
+
+/**
+ * Assigns a value at a dotted path, creating sections as needed.
+ * @param {Object} target Object to modify.
+ * @param {string} path Dotted path.
+ * @param {unknown} value Value to set.
+ */
+function setPath(target, path, value) {
+    const parts = path.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) node = node[part] ??= {};
+    node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Resolves the configuration from defaults, a config file, environment variables and flags (later wins).
+ * Empty environment variables count as unset. Sections without any value ("security", "client",
+ * "producer", "consumer") are left undefined.
+ *
+ * @param {Object} [params] Sources.
+ * @param {string} [params.file] Config file path; defaults to the KAFKA_CONFIG environment variable.
+ * @param {NodeJS.ProcessEnv} [params.env=process.env] Environment variables.
+ * @param {Object} [params.flags={}] Command-line overrides, nested or keyed by dotted path.
+ * @returns {{brokers: (string|string[]), clientId: string, topic: string, groupId: string, fromBeginning: boolean,
+ *            startFrom?: string, maxMessages?: number, timeoutMs?: number, untilEnd: boolean, message: string,
+ *            key?: string, transactionalId?: string, security?: import('./security.js').SecurityOptions,
+ *            client?: Object, producer?: Object, consumer?: Object}} Resolved configuration.
+ * @throws {Error} If the file cannot be read or parsed, a key is unknown or a value has the wrong type.
+ */
+export function loadConfig({file, env = process.env, flags = {}} = {}) {
+    const configFile = file || env.KAFKA_CONFIG;
+    const layers = [];
+
+    if (configFile) {
+        let text;
+        try {
+            text = fs.readFileSync(configFile, 'utf8');
+        } catch (err) {
+            throw new Error(`Cannot read config file ${configFile}: ${err.message}`);
+        }
+        const values = flatten(parseConfigText(text, configFile), `config file ${configFile}`);
+        layers.push({values, source: () => `config file ${configFile}`});
+    }
+
+    const fromEnv = new Map();
+    for (const path of Object.keys(CONFIG_OPTIONS)) {
+        const value = env[envVarName(path)];
+        if (typeof value !== 'undefined' && value !== '') fromEnv.set(path, value);
+    }
+    layers.push({values: fromEnv, source: (path) => `env ${envVarName(path)}`});
+    layers.push({values: flatten(flags, 'flags'), source: () => 'flags'});
+
+    const config = {};
+    for (const [path, option] of Object.entries(CONFIG_OPTIONS)) {
+        let value = option.default;
+        for (const layer of layers) {
+            const raw = layer.values.get(path);
+            if (typeof raw !== 'undefined' && raw !== null) value = coerce(path, raw, layer.source(path));
+        }
+        if (typeof value !== 'undefined') setPath(config, path, value);
+    }
+    return config;
+}
@@ -5,65 +5,272 @@
  *
  * Exports:
  * - parseBrokers: normalizes brokers (string or array) to an array of host:port strings.
+ * - decodeHeaders: decodes a consumed message's headers to strings (for eachMessage/eachBatch handlers).
  * - consumeMessages: high-level API to connect, subscribe, run, and gracefully stop a consumer.
- * - configFromEnv: builds configuration from environment variables for convenience/CLI.
- * - main: CLI entrypoint used when running this file directly.
+ * - configFromEnv: builds configuration from the config file and environment variables for convenience/CLI.
+ * - main: CLI entrypoint used when running this file directly (see --help).
  * - isDirectRun: detects whether the module is executed directly (node src/consumer.js).
  */
-import pkg from 'kafkajs';
 import * as url from 'url';
 import path from 'path';
 
-const {Kafka, logLevel} = pkg;
-
 // Re-exported from shared utils to avoid duplication across modules
-import {parseBrokers, waitForKafkaConnectivity} from './utils.js';
+import {parseBrokers, parseTopics, formatTopics, waitForKafkaConnectivity} from './utils.js';
 export {parseBrokers};
 
 // Centralized logger
 import logger from './logger.js';
 
+import {createProducer} from './producer.js';
+import {parseRetryTiers, retryTopicName, createFailureRouter, waitUntilDue} from './retry.js';
+import {createOffsetCommitter} from './offsets.js';
+import {parseStartPosition, resolveStartOffsets, seekOnAssignment} from './seek.js';
+import {createConsumptionLimits, resolveEndOffsets} from './limits.js';
+import {createKafkaClient} from './client.js';
+// Re-exported for handlers, which receive KafkaJS header values as Buffers
+import {decodeHeaders} from './headers.js';
+export {decodeHeaders};
+import {createMessageDeserializer, serdesFromConfig} from './serde.js';
+import {createMessageValidator, loadJsonSchemas} from './validation.js';
+import {createMetricsRegistry, instrumentConsumer, startMetricsServer} from './metrics.js';
+import {createHealthMonitor, startHealthServer} from './health.js';
+import {loadConfig} from './config.js';
+import {parseCli, formatUsage, reportUsageError, packageVersion} from './cli.js';
+
+/**
+ * Renders a key or value for the log: raw Buffers and strings as text, deserialized objects as JSON.
+ * @param {unknown} data Key or value.
+ * @returns {string|null} Printable text.
+ */
+function formatData(data) {
+    if (data === null || typeof data === 'undefined') return null;
+    if (Buffer.isBuffer(data) || typeof data === 'string') return data.toString();
+    return JSON.stringify(data);
+}
+
+/**
+ * Default message handler: logs the record's key, value and, when present, its headers decoded as UTF-8 strings,
+ * with topic, partition and offset as log context.
+ * @param {import('kafkajs').EachMessagePayload} payload KafkaJS message payload.
+ */
+function logMessage({topic, partition, message}) {
+    const key = formatData(message.key);
+    const value = formatData(message.value);
+    const headers = decodeHeaders(message.headers);
+    const suffix = Object.keys(headers).length > 0 ? ` headers=${JSON.stringify(headers)}` : '';
+    logger.child({topic, partition, offset: message.offset}).info(`Consumed message key=${key} value=${value}${suffix}`);
+}
+
 /**
- * Starts a Kafka consumer and begins streaming messages from a topic.
+ * Builds a view of part of a KafkaJS batch, exposing the same fields eachBatch handlers use.
+ * @param {import('kafkajs').Batch} batch Original batch.
+ * @param {import('kafkajs').KafkaMessage[]} messages Messages of this chunk.
+ * @returns {Object} Batch-like object limited to the given messages.
+ */
+function sliceBatch(batch, messages) {
+    const last = messages[messages.length - 1].offset;
+    return {
+        topic: batch.topic,
+        partition: batch.partition,
+        highWatermark: batch.highWatermark,
+        messages,
+        isEmpty: () => messages.length === 0,
+        firstOffset: () => messages[0].offset,
+        lastOffset: () => last,
+        offsetLag: () => (BigInt(batch.highWatermark) - 1n - BigInt(last)).toString(),
+    };
+}
+
+/**
+ * Starts a Kafka consumer and begins streaming messages from one or more topics.
  * Validates input, connects, subscribes, and runs the consumer. Supports AbortSignal for
  * graceful shutdown and includes basic retry logic when starting the run loop.
+ * Messages are handled one by one (eachMessage) or in bulk (eachBatch).
  *
  * @param {Object} params Consumer configuration.
  * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
  * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID.
  * @param {string} [params.groupId="kafka-nodejs-demo-group"] Consumer group ID.
- * @param {string} [params.topic="demo-topic"] Topic to subscribe to.
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options (see src/security.js); SSL:// and
+ *        SASL_SSL:// broker prefixes enable them as well.
+ * @param {Object} [params.client] KafkaJS client options (timeouts, retry policy, logLevel; see createKafkaClient).
+ * @param {Object} [params.consumerOptions] KafkaJS consumer options: sessionTimeout, rebalanceTimeout,
+ *        heartbeatInterval, metadataMaxAge, maxBytesPerPartition, minBytes, maxBytes, maxWaitTimeInMs,
+ *        allowAutoTopicCreation, readUncommitted, maxInFlightRequests, and partitionsConsumedConcurrently
+ *        (passed to run). The maxWaitTimeInMs and minBytes parameters take precedence.
+ * @param {string|RegExp|Array<string|RegExp>} [params.topic="demo-topic"] Topic(s) to subscribe to: a name, a
+ *        comma-separated list ("orders,payments"), a regex literal string ("/^orders\./"), a RegExp, or an array.
+ *        Patterns match the topics that exist when the consumer subscribes.
  * @param {boolean} [params.fromBeginning=true] When true, read from the beginning of the topic.
+ * @param {string|number|Date|Object} [params.startFrom] Start position that overrides committed offsets, applied
+ *        the first time each partition is assigned: "earliest", "latest", a timestamp (Date, epoch ms or
+ *        "2026-10-18T12:00Z"), or explicit offsets ("0:42,1:100", "orders:0:42" or {offsets}). See src/seek.js.
+ * @param {boolean} [params.autoCommit=true] When false, offsets are only committed for records the handler confirms:
+ *        eachMessage/eachBatch payloads get a `commit()` function to call once side effects are done (at-least-once).
+ *        Offsets can also be committed by other means, e.g. in a producer transaction.
+ * @param {number} [params.autoCommitInterval] Commit processed (or, with autoCommit=false, confirmed) offsets at
+ *        least this often, in milliseconds.
+ * @param {number} [params.autoCommitThreshold] Commit once this many records are processed (or confirmed).
+ *        With autoCommit=false and neither option set, every commit() is sent immediately.
  * @param {(payload: import('kafkajs').EachMessagePayload) => (Promise<void>|void)} [params.eachMessage]
  *        Optional handler for each message. If omitted, messages are logged to stdout.
+ * @param {(payload: import('kafkajs').EachBatchPayload) => Promise<void>} [params.eachBatch]
+ *        Optional bulk handler, mutually exclusive with eachMessage. Receives the KafkaJS batch helpers
+ *        (resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale, pause).
+ * @param {boolean} [params.eachBatchAutoResolve=true] When true, offsets of each delivered batch are resolved after
+ *        eachBatch returns; when false, the handler must call resolveOffset itself.
+ * @param {number} [params.maxBatchSize] Maximum number of messages per eachBatch call; larger fetches are split.
+ * @param {number} [params.maxWaitTimeInMs] Maximum time the broker waits to fill a fetch before a batch is delivered.
+ * @param {number} [params.minBytes] Minimum fetch size the broker waits for (up to maxWaitTimeInMs) before responding.
+ * @param {Object} [params.retry] When set, records whose handler throws are republished instead of blocking the
+ *        partition: first through each retry tier topic ("<topic>.retry.<tier>", consumed after the tier delay by
+ *        group "<groupId>.retry.<tier>"), then to the dead-letter topic. Retry and dead-letter topics must exist.
+ *        Requires explicit topic names (no patterns).
+ * @param {string|Array<string|number|{name: string, delayMs: (number|string)}>} [params.retry.tiers]
+ *        Retry tiers, e.g. "5s,1m" or ["5s", "1m"]. Empty means failures go straight to the dead-letter topic.
+ * @param {string} [params.retry.deadLetterTopic] Dead-letter topic (default: "<topic>.dlq").
+ * @param {number} [params.maxMessages] Stop after this many records (counted after the handler returns).
+ * @param {number|string} [params.timeoutMs] Stop after this long, in milliseconds or as a duration ("30s").
+ * @param {boolean} [params.untilEnd=false] Stop once every assigned partition has caught up with the high watermark
+ *        it had at startup.
+ * @param {boolean} [params.collect=false] Keep consumed records and return them from `done`.
+ * @param {{key?: (string|Function|import('./serde.js').Codec), value?: (string|Function|import('./serde.js').Codec)}}
+ *        [params.deserializer] Serdes applied to keys and values before handlers see them: "json", "string", "bytes",
+ *        "base64", a function or a codec object (see src/serde.js), e.g. createProtobufSerde (src/protobuf.js) or
+ *        createAvroSerde (src/avro.js) to decode values into objects. Without one, handlers receive Buffers.
+ * @param {(error: Error, payload: {topic: string, partition: number, message: import('kafkajs').KafkaMessage}) => (Promise<void>|void)}
+ *        [params.onDeserializationError] Called with the raw record when it cannot be deserialized; the record is then
+ *        skipped. Defaults to logging the error. If it throws, the error is handled like a handler error.
+ * @param {Object<string, Object>} [params.jsonSchemas] JSON Schemas by topic name (see src/validation.js). Values
+ *        are validated after deserialization (raw values are parsed as JSON); records that do not match are logged
+ *        as warnings and skipped, or passed to onInvalidMessage. Tombstones (null values) are not validated.
+ * @param {(error: import('./validation.js').ValidationError, payload: {topic: string, partition: number, message: import('kafkajs').KafkaMessage}) => (Promise<void>|void)}
+ *        [params.onInvalidMessage] Called with records that fail validation instead of skipping them silently, e.g.
+ *        to publish them to a dead-letter topic. If it throws, the error is handled like a handler error.
+ * @param {import('prom-client').Registry} [params.metricsRegistry] Registry to record consumer metrics into: records
+ *        consumed, lag, batch and handler durations, handler errors, rebalances and commits (see src/metrics.js).
+ *        Retry consumers and the retry producer record into it as well.
+ * @param {ReturnType<typeof import('./health.js').createHealthMonitor>} [params.healthMonitor] Monitor to report
+ *        connectivity, assignment, heartbeats and run loop progress of this consumer to (see src/health.js).
  * @param {AbortSignal} [params.signal] Optional AbortSignal to stop and disconnect the consumer.
- * @throws {Error} If brokers or topic are not provided.
- * @returns {Promise<{stop: () => Promise<void>, runPromise: Promise<void>}>
- * } Object containing a stop function and the run promise.
+ * @throws {Error} If brokers or topic are not provided, handler options conflict, a deserializer is invalid or a
+ *         JSON Schema does not compile.
+ * @returns {Promise<{stop: () => Promise<void>, runPromise: Promise<void>,
+ *            done: Promise<import('./limits.js').ConsumptionResult>}>
+ * } Object containing a stop function, the run promise, and a promise that resolves with the outcome
+ *   (reason, completed, count and, with collect, the records) once the consumer has stopped and disconnected.
  */
 export async function consumeMessages({
                                           brokers,
                                           clientId = 'kafka-nodejs-demo',
                                           groupId = 'kafka-nodejs-demo-group',
+                                          security,
+                                          client,
+                                          consumerOptions = {},
                                           topic = 'demo-topic',
                                           fromBeginning = true,
+                                          startFrom,
+                                          autoCommit = true,
+                                          autoCommitInterval,
+                                          autoCommitThreshold,
                                           eachMessage,
+                                          eachBatch,
+                                          eachBatchAutoResolve = true,
+                                          maxBatchSize,
+                                          maxWaitTimeInMs,
+                                          minBytes,
+                                          retry,
+                                          maxMessages,
+                                          timeoutMs,
+                                          untilEnd = false,
+                                          collect = false,
+                                          deserializer,
+                                          onDeserializationError,
+                                          jsonSchemas,
+                                          onInvalidMessage,
+                                          metricsRegistry,
+                                          healthMonitor,
                                           signal,
                                       }) {
     if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
         throw new Error('brokers is required');
     }
-    if (!topic) throw new Error('topic is required');
+    const topics = parseTopics(topic);
+    if (topics.length === 0) throw new Error('topic is required');
+    const batchMode = typeof eachBatch === 'function';
+    if (batchMode && typeof eachMessage === 'function') {
+        throw new Error('eachMessage and eachBatch are mutually exclusive');
+    }
+    if (batchMode && retry) throw new Error('retry is only supported with eachMessage');
+    if (retry && topics.some((t) => t instanceof RegExp)) throw new Error('retry requires explicit topic names');
+    if (typeof maxBatchSize !== 'undefined' && (!Number.isInteger(maxBatchSize) || maxBatchSize < 1)) {
+        throw new Error(`maxBatchSize must be a positive integer, got: ${maxBatchSize}`);
+    }
+    const startPosition = parseStartPosition(startFrom);
+    const deserialize = createMessageDeserializer(deserializer);
+    const validate = createMessageValidator(jsonSchemas);
+    const limits = createConsumptionLimits({
+        maxMessages,
+        timeoutMs,
+        untilEnd,
+        collect,
+        onFinish: (reason) => {
+            logger.info(`Consumption limit reached (${reason}), stopping consumer`);
+            // Not awaited: this may run inside a handler, and stopping waits for handlers to return.
+            // With autoCommit the KafkaJS run loop is told to stop synchronously, so no further record is delivered.
+            stopConsumer();
+        },
+    });
 
-    const kafka = new Kafka({clientId, brokers: parseBrokers(brokers), logLevel: logLevel.INFO});
-    const consumer = kafka.consumer({groupId});
+    const kafka = createKafkaClient({brokers, clientId, security, client, logLevel: 'info'});
+    const {partitionsConsumedConcurrently, ...tuning} = consumerOptions;
+    const consumerConfig = {...tuning, groupId};
+    if (typeof maxWaitTimeInMs !== 'undefined') consumerConfig.maxWaitTimeInMs = maxWaitTimeInMs;
+    if (typeof minBytes !== 'undefined') consumerConfig.minBytes = minBytes;
+    const consumer = kafka.consumer(consumerConfig);
+    const metrics = metricsRegistry ? instrumentConsumer(consumer, {registry: metricsRegistry, groupId}) : null;
+    const observeHandler = (labels, work) => (metrics ? metrics.observeHandler(labels, work) : work());
+    if (healthMonitor) healthMonitor.watch(consumer);
 
     let running = true;
+    let retryProducer = null;
+    const retryConsumers = [];
+    const inFlight = new Set();
+    const committer = autoCommit
+        ? null
+        : createOffsetCommitter({consumer, intervalMs: autoCommitInterval, threshold: autoCommitThreshold});
+
+    // Tracks running handlers so shutdown can wait for them before committing
+    const track = async (work) => {
+        const promise = work();
+        inFlight.add(promise);
+        try {
+            return await promise;
+        } finally {
+            inFlight.delete(promise);
+        }
+    };
+
+    let resolveDone;
+    const done = new Promise((resolve) => {
+        resolveDone = resolve;
+    });
 
     const stopConsumer = async () => {
         if (!running) return;
         logger.info('Stopping consumer...');
         running = false;
+        limits.stop();
+        if (committer) {
+            // Let in-flight handlers confirm their records, then commit while still a group member
+            await Promise.allSettled([...inFlight]);
+            try {
+                await committer.close();
+                logger.info('Committed confirmed offsets');
+            } catch (err) {
+                logger.error('Error committing offsets on shutdown:', err);
+            }
+        }
         try {
             await consumer.stop();
             logger.info('Consumer stopped');
@@ -76,6 +283,17 @@ export async function consumeMessages({
         } catch (err) {
             logger.error('Error disconnecting consumer:', err);
         }
+        for (const retryConsumer of retryConsumers) {
+            await retryConsumer.stop();
+        }
+        if (retryProducer) {
+            try {
+                await retryProducer.close();
+            } catch (err) {
+                logger.error('Error closing retry producer:', err);
+            }
+        }
+        resolveDone(limits.result());
     };
 
     if (signal) {
@@ -90,14 +308,179 @@ export async function consumeMessages({
     await consumer.connect();
     logger.info('Connected to Kafka successfully');
     
-    logger.info(`Subscribing to topic: ${topic}, fromBeginning: ${fromBeginning}`);
-    await consumer.subscribe({topic, fromBeginning});
-    logger.info('Subscribed to topic successfully');
+    logger.info(`Subscribing to topics: ${formatTopics(topics)}, fromBeginning: ${fromBeginning}`);
+    await consumer.subscribe({topics, fromBeginning});
+    logger.info('Subscribed to topics successfully');
 
     // Perform a readiness check via Kafka admin instead of a fixed sleep
     logger.info('Checking Kafka readiness (admin metadata)...');
     await waitForKafkaConnectivity(kafka);
+    if (healthMonitor) healthMonitor.connected();
 
+    if ((startPosition || untilEnd) && running) {
+        const admin = kafka.admin();
+        await admin.connect();
+        try {
+            const offsets = await resolveStartOffsets({admin, topics, position: startPosition});
+            if (startPosition) {
+                logger.info(`Start position ${startPosition.type}: seeking ${offsets.length} partition(s) on assignment`);
+                seekOnAssignment(consumer, offsets);
+            }
+            if (untilEnd) {
+                limits.setEndOffsets(await resolveEndOffsets({admin, groupId, topics, fromBeginning, startOffsets: offsets}));
+            }
+        } finally {
+            await admin.disconnect();
+        }
+    }
+    if (untilEnd) {
+        consumer.on(consumer.events.GROUP_JOIN, ({payload}) => limits.assign(payload.memberAssignment));
+        consumer.on(consumer.events.END_BATCH_PROCESS, ({payload}) => limits.batchProcessed(payload));
+    }
+
+    // Returns the payload with a deserialized and validated message, or null when the record is skipped
+    const decodePayload = async (payload) => {
+        const recordLogger = () => logger.child({
+            topic: payload.topic, partition: payload.partition, offset: payload.message.offset,
+        });
+        let decoded = payload;
+        if (deserialize) {
+            try {
+                decoded = {...payload, message: await deserialize(payload)};
+            } catch (err) {
+                if (onDeserializationError) await onDeserializationError(err, payload);
+                else recordLogger().error('Skipping record that cannot be deserialized:', err);
+                return null;
+            }
+        }
+        // Tombstones (null values) have nothing to validate
+        if (validate && decoded.message.value !== null) {
+            try {
+                validate(decoded.topic, decoded.message.value);
+            } catch (err) {
+                recordLogger().warn(`${onInvalidMessage ? 'Invalid' : 'Skipping invalid'} record: ${err.message}`);
+                if (onInvalidMessage) await onInvalidMessage(err, decoded);
+                return null;
+            }
+        }
+        return decoded;
+    };
+
+    const messageHandler = typeof eachMessage === 'function' ? eachMessage : logMessage;
+    const userHandler = metrics
+        ? (payload) => observeHandler(payload, async () => messageHandler(payload))
+        : messageHandler;
+    const handleMessage = deserialize || validate
+        ? async (payload) => {
+            const decoded = await decodePayload(payload);
+            if (decoded) await userHandler(decoded);
+        }
+        : userHandler;
+    let processMessage = handleMessage;
+
+    if (retry && running) {
+        const tiers = parseRetryTiers(retry.tiers);
+        retryProducer = await createProducer({brokers, clientId, security, client, metricsRegistry});
+        const router = createFailureRouter({producer: retryProducer, tiers, deadLetterTopic: retry.deadLetterTopic});
+        processMessage = async (payload) => {
+            try {
+                await handleMessage(payload);
+            } catch (err) {
+                await router.route(payload, err);
+                // With autoCommit=false the routed record is done too; KafkaJS commits it itself otherwise
+                if (payload.commit) await payload.commit();
+            }
+        };
+        for (const tier of tiers) {
+            logger.info(`Starting retry tier ${tier.name} (delay ${tier.delayMs}ms)`);
+            retryConsumers.push(await consumeMessages({
+                brokers,
+                clientId,
+                security,
+                client,
+                consumerOptions,
+                groupId: `${groupId}.retry.${tier.name}`,
+                topic: topics.map((t) => retryTopicName(t, tier)),
+                fromBeginning: true,
+                autoCommit,
+                autoCommitInterval,
+                autoCommitThreshold,
+                metricsRegistry,
+                signal,
+                eachMessage: async (payload) => {
+                    await waitUntilDue(payload, tier.delayMs, () => running);
+                    await processMessage(payload);
+                },
+            }));
+        }
+    }
+
+    // KafkaJS auto-resolve is disabled so a batch cut short by shutdown is not marked as processed;
+    // offsets are resolved here chunk by chunk instead.
+    const processBatch = async (payload) => {
+        const {batch, resolveOffset, heartbeat, isRunning, isStale} = payload;
+        const size = maxBatchSize || batch.messages.length || 1;
+        for (let i = 0; i < batch.messages.length; i += size) {
+            if (!running || !isRunning() || isStale()) return;
+            const messages = batch.messages.slice(i, Math.min(i + size, i + limits.remaining()));
+            const last = messages[messages.length - 1];
+            const commit = committer
+                ? () => committer.mark({topic: batch.topic, partition: batch.partition, offset: last.offset})
+                : undefined;
+            if (deserialize || validate) {
+                const decoded = [];
+                for (const message of messages) {
+                    const result = await decodePayload({topic: batch.topic, partition: batch.partition, message});
+                    if (result) decoded.push(result.message);
+                }
+                if (decoded.length > 0) {
+                    await observeHandler(batch, () => eachBatch({...payload, batch: sliceBatch(batch, decoded), commit}));
+                }
+            } else {
+                const chunk = messages.length === batch.messages.length ? batch : sliceBatch(batch, messages);
+                await observeHandler(batch, () => eachBatch({...payload, batch: chunk, commit}));
+            }
+            if (eachBatchAutoResolve) {
+                resolveOffset(last.offset);
+                await heartbeat();
+            }
+            for (const message of messages) limits.record(batch.topic, batch.partition, message);
+        }
+    };
+
+    const withCommit = (payload) => {
+        if (!committer) return payload;
+        const {topic, partition, message} = payload;
+        return {...payload, commit: () => committer.mark({topic, partition, offset: message.offset})};
+    };
+
+    const commitOptions = autoCommit ? {autoCommitInterval, autoCommitThreshold} : {};
+    // With autoCommit, no early return once stopping in eachMessage: KafkaJS would mark the skipped record as
+    // consumed. KafkaJS itself stops between records after consumer.stop(). Manual commits only cover marked
+    // records, so there records arriving while stopping are skipped and redelivered on the next run.
+    const runConfig = batchMode
+        ? {
+            autoCommit,
+            ...commitOptions,
+            partitionsConsumedConcurrently,
+            eachBatchAutoResolve: false,
+            eachBatch: async (payload) => {
+                if (!running) return;
+                await track(() => processBatch(payload));
+            },
+        }
+        : {
+            autoCommit,
+            ...commitOptions,
+            partitionsConsumedConcurrently,
+            eachMessage: async (payload) => {
+                if (!running && committer) return;
+                await track(() => processMessage(withCommit(payload)));
+                limits.record(payload.topic, payload.partition, payload.message);
+            },
+        };
+
+    limits.start();
     logger.info('Starting consumer run loop with retry logic...');
     let retries = 0;
     const maxRetries = 3;
@@ -105,20 +488,9 @@ export async function consumeMessages({
     
     while (retries < maxRetries && running) {
         try {
-            runPromise = consumer.run({
-                eachMessage: async (payload) => {
-                    if (!running) return;
-                    if (typeof eachMessage === 'function') {
-                        await eachMessage(payload);
-                    } else {
-                        const {topic, partition, message} = payload;
-                        const key = message.key ? message.key.toString() : null;
-                        const value = message.value ? message.value.toString() : null;
-                        logger.info(`Consumed message topic=${topic} partition=${partition} key=${key} value=${value}`);
-                    }
-                },
-            });
+            runPromise = consumer.run(runConfig);
             logger.info('Consumer run loop started successfully');
+            if (healthMonitor) healthMonitor.started();
             break; // Success, exit retry loop
         } catch (error) {
             retries++;
@@ -142,45 +514,144 @@ export async function consumeMessages({
         }
     };
 
-    return {stop, runPromise};
+    return {stop, runPromise, done};
 }
 
 /**
- * Builds a consumer configuration from environment variables.
- * Reads KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_GROUP_ID, KAFKA_TOPIC, FROM_BEGINNING.
- * @returns {{brokers: string|string[], clientId: string, groupId: string, topic: string, fromBeginning: boolean}}
+ * Builds a consumer configuration from the config file named by KAFKA_CONFIG and environment variables
+ * (see src/config.js): KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_GROUP_ID, KAFKA_TOPIC, FROM_BEGINNING, START_FROM,
+ * MAX_MESSAGES, TIMEOUT_MS, UNTIL_END, KEY_SERDE, VALUE_SERDE, KEY_SCHEMA, VALUE_SCHEMA, the SCHEMA_REGISTRY_*
+ * registry variables, PROTO_FILE, KEY_PROTO_TYPE, VALUE_PROTO_TYPE, JSON_SCHEMA_FILE, METRICS_PORT, HEALTH_PORT,
+ * HEALTH_STUCK_THRESHOLD, HEALTH_HEARTBEAT_TIMEOUT, the KAFKA_SSL* / KAFKA_SASL* security variables and the KAFKA_CLIENT_* / KAFKA_CONSUMER_* tuning variables.
+ * @param {Object} [options] Overrides.
+ * @param {string} [options.file] Config file to use instead of KAFKA_CONFIG.
+ * @param {Object} [options.flags={}] Command-line overrides (see loadConfig).
+ * @returns {{brokers: string|string[], clientId: string, groupId: string, topic: string, fromBeginning: boolean,
+ *            startFrom: (string|undefined), maxMessages: (number|undefined), timeoutMs: (number|undefined),
+ *            untilEnd: boolean, security: (import('./security.js').SecurityOptions|undefined),
+ *            client: (Object|undefined), consumerOptions: (Object|undefined),
+ *            deserializer: ({key?: (string|import('./serde.js').Codec), value?: (string|import('./serde.js').Codec)}|undefined),
+ *            jsonSchemas: (Object<string, Object>|undefined), metricsPort: (number|undefined),
+ *            health: ({port?: number, stuckThresholdMs?: number, heartbeatTimeoutMs?: number}|undefined)}}
+ * @throws {Error} If the config file, a value, or a schema, proto or JSON Schema file is invalid.
  */
-export function configFromEnv() {
+export function configFromEnv({file, flags = {}} = {}) {
+    const config = loadConfig({file, flags});
     return {
-        brokers: process.env.KAFKA_BROKERS || 'localhost:9092',
-        clientId: process.env.KAFKA_CLIENT_ID || 'kafka-nodejs-demo',
-        groupId: process.env.KAFKA_GROUP_ID || 'kafka-nodejs-demo-group',
-        topic: process.env.KAFKA_TOPIC || 'demo-topic',
-        fromBeginning: process.env.FROM_BEGINNING ? process.env.FROM_BEGINNING === 'true' : true,
+        brokers: config.brokers,
+        clientId: config.clientId,
+        groupId: config.groupId,
+        topic: config.topic,
+        fromBeginning: config.fromBeginning,
+        startFrom: config.startFrom,
+        maxMessages: config.maxMessages,
+        timeoutMs: config.timeoutMs,
+        untilEnd: config.untilEnd,
+        security: config.security,
+        client: config.client,
+        consumerOptions: config.consumer,
+        deserializer: serdesFromConfig(config),
+        jsonSchemas: config.jsonSchemaFile ? loadJsonSchemas(config.jsonSchemaFile) : undefined,
+        metricsPort: config.metricsPort,
+        health: config.health,
     };
 }
 
+const COMMAND = 'node src/consumer.js';
+
+/** @type {import('./cli.js').CliOption[]} */
+const CLI_OPTIONS = [
+    {name: 'brokers', short: 'b', type: 'string', config: 'brokers', value: 'LIST', description: 'Comma-separated brokers'},
+    {name: 'topic', short: 't', type: 'string', config: 'topic', value: 'TOPICS', description: 'Topic, comma-separated topics or /regex/'},
+    {name: 'group', short: 'g', type: 'string', config: 'groupId', value: 'GROUP', description: 'Consumer group ID'},
+    {name: 'from-beginning', type: 'boolean', negatable: true, config: 'fromBeginning', description: 'Read from the beginning when the group has no offsets'},
+    {name: 'start-from', type: 'string', config: 'startFrom', value: 'POSITION', description: 'earliest, latest, a timestamp or 0:42,1:100'},
+    {name: 'max-messages', short: 'n', type: 'string', config: 'maxMessages', value: 'N', description: 'Stop after N messages'},
+    {name: 'timeout', type: 'string', config: 'timeoutMs', value: 'DURATION', description: 'Stop after this long (e.g. 500, 30s, 1m)'},
+    {name: 'until-end', short: 'e', type: 'boolean', negatable: true, config: 'untilEnd', description: 'Stop at the end of the partitions'},
+    {name: 'key-serde', type: 'string', config: 'keySerde', value: 'SERDE', description: 'Key deserializer: json, string, bytes, base64, avro or protobuf'},
+    {name: 'value-serde', type: 'string', config: 'valueSerde', value: 'SERDE', description: 'Value deserializer: json, string, bytes, base64, avro or protobuf'},
+    {name: 'key-schema', type: 'string', config: 'keySchema', value: 'FILE', description: 'Key Avro schema to read into (.avsc)'},
+    {name: 'value-schema', type: 'string', config: 'valueSchema', value: 'FILE', description: 'Value Avro schema to read into (.avsc)'},
+    {name: 'schema-registry', type: 'string', config: 'schemaRegistry.url', value: 'URL', description: 'Schema registry URL for avro serdes'},
+    {name: 'proto-file', type: 'string', config: 'protoFile', value: 'FILE', description: '.proto file for protobuf serdes'},
+    {name: 'key-proto-type', type: 'string', config: 'keyProtoType', value: 'TYPE', description: 'Protobuf message type to decode keys with'},
+    {name: 'value-proto-type', type: 'string', config: 'valueProtoType', value: 'TYPE', description: 'Protobuf message type to decode values with'},
+    {name: 'json-schemas', type: 'string', config: 'jsonSchemaFile', value: 'FILE', description: 'Skip records that fail JSON Schemas by topic (JSON file)'},
+    {name: 'metrics-port', type: 'string', config: 'metricsPort', value: 'PORT', description: 'Serve Prometheus metrics at /metrics on PORT'},
+    {name: 'health-port', type: 'string', config: 'health.port', value: 'PORT', description: 'Serve /healthz and /readyz on PORT'},
+    {name: 'client-id', type: 'string', config: 'clientId', value: 'ID', description: 'Kafka client ID'},
+    {name: 'config', short: 'c', type: 'string', action: 'config', value: 'FILE', description: 'Config file (JSON or YAML) [env: KAFKA_CONFIG]'},
+    {name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Show this help and exit'},
+    {name: 'version', short: 'V', type: 'boolean', action: 'version', description: 'Show the version and exit'},
+];
+
 /**
- * CLI entrypoint to start the consumer using environment configuration.
- * Installs SIGINT/SIGTERM handlers to gracefully stop. Sets process.exitCode = 1 on error.
+ * CLI entrypoint to start the consumer using command-line flags, environment variables and the config file.
+ * Installs SIGINT/SIGTERM handlers to gracefully stop. Sets process.exitCode = 1 on error and 2 on invalid flags
+ * or configuration.
+ * With --max-messages, --timeout or --until-end (or MAX_MESSAGES, TIMEOUT_MS, UNTIL_END) the consumer stops by
+ * itself; process.exitCode is 1 when it stopped before the condition was met (e.g. the timeout elapsed before
+ * enough records arrived).
+ * With --metrics-port (METRICS_PORT) Prometheus metrics are served at /metrics until the consumer stops, and with
+ * --health-port (HEALTH_PORT) liveness and readiness at /healthz and /readyz (see src/health.js).
  * Accepts dependency injection for tests.
  * @param {{ consumeMessages: typeof consumeMessages }} [deps] Optional dependency overrides.
- * @returns {Promise<void>} Resolves when the consumer stops (e.g., via signal).
+ * @param {string[]} [argv=[]] Command-line arguments (without node and the script path).
+ * @returns {Promise<void>} Resolves when the consumer has stopped (e.g., via signal).
  */
-export async function main(deps = { consumeMessages }) {
-    const cfg = configFromEnv();
+export async function main(deps = { consumeMessages }, argv = []) {
+    let cfg;
+    try {
+        const args = parseCli(argv, CLI_OPTIONS);
+        if (args.help || args.version) {
+            process.stdout.write(args.help
+                ? formatUsage(COMMAND, 'Consumes messages from Kafka topics and logs them.', CLI_OPTIONS)
+                : `${packageVersion()}\n`);
+            return;
+        }
+        cfg = configFromEnv({file: args.file, flags: args.flags});
+    } catch (err) {
+        reportUsageError(COMMAND, err);
+        return;
+    }
     const ac = new AbortController();
     const signal = ac.signal;
     process.on('SIGINT', () => ac.abort());
     process.on('SIGTERM', () => ac.abort());
+    const servers = [];
     try {
+        if (typeof cfg.metricsPort !== 'undefined') {
+            const metricsRegistry = createMetricsRegistry();
+            const server = await startMetricsServer({port: cfg.metricsPort, registry: metricsRegistry});
+            servers.push(server);
+            logger.info(`Serving metrics on port ${server.port} at /metrics`);
+            cfg = {...cfg, metricsRegistry};
+        }
+        if (cfg.health && typeof cfg.health.port !== 'undefined') {
+            const {port, ...thresholds} = cfg.health;
+            const healthMonitor = createHealthMonitor(thresholds);
+            const server = await startHealthServer({port, monitor: healthMonitor});
+            servers.push(server);
+            logger.info(`Serving health checks on port ${server.port} at /healthz and /readyz`);
+            cfg = {...cfg, healthMonitor};
+        }
         logger.info(`Starting consumer: topic=${cfg.topic}, brokers=${cfg.brokers}`);
-        const {runPromise} = await deps.consumeMessages({...cfg, signal});
-        // Keep the process alive until the consumer stops (e.g., on SIGINT/SIGTERM)
+        const {runPromise, done} = await deps.consumeMessages({...cfg, signal});
         await runPromise;
+        // KafkaJS resolves runPromise once the consumer has joined its group; keep serving until it stops
+        // (e.g., on SIGINT/SIGTERM or a consumption limit)
+        const result = done ? await done : null;
+        const bounded = typeof cfg.maxMessages !== 'undefined' || typeof cfg.timeoutMs !== 'undefined' || cfg.untilEnd;
+        if (bounded && result) {
+            logger.info(`Consumer finished: reason=${result.reason}, messages=${result.count}`);
+            if (!result.completed) process.exitCode = 1;
+        }
     } catch (err) {
         logger.error('Consumer error:', err);
         process.exitCode = 1;
+    } finally {
+        for (const server of servers) await server.close();
     }
 }
 
@@ -243,5 +714,5 @@ export const isDirectRun = () => __DIRECT_RUN__;
 
 if (isDirectRun()) {
     // no top-level await to keep Node versions happy
-    main();
+    main(undefined, process.argv.slice(2));
 }
@@ -0,0 +1,70 @@
+/**
+ * Kafka record headers: validation on the produce side and decoding on the consume side.
+ * KafkaJS accepts header values as strings or Buffers (a list for repeated headers) and
+ * delivers them as Buffers, or arrays of Buffers when a header is repeated.
+ *
+ * Exports:
+ * - normalizeHeaders: validates headers for a producer message.
+ * - decodeHeaders: decodes consumed headers to strings.
+ * - headerValue: reads one consumed header as a string.
+ */
+
+/**
+ * Checks a single header value.
+ * @param {unknown} value Header value.
+ * @returns {boolean} True for strings and Buffers.
+ */
+function isHeaderValue(value) {
+    return typeof value === 'string' || Buffer.isBuffer(value);
+}
+
+/**
+ * Validates headers for a producer message. Values must be strings or Buffers, or arrays of them for a
+ * header that appears several times; undefined and null values are dropped.
+ *
+ * @param {Object<string, unknown>} headers Headers to send.
+ * @returns {import('kafkajs').IHeaders} Headers for the KafkaJS message.
+ * @throws {Error} If headers is not an object or a value has another type.
+ */
+export function normalizeHeaders(headers) {
+    if (typeof headers !== 'object' || headers === null || Array.isArray(headers) || Buffer.isBuffer(headers)) {
+        throw new Error('headers must be an object');
+    }
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (typeof value === 'undefined' || value === null) continue;
+        if (!isHeaderValue(value) && !(Array.isArray(value) && value.every(isHeaderValue))) {
+            throw new Error(`header "${name}" must be a string or Buffer (or an array of them), got: ${typeof value}`);
+        }
+        result[name] = value;
+    }
+    return result;
+}
+
+/**
+ * Decodes consumed headers to strings; repeated headers stay arrays. Headers without a value are omitted.
+ *
+ * @param {import('kafkajs').IHeaders|undefined} headers Headers of a consumed message.
+ * @param {BufferEncoding} [encoding="utf8"] Encoding of the header values.
+ * @returns {Object<string, (string|string[])>} Decoded headers (empty when the message has none).
+ */
+export function decodeHeaders(headers, encoding = 'utf8') {
+    const decode = (value) => (Buffer.isBuffer(value) ? value.toString(encoding) : String(value));
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        if (typeof value === 'undefined' || value === null) continue;
+        result[name] = Array.isArray(value) ? value.map(decode) : decode(value);
+    }
+    return result;
+}
+
+/**
+ * Reads a header as a string. For a repeated header the last value wins.
+ * @param {import('kafkajs').IHeaders|undefined} headers Message headers.
+ * @param {string} name Header name.
+ * @returns {string|undefined} Header value, or undefined when absent.
+ */
+export function headerValue(headers, name) {
+    const value = decodeHeaders(headers && {[name]: headers[name]})[name];
+    return Array.isArray(value) ? value[value.length - 1] : value;
+}
@@ -0,0 +1,140 @@
+/**
+ * Liveness and readiness for the consumer, tracked from KafkaJS instrumentation events and served over HTTP
+ * at /healthz (liveness) and /readyz (readiness), e.g. for Docker or Kubernetes health checks.
+ *
+ * Exports:
+ * - createHealthMonitor: tracks connectivity, assignment, heartbeats and run loop progress of one consumer.
+ * - startHealthServer: serves a monitor's liveness and readiness.
+ */
+import {startHttpServer} from './utils.js';
+
+/**
+ * @typedef {Object} HealthStatus
+ * @property {boolean} ok Whether the check passes.
+ * @property {Object} checks Values the result was derived from.
+ * @property {string} [reason] Why the check fails.
+ */
+
+/**
+ * Counts the partitions of a KafkaJS member assignment ({topic: partitions[]}).
+ * @param {Object<string, number[]>} [assignment] Member assignment.
+ * @returns {number} Number of partitions.
+ */
+function countPartitions(assignment) {
+    return Object.values(assignment || {}).reduce((sum, partitions) => sum + partitions.length, 0);
+}
+
+/**
+ * Creates a health monitor for one consumer.
+ * - Ready: waitForKafkaConnectivity succeeded, at least one partition is assigned and the last heartbeat (or group
+ *   join) is at most heartbeatTimeoutMs old. Not ready while rebalancing or after the consumer stopped.
+ * - Live: the run loop has not crashed (a crash KafkaJS does not restart from) and, once started, has fetched or
+ *   finished a batch within stuckThresholdMs. A handler that takes longer than that counts as stuck.
+ *
+ * @param {Object} [params] Thresholds.
+ * @param {number} [params.stuckThresholdMs=60000] Longest time without run loop progress before liveness fails.
+ * @param {number} [params.heartbeatTimeoutMs=30000] Oldest heartbeat readiness accepts.
+ * @param {() => number} [params.now=Date.now] Clock, for tests.
+ * @returns {{
+ *   watch: (consumer: import('kafkajs').Consumer) => void,
+ *   connected: () => void,
+ *   started: () => void,
+ *   liveness: () => HealthStatus,
+ *   readiness: () => HealthStatus,
+ * }} Monitor; consumeMessages calls watch/connected/started when given it as healthMonitor.
+ */
+export function createHealthMonitor({stuckThresholdMs = 60000, heartbeatTimeoutMs = 30000, now = Date.now} = {}) {
+    let isConnected = false;
+    let runStartedAt = null;
+    let lastProgress = null;
+    let lastHeartbeat = null;
+    let partitions = 0;
+    let crash = null;
+    let stopped = false;
+
+    const progress = () => {
+        lastProgress = now();
+    };
+
+    const age = (time) => (time === null ? null : now() - time);
+
+    return {
+        watch(consumer) {
+            const {events} = consumer;
+            consumer.on(events.GROUP_JOIN, ({payload}) => {
+                partitions = countPartitions(payload.memberAssignment);
+                lastHeartbeat = now();
+                progress();
+            });
+            consumer.on(events.REBALANCING, () => {
+                partitions = 0;
+            });
+            consumer.on(events.HEARTBEAT, () => {
+                lastHeartbeat = now();
+            });
+            consumer.on(events.FETCH_START, progress);
+            consumer.on(events.END_BATCH_PROCESS, progress);
+            consumer.on(events.CRASH, ({payload}) => {
+                if (!payload.restart) crash = payload.error;
+            });
+            consumer.on(events.STOP, () => {
+                stopped = true;
+                partitions = 0;
+            });
+        },
+        connected() {
+            isConnected = true;
+        },
+        started() {
+            runStartedAt = now();
+            progress();
+        },
+        liveness() {
+            const idleMs = runStartedAt === null || stopped ? null : age(lastProgress);
+            const checks = {crashed: crash !== null, idleMs};
+            if (crash) return {ok: false, checks, reason: `Consumer crashed: ${crash.message || crash}`};
+            if (idleMs !== null && idleMs > stuckThresholdMs) {
+                return {ok: false, checks, reason: `No run loop progress for ${idleMs}ms (threshold ${stuckThresholdMs}ms)`};
+            }
+            return {ok: true, checks};
+        },
+        readiness() {
+            const heartbeatAgeMs = age(lastHeartbeat);
+            const checks = {connected: isConnected, partitions, heartbeatAgeMs};
+            let reason;
+            if (stopped) reason = 'Consumer stopped';
+            else if (!isConnected) reason = 'Kafka is not reachable yet';
+            else if (partitions === 0) reason = 'No partitions assigned';
+            else if (heartbeatAgeMs === null || heartbeatAgeMs > heartbeatTimeoutMs) {
+                reason = `Last heartbeat ${heartbeatAgeMs === null ? 'never' : `${heartbeatAgeMs}ms ago`} (timeout ${heartbeatTimeoutMs}ms)`;
+            }
+            return reason ? {ok: false, checks, reason} : {ok: true, checks};
+        },
+    };
+}
+
+/**
+ * Starts an HTTP server answering GET /healthz with the monitor's liveness and GET /readyz with its readiness:
+ * 200 when the check passes, 503 otherwise, with a JSON body ({status, checks, reason}). Other paths get 404.
+ * @param {Object} params Server options.
+ * @param {number} params.port Port to listen on (0 picks a free one).
+ * @param {string} [params.host] Interface to bind (default: all).
+ * @param {ReturnType<typeof createHealthMonitor>} params.monitor Monitor to report.
+ * @returns {Promise<{port: number, close: () => Promise<void>}>} Bound port and a function that stops the server.
+ * @throws {Error} If the port cannot be bound.
+ */
+export async function startHealthServer({port, host, monitor}) {
+    const routes = {'/healthz': () => monitor.liveness(), '/readyz': () => monitor.readiness()};
+    return startHttpServer((req, res) => {
+        const {pathname} = new URL(req.url, 'http://localhost');
+        const check = routes[pathname];
+        if (req.method !== 'GET' || !check) {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('Not found\n');
+            return;
+        }
+        const {ok, ...details} = check();
+        res.writeHead(ok ? 200 : 503, {'Content-Type': 'application/json'});
+        res.end(`${JSON.stringify({status: ok ? 'ok' : 'fail', ...details})}\n`);
+    }, {port, host});
+}
@@ -0,0 +1,92 @@
+/**
+ * Newline-delimited record input for the producer CLI (stdin or a file).
+ * Lines are either plain text, optionally split into key and value at a separator ("key:value"),
+ * or JSON objects (JSONL) carrying value, key, headers, partition and timestamp.
+ *
+ * Exports:
+ * - INPUT_FORMATS: supported line formats.
+ * - parseRecord: turns one input line into a producer message.
+ * - openInput: opens a file, or stdin for "-".
+ * - readRecords: reads a stream line by line and yields parsed messages or per-line errors.
+ */
+import fs from 'fs';
+import readline from 'readline';
+
+export const INPUT_FORMATS = ['text', 'jsonl'];
+
+const JSON_FIELDS = new Set(['key', 'value', 'headers', 'partition', 'timestamp']);
+
+/**
+ * Parses one input line.
+ * Text lines become the value; with a key separator the text before its first occurrence is the key.
+ * JSONL lines must be objects with a "value" and may carry "key", "headers", "partition" and "timestamp".
+ *
+ * @param {string} line Input line without the line terminator.
+ * @param {Object} [options] Parsing options.
+ * @param {'text'|'jsonl'} [options.format="text"] Line format.
+ * @param {string} [options.keySeparator] Key/value separator for text lines.
+ * @returns {{key?: string, value: unknown, headers?: Object, partition?: number, timestamp?: (number|string)}}
+ *          Producer message (see createProducer).
+ * @throws {Error} If the line does not match the format.
+ */
+export function parseRecord(line, {format = 'text', keySeparator} = {}) {
+    if (format === 'jsonl') {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`invalid JSON: ${err.message}`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) throw new Error('expected a JSON object');
+        const unknown = Object.keys(record).filter((field) => !JSON_FIELDS.has(field));
+        if (unknown.length > 0) throw new Error(`unknown field(s): ${unknown.join(', ')}`);
+        if (typeof record.value === 'undefined') throw new Error('missing "value"');
+        if (record.headers !== undefined && (!record.headers || typeof record.headers !== 'object' || Array.isArray(record.headers))) {
+            throw new Error('"headers" must be an object');
+        }
+        return record;
+    }
+    if (format !== 'text') throw new Error(`Unsupported input format: ${format} (expected one of ${INPUT_FORMATS.join(', ')})`);
+    if (!keySeparator) return {value: line};
+    const index = line.indexOf(keySeparator);
+    if (index < 0) throw new Error(`missing key separator "${keySeparator}"`);
+    return {key: line.slice(0, index), value: line.slice(index + keySeparator.length)};
+}
+
+/**
+ * Opens the input: stdin for "-", otherwise a file.
+ * @param {string} source File path or "-".
+ * @returns {Promise<import('stream').Readable>} Readable stream.
+ * @throws {Error} If the file cannot be read.
+ */
+export async function openInput(source) {
+    if (source === '-') return process.stdin;
+    try {
+        await fs.promises.access(source, fs.constants.R_OK);
+    } catch (err) {
+        throw new Error(`Cannot read input file ${source}: ${err.message}`);
+    }
+    return fs.createReadStream(source);
+}
+
+/**
+ * Reads records line by line. Blank lines are skipped; lines that fail to parse are yielded with an error
+ * instead of a message so the caller can count them and continue.
+ *
+ * @param {import('stream').Readable} stream Input stream.
+ * @param {{format?: 'text'|'jsonl', keySeparator?: string}} [options] Parsing options (see parseRecord).
+ * @returns {AsyncGenerator<{line: number, message?: Object, error?: Error}>} Records with their 1-based line numbers.
+ */
+export async function* readRecords(stream, options = {}) {
+    const lines = readline.createInterface({input: stream, crlfDelay: Infinity});
+    let number = 0;
+    for await (const text of lines) {
+        number++;
+        if (text.trim() === '') continue;
+        try {
+            yield {line: number, message: parseRecord(text, options)};
+        } catch (error) {
+            yield {line: number, error};
+        }
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Consumer group lag: committed offsets against high watermarks, per partition and in total, and a CLI that
+ * prints them as a table or JSON, once or on an interval (watch mode).
+ *
+ * Exports:
+ * - LAG_EXIT_CODES: exit codes of the CLI, for CI checks.
+ * - fetchConsumerLag: computes a group's lag on the given topics with an admin client.
+ * - formatLagTable: renders a lag report as a text table.
+ * - createLagInspector: connects an admin client once and fetches lag reports on demand.
+ * - configFromEnv: builds configuration from the config file and environment variables for convenience/CLI.
+ * - main: CLI entrypoint used when running this file directly (see --help).
+ * - isDirectRun: detects whether the module is executed directly (node src/lag.js).
+ */
+import {pathToFileURL} from 'url';
+import {setTimeout as sleep} from 'timers/promises';
+import {parseTopics} from './utils.js';
+import {listSubscribedTopics} from './seek.js';
+import {createKafkaClient} from './client.js';
+import {loadConfig} from './config.js';
+import {parseCli, formatUsage, reportUsageError, packageVersion} from './cli.js';
+
+// Centralized logger
+import logger from './logger.js';
+
+/**
+ * Exit codes: OK when the lag is within --max-lag (or none is set), ERROR when the lag could not be fetched,
+ * USAGE for invalid flags or configuration, LAG_EXCEEDED when the total lag is above --max-lag.
+ */
+export const LAG_EXIT_CODES = {OK: 0, ERROR: 1, USAGE: 2, LAG_EXCEEDED: 3};
+
+/**
+ * @typedef {Object} PartitionLag
+ * @property {string} topic Topic name.
+ * @property {number} partition Partition number.
+ * @property {string|null} committedOffset Next offset the group reads, or null when it has not committed one.
+ * @property {string} endOffset High watermark (offset of the next record written).
+ * @property {number} lag Records behind the end; counted from the low watermark when nothing is committed.
+ */
+
+/**
+ * @typedef {Object} LagReport
+ * @property {string} time When the offsets were fetched (ISO 8601).
+ * @property {string} groupId Consumer group.
+ * @property {number} totalLag Sum of the partition lags.
+ * @property {PartitionLag[]} partitions Per-partition lag, by topic and partition.
+ */
+
+/**
+ * Fetches a group's committed offsets and the high watermarks of its topics and computes the lag.
+ * Without topics, the group's topics are the ones it has committed offsets for.
+ * Partitions without a committed offset count everything from the low watermark as lag, as for a group that
+ * starts from the beginning.
+ *
+ * @param {Object} params Lookup parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.groupId Consumer group ID.
+ * @param {Array<string|RegExp>} [params.topics=[]] Topics and patterns (see parseTopics); patterns match existing
+ *        topics. Empty to inspect every topic the group has committed offsets for.
+ * @returns {Promise<LagReport>} Lag report.
+ */
+export async function fetchConsumerLag({admin, groupId, topics = []}) {
+    const time = new Date().toISOString();
+    const committed = new Map();
+    const record = (responses) => {
+        for (const {topic, partitions} of responses) {
+            for (const {partition, offset} of partitions) committed.set(`${topic}:${partition}`, offset);
+        }
+    };
+
+    let names;
+    if (topics.length === 0) {
+        const responses = await admin.fetchOffsets({groupId});
+        record(responses);
+        names = responses.map(({topic}) => topic);
+    } else {
+        names = await listSubscribedTopics(admin, topics);
+    }
+    names = names.filter((name) => !name.startsWith('__')).sort();
+    if (topics.length > 0 && names.length > 0) record(await admin.fetchOffsets({groupId, topics: names}));
+
+    const partitions = [];
+    for (const topic of names) {
+        const watermarks = await admin.fetchTopicOffsets(topic);
+        for (const {partition, low, high} of watermarks.sort((a, b) => a.partition - b.partition)) {
+            const offset = committed.get(`${topic}:${partition}`);
+            const committedOffset = typeof offset !== 'undefined' && Number(offset) >= 0 ? String(offset) : null;
+            const lag = BigInt(high) - BigInt(committedOffset ?? low);
+            partitions.push({topic, partition, committedOffset, endOffset: String(high), lag: Number(lag > 0n ? lag : 0n)});
+        }
+    }
+    return {time, groupId, totalLag: partitions.reduce((sum, p) => sum + p.lag, 0), partitions};
+}
+
+/**
+ * Renders a lag report as an aligned table with a total line; uncommitted offsets are shown as "-".
+ * @param {LagReport} report Lag report.
+ * @returns {string} Table text ending with a newline.
+ */
+export function formatLagTable({groupId, totalLag, partitions}) {
+    const rows = [
+        ['GROUP', 'TOPIC', 'PARTITION', 'COMMITTED', 'END', 'LAG'],
+        ...partitions.map((p) => [groupId, p.topic, String(p.partition), p.committedOffset ?? '-', p.endOffset, String(p.lag)]),
+    ];
+    const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+    const lines = rows.map((row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    if (partitions.length === 0) lines.push('(no partitions)');
+    lines.push(`TOTAL LAG: ${totalLag}`);
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates a lag inspector over one admin connection, opened on the first check.
+ *
+ * @param {Object} params Inspector configuration.
+ * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
+ * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID.
+ * @param {string} params.groupId Consumer group to inspect.
+ * @param {string|RegExp|Array<string|RegExp>} [params.topic] Topic(s): a name, a comma-separated list, "/regex/" or an
+ *        array. Defaults to the topics the group has committed offsets for.
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options (see src/security.js).
+ * @param {Object} [params.client] KafkaJS client options (see createKafkaClient).
+ * @returns {{check: () => Promise<LagReport>, close: () => Promise<void>}} Inspector.
+ * @throws {Error} If brokers or groupId are not provided.
+ */
+export function createLagInspector({brokers, clientId = 'kafka-nodejs-demo', groupId, topic, security, client}) {
+    if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
+        throw new Error('brokers is required');
+    }
+    if (!groupId) throw new Error('groupId is required');
+    const topics = parseTopics(topic);
+
+    const admin = createKafkaClient({brokers, clientId, security, client, logLevel: 'nothing'}).admin();
+    let connecting = null;
+
+    return {
+        async check() {
+            // A failed connect is retried on the next check (e.g. once the broker is back in watch mode)
+            connecting ??= admin.connect().catch((err) => {
+                connecting = null;
+                throw err;
+            });
+            await connecting;
+            return fetchConsumerLag({admin, groupId, topics});
+        },
+        async close() {
+            if (connecting) await admin.disconnect();
+        },
+    };
+}
+
+/**
+ * Builds a lag CLI configuration from the config file named by KAFKA_CONFIG and environment variables
+ * (see src/config.js): KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_GROUP_ID, LAG_TOPICS, LAG_FORMAT, LAG_WATCH,
+ * LAG_INTERVAL, MAX_LAG, the KAFKA_SSL* / KAFKA_SASL* security variables and the KAFKA_CLIENT_* tuning variables.
+ * @param {Object} [options] Overrides.
+ * @param {string} [options.file] Config file to use instead of KAFKA_CONFIG.
+ * @param {Object} [options.flags={}] Command-line overrides (see loadConfig).
+ * The topics are not taken from KAFKA_TOPIC: without LAG_TOPICS (or -t) the group's own topics are inspected.
+ * @returns {{brokers: string|string[], clientId: string, groupId: string, topic: (string|undefined),
+ *            security: (import('./security.js').SecurityOptions|undefined), client: (Object|undefined),
+ *            format: string, watch: boolean, intervalMs: number, maxLag: (number|undefined)}}
+ * @throws {Error} If the config file or a value is invalid.
+ */
+export function configFromEnv({file, flags = {}} = {}) {
+    const config = loadConfig({file, flags});
+    return {
+        brokers: config.brokers,
+        clientId: config.clientId,
+        groupId: config.groupId,
+        topic: config.lag?.topics,
+        security: config.security,
+        client: config.client,
+        format: config.lag?.format ?? 'table',
+        watch: config.lag?.watch ?? false,
+        intervalMs: config.lag?.intervalMs ?? 5000,
+        maxLag: config.lag?.maxLag,
+    };
+}
+
+const COMMAND = 'node src/lag.js';
+
+/** @type {import('./cli.js').CliOption[]} */
+const CLI_OPTIONS = [
+    {name: 'brokers', short: 'b', type: 'string', config: 'brokers', value: 'LIST', description: 'Comma-separated brokers'},
+    {name: 'group', short: 'g', type: 'string', config: 'groupId', value: 'GROUP', description: 'Consumer group ID'},
+    {name: 'topic', short: 't', type: 'string', config: 'lag.topics', value: 'TOPICS', description: 'Topic, comma-separated topics or /regex/ (default: all topics of the group)'},
+    {name: 'format', type: 'string', config: 'lag.format', value: 'table|json', description: 'Output format (default: table)'},
+    {name: 'watch', short: 'w', type: 'boolean', negatable: true, config: 'lag.watch', description: 'Refresh until interrupted'},
+    {name: 'interval', type: 'string', config: 'lag.intervalMs', value: 'DURATION', description: 'Refresh interval in watch mode (default: 5s)'},
+    {name: 'max-lag', type: 'string', config: 'lag.maxLag', value: 'N', description: `Exit with ${LAG_EXIT_CODES.LAG_EXCEEDED} when the total lag is above N`},
+    {name: 'client-id', type: 'string', config: 'clientId', value: 'ID', description: 'Kafka client ID'},
+    {name: 'config', short: 'c', type: 'string', action: 'config', value: 'FILE', description: 'Config file (JSON or YAML) [env: KAFKA_CONFIG]'},
+    {name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Show this help and exit'},
+    {name: 'version', short: 'V', type: 'boolean', action: 'version', description: 'Show the version and exit'},
+];
+
+/**
+ * CLI entrypoint: prints the lag of a consumer group on its topics as a table or JSON (one object per line),
+ * once or, with --watch, every --interval until SIGINT/SIGTERM.
+ * Sets process.exitCode to one of LAG_EXIT_CODES for the last check: 0 within --max-lag, 3 above it, 1 when the
+ * lag could not be fetched and 2 on invalid flags or configuration. Accepts dependency injection for tests.
+ * @param {{ createLagInspector: typeof createLagInspector }} [deps] Optional dependency overrides.
+ * @param {string[]} [argv=[]] Command-line arguments (without node and the script path).
+ * @returns {Promise<void>} Resolves after the check, or in watch mode once interrupted.
+ */
+export async function main(deps = { createLagInspector }, argv = []) {
+    let cfg;
+    let inspector;
+    try {
+        const args = parseCli(argv, CLI_OPTIONS);
+        if (args.help || args.version) {
+            process.stdout.write(args.help
+                ? formatUsage(COMMAND, 'Prints the lag of a consumer group per partition and in total.', CLI_OPTIONS)
+                : `${packageVersion()}\n`);
+            process.exitCode = LAG_EXIT_CODES.OK;
+            return;
+        }
+        cfg = configFromEnv({file: args.file, flags: args.flags});
+        inspector = deps.createLagInspector(cfg);
+    } catch (err) {
+        reportUsageError(COMMAND, err);
+        return;
+    }
+
+    const ac = new AbortController();
+    const stop = () => ac.abort();
+    if (cfg.watch) {
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    }
+    try {
+        while (!ac.signal.aborted) {
+            try {
+                const report = await inspector.check();
+                process.stdout.write(cfg.format === 'json' ? `${JSON.stringify(report)}\n` : formatLagTable(report));
+                const exceeded = typeof cfg.maxLag !== 'undefined' && report.totalLag > cfg.maxLag;
+                process.exitCode = exceeded ? LAG_EXIT_CODES.LAG_EXCEEDED : LAG_EXIT_CODES.OK;
+            } catch (err) {
+                logger.error('Lag check failed:', err);
+                process.exitCode = LAG_EXIT_CODES.ERROR;
+            }
+            if (!cfg.watch) break;
+            try {
+                await sleep(cfg.intervalMs, undefined, {signal: ac.signal});
+            } catch {
+                // interrupted
+            }
+            if (!ac.signal.aborted && cfg.format !== 'json') process.stdout.write('\n');
+        }
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        try {
+            await inspector.close();
+        } catch (err) {
+            logger.error('Error closing admin client:', err);
+        }
+    }
+}
+
+// Run as CLI if executed directly
+/**
+ * Detects whether this module is being executed directly (not imported) in Node.js.
+ * @returns {boolean} True if run via `node src/lag.js`, false if imported.
+ */
+export const isDirectRun = () => {
+    try {
+        return import.meta.url === pathToFileURL(process.argv[1]).href;
+    } catch {
+        return false;
+    }
+};
+
+if (isDirectRun()) {
+    // no top-level await to keep Node versions happy
+    main(undefined, process.argv.slice(2));
+}
@@ -0,0 +1,163 @@
+/**
+ * Bounded consumption: stop a consumer after N messages, after a time limit, or once it has caught up
+ * with the end of its partitions (the high watermarks at startup).
+ *
+ * Exports:
+ * - resolveEndOffsets: looks up, per partition, where the consumer will start and where the partition ends.
+ * - createConsumptionLimits: counts (and optionally collects) records and reports when a limit is reached.
+ */
+import {parseDuration} from './utils.js';
+import {listSubscribedTopics} from './seek.js';
+import {nextOffset} from './offsets.js';
+
+/**
+ * Resolves the start position and end offset (high watermark) of every partition of the given topics.
+ * The start position is the seek offset if one is given, otherwise the group's committed offset, otherwise
+ * the low or high watermark depending on fromBeginning.
+ *
+ * @param {Object} params Resolution parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {string} params.groupId Consumer group ID.
+ * @param {Array<string|RegExp>} params.topics Subscribed topics and patterns.
+ * @param {boolean} params.fromBeginning Where the group starts when it has no committed offset.
+ * @param {{topic: string, partition: number, offset: string}[]} [params.startOffsets=[]] Offsets the consumer seeks to.
+ * @returns {Promise<{topic: string, partition: number, position: string, end: string}[]>} Per-partition bounds.
+ */
+export async function resolveEndOffsets({admin, groupId, topics, fromBeginning, startOffsets = []}) {
+    const names = await listSubscribedTopics(admin, topics);
+    const seeks = new Map(startOffsets.map((o) => [`${o.topic}:${o.partition}`, o.offset]));
+    const committed = new Map();
+    if (names.length > 0) {
+        for (const {topic, partitions} of await admin.fetchOffsets({groupId, topics: names})) {
+            for (const {partition, offset} of partitions) committed.set(`${topic}:${partition}`, offset);
+        }
+    }
+
+    const bounds = [];
+    for (const topic of names) {
+        for (const {partition, low, high} of await admin.fetchTopicOffsets(topic)) {
+            const key = `${topic}:${partition}`;
+            const offset = committed.get(key);
+            const position = seeks.get(key)
+                ?? (typeof offset !== 'undefined' && Number(offset) >= 0 ? offset : (fromBeginning ? low : high));
+            bounds.push({topic, partition, position: String(position), end: String(high)});
+        }
+    }
+    return bounds;
+}
+
+/**
+ * Tracks consumption against optional limits and calls onFinish once, with the reason, when one is reached.
+ * Reasons: "maxMessages", "end" (every assigned partition caught up) and "timeout".
+ * A consumer stopped before any limit was reached finishes with reason "stopped".
+ * The run counts as completed when the configured condition was met: maxMessages or end, or timeout when
+ * it is the only limit.
+ *
+ * @param {Object} params Limit configuration.
+ * @param {number} [params.maxMessages] Stop after this many records.
+ * @param {number|string} [params.timeoutMs] Stop after this long (milliseconds or a duration such as "30s").
+ * @param {boolean} [params.untilEnd=false] Stop once every assigned partition reached its end offset.
+ * @param {boolean} [params.collect=false] Keep the consumed records for the result.
+ * @param {(reason: string) => void} params.onFinish Called once when a limit is reached.
+ * @returns {{bounded: boolean, remaining: () => number, isFinished: () => boolean, start: () => void,
+ *            record: (topic: string, partition: number, message: import('kafkajs').KafkaMessage) => void,
+ *            setEndOffsets: (bounds: Awaited<ReturnType<typeof resolveEndOffsets>>) => void,
+ *            assign: (memberAssignment: Object<string, number[]>) => void,
+ *            batchProcessed: (batch: {topic: string, partition: number, lastOffset: string}) => void,
+ *            finish: (reason: string) => void, stop: () => void, result: () => ConsumptionResult}}
+ * @throws {Error} If maxMessages or timeoutMs is invalid.
+ */
+export function createConsumptionLimits({maxMessages, timeoutMs, untilEnd = false, collect = false, onFinish}) {
+    if (typeof maxMessages !== 'undefined' && (!Number.isInteger(maxMessages) || maxMessages < 1)) {
+        throw new Error(`maxMessages must be a positive integer, got: ${maxMessages}`);
+    }
+    const timeout = typeof timeoutMs === 'undefined' ? undefined : parseDuration(timeoutMs);
+    const bounded = typeof maxMessages !== 'undefined' || typeof timeout !== 'undefined' || untilEnd;
+
+    let count = 0;
+    const records = [];
+    let reason = null;
+    let timer = null;
+    const ends = new Map();
+    const caughtUp = new Set();
+    let assigned = null;
+
+    const finish = (why) => {
+        if (reason) return;
+        reason = why;
+        if (timer) clearTimeout(timer);
+        onFinish(why);
+    };
+
+    const checkEnd = () => {
+        if (!untilEnd || reason || !assigned) return;
+        if ([...assigned].every((key) => caughtUp.has(key))) finish('end');
+    };
+
+    const reached = (topic, partition, next) => {
+        const key = `${topic}:${partition}`;
+        const end = ends.get(key);
+        if (typeof end !== 'undefined' && BigInt(next) >= BigInt(end)) caughtUp.add(key);
+    };
+
+    return {
+        bounded,
+        remaining: () => (typeof maxMessages === 'undefined' ? Infinity : Math.max(maxMessages - count, 0)),
+        isFinished: () => reason !== null,
+        start() {
+            if (typeof timeout !== 'undefined' && !reason) timer = setTimeout(() => finish('timeout'), timeout);
+        },
+        record(topic, partition, message) {
+            if (reason) return;
+            count++;
+            if (collect) {
+                const {key, value, headers, timestamp, offset} = message;
+                records.push({topic, partition, offset, key, value, headers, timestamp});
+            }
+            reached(topic, partition, nextOffset(message.offset));
+            if (typeof maxMessages !== 'undefined' && count >= maxMessages) finish('maxMessages');
+            else checkEnd();
+        },
+        setEndOffsets(bounds) {
+            for (const {topic, partition, position, end} of bounds) {
+                const key = `${topic}:${partition}`;
+                ends.set(key, end);
+                if (BigInt(position) >= BigInt(end)) caughtUp.add(key);
+            }
+        },
+        assign(memberAssignment) {
+            assigned = new Set();
+            for (const [topic, partitions] of Object.entries(memberAssignment || {})) {
+                for (const partition of partitions) assigned.add(`${topic}:${partition}`);
+            }
+            checkEnd();
+        },
+        // Batches made only of control records (transaction markers) are never delivered to handlers,
+        // so the end of a partition can only be observed from the batch events.
+        batchProcessed({topic, partition, lastOffset}) {
+            if (reason) return;
+            reached(topic, partition, nextOffset(lastOffset));
+            checkEnd();
+        },
+        finish,
+        stop() {
+            if (timer) clearTimeout(timer);
+        },
+        result() {
+            const why = reason || 'stopped';
+            const completed = why === 'maxMessages' || why === 'end'
+                || (why === 'timeout' && typeof maxMessages === 'undefined' && !untilEnd);
+            return {reason: why, completed, count, ...(collect ? {records} : {})};
+        },
+    };
+}
+
+/**
+ * @typedef {Object} ConsumptionResult
+ * @property {'maxMessages'|'end'|'timeout'|'stopped'} reason Why the consumer stopped.
+ * @property {boolean} completed True when the configured stop condition was met.
+ * @property {number} count Number of records consumed.
+ * @property {{topic: string, partition: number, offset: string, key: (Buffer|null), value: (Buffer|null),
+ *             headers: (import('kafkajs').IHeaders|undefined), timestamp: string}[]} [records]
+ *           Consumed records, when collect is enabled.
+ */
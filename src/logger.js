@@ -4,8 +4,12 @@
  * Usage:
  *   import logger from './logger.js'
  *   logger.info('Message', {foo: 'bar'})
+ *   logger.child({topic: 'orders', partition: 0}).warn('Slow handler')
  *
  * Configure level via LOG_LEVEL env var: trace|debug|info|warn|error|fatal (default: info)
+ * Configure output via LOG_FORMAT env var: text (default) or json. Text lines look like
+ * `2026-10-19T12:00:00.000Z [INFO] key=value message`; json writes one object per line with
+ * `time`, `level`, `msg`, bound and passed fields, and `err` ({type, message, stack}) for errors.
  */
 
 const LEVELS = {
@@ -28,8 +32,24 @@ function parseLevel(name) {
     return LEVELS[key] ? key : 'info';
 }
 
+const FORMATS = ['text', 'json'];
+
+// Record fields that bound or passed fields cannot override
+const RESERVED_FIELDS = new Set(['time', 'level', 'msg', 'err']);
+
+/**
+ * Parses the output format from a string.
+ * @param {string} [name] The format name.
+ * @returns {string} The normalized format name (defaults to 'text' if invalid).
+ */
+function parseFormat(name) {
+    const key = String(name || '').toLowerCase();
+    return FORMATS.includes(key) ? key : 'text';
+}
+
 const currentLevelName = parseLevel(process.env.LOG_LEVEL);
 const currentLevel = LEVELS[currentLevelName];
+const currentFormat = parseFormat(process.env.LOG_FORMAT);
 
 /**
  * Formats log arguments into a single string.
@@ -57,29 +77,135 @@ function format(args) {
 }
 
 /**
- * Creates a logger function for a specific level.
+ * Checks whether a value is a plain object (fields to attach in JSON mode) rather than an array, Buffer or class
+ * instance.
+ * @param {unknown} value Value to check.
+ * @returns {boolean} True for object literals and null-prototype objects.
+ */
+function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * JSON.stringify that survives circular references and BigInts.
+ * @param {unknown} value Value to serialize.
+ * @returns {string} JSON text.
+ */
+function safeStringify(value) {
+    const seen = new WeakSet();
+    return JSON.stringify(value, (key, val) => {
+        if (typeof val === 'bigint') return String(val);
+        if (val && typeof val === 'object') {
+            if (seen.has(val)) return '[Circular]';
+            seen.add(val);
+        }
+        return val;
+    });
+}
+
+/**
+ * Renders bound fields for text lines, e.g. `topic=orders partition=0`.
+ * @param {Object} fields Bound fields.
+ * @returns {string} Fields each preceded by a space, or an empty string.
+ */
+function formatFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => typeof value !== 'undefined')
+        .map(([key, value]) => {
+            const text = typeof value === 'string' && !/\s/.test(value) ? value : safeStringify(value);
+            return ` ${key}=${text}`;
+        })
+        .join('');
+}
+
+/**
+ * Builds a JSON log line. Strings and other scalars form `msg`; plain objects add fields; the first Error becomes
+ * `err` (later ones are appended to `msg`); other objects are appended to `msg` as JSON.
+ * @param {string} levelName Level name.
+ * @param {Object} bindings Fields bound with child().
+ * @param {any[]} args Arguments to format.
+ * @returns {string} JSON text.
+ */
+function formatJson(levelName, bindings, args) {
+    const parts = [];
+    const fields = {...bindings};
+    let err;
+    for (const arg of args) {
+        if (arg instanceof Error && !err) {
+            err = {type: arg.name, message: arg.message, stack: arg.stack};
+        } else if (arg instanceof Error) {
+            parts.push(arg.message);
+        } else if (isPlainObject(arg)) {
+            Object.assign(fields, arg);
+        } else if (arg && typeof arg === 'object') {
+            parts.push(safeStringify(arg));
+        } else {
+            parts.push(String(arg));
+        }
+    }
+    const record = {time: new Date().toISOString(), level: levelName, msg: parts.join(' ') || (err ? err.message : '')};
+    for (const [key, value] of Object.entries(fields)) {
+        if (!RESERVED_FIELDS.has(key)) record[key] = value;
+    }
+    if (err) record.err = err;
+    return safeStringify(record);
+}
+
+/**
+ * Creates a logger function for a specific level. Child loggers call it with `this` set to themselves, which is
+ * how their bound fields reach the output.
  * @param {string} levelName The level name (trace, debug, info, etc.).
  * @returns {(...args: any[]) => void} Logger function.
  */
 function makeLogger(levelName) {
     const levelNum = LEVELS[levelName];
     const useErr = levelNum >= LEVELS.error;
-    return (...args) => {
+    return function log(...args) {
         if (levelNum < currentLevel) return;
-        const ts = new Date().toISOString();
-        const line = `${ts} [${levelName.toUpperCase()}] ${format(args)}`;
+        const bindings = (this && this.bindings) || {};
+        const line = currentFormat === 'json'
+            ? formatJson(levelName, bindings, args)
+            // Fields go before the message so a multi-line stack trace stays at the end of the entry
+            : `${new Date().toISOString()} [${levelName.toUpperCase()}]${formatFields(bindings)} ${format(args)}`;
         (useErr ? process.stderr : process.stdout).write(line + '\n');
     };
 }
 
+/**
+ * Creates a child logger whose lines carry the parent's fields plus the given ones. Children delegate to the
+ * parent's level methods, so spies and replacements on the root logger also see their calls.
+ * @param {Object} parent Parent logger.
+ * @param {Object} bindings Fields to add, e.g. {topic, partition, offset}.
+ * @returns {Object} Child logger with the same methods as the root logger.
+ */
+function createChild(parent, bindings) {
+    const child = {
+        level: parent.level,
+        format: parent.format,
+        bindings: {...parent.bindings, ...bindings},
+        child: (more) => createChild(child, more),
+    };
+    for (const levelName of Object.keys(LEVELS)) {
+        child[levelName] = function log(...args) {
+            return parent[levelName].apply(this || child, args);
+        };
+    }
+    return child;
+}
+
 const logger = {
     level: currentLevelName,
+    format: currentFormat,
+    bindings: {},
     trace: makeLogger('trace'),
     debug: makeLogger('debug'),
     info: makeLogger('info'),
     warn: makeLogger('warn'),
     error: makeLogger('error'),
     fatal: makeLogger('fatal'),
+    child: (bindings) => createChild(logger, bindings),
 };
 
 export default logger;
@@ -0,0 +1,199 @@
+/**
+ * Prometheus metrics for the producer and consumer, fed by KafkaJS instrumentation events
+ * (consumer.events.* / producer.events.*), and an HTTP server that exposes them at /metrics.
+ * Metrics are registered per registry and shared by every client instrumented with it, so a consumer, its retry
+ * consumers and retry producer can all report through one endpoint.
+ *
+ * Exports:
+ * - createMetricsRegistry: creates an empty registry to pass to consumeMessages/createProducer as metricsRegistry.
+ * - instrumentConsumer: records consumer metrics from a KafkaJS consumer's events.
+ * - instrumentProducer: records producer metrics from a KafkaJS producer's events.
+ * - startMetricsServer: serves a registry in Prometheus text format.
+ */
+import {Registry, Counter, Gauge, Histogram} from 'prom-client';
+import {startHttpServer} from './utils.js';
+
+/**
+ * Creates a registry for the metrics of this process.
+ * @returns {import('prom-client').Registry} Empty registry.
+ */
+export function createMetricsRegistry() {
+    return new Registry();
+}
+
+/**
+ * Returns the metric registered under the config's name, creating it on first use.
+ * @param {import('prom-client').Registry} registry Registry to use.
+ * @param {Function} Type Counter, Gauge or Histogram.
+ * @param {Object} config Metric name, help text and label names.
+ * @returns {Object} The metric.
+ */
+function metric(registry, Type, config) {
+    return registry.getSingleMetric(config.name) || new Type({...config, registers: [registry]});
+}
+
+/**
+ * Runs work and records its duration, counting it as an error when it throws.
+ * @param {import('prom-client').Histogram} duration Duration histogram.
+ * @param {import('prom-client').Counter} errors Error counter.
+ * @param {Object} labels Labels for both metrics.
+ * @param {() => Promise<T>} work Work to run.
+ * @returns {Promise<T>} Result of work.
+ * @template T
+ */
+async function observe(duration, errors, labels, work) {
+    const end = duration.startTimer(labels);
+    try {
+        return await work();
+    } catch (err) {
+        errors.inc(labels);
+        throw err;
+    } finally {
+        end();
+    }
+}
+
+/**
+ * Records consumer metrics, labelled with the consumer group:
+ * - kafka_consumer_messages_consumed_total{topic, partition}: records of completed batches (END_BATCH_PROCESS).
+ * - kafka_consumer_batch_duration_seconds{topic}: time to process each fetched batch (END_BATCH_PROCESS).
+ * - kafka_consumer_lag{topic, partition}: records behind the high watermark after the last batch (END_BATCH_PROCESS).
+ * - kafka_consumer_rebalances_total: group joins, i.e. completed rebalances (GROUP_JOIN).
+ * - kafka_consumer_commits_total: offset commits (COMMIT_OFFSETS).
+ * - kafka_consumer_handler_duration_seconds{topic} and kafka_consumer_handler_errors_total{topic}: handler calls
+ *   timed with observeHandler; KafkaJS has no event for them.
+ *
+ * @param {import('kafkajs').Consumer} consumer KafkaJS consumer (before it runs).
+ * @param {Object} params Instrumentation options.
+ * @param {import('prom-client').Registry} params.registry Registry to record into.
+ * @param {string} params.groupId Consumer group, used as the "group" label.
+ * @returns {{observeHandler: <T>(labels: {topic: string}, work: () => Promise<T>) => Promise<T>}} Handler timing.
+ */
+export function instrumentConsumer(consumer, {registry, groupId}) {
+    const consumed = metric(registry, Counter, {
+        name: 'kafka_consumer_messages_consumed_total',
+        help: 'Records consumed',
+        labelNames: ['group', 'topic', 'partition'],
+    });
+    const batchDuration = metric(registry, Histogram, {
+        name: 'kafka_consumer_batch_duration_seconds',
+        help: 'Time to process a fetched batch, handler calls included',
+        labelNames: ['group', 'topic'],
+    });
+    const handlerDuration = metric(registry, Histogram, {
+        name: 'kafka_consumer_handler_duration_seconds',
+        help: 'Handler call duration (one record with eachMessage, one chunk with eachBatch)',
+        labelNames: ['group', 'topic'],
+    });
+    const handlerErrors = metric(registry, Counter, {
+        name: 'kafka_consumer_handler_errors_total',
+        help: 'Handler calls that threw',
+        labelNames: ['group', 'topic'],
+    });
+    const lag = metric(registry, Gauge, {
+        name: 'kafka_consumer_lag',
+        help: 'Records between the last processed offset and the high watermark',
+        labelNames: ['group', 'topic', 'partition'],
+    });
+    const rebalances = metric(registry, Counter, {
+        name: 'kafka_consumer_rebalances_total',
+        help: 'Times the consumer joined its group',
+        labelNames: ['group'],
+    });
+    const commits = metric(registry, Counter, {
+        name: 'kafka_consumer_commits_total',
+        help: 'Offset commits',
+        labelNames: ['group'],
+    });
+
+    consumer.on(consumer.events.END_BATCH_PROCESS, ({payload}) => {
+        const labels = {group: groupId, topic: payload.topic, partition: String(payload.partition)};
+        consumed.inc(labels, payload.batchSize);
+        lag.set(labels, Number(payload.offsetLag));
+        batchDuration.observe({group: groupId, topic: payload.topic}, payload.duration / 1000);
+    });
+    consumer.on(consumer.events.GROUP_JOIN, () => rebalances.inc({group: groupId}));
+    consumer.on(consumer.events.COMMIT_OFFSETS, () => commits.inc({group: groupId}));
+
+    return {
+        observeHandler: ({topic}, work) => observe(handlerDuration, handlerErrors, {group: groupId, topic}, work),
+    };
+}
+
+/**
+ * Records producer metrics:
+ * - kafka_producer_send_duration_seconds{broker}: Produce request latency (REQUEST events).
+ * - kafka_producer_messages_sent_total{topic} and kafka_producer_errors_total{topic}: messages of successful and
+ *   failed sends, counted with observeSend; KafkaJS has no event for them.
+ *
+ * @param {import('kafkajs').Producer} producer KafkaJS producer.
+ * @param {Object} params Instrumentation options.
+ * @param {import('prom-client').Registry} params.registry Registry to record into.
+ * @returns {{observeSend: <T>(topicMessages: {topic: string, messages: Object[]}[], work: () => Promise<T>) => Promise<T>}}
+ *          Send accounting.
+ */
+export function instrumentProducer(producer, {registry}) {
+    const sent = metric(registry, Counter, {
+        name: 'kafka_producer_messages_sent_total',
+        help: 'Messages acknowledged by the broker',
+        labelNames: ['topic'],
+    });
+    const errors = metric(registry, Counter, {
+        name: 'kafka_producer_errors_total',
+        help: 'Messages of sends that failed',
+        labelNames: ['topic'],
+    });
+    const latency = metric(registry, Histogram, {
+        name: 'kafka_producer_send_duration_seconds',
+        help: 'Produce request latency',
+        labelNames: ['broker'],
+    });
+
+    producer.on(producer.events.REQUEST, ({payload}) => {
+        if (payload.apiName === 'Produce') latency.observe({broker: payload.broker}, payload.duration / 1000);
+    });
+
+    return {
+        observeSend: async (topicMessages, work) => {
+            const count = (counter) => {
+                for (const {topic, messages} of topicMessages) counter.inc({topic}, messages.length);
+            };
+            try {
+                const result = await work();
+                count(sent);
+                return result;
+            } catch (err) {
+                count(errors);
+                throw err;
+            }
+        },
+    };
+}
+
+/**
+ * Starts an HTTP server that answers GET /metrics with the registry in Prometheus text format (404 otherwise).
+ * @param {Object} params Server options.
+ * @param {number} params.port Port to listen on (0 picks a free one).
+ * @param {string} [params.host] Interface to bind (default: all).
+ * @param {import('prom-client').Registry} params.registry Registry to expose.
+ * @returns {Promise<{port: number, close: () => Promise<void>}>} Bound port and a function that stops the server.
+ * @throws {Error} If the port cannot be bound.
+ */
+export async function startMetricsServer({port, host, registry}) {
+    return startHttpServer(async (req, res) => {
+        const {pathname} = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET' || pathname !== '/metrics') {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('Not found\n');
+            return;
+        }
+        try {
+            const body = await registry.metrics();
+            res.writeHead(200, {'Content-Type': registry.contentType});
+            res.end(body);
+        } catch (err) {
+            res.writeHead(500, {'Content-Type': 'text/plain'});
+            res.end(`${err.message}\n`);
+        }
+    }, {port, host});
+}
@@ -0,0 +1,88 @@
+/**
+ * Offset helpers for manual (at-least-once) commit control.
+ *
+ * Exports:
+ * - nextOffset: returns the offset to commit after processing a message.
+ * - createOffsetCommitter: collects offsets marked by handlers and commits them by interval, threshold or on demand.
+ */
+
+// Centralized logger
+import logger from './logger.js';
+
+/**
+ * Returns the offset to commit after processing a message (the next offset to read).
+ * @param {string} offset Offset of the processed message, as delivered by KafkaJS.
+ * @returns {string} The following offset.
+ */
+export function nextOffset(offset) {
+    return (BigInt(offset) + 1n).toString();
+}
+
+/**
+ * Creates a committer that only commits offsets handlers have explicitly marked as done.
+ * Without interval or threshold every mark is committed immediately; otherwise marks are committed once
+ * `threshold` messages are pending or `intervalMs` has elapsed since the last commit, and on flush().
+ *
+ * @param {Object} params Committer configuration.
+ * @param {{commitOffsets: (offsets: import('kafkajs').TopicPartitionOffsetAndMetadata[]) => Promise<void>}} params.consumer
+ *        KafkaJS consumer used to commit.
+ * @param {number} [params.intervalMs] Commit pending offsets at least this often.
+ * @param {number} [params.threshold] Commit once this many messages are pending.
+ * @returns {{mark: (params: {topic: string, partition: number, offset: string}) => Promise<void>,
+ *            flush: () => Promise<void>, close: () => Promise<void>, pending: () => number}}
+ */
+export function createOffsetCommitter({consumer, intervalMs, threshold}) {
+    let pending = new Map();
+    let count = 0;
+    let lastCommit = Date.now();
+
+    const flush = async () => {
+        if (pending.size === 0) return;
+        const offsets = [...pending.values()];
+        pending = new Map();
+        count = 0;
+        lastCommit = Date.now();
+        try {
+            await consumer.commitOffsets(offsets);
+            logger.debug(`Committed offsets: ${offsets.map((o) => `${o.topic}[${o.partition}]@${o.offset}`).join(', ')}`);
+        } catch (err) {
+            // Put the offsets back unless newer ones were marked meanwhile, so the next flush retries them
+            for (const entry of offsets) {
+                const key = `${entry.topic}:${entry.partition}`;
+                if (!pending.has(key)) pending.set(key, entry);
+            }
+            throw err;
+        }
+    };
+
+    const mark = async ({topic, partition, offset}) => {
+        const key = `${topic}:${partition}`;
+        const next = nextOffset(offset);
+        const previous = pending.get(key);
+        if (!previous || BigInt(next) > BigInt(previous.offset)) {
+            pending.set(key, {topic, partition, offset: next});
+        }
+        count++;
+
+        const thresholdReached = threshold ? count >= threshold : false;
+        const intervalReached = intervalMs ? Date.now() - lastCommit >= intervalMs : false;
+        if ((!threshold && !intervalMs) || thresholdReached || intervalReached) {
+            await flush();
+        }
+    };
+
+    // Commits marks that would otherwise wait for the next message when traffic stops
+    const timer = intervalMs
+        ? setInterval(() => {
+            flush().catch((err) => logger.warn('Periodic offset commit failed:', err.message));
+        }, intervalMs)
+        : null;
+    if (timer && typeof timer.unref === 'function') timer.unref();
+
+    const close = async () => {
+        if (timer) clearInterval(timer);
+        await flush();
+    };
+
+    return {mark, flush, close, pending: () => pending.size};
+}
@@ -0,0 +1,207 @@
+/**
+ * Exactly-once consume-transform-produce pipeline for KafkaJS.
+ * Builds on consumeMessages and the transactional producer: every input record is transformed and the
+ * output messages are written together with the consumer offset in a single transaction, so a crash
+ * can neither duplicate nor drop records (for read_committed readers of the output topic).
+ *
+ * Exports:
+ * - createProcessor: starts a pipeline from an input topic to an output topic through a transform function.
+ * - pipe: shorthand for createProcessor(inputTopic, outputTopic, transform, options).
+ */
+import {consumeMessages} from './consumer.js';
+import {createProducer} from './producer.js';
+import {nextOffset} from './offsets.js';
+
+// Centralized logger
+import logger from './logger.js';
+
+/**
+ * Normalizes a transform result into a list of producer messages.
+ * Objects with a `value` property are used as messages; any other value becomes the message value
+ * and keeps the input record's key. null/undefined produce no output.
+ *
+ * @param {unknown} output Transform result (single item or array).
+ * @param {import('kafkajs').KafkaMessage} input The input message.
+ * @returns {Object[]} Messages of shape {key, value, headers, partition, timestamp}.
+ */
+function toOutputMessages(output, input) {
+    if (typeof output === 'undefined' || output === null) return [];
+    const items = Array.isArray(output) ? output : [output];
+    return items
+        .filter((item) => typeof item !== 'undefined' && item !== null)
+        .map((item) => {
+            if (typeof item === 'object' && !Buffer.isBuffer(item) && 'value' in item) return item;
+            return {key: input.key === null ? undefined : input.key, value: item};
+        });
+}
+
+/**
+ * Starts a consume-transform-produce pipeline with exactly-once semantics.
+ * Offsets are never auto-committed: each record's output and its offset are sent in one producer transaction,
+ * which is aborted (and the record redelivered) if the transform or the write fails. Input records skipped because
+ * they cannot be deserialized or fail validation get a transaction with just their offset.
+ *
+ * @param {Object} params Processor configuration.
+ * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
+ * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID.
+ * @param {string} [params.groupId="kafka-nodejs-demo-group"] Consumer group ID (offsets are committed for this group).
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options for both clients (see src/security.js).
+ * @param {Object} [params.client] KafkaJS client options for both clients (see createKafkaClient).
+ * @param {Object} [params.producerOptions] Producer tuning options (see createProducer).
+ * @param {Object} [params.consumerOptions] Consumer tuning options (see consumeMessages).
+ * @param {Object} [params.deserializer] Key and value serdes for input records (see consumeMessages).
+ * @param {Function} [params.onDeserializationError] Called for input records that cannot be deserialized (see consumeMessages).
+ * @param {Object} [params.serializer] Key and value serdes for output messages (see createProducer).
+ * @param {Object<string, Object>} [params.jsonSchemas] JSON Schemas by topic name, applied to input records (see
+ *        consumeMessages) and output messages (see createProducer).
+ * @param {Function} [params.onInvalidMessage] Called for input records that fail validation (see consumeMessages).
+ * @param {import('prom-client').Registry} [params.metricsRegistry] Registry for consumer and producer metrics (see
+ *        src/metrics.js).
+ * @param {string} params.inputTopic Topic to consume from.
+ * @param {string} params.outputTopic Topic to produce results to.
+ * @param {(payload: import('kafkajs').EachMessagePayload) => (unknown|Promise<unknown>)} params.transform
+ *        Maps an input record to zero, one or many output messages (see toOutputMessages for accepted shapes).
+ * @param {string} [params.instanceId] Stable name of this processor instance, e.g. a pod name or replica ordinal,
+ *        that stays the same across restarts. It makes the default transactional ID, so a restarted instance fences
+ *        the transactions of its previous run. Required unless transactionalId is given.
+ * @param {string} [params.transactionalId] Producer transactional ID; must be unique per running processor instance
+ *        and stable across its restarts. Defaults to "<groupId>-<inputTopic>-processor-<instanceId>".
+ * @param {boolean} [params.fromBeginning=true] When true, read the input topic from the beginning.
+ * @param {AbortSignal} [params.signal] Optional AbortSignal to stop the processor.
+ * @throws {Error} If brokers, inputTopic, outputTopic, transform or both instanceId and transactionalId are not
+ *         provided, or consumerOptions.partitionsConsumedConcurrently is above 1 (the single transactional producer
+ *         runs one transaction at a time).
+ * @returns {Promise<{stop: () => Promise<void>, runPromise: Promise<void>}>} Object containing a stop function and the run promise.
+ */
+export async function createProcessor({
+                                          brokers,
+                                          clientId = 'kafka-nodejs-demo',
+                                          groupId = 'kafka-nodejs-demo-group',
+                                          security,
+                                          client,
+                                          producerOptions,
+                                          consumerOptions,
+                                          deserializer,
+                                          onDeserializationError,
+                                          serializer,
+                                          jsonSchemas,
+                                          onInvalidMessage,
+                                          metricsRegistry,
+                                          inputTopic,
+                                          outputTopic,
+                                          transform,
+                                          instanceId,
+                                          transactionalId,
+                                          fromBeginning = true,
+                                          signal,
+                                      }) {
+    if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
+        throw new Error('brokers is required');
+    }
+    if (!inputTopic) throw new Error('inputTopic is required');
+    if (!outputTopic) throw new Error('outputTopic is required');
+    if (typeof transform !== 'function') throw new Error('transform must be a function');
+    if (!transactionalId && !instanceId) throw new Error('instanceId or transactionalId is required');
+    if ((consumerOptions?.partitionsConsumedConcurrently ?? 1) > 1) {
+        throw new Error('partitionsConsumedConcurrently must be 1: the processor runs one transaction at a time');
+    }
+
+    const txId = transactionalId || `${groupId}-${inputTopic}-processor-${instanceId}`;
+    const producer = await createProducer({
+        brokers, clientId, security, client, producerOptions, serializer, jsonSchemas, metricsRegistry,
+        topic: outputTopic, transactionalId: txId,
+    });
+
+    // Adds the offset after the input record to a transaction, so it is committed together with the output
+    const sendOffset = (tx, {topic, partition, message}) => tx.sendOffsets({
+        consumerGroupId: groupId,
+        topics: [{topic, partitions: [{partition, offset: nextOffset(message.offset)}]}],
+    });
+
+    const eachMessage = async (payload) => {
+        const {topic, partition, message} = payload;
+        const output = await transform(payload);
+        const messages = toOutputMessages(output, message);
+        await producer.transaction(async (tx) => {
+            if (messages.length > 0) {
+                await tx.send({topic: outputTopic, messages});
+            }
+            await sendOffset(tx, payload);
+        });
+        logger.child({topic, partition, offset: message.offset})
+            .debug(`Processed -> ${outputTopic} (${messages.length} message(s))`);
+    };
+
+    // Skipped records never reach eachMessage; commit past them too, or they are redelivered after every restart
+    const skip = (payload) => producer.transaction((tx) => sendOffset(tx, payload));
+
+    let consumer;
+    try {
+        consumer = await consumeMessages({
+            brokers,
+            clientId,
+            security,
+            client,
+            consumerOptions,
+            deserializer,
+            onDeserializationError: async (err, payload) => {
+                if (onDeserializationError) await onDeserializationError(err, payload);
+                else {
+                    logger.child({topic: payload.topic, partition: payload.partition, offset: payload.message.offset})
+                        .error('Skipping record that cannot be deserialized:', err);
+                }
+                await skip(payload);
+            },
+            jsonSchemas,
+            onInvalidMessage: async (err, payload) => {
+                if (onInvalidMessage) await onInvalidMessage(err, payload);
+                await skip(payload);
+            },
+            metricsRegistry,
+            groupId,
+            topic: inputTopic,
+            fromBeginning,
+            autoCommit: false,
+            eachMessage,
+            signal,
+        });
+    } catch (err) {
+        await producer.close();
+        throw err;
+    }
+
+    let stopped = false;
+    const stop = async () => {
+        if (stopped) return;
+        stopped = true;
+        logger.info('Stopping processor...');
+        await consumer.stop();
+        try {
+            await producer.close();
+        } catch (err) {
+            logger.error('Error closing processor producer:', err);
+        }
+        logger.info('Processor stopped');
+    };
+
+    if (signal) {
+        if (signal.aborted) await stop();
+        else signal.addEventListener('abort', stop, {once: true});
+    }
+
+    return {stop, runPromise: consumer.runPromise};
+}
+
+/**
+ * Shorthand for createProcessor with positional topics and transform.
+ *
+ * @param {string} inputTopic Topic to consume from.
+ * @param {string} outputTopic Topic to produce results to.
+ * @param {(payload: import('kafkajs').EachMessagePayload) => (unknown|Promise<unknown>)} transform Record transform.
+ * @param {Omit<Parameters<typeof createProcessor>[0], 'inputTopic'|'outputTopic'|'transform'>} options
+ *        Remaining createProcessor options (brokers is required).
+ * @returns {ReturnType<typeof createProcessor>}
+ */
+export function pipe(inputTopic, outputTopic, transform, options) {
+    return createProcessor({...options, inputTopic, outputTopic, transform});
+}
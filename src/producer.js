@@ -1,100 +1,673 @@
 /**
  * Kafka producer utilities and CLI for KafkaJS.
- * Provides helpers to normalize broker addresses, produce a single message,
- * environment-driven configuration, and a CLI entrypoint when executed directly.
+ * Provides helpers to normalize broker addresses, produce a single message, a long-lived
+ * producer for batched sends, environment-driven configuration, and a CLI entrypoint when executed directly.
  *
  * Exports:
  * - parseBrokers: normalizes brokers (string or array) to an array of host:port strings.
+ * - TransactionCommitError: thrown by transaction() when the commit fails and the producer cannot be used any more.
+ * - createProducer: connects once and returns send/sendBatch/flush/close over a single connection;
+ *   optionally idempotent or transactional (beginTransaction/transaction).
  * - produceMessage: connects, sends a single message to a topic, and disconnects.
- * - configFromEnv: builds configuration from environment variables for convenience/CLI.
- * - main: CLI entrypoint used when running this file directly.
+ * - produceFromStream: sends newline-delimited records (text or JSONL) from stdin or a file in batches.
+ * - configFromEnv: builds configuration from the config file and environment variables for convenience/CLI.
+ * - main: CLI entrypoint used when running this file directly (see --help).
  * - isDirectRun: detects whether the module is executed directly (node src/producer.js).
  */
 import pkg from 'kafkajs';
 import {pathToFileURL} from 'url';
 
-const {Kafka, logLevel} = pkg;
-
 // Re-exported from shared utils to avoid duplication across modules
 import {parseBrokers, waitForKafkaConnectivity} from './utils.js';
+import {createKafkaClient} from './client.js';
+import {loadConfig} from './config.js';
+import {parseCli, formatUsage, reportUsageError, packageVersion} from './cli.js';
+import {openInput, readRecords} from './input.js';
+import {normalizeHeaders} from './headers.js';
+import {createMessageSerializer, serdesFromConfig, STRUCTURED_SERDES} from './serde.js';
+import {createMessageValidator, loadJsonSchemas} from './validation.js';
+import {createMetricsRegistry, instrumentProducer, startMetricsServer} from './metrics.js';
 export {parseBrokers};
 
+/**
+ * Error thrown by transaction() when committing fails. KafkaJS leaves the transactional producer unusable after
+ * that, so the producer must be closed and recreated.
+ */
+export class TransactionCommitError extends Error {
+    /**
+     * @param {Error} cause Error from the commit.
+     */
+    constructor(cause) {
+        super(`Transaction commit failed, the producer must be recreated: ${cause.message}`, {cause});
+        this.name = 'TransactionCommitError';
+    }
+}
+
 // Centralized logger
 import logger from './logger.js';
 
+/**
+ * Normalizes a user-facing message into the shape KafkaJS expects.
+ * Keys are stringified (null if missing or null; Buffers kept as-is); strings/Buffers are used as-is and other values are JSON.stringified.
+ * A null value is kept as a tombstone.
+ * Header values must be strings or Buffers, or arrays of them for repeated headers.
+ *
+ * @param {{key?: unknown, value: unknown, headers?: Object, partition?: number, timestamp?: (number|string|Date)}} message
+ * @returns {import('kafkajs').Message} KafkaJS message.
+ * @throws {Error} If value is missing or headers/partition/timestamp are invalid.
+ */
+function toKafkaMessage({key, value, headers, partition, timestamp}) {
+    if (typeof value === 'undefined') throw new Error('message is required');
+
+    const kafkaMessage = {
+        key: typeof key === 'undefined' || key === null ? null : (Buffer.isBuffer(key) ? key : String(key)),
+        value: value === null || typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value),
+    };
+    if (typeof headers !== 'undefined' && headers !== null) kafkaMessage.headers = normalizeHeaders(headers);
+    if (typeof partition !== 'undefined' && partition !== null) {
+        if (!Number.isInteger(partition) || partition < 0) {
+            throw new Error(`partition must be a non-negative integer, got: ${partition}`);
+        }
+        kafkaMessage.partition = partition;
+    }
+    if (typeof timestamp !== 'undefined' && timestamp !== null) {
+        const ms = timestamp instanceof Date ? timestamp.getTime() : Number(timestamp);
+        if (!Number.isFinite(ms)) throw new Error(`timestamp must be a Date or epoch milliseconds, got: ${timestamp}`);
+        kafkaMessage.timestamp = String(ms);
+    }
+    return kafkaMessage;
+}
+
+/**
+ * Validates, serializes and normalizes one topic's messages for a send call.
+ * @param {string} topic Target topic.
+ * @param {Object|Object[]} messages A single message or an array of messages.
+ * @param {Function|null} [serialize] Message serializer from createMessageSerializer.
+ * @returns {Promise<{topic: string, messages: import('kafkajs').Message[]}>}
+ * @throws {Error} If topic or messages are missing or a message cannot be serialized.
+ */
+async function toTopicMessages(topic, messages, serialize) {
+    if (!topic) throw new Error('topic is required');
+    if (typeof messages === 'undefined' || messages === null || (Array.isArray(messages) && messages.length === 0)) {
+        throw new Error('messages is required');
+    }
+    const list = Array.isArray(messages) ? messages : [messages];
+    const serialized = serialize ? await Promise.all(list.map((message) => serialize(message, {topic}))) : list;
+    return {topic, messages: serialized.map(toKafkaMessage)};
+}
+
+/**
+ * Validates, serializes and normalizes a multi-topic batch for sendBatch calls.
+ * @param {{topic: string, messages: Object|Object[]}[]} topicMessages Messages grouped by topic.
+ * @param {Function|null} [serialize] Message serializer from createMessageSerializer.
+ * @returns {Promise<{topic: string, messages: import('kafkajs').Message[]}[]>}
+ * @throws {Error} If the batch is empty or any entry is invalid.
+ */
+async function toTopicMessagesBatch(topicMessages, serialize) {
+    if (!Array.isArray(topicMessages) || topicMessages.length === 0) {
+        throw new Error('topicMessages is required');
+    }
+    return Promise.all(topicMessages.map(({topic, messages}) => toTopicMessages(topic, messages, serialize)));
+}
+
+/**
+ * Combines JSON Schema validation and serialization into the step applied to every outgoing message.
+ * Values are validated before they are serialized, so schemas describe what callers pass in.
+ * @param {Function|null} serialize Message serializer from createMessageSerializer.
+ * @param {Function|null} validate Value validator from createMessageValidator.
+ * @returns {((message: Object, context: {topic: string}) => Promise<Object>)|null} Preparation step, or null when
+ *          there is nothing to do.
+ */
+function createMessagePreparer(serialize, validate) {
+    if (!validate) return serialize;
+    return async (message, context) => {
+        validate(context.topic, message.value);
+        return serialize ? serialize(message, context) : message;
+    };
+}
+
+/**
+ * Logs where sent records landed at debug level, with topic, partition and base offset as log context.
+ * @param {import('kafkajs').RecordMetadata[]} [metadata] Result of a KafkaJS send.
+ * @returns {import('kafkajs').RecordMetadata[]} The same metadata.
+ */
+function logDelivery(metadata) {
+    for (const {topicName, partition, baseOffset} of metadata || []) {
+        logger.child({topic: topicName, partition, offset: baseOffset}).debug('Delivered record(s)');
+    }
+    return metadata;
+}
+
+/**
+ * Splits config-file producer options into KafkaJS producer options and per-send options
+ * (acks, timeout, compression).
+ * @param {Object} options Options from the config "producer" section.
+ * @returns {{producerOptions: Object, sendOptions: Object}}
+ */
+function splitProducerOptions({acks, timeout, compression, ...producerOptions}) {
+    const sendOptions = {};
+    if (typeof acks !== 'undefined') sendOptions.acks = acks;
+    if (typeof timeout !== 'undefined') sendOptions.timeout = timeout;
+    if (compression === 'gzip') sendOptions.compression = pkg.CompressionTypes.GZIP;
+    return {producerOptions, sendOptions};
+}
+
+/**
+ * Creates a long-lived producer that reuses one connection for many sends.
+ * Performs the admin readiness check and connects once; callers must call close() when done.
+ *
+ * @param {Object} params Producer configuration.
+ * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
+ * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID used by KafkaJS.
+ * @param {string} [params.topic="demo-topic"] Default topic used by send() when none is given.
+ * @param {boolean} [params.idempotent=false] When true, retries cannot write duplicates (implied by transactionalId).
+ * @param {string} [params.transactionalId] Enables transactions; required by beginTransaction() and transaction().
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options (see src/security.js); SSL:// and
+ *        SASL_SSL:// broker prefixes enable them as well.
+ * @param {Object} [params.client] KafkaJS client options (timeouts, retry policy, logLevel; see createKafkaClient).
+ *        The producer logs nothing from KafkaJS unless client.logLevel is set.
+ * @param {Object} [params.producerOptions] KafkaJS producer options (idempotent, maxInFlightRequests,
+ *        transactionTimeout, allowAutoTopicCreation, metadataMaxAge) plus acks, timeout and compression
+ *        ("none" or "gzip"), which apply to every send.
+ * @param {{key?: (string|Function|import('./serde.js').Codec), value?: (string|Function|import('./serde.js').Codec)}}
+ *        [params.serializer] Serdes applied to message keys and values before sending: "json", "string", "bytes",
+ *        "base64", a function or a codec object (see src/serde.js), e.g. createProtobufSerde (src/protobuf.js) or
+ *        createAvroSerde (src/avro.js) to encode message objects. Without one, keys are stringified and non-string
+ *        values JSON-encoded.
+ * @param {Object<string, Object>} [params.jsonSchemas] JSON Schemas by topic name (see src/validation.js); message
+ *        values sent to one of these topics are validated first, and a send with an invalid value is rejected with a
+ *        ValidationError before anything is sent.
+ * @param {import('prom-client').Registry} [params.metricsRegistry] Registry to record messages sent, send latency and
+ *        errors into (see src/metrics.js).
+ * @throws {Error} If brokers are not provided, a serializer is invalid or a JSON Schema does not compile.
+ * @returns {Promise<{
+ *   send: (params: {topic?: string, messages: Object|Object[]}) => Promise<import('kafkajs').RecordMetadata[]>,
+ *   sendBatch: (topicMessages: {topic: string, messages: Object|Object[]}[]) => Promise<import('kafkajs').RecordMetadata[]>,
+ *   beginTransaction: () => Promise<ProducerTransaction>,
+ *   transaction: <T>(fn: (tx: ProducerTransaction) => Promise<T>) => Promise<T>,
+ *   flush: () => Promise<void>,
+ *   close: () => Promise<void>,
+ * }>} Producer handle. Messages are objects of shape {key, value, headers, partition, timestamp}.
+ *   transaction() commits when fn resolves and aborts when it rejects; a failed commit rejects with a
+ *   TransactionCommitError.
+ */
+export async function createProducer({
+                                         brokers,
+                                         clientId = 'kafka-nodejs-demo',
+                                         topic = 'demo-topic',
+                                         idempotent = false,
+                                         transactionalId,
+                                         security,
+                                         client,
+                                         producerOptions: options = {},
+                                         serializer,
+                                         jsonSchemas,
+                                         metricsRegistry,
+                                     }) {
+    if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
+        throw new Error('brokers is required');
+    }
+
+    const serialize = createMessagePreparer(createMessageSerializer(serializer), createMessageValidator(jsonSchemas));
+    const kafka = createKafkaClient({brokers, clientId, security, client, logLevel: 'nothing'});
+    const {producerOptions, sendOptions} = splitProducerOptions(options);
+    // Transactions require idempotence; KafkaJS also requires a single in-flight request for both
+    const producer = idempotent || producerOptions.idempotent || transactionalId
+        ? kafka.producer({...producerOptions, idempotent: true, maxInFlightRequests: 1, transactionalId})
+        : kafka.producer(producerOptions);
+    const metrics = metricsRegistry ? instrumentProducer(producer, {registry: metricsRegistry}) : null;
+    const observeSend = (topicMessages, work) => (metrics ? metrics.observeSend(topicMessages, work) : work());
+
+    // Perform a readiness check via Kafka admin instead of relying on timing
+    logger.info('Checking Kafka readiness (producer admin metadata)...');
+    await waitForKafkaConnectivity(kafka);
+
+    await producer.connect();
+
+    const inFlight = new Set();
+    let closed = false;
+
+    // Keeps track of in-flight sends so flush()/close() can wait for them
+    const track = (promise) => {
+        inFlight.add(promise);
+        promise.then(() => inFlight.delete(promise), () => inFlight.delete(promise));
+        return promise;
+    };
+
+    const ensureOpen = () => {
+        if (closed) throw new Error('producer is closed');
+    };
+
+    const send = async ({topic: target = topic, messages} = {}) => {
+        ensureOpen();
+        return track(toTopicMessages(target, messages, serialize)
+            .then((prepared) => observeSend([prepared], () => producer.send({...prepared, ...sendOptions})))
+            .then(logDelivery));
+    };
+
+    const sendBatch = async (topicMessages) => {
+        ensureOpen();
+        return track(toTopicMessagesBatch(topicMessages, serialize)
+            .then((prepared) => observeSend(prepared, () => producer.sendBatch({topicMessages: prepared, ...sendOptions})))
+            .then(logDelivery));
+    };
+
+    let activeTransaction = null;
+
+    const beginTransaction = async () => {
+        ensureOpen();
+        if (!transactionalId) throw new Error('transactionalId is required for transactions');
+        const tx = await producer.transaction();
+        const handle = {
+            send: async ({topic: target = topic, messages} = {}) => {
+                const prepared = await toTopicMessages(target, messages, serialize);
+                return observeSend([prepared], () => tx.send({...prepared, ...sendOptions}));
+            },
+            sendBatch: async (topicMessages) => {
+                const prepared = await toTopicMessagesBatch(topicMessages, serialize);
+                return observeSend(prepared, () => tx.sendBatch({topicMessages: prepared, ...sendOptions}));
+            },
+            sendOffsets: async ({consumerGroupId, topics}) => tx.sendOffsets({consumerGroupId, topics}),
+            // A failed commit or abort ends the transaction too; close() must not try to abort it again
+            commit: async () => {
+                try {
+                    await tx.commit();
+                } finally {
+                    activeTransaction = null;
+                }
+            },
+            abort: async () => {
+                try {
+                    await tx.abort();
+                } finally {
+                    activeTransaction = null;
+                }
+            },
+            isActive: () => tx.isActive(),
+        };
+        activeTransaction = handle;
+        return handle;
+    };
+
+    const abortQuietly = async (tx) => {
+        try {
+            await tx.abort();
+        } catch (err) {
+            logger.error('Error aborting transaction:', err);
+        }
+    };
+
+    const transaction = async (fn) => {
+        const tx = await beginTransaction();
+        let result;
+        try {
+            result = await fn(tx);
+        } catch (err) {
+            await abortQuietly(tx);
+            throw err;
+        }
+        try {
+            await tx.commit();
+        } catch (err) {
+            // KafkaJS leaves the transactional producer in an unusable state after a failed commit
+            await abortQuietly(tx);
+            throw new TransactionCommitError(err);
+        }
+        return result;
+    };
+
+    const flush = async () => {
+        await Promise.allSettled([...inFlight]);
+    };
+
+    const close = async () => {
+        if (closed) return;
+        closed = true;
+        await flush();
+        if (activeTransaction && activeTransaction.isActive()) {
+            logger.warn('Closing producer with an open transaction, aborting it');
+            try {
+                await activeTransaction.abort();
+            } catch (err) {
+                logger.error('Error aborting transaction:', err);
+            }
+        }
+        await producer.disconnect();
+    };
+
+    return {send, sendBatch, beginTransaction, transaction, flush, close};
+}
+
+/**
+ * Transaction handle returned by createProducer().beginTransaction().
+ * send/sendBatch apply the same validation and serialization rules as the producer; nothing
+ * sent through it becomes visible to read_committed consumers until commit() succeeds.
+ *
+ * @typedef {Object} ProducerTransaction
+ * @property {(params: {topic?: string, messages: Object|Object[]}) => Promise<import('kafkajs').RecordMetadata[]>} send
+ * @property {(topicMessages: {topic: string, messages: Object|Object[]}[]) => Promise<import('kafkajs').RecordMetadata[]>} sendBatch
+ * @property {(params: {consumerGroupId: string, topics: import('kafkajs').TopicOffsets[]}) => Promise<void>} sendOffsets
+ *           Adds consumer offsets to the transaction (consume-transform-produce).
+ * @property {() => Promise<void>} commit Commits everything sent in the transaction.
+ * @property {() => Promise<void>} abort Discards everything sent in the transaction.
+ * @property {() => boolean} isActive Whether the transaction has not ended yet.
+ */
+
 /**
  * Produces a single message to a Kafka topic.
  * Validates input, creates a producer, connects, sends, and disconnects.
+ * For many messages prefer createProducer(), which keeps the connection open between sends.
  *
  * @param {Object} params Producer configuration.
  * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
  * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID used by KafkaJS.
  * @param {string} [params.topic="demo-topic"] Topic to which the message will be produced.
  * @param {unknown} params.message The message payload. Strings/Buffers are used as-is; other types are JSON.stringified.
- * @param {string|number|null} [params.key] Optional key associated with the message (will be stringified; null if undefined).
+ * @param {string|number|null} [params.key] Optional key associated with the message (will be stringified; null if undefined or null).
+ * @param {Object<string, (string|Buffer|Array<string|Buffer>)>} [params.headers] Optional message headers, e.g. a
+ *        correlation ID or content type; values are strings or Buffers (arrays for repeated headers).
+ * @param {boolean} [params.idempotent=false] Use an idempotent producer.
+ * @param {string} [params.transactionalId] When set, the message is sent inside a committed transaction.
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options (see src/security.js); SSL:// and
+ *        SASL_SSL:// broker prefixes enable them as well.
+ * @param {Object} [params.client] KafkaJS client options (see createProducer).
+ * @param {Object} [params.producerOptions] KafkaJS producer and send options (see createProducer).
+ * @param {Object} [params.serializer] Key and value serdes (see createProducer).
+ * @param {Object<string, Object>} [params.jsonSchemas] JSON Schemas by topic name (see createProducer); an invalid
+ *        message is rejected before connecting.
+ * @param {import('prom-client').Registry} [params.metricsRegistry] Registry for producer metrics (see createProducer).
  * @throws {Error} If brokers, topic, or message are not provided.
- * @returns {Promise<void>} Resolves when the message has been sent and the producer disconnected.
+ * @throws {import('./validation.js').ValidationError} If the message does not match the topic's JSON Schema.
+ * @returns {Promise<import('kafkajs').RecordMetadata[]>} Resolves with the record's partition and offset once the
+ *          message has been sent and the producer disconnected.
  */
-export async function produceMessage({brokers, clientId = 'kafka-nodejs-demo', topic = 'demo-topic', message, key}) {
+export async function produceMessage({
+                                         brokers,
+                                         clientId = 'kafka-nodejs-demo',
+                                         topic = 'demo-topic',
+                                         message,
+                                         key,
+                                         headers,
+                                         idempotent = false,
+                                         transactionalId,
+                                         security,
+                                         client,
+                                         producerOptions,
+                                         serializer,
+                                         jsonSchemas,
+                                         metricsRegistry,
+                                     }) {
     if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
         throw new Error('brokers is required');
     }
     if (!topic) throw new Error('topic is required');
     if (typeof message === 'undefined' || message === null) throw new Error('message is required');
+    const validate = createMessageValidator(jsonSchemas);
+    if (validate) validate(topic, message);
 
-    const kafka = new Kafka({clientId, brokers: parseBrokers(brokers), logLevel: logLevel.NOTHING});
-    const producer = kafka.producer();
+    const producer = await createProducer({
+        brokers, clientId, topic, idempotent, transactionalId, security, client, producerOptions, serializer,
+        metricsRegistry,
+    });
+    try {
+        const messages = [{key, value: message, headers}];
+        if (transactionalId) {
+            return await producer.transaction((tx) => tx.send({topic, messages}));
+        }
+        return await producer.send({topic, messages});
+    } finally {
+        await producer.close();
+    }
+}
 
-    // Perform a readiness check via Kafka admin instead of relying on timing
-    logger.info('Checking Kafka readiness (producer admin metadata)...');
-    await waitForKafkaConnectivity(kafka);
+/**
+ * Produces newline-delimited records from stdin or a file over one connection, in batches.
+ * Lines that cannot be parsed or are invalid messages are logged with their line number and counted as failed;
+ * a batch the broker rejects counts all its records as failed. Either way the remaining input is still sent.
+ * With a transactionalId each batch is sent in its own transaction.
+ *
+ * @param {Object} params Producer configuration.
+ * @param {string|string[]} params.brokers Kafka broker(s), e.g., "localhost:9092" or ["host:port"].
+ * @param {string} [params.clientId="kafka-nodejs-demo"] Kafka client ID used by KafkaJS.
+ * @param {string} [params.topic="demo-topic"] Topic to produce to.
+ * @param {string|import('stream').Readable} params.input File path, "-" for stdin, or a readable stream.
+ * @param {'text'|'jsonl'} [params.inputFormat="text"] Line format (see src/input.js).
+ * @param {string} [params.keySeparator] Splits text lines into key and value, e.g. ":" for "key:value".
+ * @param {string|number} [params.key] Key for records that do not carry one; a JSONL "key": null keeps the record keyless.
+ * @param {Object} [params.headers] Headers added to every record (record headers win on conflicts).
+ * @param {number} [params.batchSize=100] Records per send request.
+ * @param {boolean} [params.idempotent=false] Use an idempotent producer.
+ * @param {string} [params.transactionalId] Send each batch in a transaction; a failed commit stops the run.
+ * @param {import('./security.js').SecurityOptions} [params.security] TLS/SASL options (see createProducer).
+ * @param {Object} [params.client] KafkaJS client options (see createProducer).
+ * @param {Object} [params.producerOptions] KafkaJS producer and send options (see createProducer).
+ * @param {Object} [params.serializer] Key and value serdes (see createProducer); a record that fails to serialize
+ *        counts as failed.
+ * @param {Object<string, Object>} [params.jsonSchemas] JSON Schemas by topic name (see createProducer); a record
+ *        whose value does not match counts as failed.
+ * @param {import('prom-client').Registry} [params.metricsRegistry] Registry for producer metrics (see createProducer).
+ * @returns {Promise<{sent: number, failed: number}>} Number of records sent and failed.
+ * @throws {Error} If brokers or input are missing, batchSize is invalid, or the input cannot be opened.
+ * @throws {TransactionCommitError} If a batch transaction cannot be committed; records after it are not read.
+ */
+export async function produceFromStream({
+                                            brokers,
+                                            clientId = 'kafka-nodejs-demo',
+                                            topic = 'demo-topic',
+                                            input,
+                                            inputFormat = 'text',
+                                            keySeparator,
+                                            key,
+                                            headers,
+                                            batchSize = 100,
+                                            idempotent = false,
+                                            transactionalId,
+                                            security,
+                                            client,
+                                            producerOptions,
+                                            serializer,
+                                            jsonSchemas,
+                                            metricsRegistry,
+                                        }) {
+    if (!brokers || (Array.isArray(brokers) && brokers.length === 0)) {
+        throw new Error('brokers is required');
+    }
+    if (!topic) throw new Error('topic is required');
+    if (!input) throw new Error('input is required');
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(`batchSize must be a positive integer, got: ${batchSize}`);
+    }
+
+    const prepare = createMessagePreparer(createMessageSerializer(serializer), createMessageValidator(jsonSchemas));
+    const stream = typeof input === 'string' ? await openInput(input) : input;
+    const producer = await createProducer({
+        brokers, clientId, topic, idempotent, transactionalId, security, client, producerOptions, metricsRegistry,
+    });
+    const log = logger.child({topic});
+    let sent = 0;
+    let failed = 0;
+    let batch = [];
+
+    const sendBatch = async () => {
+        if (batch.length === 0) return;
+        const messages = batch.map((record) => record.message);
+        const lines = `${batch[0].line}-${batch[batch.length - 1].line}`;
+        batch = [];
+        try {
+            if (transactionalId) await producer.transaction((tx) => tx.send({topic, messages}));
+            else await producer.send({topic, messages});
+            sent += messages.length;
+        } catch (err) {
+            // Every later batch would fail on the dead producer too
+            if (err instanceof TransactionCommitError) throw err;
+            failed += messages.length;
+            log.error(`Failed to send ${messages.length} record(s) from lines ${lines}:`, err);
+        }
+    };
 
-    await producer.connect();
     try {
-        await producer.send({
-            topic,
-            messages: [
-                {
-                    key: typeof key === 'undefined' ? null : String(key),
-                    value: typeof message === 'string' || Buffer.isBuffer(message) ? message : JSON.stringify(message),
-                },
-            ],
-        });
+        for await (const {line, message, error} of readRecords(stream, {format: inputFormat, keySeparator})) {
+            let record;
+            try {
+                if (error) throw error;
+                record = {
+                    ...message,
+                    // An explicit "key": null in a JSONL line keeps the record keyless
+                    key: 'key' in message ? message.key : key,
+                    headers: headers || message.headers ? {...headers, ...message.headers} : undefined,
+                };
+                if (prepare) record = await prepare(record, {topic});
+                // Validate here so one bad line does not fail the whole batch
+                toKafkaMessage(record);
+            } catch (err) {
+                failed++;
+                log.warn(`Skipping line ${line}: ${err.message}`);
+                continue;
+            }
+            batch.push({line, message: record});
+            if (batch.length >= batchSize) await sendBatch();
+        }
+        await sendBatch();
     } finally {
-        await producer.disconnect();
+        await producer.close();
     }
+    return {sent, failed};
 }
 
 /**
- * Builds a producer configuration from environment variables.
- * Reads KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_TOPIC, MESSAGE, KEY.
- * @returns {{brokers: string|string[], clientId: string, topic: string, message: string, key: (string|undefined)}}
+ * Parses the configured message as JSON when the value serde encodes objects (avro, protobuf), so
+ * `-m '{"id": 1}'` sends a record rather than a string.
+ * @param {{message: string, valueSerde?: string}} config Resolved configuration.
+ * @returns {unknown} Message value.
+ * @throws {Error} If the message is not valid JSON.
  */
-export function configFromEnv() {
+function messageValue({message, valueSerde}) {
+    if (!STRUCTURED_SERDES.includes(valueSerde)) return message;
+    try {
+        return JSON.parse(message);
+    } catch (err) {
+        throw new Error(`Invalid value for message: expected JSON for the ${valueSerde} value serde (${err.message})`);
+    }
+}
+
+/**
+ * Builds a producer configuration from the config file named by KAFKA_CONFIG and environment variables
+ * (see src/config.js): KAFKA_BROKERS, KAFKA_CLIENT_ID, KAFKA_TOPIC, MESSAGE, KEY, KAFKA_TRANSACTIONAL_ID,
+ * INPUT_FILE, INPUT_FORMAT, KEY_SEPARATOR, BATCH_SIZE, KEY_SERDE, VALUE_SERDE, KEY_SCHEMA, VALUE_SCHEMA,
+ * the SCHEMA_REGISTRY_* registry variables, PROTO_FILE, KEY_PROTO_TYPE, VALUE_PROTO_TYPE, JSON_SCHEMA_FILE,
+ * METRICS_PORT, the KAFKA_SSL* / KAFKA_SASL* security variables and the KAFKA_CLIENT_* / KAFKA_PRODUCER_* tuning variables.
+ * @param {Object} [options] Overrides.
+ * @param {string} [options.file] Config file to use instead of KAFKA_CONFIG.
+ * @param {Object} [options.flags={}] Command-line overrides (see loadConfig).
+ * @returns {{brokers: string|string[], clientId: string, topic: string, message: unknown, key: (string|undefined), transactionalId: (string|undefined),
+ *            inputFile: (string|undefined), inputFormat: (string|undefined), keySeparator: (string|undefined),
+ *            batchSize: (number|undefined), security: (import('./security.js').SecurityOptions|undefined),
+ *            client: (Object|undefined), producerOptions: (Object|undefined),
+ *            serializer: ({key?: (string|import('./serde.js').Codec), value?: (string|import('./serde.js').Codec)}|undefined),
+ *            jsonSchemas: (Object<string, Object>|undefined), metricsPort: (number|undefined)}}
+ * @throws {Error} If the config file, a value, or a schema, proto or JSON Schema file is invalid.
+ */
+export function configFromEnv({file, flags = {}} = {}) {
+    const config = loadConfig({file, flags});
     return {
-        brokers: process.env.KAFKA_BROKERS || 'localhost:9092',
-        clientId: process.env.KAFKA_CLIENT_ID || 'kafka-nodejs-demo',
-        topic: process.env.KAFKA_TOPIC || 'demo-topic',
-        message: process.env.MESSAGE || 'hello from producer',
-        key: process.env.KEY,
+        brokers: config.brokers,
+        clientId: config.clientId,
+        topic: config.topic,
+        message: messageValue(config),
+        key: config.key,
+        transactionalId: config.transactionalId,
+        inputFile: config.inputFile,
+        inputFormat: config.inputFormat,
+        keySeparator: config.keySeparator,
+        batchSize: config.batchSize,
+        security: config.security,
+        client: config.client,
+        producerOptions: config.producer,
+        serializer: serdesFromConfig(config),
+        jsonSchemas: config.jsonSchemaFile ? loadJsonSchemas(config.jsonSchemaFile) : undefined,
+        metricsPort: config.metricsPort,
     };
 }
 
+const COMMAND = 'node src/producer.js';
+
+/** @type {import('./cli.js').CliOption[]} */
+const CLI_OPTIONS = [
+    {name: 'brokers', short: 'b', type: 'string', config: 'brokers', value: 'LIST', description: 'Comma-separated brokers'},
+    {name: 'topic', short: 't', type: 'string', config: 'topic', value: 'TOPIC', description: 'Topic to produce to'},
+    {name: 'message', short: 'm', type: 'string', config: 'message', value: 'TEXT', description: 'Message value'},
+    {name: 'key', short: 'k', type: 'string', config: 'key', value: 'KEY', description: 'Message key'},
+    {name: 'header', short: 'H', type: 'string', action: 'header', value: 'KEY=VALUE', description: 'Message header (repeatable)'},
+    {name: 'file', short: 'f', type: 'string', config: 'inputFile', value: 'FILE', description: 'Send one record per line of FILE ("-" for stdin)'},
+    {name: 'format', type: 'string', config: 'inputFormat', value: 'text|jsonl', description: 'Input line format (default: text)'},
+    {name: 'key-separator', short: 'K', type: 'string', config: 'keySeparator', value: 'SEP', description: 'Split text lines into key and value'},
+    {name: 'batch-size', type: 'string', config: 'batchSize', value: 'N', description: 'Records per send request (default: 100)'},
+    {name: 'key-serde', type: 'string', config: 'keySerde', value: 'SERDE', description: 'Key serializer: json, string, bytes, base64, avro or protobuf'},
+    {name: 'value-serde', type: 'string', config: 'valueSerde', value: 'SERDE', description: 'Value serializer: json, string, bytes, base64, avro or protobuf'},
+    {name: 'key-schema', type: 'string', config: 'keySchema', value: 'FILE', description: 'Key Avro schema to write with (.avsc)'},
+    {name: 'value-schema', type: 'string', config: 'valueSchema', value: 'FILE', description: 'Value Avro schema to write with (.avsc)'},
+    {name: 'schema-registry', type: 'string', config: 'schemaRegistry.url', value: 'URL', description: 'Schema registry URL for avro serdes'},
+    {name: 'proto-file', type: 'string', config: 'protoFile', value: 'FILE', description: '.proto file for protobuf serdes'},
+    {name: 'key-proto-type', type: 'string', config: 'keyProtoType', value: 'TYPE', description: 'Protobuf message type to encode keys with'},
+    {name: 'value-proto-type', type: 'string', config: 'valueProtoType', value: 'TYPE', description: 'Protobuf message type to encode values with'},
+    {name: 'json-schemas', type: 'string', config: 'jsonSchemaFile', value: 'FILE', description: 'Validate values against JSON Schemas by topic (JSON file)'},
+    {name: 'metrics-port', type: 'string', config: 'metricsPort', value: 'PORT', description: 'Serve Prometheus metrics at /metrics on PORT'},
+    {name: 'client-id', type: 'string', config: 'clientId', value: 'ID', description: 'Kafka client ID'},
+    {name: 'transactional-id', type: 'string', config: 'transactionalId', value: 'ID', description: 'Send inside a transaction'},
+    {name: 'config', short: 'c', type: 'string', action: 'config', value: 'FILE', description: 'Config file (JSON or YAML) [env: KAFKA_CONFIG]'},
+    {name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Show this help and exit'},
+    {name: 'version', short: 'V', type: 'boolean', action: 'version', description: 'Show the version and exit'},
+];
+
 /**
- * CLI entrypoint to produce a single message using environment configuration.
- * Sets process.exitCode to 0 on success and 1 on error. Accepts dependency injection for tests.
- * @param {{ produceMessage: typeof produceMessage }} [deps] Optional dependency overrides.
+ * CLI entrypoint to produce a single message, or with --file (INPUT_FILE) one record per input line, using
+ * command-line flags, environment variables and the config file.
+ * Sets process.exitCode to 0 on success (and for --help/--version), 1 on error or when any record failed, and 2 on
+ * invalid flags or configuration. With --metrics-port (METRICS_PORT) Prometheus metrics are served at /metrics until
+ * the producer is done. Accepts dependency injection for tests.
+ * @param {{ produceMessage: typeof produceMessage, produceFromStream?: typeof produceFromStream }} [deps]
+ *        Optional dependency overrides.
+ * @param {string[]} [argv=[]] Command-line arguments (without node and the script path).
  * @returns {Promise<void>}
  */
-export async function main(deps = { produceMessage }) {
-    const cfg = configFromEnv();
+export async function main(deps = { produceMessage, produceFromStream }, argv = []) {
+    let cfg;
     try {
-        await deps.produceMessage(cfg);
-        logger.info(`Produced message to ${cfg.topic}`);
+        const args = parseCli(argv, CLI_OPTIONS);
+        if (args.help || args.version) {
+            process.stdout.write(args.help
+                ? formatUsage(COMMAND, 'Produces one message, or one message per input line, to a Kafka topic.', CLI_OPTIONS)
+                : `${packageVersion()}\n`);
+            process.exitCode = 0;
+            return;
+        }
+        cfg = {...configFromEnv({file: args.file, flags: args.flags}), headers: args.headers};
+    } catch (err) {
+        reportUsageError(COMMAND, err);
+        return;
+    }
+    let metricsServer = null;
+    try {
+        if (typeof cfg.metricsPort !== 'undefined') {
+            const metricsRegistry = createMetricsRegistry();
+            metricsServer = await startMetricsServer({port: cfg.metricsPort, registry: metricsRegistry});
+            logger.info(`Serving metrics on port ${metricsServer.port} at /metrics`);
+            cfg = {...cfg, metricsRegistry};
+        }
+        if (cfg.inputFile) {
+            const {sent, failed} = await deps.produceFromStream({...cfg, input: cfg.inputFile});
+            logger.child({topic: cfg.topic}).info(`Produced ${sent} message(s), ${failed} failed`);
+            process.exitCode = failed > 0 ? 1 : 0;
+            return;
+        }
+        const [delivery] = (await deps.produceMessage(cfg)) || [];
+        logger.child({topic: cfg.topic, partition: delivery?.partition, offset: delivery?.baseOffset}).info('Produced message');
         process.exitCode = 0;
     } catch (err) {
         logger.error('Producer error:', err);
         process.exitCode = 1;
+    } finally {
+        if (metricsServer) await metricsServer.close();
     }
 }
 
@@ -114,5 +687,5 @@ export const isDirectRun = () => {
 
 if (isDirectRun()) {
     // no top-level await to keep Node versions happy
-    main();
+    main(undefined, process.argv.slice(2));
 }
@@ -0,0 +1,61 @@
+/**
+ * Protobuf serde: encodes plain objects with a message type from a .proto file and decodes records back into
+ * JSON-friendly objects (64-bit integers and enums as strings, bytes as base64, unset fields with their defaults).
+ *
+ * Exports:
+ * - loadMessageType: loads a message type from a .proto file.
+ * - createProtobufSerde: creates a codec (see src/serde.js) for one message type.
+ */
+import protobuf from 'protobufjs';
+
+const TO_OBJECT_OPTIONS = {longs: String, enums: String, bytes: String, defaults: true};
+
+/**
+ * Loads a message type.
+ * @param {string} protoFile Path to the .proto file (imports are resolved relative to it).
+ * @param {string} messageType Message name, fully qualified when the file declares a package (e.g. "demo.Order").
+ * @returns {import('protobufjs').Type} Message type.
+ * @throws {Error} If the file cannot be loaded or does not define the message type.
+ */
+export function loadMessageType(protoFile, messageType) {
+    if (!messageType) throw new Error(`A message type is required for proto file ${protoFile}`);
+    let root;
+    try {
+        root = protobuf.loadSync(protoFile);
+    } catch (err) {
+        throw new Error(`Cannot load proto file ${protoFile}: ${err.message}`);
+    }
+    const type = root.lookup(messageType);
+    if (!(type instanceof protobuf.Type)) throw new Error(`Unknown message type "${messageType}" in ${protoFile}`);
+    return type;
+}
+
+/**
+ * Creates a Protobuf codec. Objects are converted with the message type's fromObject rules (e.g. enum names and
+ * numeric strings for 64-bit fields are accepted), and fields the type does not define fail instead of being
+ * dropped silently; Buffers are sent as they are (already encoded).
+ *
+ * @param {Object} params Serde configuration.
+ * @param {string} [params.protoFile] Path to the .proto file.
+ * @param {string} [params.messageType] Message type name in that file.
+ * @param {import('protobufjs').Type} [params.type] Already loaded message type (instead of protoFile/messageType).
+ * @returns {import('./serde.js').Codec} Codec for createMessageSerializer/createMessageDeserializer.
+ * @throws {Error} If the message type cannot be loaded.
+ */
+export function createProtobufSerde({protoFile, messageType, type = loadMessageType(protoFile, messageType)}) {
+    const known = new Set(type.fieldsArray.map((field) => field.name));
+    return {
+        serialize(value) {
+            if (Buffer.isBuffer(value)) return value;
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`expected an object for ${type.name}, got: ${Array.isArray(value) ? 'array' : typeof value}`);
+            }
+            const unknown = Object.keys(value).filter((name) => !known.has(name));
+            if (unknown.length > 0) throw new Error(`unknown field(s) for ${type.name}: ${unknown.join(', ')}`);
+            return Buffer.from(type.encode(type.fromObject(value)).finish());
+        },
+        deserialize(data) {
+            return type.toObject(type.decode(data), TO_OBJECT_OPTIONS);
+        },
+    };
+}
@@ -0,0 +1,341 @@
+/**
+ * Declarative topic provisioning: compares a manifest of wanted topics (topics.json) with the cluster, prints
+ * the plan and applies it with the operations of src/admin.js. Topics missing from the manifest are only
+ * deleted when asked for (deleteUnlisted), never internal ones or the retry and dead-letter topics of listed
+ * topics, and a plan with a change Kafka cannot make (fewer partitions, another
+ * replication factor) is refused as a whole, before anything is applied.
+ *
+ * Exports:
+ * - parseManifest: validates manifest contents.
+ * - loadManifest: reads and validates a manifest file.
+ * - planProvisioning: diffs a manifest against the cluster.
+ * - formatPlan: renders a plan as text.
+ * - applyPlan: carries out a plan.
+ * - configFromEnv: builds configuration from the config file and environment variables for convenience/CLI.
+ * - main: CLI entrypoint used when running this file directly (see --help).
+ * - isDirectRun: detects whether the module is executed directly (node src/provision.js).
+ */
+import fs from 'fs';
+import {pathToFileURL} from 'url';
+import {createKafkaClient} from './client.js';
+import {loadConfig} from './config.js';
+import {parseCli, formatUsage, reportUsageError, packageVersion} from './cli.js';
+import {listTopics, describeTopics, createTopic, deleteTopic, alterTopicConfigs, addPartitions} from './admin.js';
+import {retryTopicName, deadLetterTopicName} from './retry.js';
+
+// Centralized logger
+import logger from './logger.js';
+
+/**
+ * @typedef {Object} TopicSpec
+ * @property {string} name Topic name.
+ * @property {number} partitions Number of partitions (default 1).
+ * @property {number} [replicationFactor] Replicas per partition. When omitted, new topics get the broker's
+ *           default.replication.factor and the replication factor of existing topics is not checked.
+ * @property {Object<string, string>} configs Topic configs, e.g. {"retention.ms": "604800000"}.
+ */
+
+/**
+ * @typedef {Object} ProvisioningPlan
+ * @property {TopicSpec[]} create Topics to create.
+ * @property {{topic: string, from: number, to: number}[]} addPartitions Topics to grow.
+ * @property {{topic: string, changes: Object<string, {from: (string|null), to: string}>}[]} alterConfigs
+ *           Config changes by topic.
+ * @property {string[]} delete Topics to delete (only with deleteUnlisted).
+ * @property {{topic: string, reason: string}[]} keep Unlisted topics deleteUnlisted leaves alone, and why.
+ * @property {string[]} problems Changes that cannot be applied; a plan with problems is not applied.
+ */
+
+const TOPIC_KEYS = ['name', 'partitions', 'replicationFactor', 'configs'];
+
+/**
+ * Validates manifest contents: {"topics": [{name, partitions?, replicationFactor?, configs?}]}.
+ * Config values may be strings, numbers or booleans and are compared and sent as strings.
+ * @param {unknown} manifest Parsed JSON.
+ * @param {string} [source="manifest"] Name used in error messages, e.g. the file path.
+ * @returns {{topics: TopicSpec[]}} Manifest with defaults applied.
+ * @throws {Error} Naming the first invalid entry.
+ */
+export function parseManifest(manifest, source = 'manifest') {
+    const fail = (message) => {
+        throw new Error(`Invalid ${source}: ${message}`);
+    };
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.topics)) fail('expected {"topics": [...]}');
+    const names = new Set();
+    const topics = manifest.topics.map((entry, index) => {
+        const at = `topics[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail(`${at} must be an object`);
+        const unknown = Object.keys(entry).find((key) => !TOPIC_KEYS.includes(key));
+        if (unknown) fail(`${at} has unknown key "${unknown}" (expected ${TOPIC_KEYS.join(', ')})`);
+        const {name, partitions = 1, replicationFactor, configs = {}} = entry;
+        if (typeof name !== 'string' || name.trim() === '') fail(`${at}.name must be a non-empty string`);
+        if (names.has(name)) fail(`topic ${name} is listed twice`);
+        names.add(name);
+        for (const [key, value] of Object.entries({partitions, replicationFactor})) {
+            if (key === 'replicationFactor' && value === undefined) continue;
+            if (!Number.isInteger(value) || value < 1) fail(`${at}.${key} must be an integer >= 1`);
+        }
+        if (!configs || typeof configs !== 'object' || Array.isArray(configs)) fail(`${at}.configs must be an object`);
+        const values = {};
+        for (const [key, value] of Object.entries(configs)) {
+            if (!['string', 'number', 'boolean'].includes(typeof value)) fail(`${at}.configs.${key} must be a string, number or boolean`);
+            values[key] = String(value);
+        }
+        return {name, partitions, ...(replicationFactor === undefined ? {} : {replicationFactor}), configs: values};
+    });
+    return {topics};
+}
+
+/**
+ * Reads and validates a JSON manifest file (see parseManifest).
+ * @param {string} file Manifest path.
+ * @returns {{topics: TopicSpec[]}} Manifest.
+ * @throws {Error} If the file cannot be read, is not JSON or is invalid.
+ */
+export function loadManifest(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read manifest ${file}: ${err.message}`);
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Cannot parse manifest ${file}: ${err.message}`);
+    }
+    return parseManifest(manifest, `manifest ${file}`);
+}
+
+/**
+ * Tells why an unlisted topic survives deleteUnlisted: internal topics (a leading "_", e.g. _schemas or
+ * _confluent-*) and the retry and dead-letter topics consumers derive from a listed topic (see src/retry.js).
+ * @param {string} name Unlisted topic.
+ * @param {Set<string>} wanted Topics the manifest lists.
+ * @returns {string|null} Reason to keep the topic, or null when it may be deleted.
+ */
+function keepReason(name, wanted) {
+    if (name.startsWith('_')) return 'internal topic';
+    for (const topic of wanted) {
+        if (name === deadLetterTopicName(topic)) return `dead-letter topic of ${topic}`;
+        // An empty tier name gives the prefix shared by every retry tier of the topic
+        if (name.startsWith(retryTopicName(topic, {name: ''}))) return `retry topic of ${topic}`;
+    }
+    return null;
+}
+
+/**
+ * Compares the manifest with the cluster: missing topics are created, topics with fewer partitions grown and
+ * configs whose effective value differs changed. Configs the manifest does not mention are left alone.
+ * @param {Object} params Planning parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {{topics: TopicSpec[]}} params.manifest Manifest (see parseManifest).
+ * @param {boolean} [params.deleteUnlisted=false] Plan to delete topics the manifest does not list, except internal
+ *        topics and the retry and dead-letter topics of listed ones (see keepReason).
+ * @returns {Promise<ProvisioningPlan>} Plan.
+ */
+export async function planProvisioning({admin, manifest, deleteUnlisted = false}) {
+    const plan = {create: [], addPartitions: [], alterConfigs: [], delete: [], keep: [], problems: []};
+    const existing = await listTopics({admin});
+    const wanted = new Set(manifest.topics.map((spec) => spec.name));
+
+    const present = manifest.topics.filter((spec) => existing.includes(spec.name));
+    plan.create = manifest.topics.filter((spec) => !existing.includes(spec.name));
+    const descriptions = await describeTopics({admin, topics: present.map((spec) => spec.name)});
+
+    present.forEach((spec, i) => {
+        const current = descriptions[i];
+        const count = current.partitions.length;
+        if (spec.partitions > count) plan.addPartitions.push({topic: spec.name, from: count, to: spec.partitions});
+        if (spec.partitions < count) {
+            plan.problems.push(`${spec.name}: has ${count} partitions, manifest asks for ${spec.partitions} (partitions cannot be removed)`);
+        }
+        if (spec.replicationFactor !== undefined && spec.replicationFactor !== current.replicationFactor) {
+            plan.problems.push(`${spec.name}: replication factor is ${current.replicationFactor}, manifest asks for ${spec.replicationFactor} (changing it needs a partition reassignment)`);
+        }
+        const changes = {};
+        for (const [name, value] of Object.entries(spec.configs)) {
+            const from = current.configs[name] ?? null;
+            if (from !== value) changes[name] = {from, to: value};
+        }
+        if (Object.keys(changes).length > 0) plan.alterConfigs.push({topic: spec.name, changes});
+    });
+
+    if (deleteUnlisted) {
+        for (const name of existing.filter((topic) => !wanted.has(topic))) {
+            const reason = keepReason(name, wanted);
+            if (reason) plan.keep.push({topic: name, reason});
+            else plan.delete.push(name);
+        }
+    }
+    return plan;
+}
+
+/**
+ * Renders a plan: "+" creates, "~" changes, "-" deletes, "=" unlisted topics kept and "!" changes that cannot be
+ * applied, then a summary.
+ * @param {ProvisioningPlan} plan Plan.
+ * @returns {string} Text ending with a newline.
+ */
+export function formatPlan(plan) {
+    const lines = [];
+    for (const {name, partitions, replicationFactor, configs} of plan.create) {
+        const settings = Object.entries({partitions, replicationFactor, ...configs})
+            .filter(([, v]) => v !== undefined)
+            .map(([k, v]) => `${k}=${v}`);
+        lines.push(`+ create ${name} (${settings.join(', ')})`);
+    }
+    for (const {topic, from, to} of plan.addPartitions) lines.push(`~ ${topic}: partitions ${from} -> ${to}`);
+    for (const {topic, changes} of plan.alterConfigs) {
+        for (const [name, {from, to}] of Object.entries(changes)) lines.push(`~ ${topic}: ${name} ${from ?? '(unset)'} -> ${to}`);
+    }
+    for (const topic of plan.delete) lines.push(`- delete ${topic}`);
+    for (const {topic, reason} of plan.keep) lines.push(`= keep ${topic} (${reason})`);
+    for (const problem of plan.problems) lines.push(`! ${problem}`);
+
+    const changed = new Set([...plan.addPartitions, ...plan.alterConfigs].map((change) => change.topic)).size;
+    lines.push(`Plan: ${plan.create.length} to create, ${changed} to change, ${plan.delete.length} to delete`
+        + (plan.problems.length > 0 ? `, ${plan.problems.length} cannot be applied.` : '.'));
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Carries out a plan: creates topics, then grows partitions, then changes configs, then deletes.
+ * @param {Object} params Apply parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {ProvisioningPlan} params.plan Plan from planProvisioning.
+ * @returns {Promise<void>} Resolves when every change was applied.
+ * @throws {Error} If the plan has problems (nothing is applied) or an operation fails (later ones are not tried).
+ */
+export async function applyPlan({admin, plan}) {
+    if (plan.problems.length > 0) {
+        throw new Error(`Plan cannot be applied: ${plan.problems.join('; ')}`);
+    }
+    for (const {name, partitions, replicationFactor, configs} of plan.create) {
+        // -1 leaves the replication factor to the broker's default.replication.factor (Kafka 2.4+)
+        await createTopic({admin, topic: name, partitions, replicationFactor: replicationFactor ?? -1, configs, ifNotExists: true});
+    }
+    for (const {topic, to} of plan.addPartitions) await addPartitions({admin, topic, partitions: to});
+    for (const {topic, changes} of plan.alterConfigs) {
+        const configs = Object.fromEntries(Object.entries(changes).map(([name, {to}]) => [name, to]));
+        await alterTopicConfigs({admin, topic, configs});
+    }
+    for (const topic of plan.delete) await deleteTopic({admin, topic, ifExists: true});
+}
+
+/**
+ * Builds a provision CLI configuration from the config file named by KAFKA_CONFIG and environment variables
+ * (see src/config.js): KAFKA_BROKERS, KAFKA_CLIENT_ID, TOPICS_MANIFEST, PROVISION_DRY_RUN, PROVISION_DELETE_UNLISTED,
+ * the KAFKA_SSL* / KAFKA_SASL* security variables and the KAFKA_CLIENT_* tuning variables.
+ * @param {Object} [options] Overrides.
+ * @param {string} [options.file] Config file to use instead of KAFKA_CONFIG.
+ * @param {Object} [options.flags={}] Command-line overrides (see loadConfig).
+ * @returns {{brokers: string|string[], clientId: string, security: (import('./security.js').SecurityOptions|undefined),
+ *            client: (Object|undefined), manifest: string, dryRun: boolean, deleteUnlisted: boolean}}
+ * @throws {Error} If the config file or a value is invalid.
+ */
+export function configFromEnv({file, flags = {}} = {}) {
+    const config = loadConfig({file, flags});
+    return {
+        brokers: config.brokers,
+        clientId: config.clientId,
+        security: config.security,
+        client: config.client,
+        manifest: config.provision?.manifest ?? 'topics.json',
+        dryRun: config.provision?.dryRun ?? false,
+        deleteUnlisted: config.provision?.deleteUnlisted ?? false,
+    };
+}
+
+/**
+ * Creates the admin client for the CLI from its configuration.
+ * @param {ReturnType<typeof configFromEnv>} cfg CLI configuration.
+ * @returns {import('kafkajs').Admin} Admin client (not connected).
+ */
+function createAdminClient({brokers, clientId, security, client}) {
+    return createKafkaClient({brokers, clientId, security, client, logLevel: 'nothing'}).admin();
+}
+
+const COMMAND = 'node src/provision.js';
+
+/** @type {import('./cli.js').CliOption[]} */
+const CLI_OPTIONS = [
+    {name: 'brokers', short: 'b', type: 'string', config: 'brokers', value: 'LIST', description: 'Comma-separated brokers'},
+    {name: 'manifest', short: 'f', type: 'string', config: 'provision.manifest', value: 'FILE', description: 'Topic manifest (default: topics.json)'},
+    {name: 'dry-run', short: 'n', type: 'boolean', config: 'provision.dryRun', description: 'Print the plan without applying it'},
+    {name: 'delete-unlisted', type: 'boolean', config: 'provision.deleteUnlisted', description: 'Also delete topics the manifest does not list (except internal, retry and dead-letter topics)'},
+    {name: 'client-id', type: 'string', config: 'clientId', value: 'ID', description: 'Kafka client ID'},
+    {name: 'config', short: 'c', type: 'string', action: 'config', value: 'FILE', description: 'Config file (JSON or YAML) [env: KAFKA_CONFIG]'},
+    {name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Show this help and exit'},
+    {name: 'version', short: 'V', type: 'boolean', action: 'version', description: 'Show the version and exit'},
+];
+
+/**
+ * CLI entrypoint: prints the plan for the manifest and applies it unless --dry-run is given.
+ * Sets process.exitCode to 1 when the plan has changes that cannot be applied or applying fails, and to 2 on
+ * invalid usage or an invalid manifest. Accepts dependency injection for tests.
+ * @param {{ createAdminClient: typeof createAdminClient }} [deps] Optional dependency overrides.
+ * @param {string[]} [argv=[]] Command-line arguments (without node and the script path).
+ * @returns {Promise<void>} Resolves when the plan was printed and, unless --dry-run, applied.
+ */
+export async function main(deps = { createAdminClient }, argv = []) {
+    let cfg;
+    let manifest;
+    let admin;
+    try {
+        const args = parseCli(argv, CLI_OPTIONS);
+        if (args.help || args.version) {
+            process.stdout.write(args.help
+                ? formatUsage(COMMAND, 'Creates and updates topics to match a manifest (topics.json).', CLI_OPTIONS)
+                : `${packageVersion()}\n`);
+            return;
+        }
+        cfg = configFromEnv({file: args.file, flags: args.flags});
+        manifest = loadManifest(cfg.manifest);
+        admin = deps.createAdminClient(cfg);
+    } catch (err) {
+        reportUsageError(COMMAND, err);
+        return;
+    }
+
+    try {
+        await admin.connect();
+        const plan = await planProvisioning({admin, manifest, deleteUnlisted: cfg.deleteUnlisted});
+        process.stdout.write(formatPlan(plan));
+        if (plan.problems.length > 0) {
+            logger.error('Plan has changes that cannot be applied; nothing was changed');
+            process.exitCode = 1;
+        } else if (!cfg.dryRun) {
+            await applyPlan({admin, plan});
+            logger.info('Provisioning complete');
+        }
+    } catch (err) {
+        logger.error('Provisioning failed:', err);
+        process.exitCode = 1;
+    } finally {
+        try {
+            await admin.disconnect();
+        } catch (err) {
+            logger.error('Error disconnecting admin client:', err);
+        }
+    }
+}
+
+// Run as CLI if executed directly
+/**
+ * Detects whether this module is being executed directly (not imported) in Node.js.
+ * @returns {boolean} True if run via `node src/provision.js`, false if imported.
+ */
+export const isDirectRun = () => {
+    try {
+        return import.meta.url === pathToFileURL(process.argv[1]).href;
+    } catch {
+        return false;
+    }
+};
+
+if (isDirectRun()) {
+    // no top-level await to keep Node versions happy
+    main(undefined, process.argv.slice(2));
+}
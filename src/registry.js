@@ -0,0 +1,257 @@
+/**
+ * Schema registry clients for Avro serdes: an HTTP client for Confluent-compatible registries and a local
+ * stand-in (in memory, optionally persisted to a JSON file) that tests and offline tools can use instead.
+ * Both cache schemas by ID and by subject, and check compatibility before registering a new version.
+ *
+ * Exports:
+ * - COMPATIBILITY_LEVELS: supported compatibility levels.
+ * - checkCompatibility: tells whether a schema is compatible with earlier versions at a given level.
+ * - createRemoteSchemaRegistry: client for a Confluent-compatible schema registry REST API.
+ * - createLocalSchemaRegistry: in-process registry stand-in, optionally backed by a JSON file.
+ * - createSchemaRegistry: picks the remote client (url) or the local stand-in (file or neither).
+ */
+import fs from 'fs';
+import avro from 'avsc';
+
+export const COMPATIBILITY_LEVELS = ['NONE', 'BACKWARD', 'FORWARD', 'FULL', 'BACKWARD_TRANSITIVE', 'FORWARD_TRANSITIVE', 'FULL_TRANSITIVE'];
+
+/**
+ * @typedef {Object} SchemaRegistry
+ * @property {(subject: string, schema: (string|Object)) => Promise<number>} register Registers a schema under a
+ *           subject (or finds it) and returns its ID; rejects schemas incompatible with the subject's versions.
+ * @property {(id: number) => Promise<Object>} getSchema Returns the schema with the given ID.
+ * @property {(subject: string) => Promise<{id: number, version: number, schema: Object}>} getLatest Latest version.
+ * @property {(subject: string, schema: (string|Object)) => Promise<boolean>} isCompatible Whether the schema could be
+ *           registered under the subject.
+ */
+
+/**
+ * Parses a schema given as JSON text or an object.
+ * @param {string|Object} schema Avro schema.
+ * @returns {Object|string} Parsed schema.
+ * @throws {Error} If the text is not JSON.
+ */
+function parseSchema(schema) {
+    if (typeof schema !== 'string') return schema;
+    try {
+        return JSON.parse(schema);
+    } catch (err) {
+        throw new Error(`Invalid Avro schema JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Checks whether data written with one schema can be read with another.
+ * @param {import('avsc').Type} reader Reader type.
+ * @param {import('avsc').Type} writer Writer type.
+ * @returns {string|null} Null when readable, otherwise the reason.
+ */
+function unreadable(reader, writer) {
+    try {
+        reader.createResolver(writer);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/**
+ * Checks a candidate schema against earlier versions of a subject.
+ * BACKWARD: the new schema can read data written with the latest version; FORWARD: the latest version can read
+ * data written with the new schema; FULL: both. *_TRANSITIVE levels check every earlier version.
+ *
+ * @param {string|Object} schema Candidate schema.
+ * @param {Array<string|Object>} previous Earlier versions, oldest first.
+ * @param {string} [level="BACKWARD"] Compatibility level (see COMPATIBILITY_LEVELS).
+ * @returns {{compatible: boolean, reason?: string}} Result with the first incompatibility found.
+ * @throws {Error} If the level is unknown or a schema is invalid.
+ */
+export function checkCompatibility(schema, previous, level = 'BACKWARD') {
+    const normalized = String(level).toUpperCase();
+    if (!COMPATIBILITY_LEVELS.includes(normalized)) {
+        throw new Error(`Unknown compatibility level: ${level} (expected one of ${COMPATIBILITY_LEVELS.join(', ')})`);
+    }
+    if (normalized === 'NONE' || previous.length === 0) return {compatible: true};
+
+    const candidate = avro.Type.forSchema(parseSchema(schema));
+    const versions = normalized.endsWith('_TRANSITIVE') ? previous : previous.slice(-1);
+    const backward = normalized.startsWith('BACKWARD') || normalized.startsWith('FULL');
+    const forward = normalized.startsWith('FORWARD') || normalized.startsWith('FULL');
+    for (const version of versions) {
+        const existing = avro.Type.forSchema(parseSchema(version));
+        const reason = (backward && unreadable(candidate, existing)) || (forward && unreadable(existing, candidate));
+        if (reason) return {compatible: false, reason};
+    }
+    return {compatible: true};
+}
+
+/**
+ * Creates a client for a Confluent-compatible schema registry (Confluent, Redpanda, Apicurio ccompat, ...).
+ * Schemas by ID and IDs by subject and schema are cached; the registry enforces its configured compatibility level
+ * when registering, and isCompatible asks it explicitly.
+ *
+ * @param {Object} params Client configuration.
+ * @param {string} params.url Registry base URL, e.g. "http://localhost:8081".
+ * @param {string} [params.username] Basic auth username.
+ * @param {string} [params.password] Basic auth password.
+ * @param {typeof fetch} [params.fetch=globalThis.fetch] HTTP implementation (for tests).
+ * @returns {SchemaRegistry} Registry client.
+ * @throws {Error} If url is missing.
+ */
+export function createRemoteSchemaRegistry({url, username, password, fetch = globalThis.fetch}) {
+    if (!url) throw new Error('schema registry url is required');
+    const base = url.replace(/\/+$/, '');
+    const headers = {'Content-Type': 'application/vnd.schemaregistry.v1+json', Accept: 'application/vnd.schemaregistry.v1+json'};
+    if (username) headers.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+
+    const request = async (method, path, body) => {
+        let response;
+        try {
+            response = await fetch(`${base}${path}`, {method, headers, body: body && JSON.stringify(body)});
+        } catch (err) {
+            throw new Error(`Schema registry ${method} ${path} failed: ${err.message}`);
+        }
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            // keep the raw text for the error message
+        }
+        if (!response.ok) {
+            const detail = (data && data.message) || text || response.statusText;
+            throw new Error(`Schema registry ${method} ${path} failed with ${response.status}: ${detail}`);
+        }
+        return data;
+    };
+
+    const schemasById = new Map();
+    const idsBySubject = new Map();
+    const subjectPath = (subject) => `/subjects/${encodeURIComponent(subject)}`;
+
+    return {
+        async register(subject, schema) {
+            const text = JSON.stringify(parseSchema(schema));
+            const key = `${subject}\n${text}`;
+            if (!idsBySubject.has(key)) {
+                const {id} = await request('POST', `${subjectPath(subject)}/versions`, {schema: text});
+                idsBySubject.set(key, id);
+                schemasById.set(id, JSON.parse(text));
+            }
+            return idsBySubject.get(key);
+        },
+        async getSchema(id) {
+            if (!schemasById.has(id)) {
+                const {schema} = await request('GET', `/schemas/ids/${id}`);
+                schemasById.set(id, parseSchema(schema));
+            }
+            return schemasById.get(id);
+        },
+        async getLatest(subject) {
+            const {id, version, schema} = await request('GET', `${subjectPath(subject)}/versions/latest`);
+            const parsed = parseSchema(schema);
+            schemasById.set(id, parsed);
+            return {id, version, schema: parsed};
+        },
+        async isCompatible(subject, schema) {
+            try {
+                const result = await request('POST', `/compatibility${subjectPath(subject)}/versions/latest`, {
+                    schema: JSON.stringify(parseSchema(schema)),
+                });
+                return Boolean(result && result.is_compatible);
+            } catch (err) {
+                // 404: the subject has no versions yet, so anything is compatible
+                if (/failed with 404/.test(err.message)) return true;
+                throw err;
+            }
+        },
+    };
+}
+
+/**
+ * Creates an in-process schema registry stand-in with Confluent semantics: schema IDs are global (the same schema
+ * gets the same ID under every subject), versions are numbered per subject from 1, and registering an incompatible
+ * version fails. With a file the registry is loaded from it and saved after every registration, so separate
+ * producer and consumer processes can share it.
+ *
+ * @param {Object} [params] Registry configuration.
+ * @param {string} [params.file] JSON file to load from and save to.
+ * @param {string} [params.compatibility="BACKWARD"] Compatibility level for new versions (see COMPATIBILITY_LEVELS).
+ * @returns {SchemaRegistry} Registry.
+ * @throws {Error} If the file exists but cannot be parsed, or the compatibility level is unknown.
+ */
+export function createLocalSchemaRegistry({file, compatibility = 'BACKWARD'} = {}) {
+    checkCompatibility({type: 'null'}, [], compatibility);
+    /** @type {{id: number, subject: string, version: number, schema: Object}[]} */
+    let entries = [];
+
+    const load = () => {
+        if (!file || !fs.existsSync(file)) return;
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8')).schemas || [];
+        } catch (err) {
+            throw new Error(`Cannot read schema registry file ${file}: ${err.message}`);
+        }
+    };
+    const save = () => {
+        if (file) fs.writeFileSync(file, `${JSON.stringify({schemas: entries}, null, 2)}\n`);
+    };
+    // Compare normalized schemas (keeping defaults and docs) so formatting and key order do not create new versions
+    const canonical = (schema) => JSON.stringify(avro.Type.forSchema(schema).schema({exportAttrs: true}));
+    const versionsOf = (subject) => entries.filter((entry) => entry.subject === subject);
+
+    load();
+
+    return {
+        async register(subject, schema) {
+            load();
+            const parsed = parseSchema(schema);
+            const form = canonical(parsed);
+            const versions = versionsOf(subject);
+            const existing = versions.find((entry) => canonical(entry.schema) === form);
+            if (existing) return existing.id;
+
+            const {compatible, reason} = checkCompatibility(parsed, versions.map((entry) => entry.schema), compatibility);
+            if (!compatible) {
+                throw new Error(`Schema for subject ${subject} is not ${compatibility} compatible: ${reason}`);
+            }
+            const sameSchema = entries.find((entry) => canonical(entry.schema) === form);
+            const id = sameSchema ? sameSchema.id : Math.max(0, ...entries.map((entry) => entry.id)) + 1;
+            entries.push({id, subject, version: versions.length + 1, schema: parsed});
+            save();
+            return id;
+        },
+        async getSchema(id) {
+            let entry = entries.find((e) => e.id === id);
+            if (!entry) {
+                load();
+                entry = entries.find((e) => e.id === id);
+            }
+            if (!entry) throw new Error(`Schema ${id} not found`);
+            return entry.schema;
+        },
+        async getLatest(subject) {
+            load();
+            const versions = versionsOf(subject);
+            if (versions.length === 0) throw new Error(`Subject ${subject} not found`);
+            const {id, version, schema} = versions[versions.length - 1];
+            return {id, version, schema};
+        },
+        async isCompatible(subject, schema) {
+            load();
+            return checkCompatibility(schema, versionsOf(subject).map((entry) => entry.schema), compatibility).compatible;
+        },
+    };
+}
+
+/**
+ * Creates the remote client when a URL is given, otherwise the local stand-in.
+ * @param {{url?: string, file?: string, username?: string, password?: string, compatibility?: string}} [options]
+ *        Registry options.
+ * @returns {SchemaRegistry} Registry.
+ */
+export function createSchemaRegistry({url, file, username, password, compatibility} = {}) {
+    return url
+        ? createRemoteSchemaRegistry({url, username, password})
+        : createLocalSchemaRegistry({file, compatibility});
+}
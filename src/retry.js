@@ -0,0 +1,162 @@
+/**
+ * Retry tiers and dead-letter routing for failing eachMessage handlers.
+ * A failed record is republished to the next retry topic (e.g. "orders.retry.5s", "orders.retry.1m") and,
+ * once every tier has been tried, to a dead-letter topic. Headers record where the record came from,
+ * the error and the attempt count, so a poison message no longer blocks its partition.
+ *
+ * Exports:
+ * - RETRY_HEADERS: names of the headers added to republished records.
+ * - parseRetryTiers: normalizes a tier spec ("5s,1m", ["5s", "1m"], [{name, delayMs}]) into tiers.
+ * - retryTopicName: builds the retry topic name for an original topic and tier.
+ * - deadLetterTopicName: builds the default dead-letter topic name for an original topic.
+ * - failureHeaders: builds the headers for a republished record.
+ * - createFailureRouter: republishes a failed record to its next retry tier or the dead-letter topic.
+ * - waitUntilDue: delays processing of a retry record until its tier delay has elapsed.
+ */
+import {parseDuration} from './utils.js';
+import {headerValue} from './headers.js';
+
+// Centralized logger
+import logger from './logger.js';
+
+export const RETRY_HEADERS = {
+    originalTopic: 'x-original-topic',
+    originalPartition: 'x-original-partition',
+    originalOffset: 'x-original-offset',
+    errorMessage: 'x-error-message',
+    errorStack: 'x-error-stack',
+    attempt: 'x-attempt',
+    failedAt: 'x-failed-at',
+};
+
+/**
+ * Normalizes retry tiers.
+ * Each tier is a duration string ("5s"), a number of milliseconds or an object {name, delayMs}.
+ * The tier name becomes the retry topic suffix.
+ * @param {string|Array<string|number|{name: string, delayMs: (number|string)}>} [spec] Tier spec or comma-separated list.
+ * @returns {{name: string, delayMs: number}[]} Tiers in the order they are tried.
+ * @throws {Error} If a tier has an invalid delay or a duplicate name.
+ */
+export function parseRetryTiers(spec) {
+    if (typeof spec === 'undefined' || spec === null || spec === '') return [];
+    const items = typeof spec === 'string' ? spec.split(',').map((s) => s.trim()).filter(Boolean) : spec;
+    if (!Array.isArray(items)) throw new Error('retry tiers must be a string or an array');
+
+    const tiers = items.map((item) => {
+        if (item && typeof item === 'object') {
+            if (!item.name) throw new Error('retry tier name is required');
+            return {name: String(item.name), delayMs: parseDuration(item.delayMs)};
+        }
+        const delayMs = parseDuration(item);
+        return {name: typeof item === 'number' ? `${item}ms` : String(item).trim(), delayMs};
+    });
+
+    const names = new Set();
+    for (const {name} of tiers) {
+        if (names.has(name)) throw new Error(`Duplicate retry tier: ${name}`);
+        names.add(name);
+    }
+    return tiers;
+}
+
+/**
+ * Builds the retry topic name for a tier, e.g. "orders.retry.5s".
+ * @param {string} topic Original topic.
+ * @param {{name: string}} tier Retry tier.
+ * @returns {string} Retry topic name.
+ */
+export function retryTopicName(topic, tier) {
+    return `${topic}.retry.${tier.name}`;
+}
+
+/**
+ * Builds the default dead-letter topic name, e.g. "orders.dlq".
+ * @param {string} topic Original topic.
+ * @returns {string} Dead-letter topic name.
+ */
+export function deadLetterTopicName(topic) {
+    return `${topic}.dlq`;
+}
+
+/**
+ * Builds headers for a republished record. Keeps the record's own headers and, for records that are
+ * already retries, the original topic/partition/offset they were first consumed from.
+ *
+ * @param {{topic: string, partition: number, message: import('kafkajs').KafkaMessage}} payload Failed record.
+ * @param {Error} error Handler error.
+ * @param {number} attempt Number of failed attempts so far, including this one.
+ * @returns {Object<string, string>} Headers for the republished record.
+ */
+export function failureHeaders({topic, partition, message}, error, attempt) {
+    const headers = {};
+    for (const [name, value] of Object.entries(message.headers || {})) {
+        if (typeof value !== 'undefined' && value !== null) headers[name] = value;
+    }
+    const original = message.headers || {};
+    headers[RETRY_HEADERS.originalTopic] = headerValue(original, RETRY_HEADERS.originalTopic) ?? topic;
+    headers[RETRY_HEADERS.originalPartition] = headerValue(original, RETRY_HEADERS.originalPartition) ?? String(partition);
+    headers[RETRY_HEADERS.originalOffset] = headerValue(original, RETRY_HEADERS.originalOffset) ?? String(message.offset);
+    headers[RETRY_HEADERS.errorMessage] = String(error && error.message ? error.message : error);
+    headers[RETRY_HEADERS.errorStack] = String((error && error.stack) || '');
+    headers[RETRY_HEADERS.attempt] = String(attempt);
+    headers[RETRY_HEADERS.failedAt] = new Date().toISOString();
+    return headers;
+}
+
+/**
+ * Creates a router that republishes failed records.
+ * Attempt N (1-based) goes to tiers[N - 1]; when no tier is left the record goes to the dead-letter topic.
+ *
+ * @param {Object} params Router configuration.
+ * @param {{send: Function}} params.producer Producer from createProducer().
+ * @param {{name: string, delayMs: number}[]} [params.tiers=[]] Retry tiers (see parseRetryTiers).
+ * @param {string} [params.deadLetterTopic] Dead-letter topic; defaults to "<original topic>.dlq".
+ * @returns {{route: (payload: import('kafkajs').EachMessagePayload, error: Error) => Promise<string>}}
+ *          route() resolves with the topic the record was republished to.
+ */
+export function createFailureRouter({producer, tiers = [], deadLetterTopic}) {
+    const route = async (payload, error) => {
+        const {topic, partition, message} = payload;
+        const previous = Number(headerValue(message.headers, RETRY_HEADERS.attempt) || 0);
+        const attempt = previous + 1;
+        const originalTopic = headerValue(message.headers, RETRY_HEADERS.originalTopic) || topic;
+        const tier = tiers[attempt - 1];
+        const target = tier ? retryTopicName(originalTopic, tier) : (deadLetterTopic || deadLetterTopicName(originalTopic));
+
+        const recordLogger = logger.child({topic, partition, offset: message.offset});
+        const log = tier ? recordLogger.warn : recordLogger.error;
+        log(`Handler failed (attempt ${attempt}), republishing to ${target}:`, error);
+
+        await producer.send({
+            topic: target,
+            messages: [{
+                key: message.key === null ? undefined : message.key,
+                value: message.value,
+                headers: failureHeaders(payload, error, attempt),
+            }],
+        });
+        return target;
+    };
+
+    return {route};
+}
+
+/**
+ * Waits until a retry record is due (its timestamp plus the tier delay), heartbeating so the
+ * consumer keeps its partitions. Throws if the consumer stops first so the record is not committed.
+ *
+ * @param {import('kafkajs').EachMessagePayload} payload Retry record.
+ * @param {number} delayMs Tier delay in milliseconds.
+ * @param {() => boolean} isRunning Returns false once the consumer is stopping.
+ * @returns {Promise<void>} Resolves when the record is due.
+ */
+export async function waitUntilDue({message, heartbeat}, delayMs, isRunning) {
+    const due = Number(message.timestamp) + delayMs;
+    for (;;) {
+        const remaining = due - Date.now();
+        if (remaining <= 0) return;
+        if (!isRunning()) throw new Error('Consumer stopping before retry was due');
+        await new Promise((r) => setTimeout(r, Math.min(remaining, 1000)));
+        if (typeof heartbeat === 'function') await heartbeat();
+    }
+}
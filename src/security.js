@@ -0,0 +1,83 @@
+/**
+ * Connection security (TLS, mTLS and SASL) shared by the producer, consumer and admin clients.
+ * Settings come from explicit options, which loadConfig (src/config.js) reads from the config file and the KAFKA_SSL*
+ * and KAFKA_SASL* environment variables; the broker URL scheme ("SSL://", "SASL_SSL://", "SASL_PLAINTEXT://") turns
+ * TLS and SASL on where it implies them.
+ *
+ * Exports:
+ * - SASL_MECHANISMS: SASL mechanisms supported by KafkaJS without extra plugins.
+ * - kafkaSecurityConfig: builds the KafkaJS `ssl`/`sasl` client options from brokers and security options.
+ */
+import fs from 'fs';
+import {brokerSecurityProtocol} from './utils.js';
+
+export const SASL_MECHANISMS = ['plain', 'scram-sha-256', 'scram-sha-512'];
+
+/**
+ * @typedef {Object} SecurityOptions
+ * @property {boolean} [ssl] Enable TLS (implied by SSL:// and SASL_SSL:// brokers and by any certificate file).
+ * @property {string} [caFile] PEM file with the CA certificate(s) used to verify brokers.
+ * @property {string} [certFile] PEM client certificate for mTLS (requires keyFile).
+ * @property {string} [keyFile] PEM client private key for mTLS (requires certFile).
+ * @property {string} [keyPassphrase] Passphrase of the client private key.
+ * @property {boolean} [rejectUnauthorized=true] Set to false to accept brokers with untrusted certificates.
+ * @property {'plain'|'scram-sha-256'|'scram-sha-512'} [saslMechanism] SASL mechanism.
+ * @property {string} [saslUsername] SASL username.
+ * @property {string} [saslPassword] SASL password.
+ */
+
+/**
+ * Reads a PEM file referenced by a security option.
+ * @param {string} file File path.
+ * @param {string} option Option name, for the error message.
+ * @returns {string} File contents.
+ * @throws {Error} If the file cannot be read.
+ */
+function readPem(file, option) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read ${option} ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Builds the KafkaJS `ssl` and `sasl` client options.
+ * TLS is enabled for SSL:// and SASL_SSL:// brokers, when `ssl` is true, or when a certificate file is given;
+ * SASL is enabled for SASL_* brokers or when a mechanism is given.
+ *
+ * @param {string|string[]} brokers Broker list, possibly with security protocol prefixes.
+ * @param {SecurityOptions} [security={}] Security options.
+ * @returns {{ssl?: (boolean|import('tls').ConnectionOptions), sasl?: import('kafkajs').SASLOptions}} Client options
+ *          to spread into `new Kafka({...})`; empty for plaintext connections.
+ * @throws {Error} If options are inconsistent, a mechanism is unsupported or a certificate file is unreadable.
+ */
+export function kafkaSecurityConfig(brokers, security = {}) {
+    const protocol = brokerSecurityProtocol(brokers);
+    const {caFile, certFile, keyFile, keyPassphrase, rejectUnauthorized, saslMechanism, saslUsername, saslPassword} = security;
+
+    if (Boolean(certFile) !== Boolean(keyFile)) throw new Error('certFile and keyFile must be set together');
+    const tls = protocol === 'SSL' || protocol === 'SASL_SSL' || security.ssl === true || Boolean(caFile || certFile);
+    const useSasl = protocol === 'SASL_SSL' || protocol === 'SASL_PLAINTEXT' || Boolean(saslMechanism);
+
+    const config = {};
+    if (tls) {
+        const ssl = {};
+        if (caFile) ssl.ca = [readPem(caFile, 'caFile')];
+        if (certFile) ssl.cert = readPem(certFile, 'certFile');
+        if (keyFile) ssl.key = readPem(keyFile, 'keyFile');
+        if (keyPassphrase) ssl.passphrase = keyPassphrase;
+        if (typeof rejectUnauthorized !== 'undefined') ssl.rejectUnauthorized = rejectUnauthorized;
+        config.ssl = Object.keys(ssl).length > 0 ? ssl : true;
+    }
+    if (useSasl) {
+        const mechanism = String(saslMechanism || '').toLowerCase();
+        if (!mechanism) throw new Error(`SASL mechanism is required for ${protocol} brokers`);
+        if (!SASL_MECHANISMS.includes(mechanism)) {
+            throw new Error(`Unsupported SASL mechanism: ${saslMechanism} (expected one of ${SASL_MECHANISMS.join(', ')})`);
+        }
+        if (!saslUsername || !saslPassword) throw new Error('SASL username and password are required');
+        config.sasl = {mechanism, username: saslUsername, password: saslPassword};
+    }
+    return config;
+}
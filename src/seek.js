@@ -0,0 +1,174 @@
+/**
+ * Start positions for consumers: replay from explicit offsets or a point in time, or skip to the latest record.
+ * Offsets are resolved with the admin client before the consumer runs and applied with consumer.seek()
+ * the first time each partition is assigned, so later rebalances do not rewind the group again.
+ *
+ * Exports:
+ * - parseStartPosition: normalizes a start position ("earliest", "latest", a timestamp, "0:42,1:100").
+ * - listSubscribedTopics: expands topic patterns to the existing topics they match.
+ * - resolveStartOffsets: looks up the offset to start from for every partition of the given topics.
+ * - seekOnAssignment: seeks partitions to their start offsets as they are assigned to a consumer.
+ */
+
+// Centralized logger
+import logger from './logger.js';
+
+// Kafka topic names are limited to [a-zA-Z0-9._-], so ":" safely separates topic, partition and offset
+const OFFSETS_PATTERN = /^\s*([a-zA-Z0-9._-]+:)?\d+:\d+(\s*,\s*([a-zA-Z0-9._-]+:)?\d+:\d+)*\s*$/;
+
+/**
+ * Parses a timestamp given as a Date, epoch milliseconds or a date string.
+ * @param {Date|number|string} input Timestamp.
+ * @returns {number|null} Epoch milliseconds, or null if the input is not a valid timestamp.
+ */
+function toTimestamp(input) {
+    if (input instanceof Date) return Number.isNaN(input.getTime()) ? null : input.getTime();
+    if (typeof input === 'number') return Number.isInteger(input) && input >= 0 ? input : null;
+    if (typeof input !== 'string' || input.trim() === '') return null;
+    if (/^\s*\d+\s*$/.test(input)) return Number(input);
+    const parsed = Date.parse(input);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Normalizes explicit offsets into a list of {topic, partition, offset} entries.
+ * @param {string|Array<{topic?: string, partition: number, offset: (string|number)}>|Object<string, (string|number)>} spec
+ *        "0:42,1:100" or "orders:0:42", an array of entries, or an object keyed by partition.
+ * @returns {{topic?: string, partition: number, offset: string}[]} Offsets; entries without topic apply to every topic.
+ */
+function toOffsets(spec) {
+    let entries;
+    if (typeof spec === 'string') {
+        entries = spec.split(',').map((item) => {
+            const parts = item.trim().split(':');
+            const [partition, offset] = parts.slice(-2);
+            return {topic: parts.length === 3 ? parts[0] : undefined, partition, offset};
+        });
+    } else if (Array.isArray(spec)) {
+        entries = spec;
+    } else if (spec && typeof spec === 'object') {
+        entries = Object.entries(spec).map(([partition, offset]) => ({partition, offset}));
+    } else {
+        throw new Error(`Invalid start offsets: ${spec}`);
+    }
+
+    return entries.map(({topic, partition, offset}) => {
+        const p = Number(partition);
+        if (!Number.isInteger(p) || p < 0) throw new Error(`Invalid start partition: ${partition}`);
+        if (!/^\d+$/.test(String(offset))) throw new Error(`Invalid start offset: ${offset}`);
+        return {...(topic ? {topic} : {}), partition: p, offset: String(offset)};
+    });
+}
+
+/**
+ * Normalizes a consumer start position.
+ * Accepts "earliest" (or "beginning"), "latest" (or "end"), a Date, epoch milliseconds or a date string
+ * ("2026-10-18T12:00Z"), explicit offsets ("0:42,1:100", "orders:0:42"), or one of the object forms
+ * {timestamp} / {offsets}.
+ *
+ * @param {string|number|Date|{timestamp: (Date|number|string)}|{offsets: (string|Array|Object)}} [spec] Start position.
+ * @returns {null|{type: 'earliest'}|{type: 'latest'}|{type: 'timestamp', timestamp: number}|
+ *           {type: 'offsets', offsets: {topic?: string, partition: number, offset: string}[]}}
+ *          Normalized position, or null when no position is given.
+ * @throws {Error} If the position cannot be parsed.
+ */
+export function parseStartPosition(spec) {
+    if (typeof spec === 'undefined' || spec === null || spec === '') return null;
+    if (spec && typeof spec === 'object' && !(spec instanceof Date)) {
+        if ('offsets' in spec) return {type: 'offsets', offsets: toOffsets(spec.offsets)};
+        if ('timestamp' in spec) {
+            const timestamp = toTimestamp(spec.timestamp);
+            if (timestamp === null) throw new Error(`Invalid start timestamp: ${spec.timestamp}`);
+            return {type: 'timestamp', timestamp};
+        }
+        throw new Error('start position object must have offsets or timestamp');
+    }
+    if (typeof spec === 'string') {
+        const text = spec.trim().toLowerCase();
+        if (text === 'earliest' || text === 'beginning') return {type: 'earliest'};
+        if (text === 'latest' || text === 'end') return {type: 'latest'};
+        if (OFFSETS_PATTERN.test(spec)) return {type: 'offsets', offsets: toOffsets(spec)};
+    }
+    const timestamp = toTimestamp(spec);
+    if (timestamp === null) throw new Error(`Invalid start position: ${spec}`);
+    return {type: 'timestamp', timestamp};
+}
+
+/**
+ * Expands subscribed topics into topic names. RegExp entries are matched against the topics that
+ * currently exist, like consumer.subscribe() does.
+ *
+ * @param {import('kafkajs').Admin} admin Connected admin client.
+ * @param {Array<string|RegExp>} topics Subscribed topics and patterns.
+ * @returns {Promise<string[]>} Topic names.
+ */
+export async function listSubscribedTopics(admin, topics) {
+    const names = topics.filter((t) => typeof t === 'string');
+    const patterns = topics.filter((t) => t instanceof RegExp);
+    if (patterns.length === 0) return names;
+    const existing = await admin.listTopics();
+    const matched = existing.filter((name) => patterns.some((p) => p.test(name)));
+    return [...new Set([...names, ...matched])];
+}
+
+/**
+ * Resolves the offset to start from for every partition of the given topics (see listSubscribedTopics).
+ *
+ * @param {Object} params Resolution parameters.
+ * @param {import('kafkajs').Admin} params.admin Connected admin client.
+ * @param {Array<string|RegExp>} params.topics Subscribed topics and patterns.
+ * @param {ReturnType<typeof parseStartPosition>} params.position Normalized start position.
+ * @returns {Promise<{topic: string, partition: number, offset: string}[]>} Offsets to seek to.
+ */
+export async function resolveStartOffsets({admin, topics, position}) {
+    if (!position) return [];
+    const names = await listSubscribedTopics(admin, topics);
+
+    if (position.type === 'offsets') {
+        return names.flatMap((topic) => position.offsets
+            .filter((entry) => !entry.topic || entry.topic === topic)
+            .map(({partition, offset}) => ({topic, partition, offset})));
+    }
+
+    const resolved = [];
+    for (const topic of names) {
+        const partitions = position.type === 'timestamp'
+            ? await admin.fetchTopicOffsetsByTimestamp(topic, position.timestamp)
+            : (await admin.fetchTopicOffsets(topic)).map(({partition, low, high}) => ({
+                partition,
+                offset: position.type === 'earliest' ? low : high,
+            }));
+        for (const {partition, offset} of partitions) resolved.push({topic, partition, offset: String(offset)});
+    }
+    return resolved;
+}
+
+/**
+ * Seeks each partition to its start offset the first time it is assigned to this consumer.
+ * Must be registered before consumer.run(); KafkaJS emits GROUP_JOIN before fetching, so the seek
+ * takes effect before the first record of the partition is delivered.
+ * Partitions assigned to other members of the group keep their committed offsets.
+ *
+ * @param {import('kafkajs').Consumer} consumer KafkaJS consumer.
+ * @param {{topic: string, partition: number, offset: string}[]} offsets Offsets from resolveStartOffsets.
+ * @returns {() => void} Removes the listener.
+ */
+export function seekOnAssignment(consumer, offsets) {
+    const pending = new Map(offsets.map((entry) => [`${entry.topic}:${entry.partition}`, entry]));
+    if (pending.size === 0) return () => {};
+
+    const remove = consumer.on(consumer.events.GROUP_JOIN, ({payload}) => {
+        for (const [topic, partitions] of Object.entries(payload.memberAssignment || {})) {
+            for (const partition of partitions) {
+                const key = `${topic}:${partition}`;
+                const entry = pending.get(key);
+                if (!entry) continue;
+                pending.delete(key);
+                logger.child({topic, partition}).info(`Seeking to offset ${entry.offset}`);
+                consumer.seek(entry);
+            }
+        }
+        if (pending.size === 0) remove();
+    });
+    return remove;
+}
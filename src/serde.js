@@ -0,0 +1,227 @@
+/**
+ * Serializers and deserializers (serdes) for message keys and values.
+ * A serde is a built-in codec name ("json", "string", "bytes", "base64"), a function, or an object with
+ * serialize/deserialize methods; functions and methods may be async. Null keys and values pass through
+ * untouched in both directions. The "avro" and "protobuf" serdes need schemas and are built from configuration
+ * (see serdesFromConfig, src/avro.js and src/protobuf.js).
+ *
+ * Exports:
+ * - CODECS: the built-in codecs by name.
+ * - SERDE_NAMES: serde names accepted in configuration (the built-in codecs, "avro" and "protobuf").
+ * - STRUCTURED_SERDES: serdes that encode objects rather than text or bytes.
+ * - resolveSerializer: turns a serde spec into a serialize function.
+ * - resolveDeserializer: turns a serde spec into a deserialize function.
+ * - createMessageSerializer: serializes the key and value of producer messages.
+ * - createMessageDeserializer: deserializes the key and value of consumed messages.
+ * - serdesFromConfig: builds key and value serdes from the configuration (see src/config.js).
+ */
+import fs from 'fs';
+import {createAvroSerde} from './avro.js';
+import {createSchemaRegistry} from './registry.js';
+import {createProtobufSerde} from './protobuf.js';
+
+/**
+ * @typedef {Object} Codec
+ * @property {(value: unknown, context: SerdeContext) => (string|Buffer|null|Promise<string|Buffer|null>)} serialize
+ * @property {(data: Buffer, context: SerdeContext) => (unknown|Promise<unknown>)} deserialize
+ */
+
+/**
+ * @typedef {Object} SerdeContext
+ * @property {string} topic Topic the message is sent to or was read from.
+ * @property {'key'|'value'} field Which part of the message is being converted.
+ * @property {number} [partition] Partition (consumer side).
+ * @property {import('kafkajs').IHeaders} [headers] Message headers.
+ */
+
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/** @type {Object<string, Codec>} */
+export const CODECS = {
+    json: {
+        serialize(value) {
+            const text = JSON.stringify(value);
+            if (typeof text === 'undefined') throw new Error(`${typeof value} is not JSON-serializable`);
+            return text;
+        },
+        deserialize: (data) => JSON.parse(data.toString('utf8')),
+    },
+    string: {
+        serialize(value) {
+            if (typeof value === 'object' || typeof value === 'function' || typeof value === 'symbol') {
+                throw new Error(`expected a string, got: ${Array.isArray(value) ? 'array' : typeof value}`);
+            }
+            return String(value);
+        },
+        deserialize: (data) => data.toString('utf8'),
+    },
+    bytes: {
+        serialize(value) {
+            if (Buffer.isBuffer(value)) return value;
+            if (value instanceof Uint8Array) return Buffer.from(value);
+            throw new Error(`expected a Buffer, got: ${typeof value}`);
+        },
+        deserialize: (data) => data,
+    },
+    base64: {
+        serialize(value) {
+            if (typeof value !== 'string' || value.length % 4 !== 0 || !BASE64.test(value)) {
+                throw new Error('expected a base64 string');
+            }
+            return Buffer.from(value, 'base64');
+        },
+        deserialize: (data) => data.toString('base64'),
+    },
+};
+
+export const STRUCTURED_SERDES = ['avro', 'protobuf'];
+
+export const SERDE_NAMES = [...Object.keys(CODECS), ...STRUCTURED_SERDES];
+
+/**
+ * Looks up a serde spec.
+ * @param {string|Function|Codec} spec Codec name, function or codec object.
+ * @param {'serialize'|'deserialize'} direction Which function is needed.
+ * @returns {Function} The function.
+ * @throws {Error} If the name is unknown or the object lacks the method.
+ */
+function resolve(spec, direction) {
+    if (typeof spec === 'function') return spec;
+    if (typeof spec === 'string') {
+        const codec = CODECS[spec.toLowerCase()];
+        if (!codec) throw new Error(`Unknown serde "${spec}" (expected one of ${Object.keys(CODECS).join(', ')})`);
+        return codec[direction];
+    }
+    if (spec && typeof spec[direction] === 'function') return spec[direction].bind(spec);
+    throw new Error(`serde must be a codec name, a function or an object with ${direction}()`);
+}
+
+/**
+ * Resolves a serializer.
+ * @param {string|Function|Codec} spec Codec name, `(value, context) => data` function, or codec object.
+ * @returns {(value: unknown, context: SerdeContext) => Promise<string|Buffer|null>} Serialize function.
+ * @throws {Error} If the spec is invalid.
+ */
+export function resolveSerializer(spec) {
+    const serialize = resolve(spec, 'serialize');
+    return async (value, context) => (value === null || typeof value === 'undefined' ? value : serialize(value, context));
+}
+
+/**
+ * Resolves a deserializer.
+ * @param {string|Function|Codec} spec Codec name, `(data, context) => value` function, or codec object.
+ * @returns {(data: (Buffer|null), context: SerdeContext) => Promise<unknown>} Deserialize function.
+ * @throws {Error} If the spec is invalid.
+ */
+export function resolveDeserializer(spec) {
+    const deserialize = resolve(spec, 'deserialize');
+    return async (data, context) => (data === null || typeof data === 'undefined' ? null : deserialize(data, context));
+}
+
+/**
+ * Creates a function that serializes the key and value of a producer message. Parts without a serializer are left
+ * to the producer's default handling (keys stringified, non-string values JSON-encoded).
+ *
+ * @param {{key?: (string|Function|Codec), value?: (string|Function|Codec)}} [serializer] Serdes for key and value.
+ * @returns {((message: Object, context: {topic: string}) => Promise<Object>)|null} Serializer, or null when
+ *          neither key nor value has a serde.
+ * @throws {Error} If a spec is invalid.
+ */
+export function createMessageSerializer(serializer) {
+    if (!serializer || (!serializer.key && !serializer.value)) return null;
+    const fields = ['key', 'value']
+        .filter((field) => serializer[field])
+        .map((field) => [field, resolveSerializer(serializer[field])]);
+    return async (message, {topic}) => {
+        const result = {...message};
+        for (const [field, serialize] of fields) {
+            try {
+                result[field] = await serialize(message[field], {topic, field, headers: message.headers});
+            } catch (err) {
+                throw new Error(`Cannot serialize ${field} for topic ${topic}: ${err.message}`, {cause: err});
+            }
+        }
+        return result;
+    };
+}
+
+/**
+ * Creates a function that deserializes the key and value of a consumed message into a copy of it.
+ *
+ * @param {{key?: (string|Function|Codec), value?: (string|Function|Codec)}} [deserializer] Serdes for key and value.
+ * @returns {((payload: {topic: string, partition: number, message: import('kafkajs').KafkaMessage}) => Promise<Object>)|null}
+ *          Deserializer returning the message with decoded key/value, or null when neither has a serde.
+ * @throws {Error} If a spec is invalid.
+ */
+export function createMessageDeserializer(deserializer) {
+    if (!deserializer || (!deserializer.key && !deserializer.value)) return null;
+    const fields = ['key', 'value']
+        .filter((field) => deserializer[field])
+        .map((field) => [field, resolveDeserializer(deserializer[field])]);
+    return async ({topic, partition, message}) => {
+        const result = {...message};
+        for (const [field, deserialize] of fields) {
+            try {
+                result[field] = await deserialize(message[field], {topic, partition, field, headers: message.headers});
+            } catch (err) {
+                throw new Error(
+                    `Cannot deserialize ${field} of ${topic}[${partition}]@${message.offset}: ${err.message}`,
+                    {cause: err},
+                );
+            }
+        }
+        return result;
+    };
+}
+
+/**
+ * Reads an Avro schema file.
+ * @param {string} file Path to an .avsc file.
+ * @returns {Object} Parsed schema.
+ * @throws {Error} If the file cannot be read or is not JSON.
+ */
+function readSchemaFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read schema file ${file}: ${err.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid JSON in schema file ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Builds key and value serdes from the resolved configuration. Built-in codec names are passed through.
+ * "avro" becomes an Avro codec using the schema file from keySchema/valueSchema (optional; without one the subject's
+ * latest schema is used) and one registry shared by key and value: the HTTP registry at schemaRegistry.url,
+ * otherwise the local stand-in (kept in schemaRegistry.file when set). "protobuf" becomes a Protobuf codec for the
+ * keyProtoType/valueProtoType message from protoFile.
+ *
+ * @param {{keySerde?: string, valueSerde?: string, keySchema?: string, valueSchema?: string,
+ *          schemaRegistry?: {url?: string, file?: string, username?: string, password?: string, compatibility?: string},
+ *          protoFile?: string, keyProtoType?: string, valueProtoType?: string}} config
+ *        Resolved configuration (see loadConfig).
+ * @returns {{key?: (string|Codec), value?: (string|Codec)}|undefined} Serdes, or undefined when neither is set.
+ * @throws {Error} If a schema or proto file cannot be read, the message type is missing or the registry file is
+ *         invalid.
+ */
+export function serdesFromConfig({
+    keySerde, valueSerde, keySchema, valueSchema, schemaRegistry, protoFile, keyProtoType, valueProtoType,
+} = {}) {
+    if (!keySerde && !valueSerde) return undefined;
+    let registry;
+    const build = (name, schemaFile, protoType) => {
+        if (name === 'protobuf') {
+            if (!protoFile) throw new Error('The protobuf serde requires a proto file (PROTO_FILE)');
+            return createProtobufSerde({protoFile, messageType: protoType});
+        }
+        if (name !== 'avro') return name;
+        registry ??= createSchemaRegistry(schemaRegistry);
+        return createAvroSerde({registry, schema: schemaFile ? readSchemaFile(schemaFile) : undefined});
+    };
+    return {key: build(keySerde, keySchema, keyProtoType), value: build(valueSerde, valueSchema, valueProtoType)};
+}
@@ -3,23 +3,54 @@
  *
  * Exports:
  * - parseBrokers: normalizes brokers (string or array) to an array of host:port strings.
+ * - brokerSecurityProtocol: infers the security protocol from broker URL prefixes (SSL://, SASL_SSL://, ...).
  * - waitForKafkaConnectivity: waits for admin.describeCluster to succeed.
+ * - parseDuration: converts "500ms", "5s", "1m", "2h" or a number of milliseconds to milliseconds.
+ * - parseTopics: normalizes a topic spec (name, comma-separated list, /regex/, RegExp or array) to subscriptions.
+ * - formatTopics: renders a topic spec for log messages.
+ * - startHttpServer: binds an HTTP server and resolves once it listens (used by the metrics and health endpoints).
  */
+import http from 'http';
+
+const PROTOCOL_PREFIX = /^(PLAINTEXT|SSL|SASL_SSL|SASL_PLAINTEXT):\/\//i;
+
+/**
+ * Splits a broker list into trimmed, non-empty entries (prefixes kept).
+ * @param {string|string[]} input Broker endpoints as a string or array.
+ * @returns {string[]} Broker entries.
+ */
+function brokerEntries(input) {
+  if (Array.isArray(input)) return input.map((b) => String(b).trim()).filter(Boolean);
+  if (typeof input !== 'string') return [];
+  return input.split(',').map((b) => b.trim()).filter(Boolean);
+}
 
 /**
  * Normalizes broker endpoints into an array of host:port strings.
  * Accepts either a comma-separated string ("host1:port1,host2:port2")
- * or an array of strings. Strips the optional "PLAINTEXT://" prefix.
+ * or an array of strings. Strips the optional "PLAINTEXT://", "SSL://", "SASL_SSL://"
+ * and "SASL_PLAINTEXT://" prefixes (see brokerSecurityProtocol).
  * @param {string|string[]} input Broker endpoints as a string or array.
  * @returns {string[]} Array of brokers in "host:port" format. Returns [] for invalid input.
  */
 export function parseBrokers(input) {
-  if (Array.isArray(input)) return input;
-  if (typeof input !== 'string') return [];
-  return input
-    .split(',')
-    .map((b) => b.trim().replace(/^PLAINTEXT:\/\//, ''))
-    .filter(Boolean);
+  return brokerEntries(input).map((b) => b.replace(PROTOCOL_PREFIX, ''));
+}
+
+/**
+ * Infers the security protocol from broker URL prefixes, e.g. "SASL_SSL://broker:9096".
+ * @param {string|string[]} input Broker endpoints as a string or array.
+ * @returns {'PLAINTEXT'|'SSL'|'SASL_SSL'|'SASL_PLAINTEXT'|null} The protocol, or null when no broker has a prefix.
+ * @throws {Error} If brokers use different protocols.
+ */
+export function brokerSecurityProtocol(input) {
+  const protocols = new Set();
+  for (const broker of brokerEntries(input)) {
+    const match = PROTOCOL_PREFIX.exec(broker);
+    if (match) protocols.add(match[1].toUpperCase());
+  }
+  if (protocols.size > 1) throw new Error(`Brokers mix security protocols: ${[...protocols].join(', ')}`);
+  return protocols.size === 1 ? [...protocols][0] : null;
 }
 
 /**
@@ -52,3 +83,107 @@ export async function waitForKafkaConnectivity(kafka, timeoutMs = 10000) {
     try { await admin.disconnect(); } catch {}
   }
 }
+
+const DURATION_UNITS = {ms: 1, s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000};
+
+/**
+ * Parses a human-friendly duration into milliseconds.
+ * Accepts a non-negative number (milliseconds) or a string such as "250ms", "5s", "1m", "2h", "1d".
+ * A bare numeric string is treated as milliseconds.
+ * @param {number|string} input Duration to parse.
+ * @returns {number} Duration in milliseconds.
+ * @throws {Error} If the input is not a valid duration.
+ */
+export function parseDuration(input) {
+  if (typeof input === 'number') {
+    if (Number.isFinite(input) && input >= 0) return input;
+    throw new Error(`Invalid duration: ${input}`);
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(input ?? ''));
+  if (!match) throw new Error(`Invalid duration: ${input}`);
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Parses a single topic entry: "/pattern/flags" becomes a RegExp, anything else a trimmed topic name.
+ * @param {string|RegExp} entry Topic name, regex literal string, or RegExp.
+ * @returns {string|RegExp} Topic name or pattern.
+ * @throws {Error} If the regex literal is invalid.
+ */
+function parseTopic(entry) {
+  if (entry instanceof RegExp) return entry;
+  const text = String(entry).trim();
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (!literal) return text;
+  try {
+    return new RegExp(literal[1], literal[2]);
+  } catch (err) {
+    throw new Error(`Invalid topic pattern ${text}: ${err.message}`);
+  }
+}
+
+/**
+ * Normalizes topic subscriptions into an array of topic names and RegExp patterns.
+ * Accepts a topic name, a comma-separated list ("orders,payments"), a regex literal string
+ * ("/^orders\./"), a RegExp, or an array of any of these. Duplicate names are removed.
+ * @param {string|RegExp|Array<string|RegExp>} input Topic spec.
+ * @returns {Array<string|RegExp>} Topics and patterns to subscribe to. Returns [] for empty input.
+ * @throws {Error} If a regex literal is invalid.
+ */
+export function parseTopics(input) {
+  if (input instanceof RegExp) return [input];
+  let entries;
+  if (Array.isArray(input)) entries = input;
+  else if (typeof input === 'string') entries = /^\s*\/.*\/[a-z]*\s*$/.test(input) ? [input] : input.split(',');
+  else return [];
+
+  const seen = new Set();
+  const topics = [];
+  for (const entry of entries) {
+    if (entry === null || typeof entry === 'undefined') continue;
+    const topic = parseTopic(entry);
+    if (topic === '') continue;
+    const id = String(topic);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    topics.push(topic);
+  }
+  return topics;
+}
+
+/**
+ * Renders topics for log output, e.g. "orders, /^payments\./".
+ * @param {string|RegExp|Array<string|RegExp>} input Topic spec (see parseTopics).
+ * @returns {string} Human-readable topic list.
+ */
+export function formatTopics(input) {
+  return parseTopics(input).map(String).join(', ');
+}
+
+/**
+ * Starts an HTTP server with the given request handler.
+ * @param {http.RequestListener} handler Request handler.
+ * @param {{port: number, host?: string}} options Port to listen on (0 picks a free one) and interface to bind
+ *        (default: all).
+ * @returns {Promise<{port: number, close: () => Promise<void>}>} Bound port and a function that stops the server and
+ *          drops open connections.
+ * @throws {Error} If the port cannot be bound.
+ */
+export async function startHttpServer(handler, {port, host}) {
+  const server = http.createServer(handler);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  return {
+    port: server.address().port,
+    close: () => new Promise((resolve) => {
+      server.close(() => resolve());
+      // Keep-alive clients (scrapers, probes) would otherwise hold the server open
+      server.closeAllConnections();
+    }),
+  };
+}
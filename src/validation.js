@@ -0,0 +1,106 @@
+/**
+ * Per-topic JSON Schema validation of message values, applied before sending (producer) and after
+ * deserialization (consumer). Schemas (draft-07) are compiled once with Ajv, and formats such as "date-time"
+ * and "email" are checked.
+ *
+ * Exports:
+ * - ValidationError: a value that does not match its topic's schema.
+ * - loadJsonSchemas: reads a JSON file mapping topic names to schemas.
+ * - createMessageValidator: compiles the schemas into a validate(topic, value) function.
+ */
+import fs from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/**
+ * Error thrown when a message value does not match the JSON Schema of its topic.
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} message Error message.
+     * @param {{topic: string, errors?: import('ajv').ErrorObject[]}} details Topic and Ajv errors.
+     */
+    constructor(message, {topic, errors = []}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.topic = topic;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Reads the schemas file: a JSON object whose keys are topic names and whose values are JSON Schemas.
+ * @param {string} file Path to the file.
+ * @returns {Object<string, Object>} Schemas by topic.
+ * @throws {Error} If the file cannot be read, is not JSON or is not an object.
+ */
+export function loadJsonSchemas(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read JSON Schema file ${file}: ${err.message}`);
+    }
+    let schemas;
+    try {
+        schemas = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+    }
+    if (!schemas || typeof schemas !== 'object' || Array.isArray(schemas)) {
+        throw new Error(`${file} must map topic names to JSON Schemas`);
+    }
+    return schemas;
+}
+
+/**
+ * Renders Ajv errors as one line, e.g. "/amount must be number; (root) must have required property 'id'".
+ * @param {import('ajv').ErrorObject[]} errors Ajv errors.
+ * @returns {string} Error summary.
+ */
+function formatErrors(errors) {
+    return errors.map(({instancePath, message}) => `${instancePath || '(root)'} ${message}`).join('; ');
+}
+
+/**
+ * Compiles per-topic schemas. The returned function validates a message value against its topic's schema; topics
+ * without a schema are not checked. Strings and Buffers are parsed as JSON text first, other values (e.g. objects
+ * decoded by a serde) are validated as they are.
+ *
+ * @param {Object<string, Object>} [schemas] JSON Schemas by topic name.
+ * @returns {((topic: string, value: unknown) => void)|null} Validator that throws a ValidationError, or null when
+ *          there are no schemas.
+ * @throws {Error} If a schema is invalid.
+ */
+export function createMessageValidator(schemas) {
+    if (!schemas || Object.keys(schemas).length === 0) return null;
+    const ajv = new Ajv({allErrors: true});
+    addFormats(ajv);
+    const validators = new Map();
+    for (const [topic, schema] of Object.entries(schemas)) {
+        try {
+            validators.set(topic, ajv.compile(schema));
+        } catch (err) {
+            throw new Error(`Invalid JSON Schema for topic ${topic}: ${err.message}`);
+        }
+    }
+
+    return (topic, value) => {
+        const validate = validators.get(topic);
+        if (!validate) return;
+        let data = value;
+        if (typeof value === 'string' || Buffer.isBuffer(value)) {
+            try {
+                data = JSON.parse(value.toString('utf8'));
+            } catch (err) {
+                throw new ValidationError(`Value for topic ${topic} is not valid JSON: ${err.message}`, {topic});
+            }
+        }
+        if (!validate(data)) {
+            throw new ValidationError(
+                `Value for topic ${topic} does not match its JSON Schema: ${formatErrors(validate.errors)}`,
+                {topic, errors: validate.errors},
+            );
+        }
+    };
+}
@@ -0,0 +1,221 @@
+import {describe, test, expect, beforeEach, afterEach, jest} from '@jest/globals';
+import pkg from 'kafkajs';
+import {
+    listTopics,
+    describeTopics,
+    createTopic,
+    deleteTopic,
+    alterTopicConfigs,
+    addPartitions,
+    formatTopicDescription,
+    main,
+} from '../src/admin.js';
+import {fakeAdmin} from './fake-admin.js';
+
+const {ConfigResourceTypes} = pkg;
+const ORIGINAL_ENV = process.env;
+
+describe('admin operations', () => {
+    test('listTopics sorts names and hides internal topics unless asked', async () => {
+        const admin = fakeAdmin({b: {partitions: 1, overrides: {}}, a: {partitions: 1, overrides: {}}});
+
+        await expect(listTopics({admin})).resolves.toEqual(['a', 'b']);
+        await expect(listTopics({admin, includeInternal: true})).resolves.toEqual(['__consumer_offsets', 'a', 'b']);
+    });
+
+    test('describeTopics returns partitions by number, effective configs and overrides', async () => {
+        const admin = fakeAdmin({orders: {partitions: 2, replicationFactor: 2, overrides: {'retention.ms': '1000'}}});
+
+        await expect(describeTopics({admin, topics: ['orders']})).resolves.toEqual([{
+            topic: 'orders',
+            replicationFactor: 2,
+            partitions: [
+                {partition: 0, leader: 1, replicas: [1, 2], isr: [1]},
+                {partition: 1, leader: 1, replicas: [1, 2], isr: [1]},
+            ],
+            configs: {'cleanup.policy': 'delete', 'retention.ms': '1000'},
+            overrides: {'retention.ms': '1000'},
+        }]);
+        expect(admin.describeConfigs).toHaveBeenCalledWith({
+            resources: [{type: ConfigResourceTypes.TOPIC, name: 'orders'}],
+            includeSynonyms: false,
+        });
+    });
+
+    test('describeTopics rejects missing topics without requesting their metadata', async () => {
+        const admin = fakeAdmin();
+
+        await expect(describeTopics({admin, topics: ['nope']})).rejects.toThrow('Topic nope does not exist');
+        expect(admin.fetchTopicMetadata).not.toHaveBeenCalled();
+    });
+
+    test('createTopic sends partitions, replication factor and configs, and is a no-op with ifNotExists', async () => {
+        const admin = fakeAdmin();
+
+        await expect(createTopic({admin, topic: 't', partitions: 3, replicationFactor: 1, configs: {'retention.ms': 60000}}))
+            .resolves.toBe(true);
+        expect(admin.createTopics).toHaveBeenCalledWith({
+            topics: [{topic: 't', numPartitions: 3, replicationFactor: 1, configEntries: [{name: 'retention.ms', value: '60000'}]}],
+        });
+
+        await expect(createTopic({admin, topic: 't', ifNotExists: true})).resolves.toBe(false);
+        await expect(createTopic({admin, topic: 't'})).rejects.toThrow('Topic t already exists');
+    });
+
+    test('deleteTopic deletes existing topics and skips missing ones with ifExists', async () => {
+        const admin = fakeAdmin({t: {partitions: 1, overrides: {}}});
+
+        await expect(deleteTopic({admin, topic: 't'})).resolves.toBe(true);
+        await expect(deleteTopic({admin, topic: 't', ifExists: true})).resolves.toBe(false);
+        await expect(deleteTopic({admin, topic: 't'})).rejects.toThrow('Topic t does not exist');
+        expect(admin.deleteTopics).toHaveBeenCalledTimes(1);
+    });
+
+    test('alterTopicConfigs keeps other overrides and skips values already in effect', async () => {
+        const admin = fakeAdmin({t: {partitions: 1, overrides: {'retention.ms': '1000'}}});
+
+        await expect(alterTopicConfigs({admin, topic: 't', configs: {'cleanup.policy': 'compact', 'retention.ms': 1000}}))
+            .resolves.toEqual({'cleanup.policy': {from: 'delete', to: 'compact'}});
+        expect(admin.state.t.overrides).toEqual({'retention.ms': '1000', 'cleanup.policy': 'compact'});
+
+        await expect(alterTopicConfigs({admin, topic: 't', configs: {'cleanup.policy': 'compact'}})).resolves.toEqual({});
+        expect(admin.alterConfigs).toHaveBeenCalledTimes(1);
+    });
+
+    test('addPartitions grows topics, skips matching counts and refuses to shrink', async () => {
+        const admin = fakeAdmin({t: {partitions: 2, overrides: {}}});
+
+        await expect(addPartitions({admin, topic: 't', partitions: 4})).resolves.toBe(true);
+        expect(admin.createPartitions).toHaveBeenCalledWith({topicPartitions: [{topic: 't', count: 4}]});
+        await expect(addPartitions({admin, topic: 't', partitions: 4})).resolves.toBe(false);
+        await expect(addPartitions({admin, topic: 't', partitions: 3}))
+            .rejects.toThrow('Topic t has 4 partitions; partitions cannot be removed (requested 3)');
+    });
+
+    test('formatTopicDescription follows the kafka-topics.sh layout', () => {
+        const text = formatTopicDescription([{
+            topic: 'orders',
+            replicationFactor: 1,
+            partitions: [{partition: 0, leader: 1, replicas: [1], isr: [1]}],
+            configs: {},
+            overrides: {'cleanup.policy': 'compact', 'retention.ms': '1000'},
+        }]);
+
+        expect(text).toBe([
+            'Topic: orders\tPartitions: 1\tReplicationFactor: 1\tConfigs: cleanup.policy=compact,retention.ms=1000',
+            '\tPartition: 0\tLeader: 1\tReplicas: 1\tIsr: 1',
+            '',
+        ].join('\n'));
+    });
+});
+
+describe('admin CLI', () => {
+    let stdout;
+    let stderr;
+
+    beforeEach(() => {
+        process.env = {...ORIGINAL_ENV};
+        for (const name of ['KAFKA_CONFIG', 'KAFKA_TOPIC', 'TOPIC_PARTITIONS', 'TOPIC_REPLICATION_FACTOR']) delete process.env[name];
+        process.exitCode = undefined;
+        stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+        process.env = ORIGINAL_ENV;
+        process.exitCode = undefined;
+        jest.restoreAllMocks();
+    });
+
+    const run = async (admin, argv) => {
+        const createAdminClient = jest.fn(() => admin);
+        await main({createAdminClient}, argv);
+        return createAdminClient;
+    };
+
+    test('create --if-not-exists creates missing topics and skips existing ones', async () => {
+        const admin = fakeAdmin({a: {partitions: 1, overrides: {}}});
+
+        const createAdminClient = await run(admin, [
+            'create', '-b', 'k:9092', '-t', 'a,b', '-p', '3', '-r', '1', '--topic-config', 'retention.ms=1000', '--if-not-exists',
+        ]);
+
+        expect(createAdminClient).toHaveBeenCalledWith(expect.objectContaining({brokers: 'k:9092', partitions: 3, replicationFactor: 1}));
+        expect(admin.state.b).toEqual({partitions: 3, replicationFactor: 1, overrides: {'retention.ms': '1000'}});
+        expect(process.exitCode).toBeUndefined();
+        expect(admin.disconnect).toHaveBeenCalled();
+    });
+
+    test('create without --if-not-exists fails on an existing topic with exit code 1', async () => {
+        const admin = fakeAdmin({a: {partitions: 1, overrides: {}}});
+
+        await run(admin, ['create', '-t', 'a']);
+
+        expect(process.exitCode).toBe(1);
+        expect(stderr.mock.calls.join('')).toContain('Topic a already exists');
+        expect(admin.disconnect).toHaveBeenCalled();
+    });
+
+    test('list and describe print to stdout; describe expands patterns', async () => {
+        const admin = fakeAdmin({'orders.eu': {partitions: 1, overrides: {}}, other: {partitions: 1, overrides: {}}});
+
+        await run(admin, ['list']);
+        await run(admin, ['describe', '-t', '/^orders\\./']);
+
+        expect(stdout.mock.calls[0][0]).toBe('orders.eu\nother\n');
+        expect(stdout.mock.calls[1][0]).toMatch(/^Topic: orders\.eu\tPartitions: 1/);
+    });
+
+    test('alter-config, add-partitions and delete --if-exists are idempotent', async () => {
+        const admin = fakeAdmin({t: {partitions: 1, overrides: {}}});
+
+        for (let i = 0; i < 2; i++) {
+            await run(admin, ['alter-config', '-t', 't', '--topic-config', 'cleanup.policy=compact']);
+            await run(admin, ['add-partitions', '-t', 't', '-p', '2']);
+        }
+        await run(admin, ['delete', '-t', 't', '--if-exists']);
+        await run(admin, ['delete', '-t', 't', '--if-exists']);
+
+        expect(admin.alterConfigs).toHaveBeenCalledTimes(1);
+        expect(admin.createPartitions).toHaveBeenCalledTimes(1);
+        expect(admin.deleteTopics).toHaveBeenCalledTimes(1);
+        expect(process.exitCode).toBeUndefined();
+    });
+
+    test.each([
+        [[], 'Missing command: expected one of list, describe, create, delete, alter-config, add-partitions'],
+        [['rename'], 'Unknown command "rename"'],
+        [['add-partitions', '-t', 't'], 'add-partitions requires --partitions'],
+        [['delete'], 'delete requires an explicit --topic'],
+        [['alter-config', '--topic-config', 'a=b'], 'alter-config requires an explicit --topic'],
+        [['add-partitions', '-p', '2'], 'add-partitions requires an explicit --topic'],
+        [['alter-config', '-t', 't'], 'alter-config requires --topic-config'],
+        [['create', '-t', '/x/'], 'create takes topic names, not patterns'],
+        [['create', '--topic-config', 'oops'], 'Invalid topic config "oops": expected key=value'],
+    ])('usage error for %j', async (argv, message) => {
+        const createAdminClient = await run(fakeAdmin(), argv);
+
+        expect(createAdminClient).not.toHaveBeenCalled();
+        expect(stderr.mock.calls.join('')).toContain(message);
+        expect(process.exitCode).toBe(2);
+    });
+
+    test('delete ignores KAFKA_TOPIC and requires --topic', async () => {
+        process.env.KAFKA_TOPIC = 'live';
+        const admin = fakeAdmin({live: {partitions: 1, overrides: {}}});
+
+        const createAdminClient = await run(admin, ['delete', '--if-exists']);
+
+        expect(createAdminClient).not.toHaveBeenCalled();
+        expect(admin.state.live).toBeDefined();
+        expect(stderr.mock.calls.join('')).toContain('delete requires an explicit --topic');
+        expect(process.exitCode).toBe(2);
+    });
+
+    test('--help lists the commands', async () => {
+        await run(fakeAdmin(), ['--help']);
+
+        expect(stdout.mock.calls[0][0]).toContain('Usage: node src/admin.js <command> [options]');
+        expect(stdout.mock.calls[0][0]).toContain('  add-partitions  Grow the topics to --partitions partitions');
+    });
+});
@@ -0,0 +1,123 @@
+import {describe, test, expect, beforeEach, afterEach} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {encodeFrame, decodeFrame, createAvroSerde} from '../src/avro.js';
+import {createLocalSchemaRegistry} from '../src/registry.js';
+import {createMessageSerializer, createMessageDeserializer, serdesFromConfig} from '../src/serde.js';
+
+const userV1 = {type: 'record', name: 'User', fields: [{name: 'id', type: 'long'}, {name: 'name', type: 'string'}]};
+const userV2 = {type: 'record', name: 'User', fields: [
+    {name: 'id', type: 'long'},
+    {name: 'name', type: 'string'},
+    {name: 'email', type: ['null', 'string'], default: null},
+]};
+const context = {topic: 'users', field: 'value'};
+
+describe('Confluent wire format', () => {
+    test('frames payloads with the magic byte and a big-endian schema ID', () => {
+        const frame = encodeFrame(258, Buffer.from([9]));
+        expect([...frame]).toEqual([0, 0, 0, 1, 2, 9]);
+        expect(decodeFrame(frame)).toEqual({schemaId: 258, payload: Buffer.from([9])});
+    });
+
+    test('rejects short records and unknown magic bytes', () => {
+        expect(() => decodeFrame(Buffer.from([0, 0]))).toThrow('expected a Confluent-framed Avro record of at least 5 bytes');
+        expect(() => decodeFrame(Buffer.from('{"id":1}'))).toThrow('Unknown magic byte 123 (expected 0)');
+    });
+});
+
+describe('createAvroSerde', () => {
+    test('registers the schema under <topic>-<field> and round-trips records', async () => {
+        const registry = createLocalSchemaRegistry();
+        const serde = createAvroSerde({registry, schema: JSON.stringify(userV1)});
+        const data = await serde.serialize({id: 1, name: 'Ada'}, context);
+
+        const {id} = await registry.getLatest('users-value');
+        expect(decodeFrame(data).schemaId).toBe(id);
+        expect(await serde.deserialize(data, context)).toEqual({id: 1, name: 'Ada'});
+    });
+
+    test('writes with the latest registered schema when none is given', async () => {
+        const registry = createLocalSchemaRegistry();
+        await registry.register('users-value', userV1);
+        const data = await createAvroSerde({registry}).serialize({id: 2, name: 'Grace'}, context);
+        expect(await createAvroSerde({registry}).deserialize(data, context)).toEqual({id: 2, name: 'Grace'});
+        await expect(createAvroSerde({registry}).serialize({id: 2}, {topic: 'orders', field: 'value'}))
+            .rejects.toThrow('Subject orders-value not found');
+    });
+
+    test('resolves records written with an older schema version to the reader schema', async () => {
+        const registry = createLocalSchemaRegistry();
+        const oldData = await createAvroSerde({registry, schema: userV1}).serialize({id: 1, name: 'Ada'}, context);
+        const reader = createAvroSerde({registry, schema: userV2});
+        expect(await reader.deserialize(oldData, context)).toEqual({id: 1, name: 'Ada', email: null});
+        expect((await registry.getLatest('users-value')).version).toBe(1);
+
+        await reader.serialize({id: 2, name: 'Grace', email: 'g@example.com'}, context);
+        expect((await registry.getLatest('users-value')).version).toBe(2);
+    });
+
+    test('fails for values that do not match the schema and for incompatible schemas', async () => {
+        const registry = createLocalSchemaRegistry();
+        const serde = createAvroSerde({registry, schema: userV1});
+        await expect(serde.serialize({id: 'one'}, context)).rejects.toThrow();
+
+        const incompatible = {type: 'record', name: 'User', fields: [{name: 'id', type: 'string'}]};
+        await expect(createAvroSerde({registry, schema: incompatible}).serialize({id: 'x'}, context))
+            .rejects.toThrow('Schema for subject users-value is not BACKWARD compatible');
+    });
+
+    test('works as a key and value serde for producer and consumer messages', async () => {
+        const registry = createLocalSchemaRegistry();
+        const serde = createAvroSerde({registry, schema: userV1});
+        const serialize = createMessageSerializer({value: serde});
+        const deserialize = createMessageDeserializer({value: serde});
+
+        const message = await serialize({key: 'k', value: {id: 3, name: 'Linus'}}, {topic: 'users'});
+        const decoded = await deserialize({topic: 'users', partition: 0, message: {...message, offset: '5'}});
+        expect(decoded.value).toEqual({id: 3, name: 'Linus'});
+
+        await expect(deserialize({topic: 'users', partition: 0, message: {value: Buffer.from('plain'), offset: '6'}}))
+            .rejects.toThrow('Cannot deserialize value of users[0]@6: Unknown magic byte 112 (expected 0)');
+    });
+});
+
+describe('serdesFromConfig', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avro-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('passes codec names through and is undefined without serdes', () => {
+        expect(serdesFromConfig({})).toBeUndefined();
+        expect(serdesFromConfig({keySerde: 'string', valueSerde: 'json'})).toEqual({key: 'string', value: 'json'});
+    });
+
+    test('builds avro serdes from schema files sharing a file-backed registry', async () => {
+        const schemaFile = path.join(dir, 'user.avsc');
+        const registryFile = path.join(dir, 'schemas.json');
+        fs.writeFileSync(schemaFile, JSON.stringify(userV1));
+        const config = {keySerde: 'string', valueSerde: 'avro', valueSchema: schemaFile, schemaRegistry: {file: registryFile}};
+
+        const producerSerdes = serdesFromConfig(config);
+        expect(producerSerdes.key).toBe('string');
+        const data = await producerSerdes.value.serialize({id: 1, name: 'Ada'}, context);
+
+        const consumerSerdes = serdesFromConfig({valueSerde: 'avro', schemaRegistry: {file: registryFile}});
+        expect(await consumerSerdes.value.deserialize(data, context)).toEqual({id: 1, name: 'Ada'});
+    });
+
+    test('reports unreadable schema files', () => {
+        const missing = path.join(dir, 'missing.avsc');
+        expect(() => serdesFromConfig({valueSerde: 'avro', valueSchema: missing})).toThrow(`Cannot read schema file ${missing}`);
+        const broken = path.join(dir, 'broken.avsc');
+        fs.writeFileSync(broken, '{');
+        expect(() => serdesFromConfig({valueSerde: 'avro', valueSchema: broken})).toThrow(`Invalid JSON in schema file ${broken}`);
+    });
+});
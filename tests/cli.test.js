@@ -1,6 +1,10 @@
 import {describe, test, expect, beforeEach, afterEach, jest} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import * as producer from '../src/producer.js';
 import * as consumer from '../src/consumer.js';
+import { parseCli, formatUsage, UsageError } from '../src/cli.js';
 
 const ORIGINAL_ENV = process.env;
 
@@ -24,6 +28,7 @@ describe('configFromEnv (producer)', () => {
     delete process.env.KAFKA_TOPIC;
     delete process.env.MESSAGE;
     delete process.env.KEY;
+    delete process.env.KAFKA_TRANSACTIONAL_ID;
 
     const cfg = producer.configFromEnv();
     expect(cfg).toEqual({
@@ -32,6 +37,7 @@ describe('configFromEnv (producer)', () => {
       topic: 'demo-topic',
       message: 'hello from producer',
       key: undefined,
+      transactionalId: undefined,
     });
   });
 
@@ -41,6 +47,7 @@ describe('configFromEnv (producer)', () => {
     process.env.KAFKA_TOPIC = 't1';
     process.env.MESSAGE = 'm1';
     process.env.KEY = 'kk';
+    process.env.KAFKA_TRANSACTIONAL_ID = 'tx-1';
 
     const cfg = producer.configFromEnv();
     expect(cfg).toEqual({
@@ -49,6 +56,7 @@ describe('configFromEnv (producer)', () => {
       topic: 't1',
       message: 'm1',
       key: 'kk',
+      transactionalId: 'tx-1',
     });
   });
 });
@@ -60,6 +68,10 @@ describe('configFromEnv (consumer)', () => {
     delete process.env.KAFKA_GROUP_ID;
     delete process.env.KAFKA_TOPIC;
     delete process.env.FROM_BEGINNING;
+    delete process.env.START_FROM;
+    delete process.env.MAX_MESSAGES;
+    delete process.env.TIMEOUT_MS;
+    delete process.env.UNTIL_END;
 
     const cfg = consumer.configFromEnv();
     expect(cfg).toEqual({
@@ -68,6 +80,10 @@ describe('configFromEnv (consumer)', () => {
       groupId: 'kafka-nodejs-demo-group',
       topic: 'demo-topic',
       fromBeginning: true,
+      startFrom: undefined,
+      maxMessages: undefined,
+      timeoutMs: undefined,
+      untilEnd: false,
     });
   });
 
@@ -77,6 +93,10 @@ describe('configFromEnv (consumer)', () => {
     process.env.KAFKA_GROUP_ID = 'gid2';
     process.env.KAFKA_TOPIC = 't2';
     process.env.FROM_BEGINNING = 'false';
+    process.env.START_FROM = '2026-10-18T12:00Z';
+    process.env.MAX_MESSAGES = '10';
+    process.env.TIMEOUT_MS = '5000';
+    process.env.UNTIL_END = 'true';
 
     const cfg = consumer.configFromEnv();
     expect(cfg).toEqual({
@@ -85,6 +105,10 @@ describe('configFromEnv (consumer)', () => {
       groupId: 'gid2',
       topic: 't2',
       fromBeginning: false,
+      startFrom: '2026-10-18T12:00Z',
+      maxMessages: 10,
+      timeoutMs: 5000,
+      untilEnd: true,
     });
   });
 });
@@ -124,4 +148,275 @@ describe('consumer.main (via dependency injection)', () => {
     await consumer.main(deps);
     expect(process.exitCode).toBe(1);
   });
+
+  test('bounded run exits 0 when the stop condition is met', async () => {
+    process.env.MAX_MESSAGES = '2';
+    const done = Promise.resolve({ reason: 'maxMessages', completed: true, count: 2 });
+    const consumeMessages = jest.fn(async () => ({ stop: () => {}, runPromise: Promise.resolve(), done }));
+    await consumer.main({ consumeMessages });
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ maxMessages: 2 }));
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('bounded run sets exitCode=1 when the timeout elapses first', async () => {
+    process.env.MAX_MESSAGES = '5';
+    process.env.TIMEOUT_MS = '100';
+    const done = Promise.resolve({ reason: 'timeout', completed: false, count: 1 });
+    const deps = { consumeMessages: async () => ({ stop: () => {}, runPromise: Promise.resolve(), done }) };
+    await consumer.main(deps);
+    expect(process.exitCode).toBe(1);
+  });
+});
+
+describe('parseCli', () => {
+  const options = [
+    { name: 'topic', short: 't', type: 'string', config: 'topic', description: 'Topic' },
+    { name: 'from-beginning', type: 'boolean', negatable: true, config: 'fromBeginning', description: 'From beginning' },
+    { name: 'header', short: 'H', type: 'string', action: 'header', description: 'Header' },
+    { name: 'topic-config', type: 'string', action: 'topic-config', description: 'Topic config' },
+    { name: 'config', short: 'c', type: 'string', action: 'config', description: 'Config file' },
+    { name: 'help', short: 'h', type: 'boolean', action: 'help', description: 'Help' },
+  ];
+
+  test('maps flags to config keys, applying them in order', () => {
+    const args = parseCli(['-t', 'orders', '--from-beginning', '--no-from-beginning', '-c', 'app.yaml'], options);
+    expect(args).toEqual({ help: false, version: false, file: 'app.yaml', flags: { topic: 'orders', fromBeginning: false }, headers: undefined });
+  });
+
+  test('collects headers, keeping repeated keys as a list', () => {
+    const { headers } = parseCli(['-H', 'a=1', '--header', 'b=x=y', '-H', 'a=2'], options);
+    expect(headers).toEqual({ a: ['1', '2'], b: 'x=y' });
+  });
+
+  test('collects topic configs, the last value of a repeated key winning', () => {
+    const { topicConfigs } = parseCli(['--topic-config', 'retention.ms=1', '--topic-config', 'retention.ms=2'], options);
+    expect(topicConfigs).toEqual({ 'retention.ms': '2' });
+  });
+
+  test('rejects unknown options, missing values, positionals and malformed headers', () => {
+    expect(() => parseCli(['--nope'], options)).toThrow(UsageError);
+    expect(() => parseCli(['--topic'], options)).toThrow(UsageError);
+    expect(() => parseCli(['extra'], options)).toThrow(UsageError);
+    expect(() => parseCli(['-H', '=v'], options)).toThrow('Invalid header "=v": expected key=value');
+  });
+
+  test('formatUsage lists every option with its env variable', () => {
+    const text = formatUsage('node app.js', 'Does things.', options);
+    expect(text).toContain('Usage: node app.js [options]');
+    expect(text).toMatch(/-t, --topic VALUE +Topic \[env: KAFKA_TOPIC\]/);
+    expect(text).toContain('--[no-]from-beginning');
+  });
+});
+
+describe('CLI flags (main)', () => {
+  test('producer flags override env values and add headers', async () => {
+    process.env.KAFKA_TOPIC = 'env-topic';
+    process.env.KEY = 'env-key';
+    const produceMessage = jest.fn(async () => {});
+    await producer.main({ produceMessage }, ['-b', 'b1:9092', '--topic', 'flag-topic', '-m', 'hi', '-H', 'trace=1']);
+    expect(produceMessage).toHaveBeenCalledWith(expect.objectContaining({
+      brokers: 'b1:9092', topic: 'flag-topic', message: 'hi', key: 'env-key', headers: { trace: '1' },
+    }));
+    expect(process.exitCode).toBe(0);
+  });
+
+  test('consumer flags override env values', async () => {
+    process.env.FROM_BEGINNING = 'true';
+    const consumeMessages = jest.fn(async () => ({ stop: () => {}, runPromise: Promise.resolve() }));
+    await consumer.main({ consumeMessages }, ['--group', 'g1', '--no-from-beginning', '-t', 'a,b']);
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ groupId: 'g1', fromBeginning: false, topic: 'a,b' }));
+  });
+
+  test('--help and --version print to stdout without running', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const consumeMessages = jest.fn();
+    await consumer.main({ consumeMessages }, ['--help']);
+    await producer.main({ produceMessage: consumeMessages }, ['-V']);
+    expect(write.mock.calls[0][0]).toContain('Usage: node src/consumer.js [options]');
+    expect(write.mock.calls[1][0]).toMatch(/^\d+\.\d+\.\d+\n$/);
+    expect(consumeMessages).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(0);
+  });
+
+  test('bad flags and invalid values are usage errors (exit code 2)', async () => {
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const consumeMessages = jest.fn();
+    await consumer.main({ consumeMessages }, ['--max-messages', 'ten']);
+    expect(process.exitCode).toBe(2);
+    expect(stderr.mock.calls[0][0]).toContain('Invalid value for maxMessages from flags');
+    expect(stderr.mock.calls[0][0]).toContain('Run "node src/consumer.js --help" for usage.');
+
+    process.exitCode = undefined;
+    await producer.main({ produceMessage: consumeMessages }, ['--bogus']);
+    expect(process.exitCode).toBe(2);
+    expect(consumeMessages).not.toHaveBeenCalled();
+  });
+});
+
+describe('producer.main with --file', () => {
+  test('produces from the input and exits 1 when some records failed', async () => {
+    const produceFromStream = jest.fn(async () => ({ sent: 4, failed: 1 }));
+    const produceMessage = jest.fn();
+    await producer.main({ produceMessage, produceFromStream }, ['-f', '-', '-K', ':', '--format', 'text', '--batch-size', '50']);
+    expect(produceFromStream).toHaveBeenCalledWith(expect.objectContaining({
+      input: '-', inputFormat: 'text', keySeparator: ':', batchSize: 50,
+    }));
+    expect(produceMessage).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(1);
+  });
+
+  test('rejects an unknown input format', async () => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    await producer.main({ produceMessage: jest.fn(), produceFromStream: jest.fn() }, ['-f', 'in.txt', '--format', 'csv']);
+    expect(process.exitCode).toBe(2);
+  });
+});
+
+describe('serde flags', () => {
+  test('map to the producer serializer and the consumer deserializer', async () => {
+    const produceMessage = jest.fn(async () => {});
+    await producer.main({ produceMessage }, ['--value-serde', 'base64', '-m', 'AP8=']);
+    expect(produceMessage).toHaveBeenCalledWith(expect.objectContaining({ serializer: { key: undefined, value: 'base64' } }));
+
+    process.env.KEY_SERDE = 'string';
+    const consumeMessages = jest.fn(async () => ({ stop: () => {}, runPromise: Promise.resolve() }));
+    await consumer.main({ consumeMessages }, ['--value-serde', 'JSON']);
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ deserializer: { key: 'string', value: 'json' } }));
+  });
+});
+
+describe('protobuf flags', () => {
+  let dir;
+  let protoFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-proto-'));
+    protoFile = path.join(dir, 'order.proto');
+    fs.writeFileSync(protoFile, 'syntax = "proto3";\nmessage Order { string id = 1; int32 qty = 2; }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the producer parses the message as JSON and encodes it with the message type', async () => {
+    const produceMessage = jest.fn(async () => {});
+    await producer.main({ produceMessage }, [
+      '--value-serde', 'protobuf', '--proto-file', protoFile, '--value-proto-type', 'Order', '-m', '{"id":"o-1","qty":2}',
+    ]);
+    const [{ message, serializer }] = produceMessage.mock.calls[0];
+    expect(message).toEqual({ id: 'o-1', qty: 2 });
+    expect(serializer.value.deserialize(serializer.value.serialize(message))).toEqual({ id: 'o-1', qty: 2 });
+    expect(process.exitCode).toBe(0);
+  });
+
+  test('the consumer builds a protobuf deserializer from env', async () => {
+    process.env.VALUE_SERDE = 'protobuf';
+    process.env.PROTO_FILE = protoFile;
+    process.env.VALUE_PROTO_TYPE = 'Order';
+    const consumeMessages = jest.fn(async () => ({ stop: () => {}, runPromise: Promise.resolve() }));
+    await consumer.main({ consumeMessages }, []);
+    const [{ deserializer }] = consumeMessages.mock.calls[0];
+    expect(typeof deserializer.value.deserialize).toBe('function');
+  });
+
+  test('a message that is not JSON or an unknown type is a usage error', async () => {
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const produceMessage = jest.fn();
+    await producer.main({ produceMessage }, ['--value-serde', 'protobuf', '--proto-file', protoFile, '--value-proto-type', 'Order', '-m', 'hi']);
+    expect(stderr.mock.calls[0][0]).toMatch(/^Invalid value for message: expected JSON for the protobuf value serde/);
+    expect(process.exitCode).toBe(2);
+
+    await producer.main({ produceMessage }, ['--value-serde', 'protobuf', '--proto-file', protoFile, '--value-proto-type', 'Nope', '-m', '{}']);
+    expect(stderr.mock.calls[1][0]).toMatch(/^Unknown message type "Nope"/);
+    expect(produceMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('--json-schemas', () => {
+  test('loads the schemas file for the producer and consumer', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-schemas-'));
+    const file = path.join(dir, 'schemas.json');
+    fs.writeFileSync(file, JSON.stringify({ orders: { type: 'object' } }));
+    try {
+      const produceMessage = jest.fn(async () => {});
+      await producer.main({ produceMessage }, ['--json-schemas', file, '-t', 'orders', '-m', '{}']);
+      expect(produceMessage).toHaveBeenCalledWith(expect.objectContaining({ jsonSchemas: { orders: { type: 'object' } } }));
+
+      process.env.JSON_SCHEMA_FILE = file;
+      const consumeMessages = jest.fn(async () => ({ stop: () => {}, runPromise: Promise.resolve() }));
+      await consumer.main({ consumeMessages }, []);
+      expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ jsonSchemas: { orders: { type: 'object' } } }));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('--metrics-port', () => {
+  test('serves the registry passed to the consumer while it runs and closes the server afterwards', async () => {
+    const { default: logger } = await import('../src/logger.js');
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+    let url;
+    const consumeMessages = jest.fn(async ({ metricsRegistry }) => {
+      const [line] = info.mock.calls.find(([text]) => text.startsWith('Serving metrics'));
+      url = `http://127.0.0.1:${line.match(/port (\d+)/)[1]}/metrics`;
+      const res = await fetch(url);
+      expect(res.status).toBe(200);
+      expect(await res.text()).toBe(await metricsRegistry.metrics());
+      return { stop: () => {}, runPromise: Promise.resolve() };
+    });
+
+    await consumer.main({ consumeMessages }, ['--metrics-port', '0']);
+
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ metricsPort: 0 }));
+    expect(process.exitCode).toBeUndefined();
+    await expect(fetch(url)).rejects.toThrow();
+  });
+
+  test('passes a registry to the producer and rejects invalid ports', async () => {
+    process.env.METRICS_PORT = '0';
+    const produceMessage = jest.fn(async () => []);
+    await producer.main({ produceMessage }, []);
+    expect(produceMessage.mock.calls[0][0].metricsRegistry).toEqual(expect.objectContaining({ metrics: expect.any(Function) }));
+
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    await producer.main({ produceMessage }, ['--metrics-port', 'http']);
+    expect(process.exitCode).toBe(2);
+    expect(stderr.mock.calls[0][0]).toMatch(/metricsPort/);
+  });
+});
+
+describe('--health-port', () => {
+  test('serves liveness and readiness while the consumer runs, until it stops', async () => {
+    const { default: logger } = await import('../src/logger.js');
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+    let base;
+    let finish;
+    let started;
+    const done = new Promise((resolve) => { finish = resolve; });
+    const consuming = new Promise((resolve) => { started = resolve; });
+    const consumeMessages = jest.fn(async ({ healthMonitor }) => {
+      const [line] = info.mock.calls.find(([text]) => text.startsWith('Serving health checks'));
+      base = `http://127.0.0.1:${line.match(/port (\d+)/)[1]}`;
+      healthMonitor.connected();
+      started();
+      return { stop: () => {}, runPromise: Promise.resolve(), done };
+    });
+
+    process.env.HEALTH_STUCK_THRESHOLD = '2m';
+    const running = consumer.main({ consumeMessages }, ['--health-port', '0']);
+    await consuming;
+
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ health: { port: 0, stuckThresholdMs: 120000 } }));
+    expect((await fetch(`${base}/healthz`)).status).toBe(200);
+    const ready = await fetch(`${base}/readyz`);
+    expect(ready.status).toBe(503);
+    expect(await ready.json()).toMatchObject({ reason: 'No partitions assigned' });
+
+    finish({ reason: 'stopped', completed: false, count: 0 });
+    await running;
+    expect(process.exitCode).toBeUndefined();
+    await expect(fetch(`${base}/healthz`)).rejects.toThrow();
+  });
 });
@@ -0,0 +1,52 @@
+import {describe, test, expect, jest, afterEach} from '@jest/globals';
+import logger from '../src/logger.js';
+import {createKafkaClient, createLogCreator} from '../src/client.js';
+
+describe('client', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('KafkaJS logs go through the project logger with namespace and metadata as fields', () => {
+        const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+        const kafka = createKafkaClient({brokers: 'b:9092', client: {logLevel: 'error'}});
+
+        kafka.logger().namespace('Connection').error('Connection error', {broker: 'b:9092', clientId: 'demo'});
+
+        expect(error).toHaveBeenCalledWith('Connection error');
+        expect(error.mock.contexts[0].bindings).toEqual({namespace: 'Connection', broker: 'b:9092', clientId: 'demo'});
+    });
+
+    test('the client log level decides which KafkaJS entries are written', () => {
+        const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        const kafka = createKafkaClient({brokers: 'b:9092', logLevel: 'warn'});
+
+        kafka.logger().info('Starting');
+        kafka.logger().warn('Retrying');
+
+        expect(info).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('Retrying');
+    });
+
+    test('maps KafkaJS levels to logger methods and drops the KafkaJS timestamp', () => {
+        const child = {error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn()};
+        const target = {child: jest.fn(() => child)};
+        const log = createLogCreator(target)(5);
+
+        for (const [level, label] of [[1, 'ERROR'], [2, 'WARN'], [4, 'INFO'], [5, 'DEBUG']]) {
+            log({
+                namespace: 'Runner',
+                level,
+                label,
+                log: {timestamp: '2026-01-01T00:00:00.000Z', logger: 'kafkajs', message: label, groupId: 'g'},
+            });
+        }
+
+        expect(target.child).toHaveBeenCalledWith({namespace: 'Runner', groupId: 'g'});
+        expect(child.error).toHaveBeenCalledWith('ERROR');
+        expect(child.warn).toHaveBeenCalledWith('WARN');
+        expect(child.info).toHaveBeenCalledWith('INFO');
+        expect(child.debug).toHaveBeenCalledWith('DEBUG');
+    });
+});
@@ -1,4 +1,8 @@
-import {describe, test, expect, beforeEach, afterEach} from '@jest/globals';
+import {describe, test, expect, beforeEach, afterEach, beforeAll, afterAll} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {loadConfig, parseConfigText} from '../src/config.js';
 
 // Import the functions we need to test - note these are not exported, so we need a different approach
 // We'll test them indirectly through the isDirectRun functions and by manipulating process.env
@@ -90,4 +94,124 @@ describe('Configuration and CLI functionality', () => {
             }
         });
     });
-});
\ No newline at end of file
+});
+
+describe('loadConfig', () => {
+    let dir;
+
+    const write = (name, text) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, text);
+        return file;
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kafka-config-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('returns defaults without a file, env vars or flags', () => {
+        expect(loadConfig({env: {}})).toEqual({
+            brokers: 'localhost:9092',
+            clientId: 'kafka-nodejs-demo',
+            topic: 'demo-topic',
+            groupId: 'kafka-nodejs-demo-group',
+            fromBeginning: true,
+            untilEnd: false,
+            message: 'hello from producer',
+        });
+    });
+
+    test('layers file, then env vars, then flags', () => {
+        const file = write('layers.yaml', [
+            '# demo settings',
+            'brokers:',
+            '  - b1:9092',
+            '  - b2:9092',
+            'topic: from-file',
+            'groupId: "file-group"',
+            'client:',
+            '  requestTimeout: 5000',
+            '  retry:',
+            '    retries: 3 # fewer than the KafkaJS default',
+            'consumer:',
+            '  sessionTimeout: 45000',
+            '  maxBytes: 1048576',
+        ].join('\n'));
+
+        const config = loadConfig({
+            file,
+            env: {KAFKA_TOPIC: 'from-env', KAFKA_CONSUMER_SESSION_TIMEOUT: '20000', KAFKA_CLIENT_RETRY_RETRIES: ''},
+            flags: {topic: 'from-flag', 'consumer.maxBytes': 2048},
+        });
+
+        expect(config).toMatchObject({
+            brokers: ['b1:9092', 'b2:9092'],
+            topic: 'from-flag',
+            groupId: 'file-group',
+            client: {requestTimeout: 5000, retry: {retries: 3}},
+            consumer: {sessionTimeout: 20000, maxBytes: 2048},
+        });
+        expect(config.producer).toBeUndefined();
+    });
+
+    test('reads JSON files and the KAFKA_CONFIG env var', () => {
+        const file = write('settings.json', JSON.stringify({
+            producer: {acks: -1, compression: 'gzip'},
+            security: {saslMechanism: 'SCRAM-SHA-256', saslUsername: 'u', saslPassword: 'p'},
+        }));
+
+        const config = loadConfig({env: {KAFKA_CONFIG: file, KAFKA_SASL_PASSWORD: 'secret'}});
+
+        expect(config.producer).toEqual({acks: -1, compression: 'gzip'});
+        expect(config.security).toEqual({saslMechanism: 'scram-sha-256', saslUsername: 'u', saslPassword: 'secret'});
+    });
+
+    test('rejects unknown keys with a suggestion', () => {
+        const file = write('typo.yaml', 'consumer:\n  sesionTimeout: 1000\n');
+
+        expect(() => loadConfig({file, env: {}}))
+            .toThrow(`Unknown config key "consumer.sesionTimeout" in config file ${file} (did you mean "consumer.sessionTimeout"?)`);
+        expect(() => loadConfig({env: {}, flags: {colour: 'red'}})).toThrow('Unknown config key "colour" in flags');
+    });
+
+    test('rejects values of the wrong type, naming where they came from', () => {
+        const file = write('types.json', '{"consumer": {"maxBytes": "lots"}}');
+
+        expect(() => loadConfig({file, env: {}}))
+            .toThrow(`Invalid value for consumer.maxBytes from config file ${file}: expected an integer >= 0, got "lots"`);
+        expect(() => loadConfig({env: {FROM_BEGINNING: 'maybe'}}))
+            .toThrow('Invalid value for fromBeginning from env FROM_BEGINNING: expected true or false, got "maybe"');
+        expect(() => loadConfig({env: {MAX_MESSAGES: '0'}}))
+            .toThrow('Invalid value for maxMessages from env MAX_MESSAGES: expected an integer >= 1, got "0"');
+        expect(() => loadConfig({env: {}, flags: {producer: {acks: 2}}}))
+            .toThrow('Invalid value for producer.acks from flags: expected one of -1, 0, 1, got 2');
+        expect(() => loadConfig({env: {}, flags: {client: 5}})).toThrow('Config section "client" in flags must be an object');
+    });
+
+    test('reports unreadable files and syntax errors', () => {
+        expect(() => loadConfig({file: path.join(dir, 'missing.yaml'), env: {}})).toThrow(/^Cannot read config file/);
+        expect(() => parseConfigText('{"topic": ', 'bad.json')).toThrow(/^Invalid JSON in bad.json/);
+        expect(() => parseConfigText('topic: a\n   brokers: b', 'bad.yaml')).toThrow('bad.yaml:2: unexpected indentation');
+        expect(() => parseConfigText('just text', 'bad.yaml')).toThrow('bad.yaml:1: expected "key: value", got "just text"');
+    });
+
+    test('parses YAML scalars, inline lists and quoted strings', () => {
+        expect(parseConfigText([
+            'brokers: [b1:9092, "b2:9092"]',
+            "message: 'it''s # not a comment'",
+            'untilEnd: false',
+            'client:',
+            '  retry:',
+            '    factor: 0.2',
+        ].join('\n'), 'c.yaml')).toEqual({
+            brokers: ['b1:9092', 'b2:9092'],
+            message: "it's # not a comment",
+            untilEnd: false,
+            client: {retry: {factor: 0.2}},
+        });
+    });
+});
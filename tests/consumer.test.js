@@ -59,6 +59,110 @@ describe('consumer with real Kafka (Testcontainers)', () => {
 });
 
 
+describe('consumeMessages batch mode with real Kafka (Testcontainers)', () => {
+    test('eachBatch receives records in chunks of at most maxBatchSize', async () => {
+        const brokersString = process.env.KAFKA_BROKERS_DYNAMIC;
+        const brokers = brokersString ? brokersString.split(',') : globalThis.__kafka_brokers__?.brokers;
+        const topic = uniqueId('batch');
+        await ensureTopic(kafkaClient(), topic);
+
+        const kafka = kafkaClient();
+        const producer = kafka.producer({createPartitioner: Partitioners.DefaultPartitioner});
+        await producer.connect();
+        await producer.send({topic, messages: [1, 2, 3, 4, 5].map((n) => ({value: `v${n}`}))});
+        await producer.disconnect();
+
+        const chunks = [];
+        const {stop} = await consumeMessages({
+            brokers,
+            topic,
+            groupId: uniqueId('batch-group'),
+            fromBeginning: true,
+            maxBatchSize: 2,
+            eachBatch: async ({batch}) => {
+                chunks.push(batch.messages.map((m) => m.value.toString()));
+            },
+        });
+
+        const deadline = Date.now() + 15000;
+        while (chunks.flat().length < 5 && Date.now() < deadline) {
+            await new Promise(r => setTimeout(r, 50));
+        }
+        await stop();
+
+        expect(chunks.flat()).toEqual(['v1', 'v2', 'v3', 'v4', 'v5']);
+        expect(Math.max(...chunks.map((c) => c.length))).toBeLessThanOrEqual(2);
+    }, 20_000);
+});
+
+
+describe('consumeMessages start position with real Kafka (Testcontainers)', () => {
+    test('startFrom skips records before the given partition offset', async () => {
+        const brokersString = process.env.KAFKA_BROKERS_DYNAMIC;
+        const brokers = brokersString ? brokersString.split(',') : globalThis.__kafka_brokers__?.brokers;
+        const topic = uniqueId('seek');
+        await ensureTopic(kafkaClient(), topic);
+
+        const kafka = kafkaClient();
+        const producer = kafka.producer({createPartitioner: Partitioners.DefaultPartitioner});
+        await producer.connect();
+        await producer.send({topic, messages: [0, 1, 2, 3].map((n) => ({value: `v${n}`}))});
+        await producer.disconnect();
+
+        const values = [];
+        const {stop} = await consumeMessages({
+            brokers,
+            topic,
+            groupId: uniqueId('seek-group'),
+            startFrom: '0:2',
+            eachMessage: async ({message}) => {
+                values.push(message.value.toString());
+            },
+        });
+
+        const deadline = Date.now() + 15000;
+        while (values.length < 2 && Date.now() < deadline) {
+            await new Promise(r => setTimeout(r, 50));
+        }
+        await stop();
+
+        expect(values).toEqual(['v2', 'v3']);
+    }, 20_000);
+});
+
+
+describe('consumeMessages bounded consumption with real Kafka (Testcontainers)', () => {
+    test('untilEnd stops once the existing records were consumed and returns them', async () => {
+        const brokersString = process.env.KAFKA_BROKERS_DYNAMIC;
+        const brokers = brokersString ? brokersString.split(',') : globalThis.__kafka_brokers__?.brokers;
+        const topic = uniqueId('bounded');
+        await ensureTopic(kafkaClient(), topic);
+
+        const kafka = kafkaClient();
+        const producer = kafka.producer({createPartitioner: Partitioners.DefaultPartitioner});
+        await producer.connect();
+        await producer.send({topic, messages: [0, 1, 2].map((n) => ({value: `v${n}`}))});
+        await producer.disconnect();
+
+        const {done} = await consumeMessages({
+            brokers,
+            topic,
+            groupId: uniqueId('bounded-group'),
+            fromBeginning: true,
+            untilEnd: true,
+            timeoutMs: 15000,
+            collect: true,
+            eachMessage: async () => {},
+        });
+        const result = await done;
+
+        expect(result.reason).toBe('end');
+        expect(result.completed).toBe(true);
+        expect(result.records.map((r) => r.value.toString())).toEqual(['v0', 'v1', 'v2']);
+    }, 20_000);
+});
+
+
 describe('consumeMessages error handling', () => {
     test('throws error when brokers is null', async () => {
         await expect(consumeMessages({
@@ -34,17 +34,18 @@ async function importConsumerWithMocks({
   }
 
   const path = new URL('../src/consumer.js', import.meta.url);
-  const prevArgv1 = process.argv[1];
+  const prevArgv = process.argv;
   const prevFast = process.env.CONSUMER_FAST_START;
   process.env.CONSUMER_FAST_START = 'true';
   if (setArgvToConsumer) {
-    process.argv[1] = decodeURIComponent(path.pathname);
+    // as if run as `node src/consumer.js`, without Jest's own arguments (the CLI would reject them)
+    process.argv = [prevArgv[0], decodeURIComponent(path.pathname)];
   }
 
   const consumerModule = await import('../src/consumer.js');
 
   // restore argv/env so other tests aren't affected
-  process.argv[1] = prevArgv1;
+  process.argv = prevArgv;
   process.env.CONSUMER_FAST_START = prevFast;
 
   return consumerModule;
@@ -180,3 +181,748 @@ describe('isDirectRun edge cases', () => {
     expect(run).toHaveBeenCalledTimes(1);
   }, 15000);
 });
+
+describe('consumeMessages retry tiers and dead-letter routing (unit)', () => {
+  test('failed records go to the first retry tier and tier consumers are started and stopped', async () => {
+    const consumers = [];
+    const makeConsumer = () => {
+      const c = {
+        connect: jest.fn().mockResolvedValue(undefined),
+        subscribe: jest.fn().mockResolvedValue(undefined),
+        run: jest.fn().mockResolvedValue(undefined),
+        stop: jest.fn().mockResolvedValue(undefined),
+        disconnect: jest.fn().mockResolvedValue(undefined),
+      };
+      consumers.push(c);
+      return c;
+    };
+    const producerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      send: jest.fn().mockResolvedValue([]),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(makeConsumer), producer: jest.fn(() => producerObj) }));
+    const logLevel = { INFO: 4, NOTHING: 0 };
+
+    const { consumeMessages } = await importConsumerWithMocks({
+      kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }),
+    });
+
+    const handler = jest.fn().mockRejectedValue(new Error('poison'));
+    const { stop } = await consumeMessages({
+      brokers: ['b:1'], topic: 'orders', groupId: 'g', eachMessage: handler,
+      retry: { tiers: '5s,1m', deadLetterTopic: 'orders.dead' },
+    });
+
+    // main consumer + one consumer per tier
+    expect(consumers).toHaveLength(3);
+    expect(consumers[1].subscribe).toHaveBeenCalledWith({ topics: ['orders.retry.5s'], fromBeginning: true });
+    expect(consumers[2].subscribe).toHaveBeenCalledWith({ topics: ['orders.retry.1m'], fromBeginning: true });
+
+    const mainRun = consumers[0].run.mock.calls[0][0];
+    await mainRun.eachMessage({
+      topic: 'orders', partition: 0,
+      message: { key: null, value: Buffer.from('v'), offset: '5', headers: {}, timestamp: String(Date.now()) },
+    });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(producerObj.send).toHaveBeenCalledTimes(1);
+    const sent = producerObj.send.mock.calls[0][0];
+    expect(sent.topic).toBe('orders.retry.5s');
+    expect(sent.messages[0].headers['x-original-offset']).toBe('5');
+    expect(sent.messages[0].headers['x-attempt']).toBe('1');
+
+    // last tier failure lands in the configured dead-letter topic
+    const lastTierRun = consumers[2].run.mock.calls[0][0];
+    await lastTierRun.eachMessage({
+      topic: 'orders.retry.1m', partition: 0, heartbeat: jest.fn(),
+      message: {
+        key: null, value: Buffer.from('v'), offset: '0', timestamp: String(Date.now() - 120000),
+        headers: { 'x-attempt': Buffer.from('2'), 'x-original-topic': Buffer.from('orders') },
+      },
+    });
+    expect(producerObj.send.mock.calls[1][0].topic).toBe('orders.dead');
+
+    await stop();
+    for (const c of consumers) expect(c.stop).toHaveBeenCalledTimes(1);
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  }, 15000);
+
+  test('with autoCommit=false, tier handlers get commit() and routed records are committed', async () => {
+    const consumers = [];
+    const makeConsumer = () => {
+      const c = {
+        connect: jest.fn().mockResolvedValue(undefined),
+        subscribe: jest.fn().mockResolvedValue(undefined),
+        run: jest.fn().mockResolvedValue(undefined),
+        stop: jest.fn().mockResolvedValue(undefined),
+        disconnect: jest.fn().mockResolvedValue(undefined),
+        commitOffsets: jest.fn().mockResolvedValue(undefined),
+      };
+      consumers.push(c);
+      return c;
+    };
+    const producerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      send: jest.fn().mockResolvedValue([]),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(makeConsumer), producer: jest.fn(() => producerObj) }));
+    const logLevel = { INFO: 4, NOTHING: 0 };
+
+    const { consumeMessages } = await importConsumerWithMocks({
+      kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }),
+    });
+
+    // fails on the first attempt, succeeds on the retry
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('flaky'))
+      .mockImplementationOnce(async ({ commit }) => commit());
+    const { stop } = await consumeMessages({
+      brokers: ['b:1'], topic: 'orders', groupId: 'g', eachMessage: handler, autoCommit: false,
+      retry: { tiers: '5s' },
+    });
+
+    expect(consumers[0].run.mock.calls[0][0].autoCommit).toBe(false);
+    expect(consumers[1].run.mock.calls[0][0].autoCommit).toBe(false);
+
+    await consumers[0].run.mock.calls[0][0].eachMessage({
+      topic: 'orders', partition: 0,
+      message: { key: null, value: Buffer.from('v'), offset: '5', headers: {}, timestamp: String(Date.now()) },
+    });
+    expect(producerObj.send.mock.calls[0][0].topic).toBe('orders.retry.5s');
+    expect(consumers[0].commitOffsets).toHaveBeenCalledWith([{ topic: 'orders', partition: 0, offset: '6' }]);
+
+    await consumers[1].run.mock.calls[0][0].eachMessage({
+      topic: 'orders.retry.5s', partition: 0, heartbeat: jest.fn(),
+      message: {
+        key: null, value: Buffer.from('v'), offset: '0', timestamp: String(Date.now() - 10000),
+        headers: { 'x-attempt': Buffer.from('1'), 'x-original-topic': Buffer.from('orders') },
+      },
+    });
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(producerObj.send).toHaveBeenCalledTimes(1);
+    expect(consumers[1].commitOffsets).toHaveBeenCalledWith([{ topic: 'orders.retry.5s', partition: 0, offset: '1' }]);
+
+    await stop();
+  }, 15000);
+});
+
+describe('consumeMessages topic subscriptions (unit)', () => {
+  const makeKafkaMock = (consumerObj) => {
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4 };
+    return () => ({ default: { Kafka, logLevel }, Kafka, logLevel });
+  };
+  const makeConsumerObj = () => ({
+    connect: jest.fn().mockResolvedValue(undefined),
+    subscribe: jest.fn().mockResolvedValue(undefined),
+    run: jest.fn().mockResolvedValue(undefined),
+    stop: jest.fn().mockResolvedValue(undefined),
+    disconnect: jest.fn().mockResolvedValue(undefined),
+  });
+
+  test('subscribes to comma-separated topics and regex patterns in one call', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: makeKafkaMock(consumerObj) });
+
+    const { stop } = await consumeMessages({ brokers: ['b:1'], topic: 'orders, payments,/^audit\\./' });
+
+    const { topics, fromBeginning } = consumerObj.subscribe.mock.calls[0][0];
+    expect(fromBeginning).toBe(true);
+    expect(topics.slice(0, 2)).toEqual(['orders', 'payments']);
+    expect(topics[2]).toEqual(/^audit\./);
+    await stop();
+  });
+
+  test('default logger includes the source topic, partition and offset', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: makeKafkaMock(consumerObj) });
+    const { default: logger } = await import('../src/logger.js');
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+    const { stop } = await consumeMessages({ brokers: ['b:1'], topic: ['orders', 'payments'] });
+    const { eachMessage } = consumerObj.run.mock.calls[0][0];
+    await eachMessage({ topic: 'payments', partition: 1, message: { key: Buffer.from('k'), value: Buffer.from('v'), offset: '7' } });
+
+    expect(info).toHaveBeenCalledWith('Consumed message key=k value=v');
+    const call = info.mock.calls.findIndex(([line]) => line.startsWith('Consumed message'));
+    expect(info.mock.contexts[call].bindings).toEqual({ topic: 'payments', partition: 1, offset: '7' });
+    await stop();
+  });
+
+  test('default logger decodes message headers', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: makeKafkaMock(consumerObj) });
+    const { default: logger } = await import('../src/logger.js');
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+    const { stop } = await consumeMessages({ brokers: ['b:1'], topic: 'orders' });
+    const { eachMessage } = consumerObj.run.mock.calls[0][0];
+    await eachMessage({
+      topic: 'orders',
+      partition: 0,
+      message: {
+        key: null,
+        value: Buffer.from('v'),
+        offset: '3',
+        headers: { 'correlation-id': Buffer.from('c-1'), 'content-type': Buffer.from('text/plain') },
+      },
+    });
+
+    expect(info).toHaveBeenCalledWith(
+      'Consumed message key=null value=v headers={"correlation-id":"c-1","content-type":"text/plain"}',
+    );
+    await stop();
+  });
+
+  test('rejects retry tiers with regex subscriptions', async () => {
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: makeKafkaMock(makeConsumerObj()) });
+
+    await expect(consumeMessages({ brokers: ['b:1'], topic: /^orders/, retry: { tiers: '5s' } }))
+      .rejects.toThrow('retry requires explicit topic names');
+    await expect(consumeMessages({ brokers: ['b:1'], topic: ' , ' })).rejects.toThrow('topic is required');
+  });
+});
+
+describe('consumeMessages start position (unit)', () => {
+  test('resolves startFrom offsets before running and seeks on group join', async () => {
+    let onJoin;
+    const consumerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+      events: { GROUP_JOIN: 'consumer.group_join' },
+      on: jest.fn((event, listener) => { onJoin = listener; return () => {}; }),
+      seek: jest.fn(),
+    };
+    const admin = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      describeCluster: jest.fn().mockResolvedValue({}),
+      fetchTopicOffsetsByTimestamp: jest.fn().mockResolvedValue([{ partition: 0, offset: '12' }]),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj), admin: jest.fn(() => admin) }));
+    const logLevel = { INFO: 4 };
+    const { consumeMessages } = await importConsumerWithMocks({
+      kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }),
+    });
+
+    const { stop } = await consumeMessages({ brokers: ['b:1'], topic: 'orders', startFrom: '2026-10-18T12:00Z' });
+
+    expect(admin.fetchTopicOffsetsByTimestamp).toHaveBeenCalledWith('orders', Date.parse('2026-10-18T12:00Z'));
+    expect(consumerObj.on).toHaveBeenCalledWith('consumer.group_join', expect.any(Function));
+    expect(consumerObj.on.mock.invocationCallOrder[0]).toBeLessThan(consumerObj.run.mock.invocationCallOrder[0]);
+
+    onJoin({ payload: { memberAssignment: { orders: [0] } } });
+    expect(consumerObj.seek).toHaveBeenCalledWith({ topic: 'orders', partition: 0, offset: '12' });
+    await stop();
+  });
+
+  test('rejects an invalid startFrom before connecting', async () => {
+    const { consumeMessages } = await importConsumerWithMocks();
+    await expect(consumeMessages({ brokers: ['b:1'], topic: 't', startFrom: 'someday' }))
+      .rejects.toThrow('Invalid start position: someday');
+  });
+});
+
+describe('consumeMessages bounded consumption (unit)', () => {
+  const makeConsumerObj = () => ({
+    connect: jest.fn().mockResolvedValue(undefined),
+    subscribe: jest.fn().mockResolvedValue(undefined),
+    run: jest.fn().mockResolvedValue(undefined),
+    stop: jest.fn().mockResolvedValue(undefined),
+    disconnect: jest.fn().mockResolvedValue(undefined),
+  });
+  const importWith = (consumerObj) => {
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4 };
+    return importConsumerWithMocks({ kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }) });
+  };
+  const msg = (offset) => ({ key: null, value: Buffer.from(`v${offset}`), offset: String(offset), headers: {} });
+
+  test('maxMessages stops the consumer from within the handler and resolves done with the records', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importWith(consumerObj);
+    const handler = jest.fn();
+
+    const { done } = await consumeMessages({ brokers: ['b:1'], topic: 't', eachMessage: handler, maxMessages: 2, collect: true });
+    const { eachMessage } = consumerObj.run.mock.calls[0][0];
+    await eachMessage({ topic: 't', partition: 0, message: msg(0) });
+    expect(consumerObj.stop).not.toHaveBeenCalled();
+    await eachMessage({ topic: 't', partition: 0, message: msg(1) });
+    // the run loop is told to stop before the handler returns, so KafkaJS delivers nothing further
+    expect(consumerObj.stop).toHaveBeenCalledTimes(1);
+
+    const result = await done;
+    expect(result).toMatchObject({ reason: 'maxMessages', completed: true, count: 2 });
+    expect(result.records.map((r) => r.offset)).toEqual(['0', '1']);
+    expect(consumerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('maxMessages trims the last batch handed to eachBatch', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importWith(consumerObj);
+    const seen = [];
+
+    const { done } = await consumeMessages({
+      brokers: ['b:1'], topic: 't', maxMessages: 3,
+      eachBatch: async ({ batch }) => { seen.push(batch.messages.map((m) => m.offset)); },
+    });
+    const { eachBatch } = consumerObj.run.mock.calls[0][0];
+    const resolveOffset = jest.fn();
+    await eachBatch({
+      batch: { topic: 't', partition: 0, highWatermark: '10', messages: [0, 1, 2, 3, 4].map(msg) },
+      resolveOffset, heartbeat: jest.fn(), isRunning: () => true, isStale: () => false,
+    });
+
+    expect(seen).toEqual([['0', '1', '2']]);
+    expect(resolveOffset).toHaveBeenLastCalledWith('2');
+    await expect(done).resolves.toMatchObject({ reason: 'maxMessages', count: 3 });
+  });
+
+  test('stop before a limit is reached resolves done as not completed', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importWith(consumerObj);
+
+    const { stop, done } = await consumeMessages({ brokers: ['b:1'], topic: 't', maxMessages: 5 });
+    await stop();
+
+    await expect(done).resolves.toEqual({ reason: 'stopped', completed: false, count: 0 });
+  });
+});
+
+describe('consumeMessages batch mode (unit)', () => {
+  function setup() {
+    const consumerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const consumerFactory = jest.fn(() => consumerObj);
+    const Kafka = jest.fn(() => ({ consumer: consumerFactory }));
+    const logLevel = { INFO: 4, NOTHING: 0 };
+    return { consumerObj, consumerFactory, factory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }) };
+  }
+
+  function batchPayload(offsets, overrides = {}) {
+    const messages = offsets.map((offset) => ({ key: null, value: Buffer.from(`v${offset}`), offset: String(offset) }));
+    return {
+      batch: { topic: 't', partition: 0, highWatermark: String(offsets[offsets.length - 1] + 1), messages, lastOffset: () => messages[messages.length - 1].offset },
+      resolveOffset: jest.fn(),
+      heartbeat: jest.fn().mockResolvedValue(undefined),
+      commitOffsetsIfNecessary: jest.fn().mockResolvedValue(undefined),
+      isRunning: () => true,
+      isStale: () => false,
+      ...overrides,
+    };
+  }
+
+  test('wires eachBatch with fetch tuning and splits batches by maxBatchSize', async () => {
+    const { consumerObj, consumerFactory, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    const seen = [];
+    await consumeMessages({
+      brokers: ['b:1'], topic: 't', groupId: 'g',
+      maxBatchSize: 2, maxWaitTimeInMs: 250, minBytes: 1024,
+      eachBatch: async ({ batch, commitOffsetsIfNecessary }) => {
+        seen.push(batch.messages.map((m) => m.offset));
+        expect(batch.lastOffset()).toBe(batch.messages[batch.messages.length - 1].offset);
+        await commitOffsetsIfNecessary();
+      },
+    });
+
+    expect(consumerFactory).toHaveBeenCalledWith({ groupId: 'g', maxWaitTimeInMs: 250, minBytes: 1024 });
+    const runConfig = consumerObj.run.mock.calls[0][0];
+    expect(runConfig.eachBatchAutoResolve).toBe(false);
+    expect(runConfig.eachMessage).toBeUndefined();
+
+    const payload = batchPayload([10, 11, 12, 13, 14]);
+    await runConfig.eachBatch(payload);
+
+    expect(seen).toEqual([['10', '11'], ['12', '13'], ['14']]);
+    expect(payload.resolveOffset.mock.calls.map((c) => c[0])).toEqual(['11', '13', '14']);
+    expect(payload.heartbeat).toHaveBeenCalledTimes(3);
+    expect(payload.commitOffsetsIfNecessary).toHaveBeenCalledTimes(3);
+  });
+
+  test('passes the whole batch when it fits and leaves resolving to the handler when auto-resolve is off', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    const handler = jest.fn().mockResolvedValue(undefined);
+    await consumeMessages({ brokers: ['b:1'], topic: 't', eachBatch: handler, eachBatchAutoResolve: false });
+
+    const payload = batchPayload([1, 2]);
+    await consumerObj.run.mock.calls[0][0].eachBatch(payload);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].batch).toBe(payload.batch);
+    expect(payload.resolveOffset).not.toHaveBeenCalled();
+  });
+
+  test('stops delivering chunks once the consumer is stopping', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    let running = true;
+    const handler = jest.fn(async () => { running = false; });
+    await consumeMessages({ brokers: ['b:1'], topic: 't', eachBatch: handler, maxBatchSize: 1 });
+
+    const payload = batchPayload([1, 2, 3], { isRunning: () => running });
+    await consumerObj.run.mock.calls[0][0].eachBatch(payload);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(payload.resolveOffset.mock.calls).toEqual([['1']]);
+  });
+
+  test('rejects conflicting handler options', async () => {
+    const { factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+    const base = { brokers: ['b:1'], topic: 't', eachBatch: async () => {} };
+
+    await expect(consumeMessages({ ...base, eachMessage: async () => {} })).rejects.toThrow('mutually exclusive');
+    await expect(consumeMessages({ ...base, retry: { tiers: '5s' } })).rejects.toThrow('retry is only supported with eachMessage');
+    await expect(consumeMessages({ ...base, maxBatchSize: 0 })).rejects.toThrow('maxBatchSize must be a positive integer');
+  });
+});
+
+describe('consumeMessages manual commit mode (unit)', () => {
+  function setup() {
+    const consumerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+      commitOffsets: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4, NOTHING: 0 };
+    return { consumerObj, factory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }) };
+  }
+
+  const message = (offset) => ({ key: null, value: Buffer.from('v'), offset: String(offset), headers: {} });
+
+  test('autoCommit=false gives handlers commit() and commits only confirmed offsets', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    await consumeMessages({
+      brokers: ['b:1'], topic: 't', autoCommit: false,
+      eachMessage: async ({ message, commit }) => {
+        if (message.offset !== '1') await commit();
+      },
+    });
+
+    const runConfig = consumerObj.run.mock.calls[0][0];
+    expect(runConfig.autoCommit).toBe(false);
+    await runConfig.eachMessage({ topic: 't', partition: 0, message: message(0) });
+    await runConfig.eachMessage({ topic: 't', partition: 0, message: message(1) });
+
+    expect(consumerObj.commitOffsets).toHaveBeenCalledTimes(1);
+    expect(consumerObj.commitOffsets).toHaveBeenCalledWith([{ topic: 't', partition: 0, offset: '1' }]);
+  });
+
+  test('stop waits for in-flight handlers and commits confirmed offsets before leaving the group', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    let release;
+    const { stop } = await consumeMessages({
+      brokers: ['b:1'], topic: 't', autoCommit: false, autoCommitThreshold: 10,
+      eachMessage: async ({ commit }) => {
+        await new Promise((r) => { release = r; });
+        await commit();
+      },
+    });
+
+    const handling = consumerObj.run.mock.calls[0][0].eachMessage({ topic: 't', partition: 2, message: message(7) });
+    const stopping = stop();
+    await Promise.resolve();
+    expect(consumerObj.stop).not.toHaveBeenCalled();
+
+    release();
+    await handling;
+    await stopping;
+
+    expect(consumerObj.commitOffsets).toHaveBeenCalledWith([{ topic: 't', partition: 2, offset: '8' }]);
+    expect(consumerObj.commitOffsets.mock.invocationCallOrder[0]).toBeLessThan(consumerObj.stop.mock.invocationCallOrder[0]);
+  });
+
+  test('autoCommit interval and threshold are passed to KafkaJS in auto mode', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    await consumeMessages({ brokers: ['b:1'], topic: 't', autoCommitInterval: 5000, autoCommitThreshold: 100 });
+
+    const runConfig = consumerObj.run.mock.calls[0][0];
+    expect(runConfig).toMatchObject({ autoCommit: true, autoCommitInterval: 5000, autoCommitThreshold: 100 });
+  });
+
+  test('eachBatch handlers confirm a chunk with commit()', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    await consumeMessages({
+      brokers: ['b:1'], topic: 't', autoCommit: false, maxBatchSize: 2,
+      eachBatch: async ({ commit }) => { await commit(); },
+    });
+
+    const messages = [message(0), message(1), message(2)];
+    await consumerObj.run.mock.calls[0][0].eachBatch({
+      batch: { topic: 't', partition: 0, highWatermark: '3', messages },
+      resolveOffset: jest.fn(), heartbeat: jest.fn(), isRunning: () => true, isStale: () => false,
+    });
+
+    expect(consumerObj.commitOffsets.mock.calls.map((c) => c[0][0].offset)).toEqual(['2', '3']);
+  });
+});
+
+describe('consumeMessages client and consumer options (unit)', () => {
+  test('passes client tuning to Kafka, consumer tuning to the consumer and concurrency to run', async () => {
+    const consumerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const consumerFactory = jest.fn(() => consumerObj);
+    const Kafka = jest.fn(() => ({ consumer: consumerFactory }));
+    const logLevel = { INFO: 4, WARN: 2 };
+    const { consumeMessages } = await importConsumerWithMocks({
+      kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }),
+    });
+
+    const { stop } = await consumeMessages({
+      brokers: 'b:1',
+      groupId: 'g',
+      client: { connectionTimeout: 3000, logLevel: 'warn' },
+      consumerOptions: { sessionTimeout: 45000, maxBytes: 1024, partitionsConsumedConcurrently: 3 },
+      minBytes: 10,
+    });
+
+    expect(Kafka).toHaveBeenCalledWith(expect.objectContaining({ connectionTimeout: 3000, logLevel: 2 }));
+    expect(consumerFactory).toHaveBeenCalledWith({ groupId: 'g', sessionTimeout: 45000, maxBytes: 1024, minBytes: 10 });
+    expect(consumerObj.run.mock.calls[0][0].partitionsConsumedConcurrently).toBe(3);
+    await stop();
+  });
+});
+
+describe('consumeMessages deserializers (unit)', () => {
+  const makeConsumerObj = () => ({
+    connect: jest.fn().mockResolvedValue(undefined),
+    subscribe: jest.fn().mockResolvedValue(undefined),
+    run: jest.fn().mockResolvedValue(undefined),
+    stop: jest.fn().mockResolvedValue(undefined),
+    disconnect: jest.fn().mockResolvedValue(undefined),
+  });
+  const kafkaMock = (consumerObj) => () => {
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4 };
+    return { default: { Kafka, logLevel }, Kafka, logLevel };
+  };
+
+  test('handlers receive decoded values and undecodable records go to the error callback', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: kafkaMock(consumerObj) });
+    const eachMessage = jest.fn();
+    const onDeserializationError = jest.fn();
+
+    const { stop } = await consumeMessages({
+      brokers: 'b:1', topic: 't', eachMessage, onDeserializationError, deserializer: { key: 'string', value: 'json' },
+    });
+    const run = consumerObj.run.mock.calls[0][0];
+    const bad = { key: null, value: Buffer.from('{oops'), offset: '1' };
+    await run.eachMessage({ topic: 't', partition: 0, message: { key: Buffer.from('k'), value: Buffer.from('{"n":1}'), offset: '0' } });
+    await run.eachMessage({ topic: 't', partition: 0, message: bad });
+
+    expect(eachMessage).toHaveBeenCalledTimes(1);
+    expect(eachMessage.mock.calls[0][0].message).toMatchObject({ key: 'k', value: { n: 1 }, offset: '0' });
+    expect(onDeserializationError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ message: bad }));
+    expect(onDeserializationError.mock.calls[0][0].message).toMatch(/^Cannot deserialize value of t\[0\]@1/);
+    await stop();
+  });
+
+  test('the default handler logs decoded values as JSON', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: kafkaMock(consumerObj) });
+    const { default: logger } = await import('../src/logger.js');
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+    const deserialize = jest.fn(async () => ({ id: 'o-1', amountCents: '42', status: 'SHIPPED' }));
+
+    const { stop } = await consumeMessages({ brokers: 'b:1', topic: 't', deserializer: { value: { deserialize } } });
+    const run = consumerObj.run.mock.calls[0][0];
+    await run.eachMessage({ topic: 't', partition: 0, message: { key: null, value: Buffer.from([10, 3]), offset: '7' } });
+
+    expect(info).toHaveBeenCalledWith(
+      'Consumed message key=null value={"id":"o-1","amountCents":"42","status":"SHIPPED"}',
+    );
+    await stop();
+  });
+
+  test('records failing JSON Schema validation are logged and skipped or routed to onInvalidMessage', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: kafkaMock(consumerObj) });
+    const { default: logger } = await import('../src/logger.js');
+    const { ValidationError } = await import('../src/validation.js');
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const jsonSchemas = { t: { type: 'object', required: ['n'] } };
+    const eachMessage = jest.fn();
+    const onInvalidMessage = jest.fn();
+    const valid = { key: null, value: Buffer.from('{"n":1}'), offset: '0' };
+    const invalid = { key: null, value: Buffer.from('{}'), offset: '1' };
+
+    const first = await consumeMessages({ brokers: 'b:1', topic: 't', eachMessage, jsonSchemas });
+    let run = consumerObj.run.mock.calls[0][0];
+    await run.eachMessage({ topic: 't', partition: 0, message: valid });
+    await run.eachMessage({ topic: 't', partition: 0, message: invalid });
+    expect(eachMessage).toHaveBeenCalledTimes(1);
+    expect(eachMessage.mock.calls[0][0].message.value).toEqual(Buffer.from('{"n":1}'));
+    expect(warn).toHaveBeenCalledWith(
+      "Skipping invalid record: Value for topic t does not match its JSON Schema: (root) must have required property 'n'",
+    );
+    expect(warn.mock.contexts[0].bindings).toEqual({ topic: 't', partition: 0, offset: '1' });
+    await first.stop();
+
+    const second = await consumeMessages({
+      brokers: 'b:1', topic: 't', eachMessage, jsonSchemas, onInvalidMessage, deserializer: { value: 'json' },
+    });
+    run = consumerObj.run.mock.calls[1][0];
+    await run.eachMessage({ topic: 't', partition: 0, message: invalid });
+    expect(eachMessage).toHaveBeenCalledTimes(1);
+    expect(onInvalidMessage).toHaveBeenCalledWith(expect.any(ValidationError), expect.objectContaining({
+      topic: 't', partition: 0, message: expect.objectContaining({ value: {}, offset: '1' }),
+    }));
+    expect(warn).toHaveBeenLastCalledWith(expect.stringMatching(/^Invalid record: Value for topic t/));
+    await second.stop();
+  });
+
+  test('tombstones reach the handler without JSON Schema validation', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: kafkaMock(consumerObj) });
+    const jsonSchemas = { t: { type: 'object', required: ['n'] } };
+    const eachMessage = jest.fn();
+    const onInvalidMessage = jest.fn();
+    const tombstone = { key: Buffer.from('k'), value: null, offset: '3' };
+
+    const consumer = await consumeMessages({
+      brokers: 'b:1', topic: 't', eachMessage, jsonSchemas, onInvalidMessage, deserializer: { value: 'json' },
+    });
+    await consumerObj.run.mock.calls[0][0].eachMessage({ topic: 't', partition: 0, message: tombstone });
+    await consumer.stop();
+
+    expect(onInvalidMessage).not.toHaveBeenCalled();
+    expect(eachMessage).toHaveBeenCalledTimes(1);
+    expect(eachMessage.mock.calls[0][0].message.value).toBeNull();
+  });
+
+  test('batch handlers only see records that could be decoded', async () => {
+    const consumerObj = makeConsumerObj();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: kafkaMock(consumerObj) });
+    const { default: logger } = await import('../src/logger.js');
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const eachBatch = jest.fn();
+
+    const { stop } = await consumeMessages({ brokers: 'b:1', topic: 't', eachBatch, deserializer: { value: 'json' } });
+    const run = consumerObj.run.mock.calls[0][0];
+    const resolveOffset = jest.fn();
+    const messages = ['1', 'x', '3'].map((v, i) => ({ key: null, value: Buffer.from(v), offset: String(i) }));
+    await run.eachBatch({
+      batch: { topic: 't', partition: 0, highWatermark: '3', messages },
+      resolveOffset, heartbeat: jest.fn(), isRunning: () => true, isStale: () => false,
+    });
+
+    expect(eachBatch.mock.calls[0][0].batch.messages.map((m) => m.value)).toEqual([1, 3]);
+    expect(error).toHaveBeenCalledWith('Skipping record that cannot be deserialized:', expect.any(Error));
+    expect(resolveOffset).toHaveBeenCalledWith('2');
+    await stop();
+  });
+});
+
+describe('consumeMessages metrics (unit)', () => {
+  const events = { END_BATCH_PROCESS: 'end_batch', GROUP_JOIN: 'group_join', COMMIT_OFFSETS: 'commit_offsets' };
+  const setup = () => {
+    const listeners = {};
+    const consumerObj = {
+      events,
+      on: jest.fn((event, listener) => { listeners[event] = listener; return () => {}; }),
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4 };
+    return { consumerObj, listeners, factory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }) };
+  };
+
+  test('records KafkaJS events and handler errors in the given registry', async () => {
+    const { consumerObj, listeners, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+    const { createMetricsRegistry } = await import('../src/metrics.js');
+    const metricsRegistry = createMetricsRegistry();
+    const eachMessage = jest.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue(undefined);
+
+    const { stop } = await consumeMessages({ brokers: 'b:1', topic: 't', groupId: 'g', eachMessage, metricsRegistry });
+    const run = consumerObj.run.mock.calls[0][0];
+    const message = { key: null, value: Buffer.from('v'), offset: '0' };
+    await expect(run.eachMessage({ topic: 't', partition: 0, message })).rejects.toThrow('boom');
+    await run.eachMessage({ topic: 't', partition: 0, message });
+    listeners.end_batch({ payload: { topic: 't', partition: 0, batchSize: 1, offsetLag: '4', duration: 5 } });
+    listeners.group_join({ payload: {} });
+
+    const text = await metricsRegistry.metrics();
+    expect(text).toContain('kafka_consumer_handler_errors_total{group="g",topic="t"} 1');
+    expect(text).toContain('kafka_consumer_handler_duration_seconds_count{group="g",topic="t"} 2');
+    expect(text).toContain('kafka_consumer_messages_consumed_total{group="g",topic="t",partition="0"} 1');
+    expect(text).toContain('kafka_consumer_lag{group="g",topic="t",partition="0"} 4');
+    expect(text).toContain('kafka_consumer_rebalances_total{group="g"} 1');
+    await stop();
+  });
+
+  test('does not listen to consumer events without a registry', async () => {
+    const { consumerObj, factory } = setup();
+    const { consumeMessages } = await importConsumerWithMocks({ kafkajsMockFactory: factory });
+
+    const { stop } = await consumeMessages({ brokers: 'b:1', topic: 't' });
+
+    expect(consumerObj.on).not.toHaveBeenCalled();
+    await stop();
+  });
+});
+
+describe('consumeMessages health (unit)', () => {
+  test('reports the consumer, connectivity and run loop start to the health monitor in order', async () => {
+    const consumerObj = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      subscribe: jest.fn().mockResolvedValue(undefined),
+      run: jest.fn().mockResolvedValue(undefined),
+      stop: jest.fn().mockResolvedValue(undefined),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    const Kafka = jest.fn(() => ({ consumer: jest.fn(() => consumerObj) }));
+    const logLevel = { INFO: 4 };
+    const { consumeMessages } = await importConsumerWithMocks({
+      kafkajsMockFactory: () => ({ default: { Kafka, logLevel }, Kafka, logLevel }),
+    });
+    const calls = [];
+    const healthMonitor = {
+      watch: jest.fn((consumer) => calls.push(['watch', consumer])),
+      connected: jest.fn(() => calls.push(['connected', consumerObj.run.mock.calls.length])),
+      started: jest.fn(() => calls.push(['started', consumerObj.run.mock.calls.length])),
+    };
+
+    const { stop } = await consumeMessages({ brokers: 'b:1', topic: 't', healthMonitor });
+
+    expect(calls).toEqual([['watch', consumerObj], ['connected', 0], ['started', 1]]);
+    await stop();
+  });
+});
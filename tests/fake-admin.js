@@ -0,0 +1,63 @@
+/**
+ * In-memory KafkaJS admin double shared by the admin and provisioning tests.
+ */
+import {jest} from '@jest/globals';
+import pkg from 'kafkajs';
+
+const {ConfigSource} = pkg;
+
+/**
+ * Admin double over an in-memory cluster: {topic: {partitions, replicationFactor?, overrides}}; every topic also
+ * has the retention.ms=604800000 and cleanup.policy=delete defaults. Like Kafka, createTopics resolves false for a
+ * topic that already exists, and metadata lists partitions out of order.
+ * @param {Object<string, {partitions: number, replicationFactor?: number, overrides: Object<string, string>}>} [topics]
+ *        Initial topics (copied; the live state is exposed as `state`).
+ * @returns {Object} Admin double whose methods are jest.fn()s.
+ */
+export function fakeAdmin(topics = {}) {
+    const state = structuredClone(topics);
+    const defaults = {'retention.ms': '604800000', 'cleanup.policy': 'delete'};
+    return {
+        state,
+        connect: jest.fn(async () => {}),
+        disconnect: jest.fn(async () => {}),
+        listTopics: jest.fn(async () => ['__consumer_offsets', ...Object.keys(state)]),
+        createTopics: jest.fn(async ({topics: [{topic, numPartitions, replicationFactor, configEntries = []}]}) => {
+            if (state[topic]) return false;
+            state[topic] = {
+                partitions: numPartitions,
+                ...(replicationFactor === undefined ? {} : {replicationFactor}),
+                overrides: Object.fromEntries(configEntries.map((e) => [e.name, e.value])),
+            };
+            return true;
+        }),
+        deleteTopics: jest.fn(async ({topics: names}) => names.forEach((name) => delete state[name])),
+        fetchTopicMetadata: jest.fn(async ({topics: names}) => ({
+            topics: names.map((name) => ({
+                name,
+                partitions: Array.from({length: state[name].partitions}, (_, i) => ({
+                    partitionId: state[name].partitions - 1 - i,
+                    leader: 1,
+                    replicas: Array.from({length: state[name].replicationFactor ?? 1}, (__, r) => r + 1),
+                    isr: [1],
+                })),
+            })),
+        })),
+        describeConfigs: jest.fn(async ({resources}) => ({
+            resources: resources.map(({name}) => ({
+                resourceName: name,
+                configEntries: Object.entries({...defaults, ...state[name].overrides}).map(([configName, configValue]) => ({
+                    configName,
+                    configValue,
+                    configSource: configName in state[name].overrides ? ConfigSource.TOPIC_CONFIG : ConfigSource.DEFAULT_CONFIG,
+                })),
+            })),
+        })),
+        alterConfigs: jest.fn(async ({resources: [{name, configEntries}]}) => {
+            state[name].overrides = Object.fromEntries(configEntries.map((e) => [e.name, e.value]));
+        }),
+        createPartitions: jest.fn(async ({topicPartitions: [{topic, count}]}) => {
+            state[topic].partitions = count;
+        }),
+    };
+}
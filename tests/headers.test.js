@@ -0,0 +1,46 @@
+import {describe, test, expect} from '@jest/globals';
+import {normalizeHeaders, decodeHeaders, headerValue} from '../src/headers.js';
+
+describe('normalizeHeaders', () => {
+    test('keeps string, Buffer and repeated values and drops empty ones', () => {
+        const bytes = Buffer.from([0xde, 0xad]);
+        expect(normalizeHeaders({
+            'correlation-id': 'abc',
+            'content-type': Buffer.from('application/json'),
+            tag: ['a', bytes],
+            skipped: undefined,
+            alsoSkipped: null,
+        })).toEqual({
+            'correlation-id': 'abc',
+            'content-type': Buffer.from('application/json'),
+            tag: ['a', bytes],
+        });
+    });
+
+    test('rejects other value types and non-object headers', () => {
+        expect(() => normalizeHeaders({retries: 3})).toThrow('header "retries" must be a string or Buffer (or an array of them), got: number');
+        expect(() => normalizeHeaders({tag: ['a', {}]})).toThrow('header "tag" must be a string or Buffer');
+        expect(() => normalizeHeaders('a=1')).toThrow('headers must be an object');
+        expect(() => normalizeHeaders(['a'])).toThrow('headers must be an object');
+    });
+});
+
+describe('decodeHeaders', () => {
+    test('decodes Buffers to strings and keeps repeated headers as arrays', () => {
+        expect(decodeHeaders({
+            'correlation-id': Buffer.from('abc'),
+            tag: [Buffer.from('a'), Buffer.from('b')],
+            empty: undefined,
+        })).toEqual({'correlation-id': 'abc', tag: ['a', 'b']});
+        expect(decodeHeaders({id: Buffer.from('hi')}, 'base64')).toEqual({id: 'aGk='});
+        expect(decodeHeaders(undefined)).toEqual({});
+    });
+
+    test('headerValue reads one header, the last value of a repeated one', () => {
+        const headers = {a: Buffer.from('1'), b: [Buffer.from('x'), Buffer.from('y')]};
+        expect(headerValue(headers, 'a')).toBe('1');
+        expect(headerValue(headers, 'b')).toBe('y');
+        expect(headerValue(headers, 'c')).toBeUndefined();
+        expect(headerValue(undefined, 'a')).toBeUndefined();
+    });
+});
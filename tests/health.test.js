@@ -0,0 +1,120 @@
+import {describe, test, expect} from '@jest/globals';
+import {EventEmitter} from 'events';
+import {createHealthMonitor, startHealthServer} from '../src/health.js';
+
+const EVENTS = {
+    GROUP_JOIN: 'consumer.group_join',
+    REBALANCING: 'consumer.rebalancing',
+    HEARTBEAT: 'consumer.heartbeat',
+    FETCH_START: 'consumer.fetch_start',
+    END_BATCH_PROCESS: 'consumer.end_batch_process',
+    CRASH: 'consumer.crash',
+    STOP: 'consumer.stop',
+};
+
+// Stand-in for a KafkaJS consumer: instrumentation events are emitted as {type, payload}
+function fakeConsumer() {
+    const emitter = new EventEmitter();
+    return {
+        events: EVENTS,
+        on: (event, listener) => emitter.on(event, listener),
+        emit: (event, payload = {}) => emitter.emit(event, {type: event, payload}),
+    };
+}
+
+function setup(options) {
+    let time = 1000;
+    const clock = {advance: (ms) => { time += ms; }};
+    const monitor = createHealthMonitor({...options, now: () => time});
+    const consumer = fakeConsumer();
+    monitor.watch(consumer);
+    return {monitor, consumer, clock};
+}
+
+describe('health', () => {
+    test('ready once connected, assigned and heartbeating', () => {
+        const {monitor, consumer, clock} = setup({heartbeatTimeoutMs: 5000});
+
+        expect(monitor.readiness()).toMatchObject({ok: false, reason: 'Kafka is not reachable yet'});
+        monitor.connected();
+        expect(monitor.readiness()).toMatchObject({ok: false, reason: 'No partitions assigned'});
+
+        consumer.emit(EVENTS.GROUP_JOIN, {memberAssignment: {orders: [0, 1], payments: [2]}});
+        expect(monitor.readiness()).toEqual({ok: true, checks: {connected: true, partitions: 3, heartbeatAgeMs: 0}});
+
+        clock.advance(6000);
+        expect(monitor.readiness()).toMatchObject({ok: false, reason: 'Last heartbeat 6000ms ago (timeout 5000ms)'});
+        consumer.emit(EVENTS.HEARTBEAT, {});
+        expect(monitor.readiness().ok).toBe(true);
+    });
+
+    test('not ready while rebalancing or after the consumer stopped', () => {
+        const {monitor, consumer} = setup();
+        monitor.connected();
+        consumer.emit(EVENTS.GROUP_JOIN, {memberAssignment: {orders: [0]}});
+
+        consumer.emit(EVENTS.REBALANCING, {});
+        expect(monitor.readiness()).toMatchObject({ok: false, reason: 'No partitions assigned'});
+        consumer.emit(EVENTS.GROUP_JOIN, {memberAssignment: {orders: [0]}});
+        expect(monitor.readiness().ok).toBe(true);
+
+        consumer.emit(EVENTS.STOP);
+        expect(monitor.readiness()).toMatchObject({ok: false, reason: 'Consumer stopped'});
+        expect(monitor.liveness().ok).toBe(true);
+    });
+
+    test('liveness fails when the run loop makes no progress past the threshold', () => {
+        const {monitor, consumer, clock} = setup({stuckThresholdMs: 10000});
+
+        clock.advance(60000);
+        expect(monitor.liveness()).toEqual({ok: true, checks: {crashed: false, idleMs: null}});
+
+        monitor.started();
+        clock.advance(8000);
+        consumer.emit(EVENTS.FETCH_START, {nodeId: 1});
+        clock.advance(8000);
+        expect(monitor.liveness()).toEqual({ok: true, checks: {crashed: false, idleMs: 8000}});
+
+        clock.advance(4000);
+        expect(monitor.liveness()).toMatchObject({
+            ok: false, reason: 'No run loop progress for 12000ms (threshold 10000ms)',
+        });
+        consumer.emit(EVENTS.END_BATCH_PROCESS, {});
+        expect(monitor.liveness().ok).toBe(true);
+    });
+
+    test('liveness fails after a crash KafkaJS does not restart from', () => {
+        const {monitor, consumer} = setup();
+        monitor.started();
+
+        consumer.emit(EVENTS.CRASH, {error: new Error('retriable'), restart: true});
+        expect(monitor.liveness().ok).toBe(true);
+
+        consumer.emit(EVENTS.CRASH, {error: new Error('group authorization failed'), restart: false});
+        expect(monitor.liveness()).toEqual({
+            ok: false,
+            checks: {crashed: true, idleMs: 0},
+            reason: 'Consumer crashed: group authorization failed',
+        });
+    });
+
+    test('the server answers /healthz and /readyz with 200 or 503 and a JSON body', async () => {
+        const {monitor} = setup();
+        const server = await startHealthServer({port: 0, host: '127.0.0.1', monitor});
+        const base = `http://127.0.0.1:${server.port}`;
+        try {
+            const live = await fetch(`${base}/healthz`);
+            expect(live.status).toBe(200);
+            expect(await live.json()).toEqual({status: 'ok', checks: {crashed: false, idleMs: null}});
+
+            const ready = await fetch(`${base}/readyz`);
+            expect(ready.status).toBe(503);
+            expect(ready.headers.get('content-type')).toBe('application/json');
+            expect(await ready.json()).toMatchObject({status: 'fail', reason: 'Kafka is not reachable yet'});
+
+            expect((await fetch(`${base}/metrics`)).status).toBe(404);
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,47 @@
+import {describe, test, expect} from '@jest/globals';
+import {Readable} from 'stream';
+import {parseRecord, readRecords, openInput} from '../src/input.js';
+
+describe('parseRecord', () => {
+    test('text lines are values, split at the first key separator when one is given', () => {
+        expect(parseRecord('hello world')).toEqual({value: 'hello world'});
+        expect(parseRecord('user-1:{"a":1}:x', {keySeparator: ':'})).toEqual({key: 'user-1', value: '{"a":1}:x'});
+        expect(parseRecord('k=>v', {keySeparator: '=>'})).toEqual({key: 'k', value: 'v'});
+        expect(() => parseRecord('no key', {keySeparator: '|'})).toThrow('missing key separator "|"');
+    });
+
+    test('JSONL lines carry value, key, headers, partition and timestamp', () => {
+        const line = '{"key":"k","value":{"id":1},"headers":{"trace":"t1"},"partition":2,"timestamp":1700000000000}';
+        expect(parseRecord(line, {format: 'jsonl'})).toEqual({
+            key: 'k', value: {id: 1}, headers: {trace: 't1'}, partition: 2, timestamp: 1700000000000,
+        });
+    });
+
+    test('rejects malformed JSONL lines', () => {
+        const jsonl = {format: 'jsonl'};
+        expect(() => parseRecord('{"value":', jsonl)).toThrow(/^invalid JSON/);
+        expect(() => parseRecord('[1]', jsonl)).toThrow('expected a JSON object');
+        expect(() => parseRecord('{"key":"k"}', jsonl)).toThrow('missing "value"');
+        expect(() => parseRecord('{"value":1,"topic":"x"}', jsonl)).toThrow('unknown field(s): topic');
+        expect(() => parseRecord('{"value":1,"headers":"x"}', jsonl)).toThrow('"headers" must be an object');
+        expect(() => parseRecord('v', {format: 'csv'})).toThrow('Unsupported input format: csv');
+    });
+});
+
+describe('readRecords', () => {
+    test('yields messages and per-line errors with line numbers, skipping blank lines', async () => {
+        const stream = Readable.from(['a:1\r\nbroken\n', '\nb:2']);
+        const records = [];
+        for await (const record of readRecords(stream, {keySeparator: ':'})) records.push(record);
+
+        expect(records.map(({line, message, error}) => [line, message, error && error.message])).toEqual([
+            [1, {key: 'a', value: '1'}, undefined],
+            [2, undefined, 'missing key separator ":"'],
+            [4, {key: 'b', value: '2'}, undefined],
+        ]);
+    });
+
+    test('openInput reports unreadable files', async () => {
+        await expect(openInput('/does/not/exist.txt')).rejects.toThrow(/^Cannot read input file \/does\/not\/exist.txt/);
+    });
+});
@@ -4,6 +4,7 @@
  * Note: Brokers are read from globalThis.__kafka_brokers__ which is set in Jest global setup.
  */
 import {Kafka} from "kafkajs";
+import {createTopic} from "../src/admin.js";
 
 /**
  * Creates a KafkaJS client configured with brokers from the test environment.
@@ -32,8 +33,7 @@ export function uniqueId(prefix = "t") {
 
 /**
  * Ensures that the specified Kafka topic exists. If it does not, the topic is created
- * with a single partition and a replication factor of 1. Connects to an admin client,
- * checks for the topic, creates it if needed, and disconnects.
+ * with a single partition and a replication factor of 1 (createTopic with ifNotExists from src/admin.js).
  * @param {Kafka} kafka KafkaJS client instance.
  * @param {string} topic The topic name to ensure exists.
  * @returns {Promise<void>} Resolves when the topic exists (either previously or after creation).
@@ -41,9 +41,9 @@ export function uniqueId(prefix = "t") {
 export async function ensureTopic(kafka, topic) {
     const admin = kafka.admin();
     await admin.connect();
-    const topics = await admin.listTopics();
-    if (!topics.includes(topic)) {
-        await admin.createTopics({topics: [{topic, numPartitions: 1, replicationFactor: 1}]});
+    try {
+        await createTopic({admin, topic, partitions: 1, replicationFactor: 1, ifNotExists: true});
+    } finally {
+        await admin.disconnect();
     }
-    await admin.disconnect();
 }
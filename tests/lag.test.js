@@ -0,0 +1,230 @@
+import {describe, test, expect, beforeEach, afterEach, jest} from '@jest/globals';
+import {fetchConsumerLag, formatLagTable, configFromEnv, main, LAG_EXIT_CODES} from '../src/lag.js';
+
+const ORIGINAL_ENV = process.env;
+
+/**
+ * Admin double: committed offsets by "topic:partition" and watermarks by topic.
+ */
+function fakeAdmin({committed = {}, watermarks = {}, topics = Object.keys(watermarks)} = {}) {
+    return {
+        listTopics: jest.fn(async () => topics),
+        // Without topics, like Kafka, only the topics the group committed offsets for
+        fetchOffsets: jest.fn(async ({
+            topics: names = Object.keys(watermarks).filter((t) => Object.keys(committed).some((k) => k.startsWith(`${t}:`))),
+        }) => names.map((topic) => ({
+            topic,
+            partitions: (watermarks[topic] || []).map(({partition}) => ({
+                partition,
+                offset: committed[`${topic}:${partition}`] ?? '-1',
+            })),
+        }))),
+        fetchTopicOffsets: jest.fn(async (topic) => watermarks[topic].map((w) => ({offset: w.high, ...w}))),
+    };
+}
+
+const report = (totalLag) => ({
+    time: '2026-01-01T00:00:00.000Z',
+    groupId: 'g',
+    totalLag,
+    partitions: [{topic: 't', partition: 0, committedOffset: '1', endOffset: String(1 + totalLag), lag: totalLag}],
+});
+
+describe('fetchConsumerLag', () => {
+    test('computes per-partition and total lag from committed offsets and high watermarks', async () => {
+        const admin = fakeAdmin({
+            committed: {'orders:0': '40', 'orders:1': '10'},
+            watermarks: {orders: [{partition: 1, low: '0', high: '10'}, {partition: 0, low: '0', high: '42'}]},
+        });
+
+        const result = await fetchConsumerLag({admin, groupId: 'g', topics: ['orders']});
+
+        expect(admin.fetchOffsets).toHaveBeenCalledWith({groupId: 'g', topics: ['orders']});
+        expect(result).toEqual({
+            time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+            groupId: 'g',
+            totalLag: 2,
+            partitions: [
+                {topic: 'orders', partition: 0, committedOffset: '40', endOffset: '42', lag: 2},
+                {topic: 'orders', partition: 1, committedOffset: '10', endOffset: '10', lag: 0},
+            ],
+        });
+    });
+
+    test('counts uncommitted partitions from the low watermark', async () => {
+        const admin = fakeAdmin({watermarks: {t: [{partition: 0, low: '5', high: '12'}]}});
+
+        const {partitions, totalLag} = await fetchConsumerLag({admin, groupId: 'new', topics: ['t']});
+
+        expect(partitions).toEqual([{topic: 't', partition: 0, committedOffset: null, endOffset: '12', lag: 7}]);
+        expect(totalLag).toBe(7);
+    });
+
+    test('expands patterns to existing topics and skips internal ones', async () => {
+        const admin = fakeAdmin({
+            watermarks: {'b-1': [{partition: 0, low: '0', high: '1'}], 'a-1': [{partition: 0, low: '0', high: '2'}]},
+            topics: ['b-1', 'a-1', '__consumer_offsets', 'other'],
+        });
+
+        const {partitions} = await fetchConsumerLag({admin, groupId: 'g', topics: [/.*-1$|^__/]});
+
+        expect(partitions.map((p) => p.topic)).toEqual(['a-1', 'b-1']);
+    });
+
+    test('without topics, inspects the topics the group committed offsets for', async () => {
+        const admin = fakeAdmin({
+            committed: {'orders:0': '3', '__consumer_offsets:0': '1'},
+            watermarks: {
+                orders: [{partition: 0, low: '0', high: '5'}],
+                other: [{partition: 0, low: '0', high: '9'}],
+                __consumer_offsets: [{partition: 0, low: '0', high: '1'}],
+            },
+        });
+
+        const {partitions, totalLag} = await fetchConsumerLag({admin, groupId: 'g'});
+
+        expect(admin.fetchOffsets).toHaveBeenCalledTimes(1);
+        expect(admin.fetchOffsets).toHaveBeenCalledWith({groupId: 'g'});
+        expect(partitions).toEqual([{topic: 'orders', partition: 0, committedOffset: '3', endOffset: '5', lag: 2}]);
+        expect(totalLag).toBe(2);
+    });
+
+    test('returns an empty report when no topic matches', async () => {
+        const admin = fakeAdmin({topics: ['x']});
+
+        await expect(fetchConsumerLag({admin, groupId: 'g', topics: [/^y/]})).resolves.toMatchObject({totalLag: 0, partitions: []});
+        expect(admin.fetchOffsets).not.toHaveBeenCalled();
+    });
+});
+
+describe('formatLagTable', () => {
+    test('aligns columns and ends with the total', () => {
+        const text = formatLagTable({
+            groupId: 'g',
+            totalLag: 120,
+            partitions: [
+                {topic: 'orders', partition: 0, committedOffset: '1000', endOffset: '1100', lag: 100},
+                {topic: 'orders', partition: 1, committedOffset: null, endOffset: '20', lag: 20},
+            ],
+        });
+
+        expect(text).toBe([
+            'GROUP  TOPIC   PARTITION  COMMITTED  END   LAG',
+            'g      orders  0          1000       1100  100',
+            'g      orders  1          -          20    20',
+            'TOTAL LAG: 120',
+            '',
+        ].join('\n'));
+    });
+
+    test('says so when there are no partitions', () => {
+        expect(formatLagTable({groupId: 'g', totalLag: 0, partitions: []})).toContain('(no partitions)\nTOTAL LAG: 0\n');
+    });
+});
+
+describe('lag CLI', () => {
+    let stdout;
+
+    beforeEach(() => {
+        process.env = {...ORIGINAL_ENV};
+        for (const name of ['KAFKA_CONFIG', 'KAFKA_GROUP_ID', 'KAFKA_TOPIC', 'LAG_TOPICS', 'LAG_FORMAT', 'LAG_WATCH', 'LAG_INTERVAL', 'MAX_LAG']) {
+            delete process.env[name];
+        }
+        process.exitCode = undefined;
+        stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+        process.env = ORIGINAL_ENV;
+        process.exitCode = undefined;
+        jest.restoreAllMocks();
+    });
+
+    const inspector = (...reports) => {
+        const check = jest.fn();
+        for (const r of reports) check.mockImplementationOnce(async () => (r instanceof Error ? Promise.reject(r) : r));
+        return {check, close: jest.fn(async () => {})};
+    };
+
+    test('configFromEnv defaults to a single table check of the group\'s own topics without a threshold', () => {
+        process.env.KAFKA_TOPIC = 'producer-topic';
+
+        expect(configFromEnv()).toMatchObject({
+            groupId: 'kafka-nodejs-demo-group',
+            topic: undefined,
+            format: 'table',
+            watch: false,
+            intervalMs: 5000,
+            maxLag: undefined,
+        });
+    });
+
+    test('configFromEnv reads LAG_* and MAX_LAG', () => {
+        Object.assign(process.env, {LAG_TOPICS: 'a,b', LAG_FORMAT: 'JSON', LAG_WATCH: 'true', LAG_INTERVAL: '2s', MAX_LAG: '100'});
+
+        expect(configFromEnv()).toMatchObject({topic: 'a,b', format: 'json', watch: true, intervalMs: 2000, maxLag: 100});
+    });
+
+    test('prints a table and exits 0 within --max-lag', async () => {
+        const lag = inspector(report(5));
+        const createLagInspector = jest.fn(() => lag);
+
+        await main({createLagInspector}, ['-g', 'g', '-t', 'a,b', '--max-lag', '5']);
+
+        expect(createLagInspector).toHaveBeenCalledWith(expect.objectContaining({groupId: 'g', topic: 'a,b', maxLag: 5}));
+        expect(stdout.mock.calls[0][0]).toContain('TOTAL LAG: 5');
+        expect(process.exitCode).toBe(LAG_EXIT_CODES.OK);
+        expect(lag.close).toHaveBeenCalled();
+    });
+
+    test('exits 3 when the total lag is above --max-lag', async () => {
+        await main({createLagInspector: () => inspector(report(6))}, ['--max-lag', '5', '--format', 'json']);
+
+        expect(JSON.parse(stdout.mock.calls[0][0])).toMatchObject({groupId: 'g', totalLag: 6});
+        expect(process.exitCode).toBe(LAG_EXIT_CODES.LAG_EXCEEDED);
+    });
+
+    test('exits 1 when the lag cannot be fetched', async () => {
+        jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const lag = inspector(new Error('boom'));
+
+        await main({createLagInspector: () => lag}, []);
+
+        expect(process.exitCode).toBe(LAG_EXIT_CODES.ERROR);
+        expect(lag.close).toHaveBeenCalled();
+    });
+
+    test('exits 2 on invalid flags', async () => {
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const createLagInspector = jest.fn();
+
+        await main({createLagInspector}, ['--format', 'xml']);
+
+        expect(createLagInspector).not.toHaveBeenCalled();
+        expect(stderr.mock.calls.join('')).toContain('lag.format');
+        expect(process.exitCode).toBe(LAG_EXIT_CODES.USAGE);
+    });
+
+    test('--help prints usage with the exit codes', async () => {
+        await main({createLagInspector: jest.fn()}, ['--help']);
+
+        expect(stdout.mock.calls[0][0]).toContain('Usage: node src/lag.js');
+        expect(stdout.mock.calls[0][0]).toContain('--max-lag N');
+    });
+
+    test('--watch refreshes until SIGINT and exits with the code of the last check', async () => {
+        const on = jest.spyOn(process, 'on');
+        const lag = inspector(report(10), report(1));
+        lag.check.mockImplementationOnce(async () => {
+            on.mock.calls.find(([event]) => event === 'SIGINT')[1]();
+            return report(1);
+        });
+
+        await main({createLagInspector: () => lag}, ['--watch', '--interval', '1ms', '--max-lag', '5', '--format', 'json']);
+
+        expect(lag.check).toHaveBeenCalledTimes(3);
+        expect(stdout.mock.calls.map(([line]) => JSON.parse(line).totalLag)).toEqual([10, 1, 1]);
+        expect(process.exitCode).toBe(LAG_EXIT_CODES.OK);
+        expect(lag.close).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,39 @@
+import {describe, test, expect, jest, beforeEach} from '@jest/globals';
+
+// createLagInspector builds its admin client through createKafkaClient; mock KafkaJS to hand out a fake admin
+async function importLagWithAdmin(admin) {
+    jest.resetModules();
+    jest.unstable_mockModule('kafkajs', () => {
+        const Kafka = jest.fn(() => ({admin: jest.fn(() => admin)}));
+        const logLevel = {NOTHING: 0, ERROR: 1, WARN: 2, INFO: 4, DEBUG: 5};
+        return {default: {Kafka, logLevel}, Kafka, logLevel};
+    });
+    return import('../src/lag.js');
+}
+
+beforeEach(() => {
+    jest.resetModules();
+});
+
+describe('createLagInspector (unit)', () => {
+    test('retries a failed connect on the next check', async () => {
+        const admin = {
+            connect: jest.fn()
+                .mockRejectedValueOnce(new Error('broker down'))
+                .mockResolvedValueOnce(undefined),
+            disconnect: jest.fn().mockResolvedValue(undefined),
+            fetchOffsets: jest.fn().mockResolvedValue([{topic: 't', partitions: [{partition: 0, offset: '2'}]}]),
+            fetchTopicOffsets: jest.fn().mockResolvedValue([{partition: 0, low: '0', high: '5', offset: '5'}]),
+        };
+        const {createLagInspector} = await importLagWithAdmin(admin);
+        const inspector = createLagInspector({brokers: 'k:9092', groupId: 'g'});
+
+        await expect(inspector.check()).rejects.toThrow('broker down');
+        await expect(inspector.check()).resolves.toMatchObject({totalLag: 3});
+        await inspector.check();
+        await inspector.close();
+
+        expect(admin.connect).toHaveBeenCalledTimes(2);
+        expect(admin.disconnect).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,124 @@
+import {describe, test, expect, jest, afterEach} from '@jest/globals';
+import {createConsumptionLimits, resolveEndOffsets} from '../src/limits.js';
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+function message(offset, value = `v${offset}`) {
+    return {offset: String(offset), key: null, value: Buffer.from(value), headers: {}, timestamp: '0'};
+}
+
+describe('createConsumptionLimits', () => {
+    test('is unbounded without limits', () => {
+        const onFinish = jest.fn();
+        const limits = createConsumptionLimits({onFinish});
+
+        limits.record('t', 0, message(0));
+
+        expect(limits.bounded).toBe(false);
+        expect(limits.remaining()).toBe(Infinity);
+        expect(onFinish).not.toHaveBeenCalled();
+        expect(limits.result()).toEqual({reason: 'stopped', completed: false, count: 1});
+    });
+
+    test('finishes once maxMessages records were consumed and collects them on request', () => {
+        const onFinish = jest.fn();
+        const limits = createConsumptionLimits({maxMessages: 2, collect: true, onFinish});
+
+        limits.record('t', 0, message(5));
+        expect(limits.remaining()).toBe(1);
+        limits.record('t', 1, message(9));
+        limits.record('t', 1, message(10));
+
+        expect(onFinish).toHaveBeenCalledTimes(1);
+        expect(onFinish).toHaveBeenCalledWith('maxMessages');
+        const result = limits.result();
+        expect(result).toMatchObject({reason: 'maxMessages', completed: true, count: 2});
+        expect(result.records.map((r) => [r.topic, r.partition, r.offset, r.value.toString()])).toEqual([
+            ['t', 0, '5', 'v5'],
+            ['t', 1, '9', 'v9'],
+        ]);
+    });
+
+    test('timeout is a failure when another condition was configured, success when it is the only one', () => {
+        jest.useFakeTimers();
+        const bounded = createConsumptionLimits({maxMessages: 3, timeoutMs: '1s', onFinish: jest.fn()});
+        const timed = createConsumptionLimits({timeoutMs: 500, onFinish: jest.fn()});
+        bounded.start();
+        timed.start();
+
+        jest.advanceTimersByTime(1000);
+
+        expect(bounded.result()).toEqual({reason: 'timeout', completed: false, count: 0});
+        expect(timed.result()).toEqual({reason: 'timeout', completed: true, count: 0});
+    });
+
+    test('untilEnd finishes when every assigned partition reached its end offset', () => {
+        const onFinish = jest.fn();
+        const limits = createConsumptionLimits({untilEnd: true, onFinish});
+        limits.setEndOffsets([
+            {topic: 't', partition: 0, position: '3', end: '5'},
+            {topic: 't', partition: 1, position: '7', end: '7'},
+            {topic: 't', partition: 2, position: '0', end: '4'},
+        ]);
+        // partition 2 belongs to another group member
+        limits.assign({t: [0, 1]});
+
+        limits.record('t', 0, message(3));
+        expect(onFinish).not.toHaveBeenCalled();
+        limits.record('t', 0, message(4));
+
+        expect(onFinish).toHaveBeenCalledWith('end');
+        expect(limits.result()).toEqual({reason: 'end', completed: true, count: 2});
+    });
+
+    test('untilEnd finishes on assignment when there is nothing to read, and on trailing control batches', () => {
+        const idle = createConsumptionLimits({untilEnd: true, onFinish: jest.fn()});
+        idle.setEndOffsets([{topic: 't', partition: 0, position: '4', end: '4'}]);
+        idle.assign({t: [0]});
+        expect(idle.isFinished()).toBe(true);
+
+        const transactional = createConsumptionLimits({untilEnd: true, onFinish: jest.fn()});
+        transactional.setEndOffsets([{topic: 't', partition: 0, position: '0', end: '2'}]);
+        transactional.assign({t: [0]});
+        transactional.record('t', 0, message(0));
+        expect(transactional.isFinished()).toBe(false);
+        // offset 1 is a commit marker: KafkaJS only reports it through the batch event
+        transactional.batchProcessed({topic: 't', partition: 0, lastOffset: '1'});
+        expect(transactional.isFinished()).toBe(true);
+    });
+
+    test('rejects invalid limits', () => {
+        expect(() => createConsumptionLimits({maxMessages: 0, onFinish: jest.fn()}))
+            .toThrow('maxMessages must be a positive integer, got: 0');
+        expect(() => createConsumptionLimits({timeoutMs: 'soon', onFinish: jest.fn()})).toThrow('Invalid duration: soon');
+    });
+});
+
+describe('resolveEndOffsets', () => {
+    test('starts from seek offsets, then committed offsets, then the watermark chosen by fromBeginning', async () => {
+        const admin = {
+            fetchOffsets: jest.fn().mockResolvedValue([
+                {topic: 't', partitions: [{partition: 0, offset: '4'}, {partition: 1, offset: '-1'}, {partition: 2, offset: '1'}]},
+            ]),
+            fetchTopicOffsets: jest.fn().mockResolvedValue([
+                {partition: 0, low: '0', high: '10'},
+                {partition: 1, low: '2', high: '6'},
+                {partition: 2, low: '0', high: '3'},
+            ]),
+        };
+
+        const bounds = await resolveEndOffsets({
+            admin, groupId: 'g', topics: ['t'], fromBeginning: true,
+            startOffsets: [{topic: 't', partition: 2, offset: '3'}],
+        });
+
+        expect(admin.fetchOffsets).toHaveBeenCalledWith({groupId: 'g', topics: ['t']});
+        expect(bounds).toEqual([
+            {topic: 't', partition: 0, position: '4', end: '10'},
+            {topic: 't', partition: 1, position: '2', end: '6'},
+            {topic: 't', partition: 2, position: '3', end: '3'},
+        ]);
+    });
+});
@@ -1,8 +1,13 @@
 import {describe, test, expect, beforeEach, afterEach, jest} from '@jest/globals';
 
 // Helper to (re)load the logger with a specific LOG_LEVEL
-async function loadLoggerWithLevel(level) {
+async function loadLoggerWithLevel(level, format) {
   jest.resetModules();
+  if (format === undefined) {
+    delete process.env.LOG_FORMAT;
+  } else {
+    process.env.LOG_FORMAT = format;
+  }
   if (level === undefined) {
     delete process.env.LOG_LEVEL;
   } else {
@@ -103,4 +108,79 @@ describe('logger', () => {
       expect(line).toContain('should appear');
     });
   });
+
+  describe('child loggers', () => {
+    test('text lines put the bound fields before the message, quoting values with spaces', async () => {
+      const logger = await loadLoggerWithLevel('trace');
+      logger.child({ topic: 'orders', partition: 0 }).child({ offset: '5', note: 'two words', skipped: undefined }).warn('slow');
+
+      const line = spyOut.mock.calls[0][0];
+      expect(line).toContain('[WARN] topic=orders partition=0 offset=5 note="two words" slow\n');
+      expect(line).not.toContain('skipped');
+    });
+
+    test('stack traces come after the bound fields', async () => {
+      const logger = await loadLoggerWithLevel('trace');
+      logger.child({ topic: 'orders' }).error('failed:', new Error('boom'));
+
+      const line = spyErr.mock.calls[0][0];
+      expect(line).toContain('[ERROR] topic=orders failed: boom\nError: boom\n    at ');
+      expect(line.trimEnd().endsWith('topic=orders')).toBe(false);
+    });
+
+    test('child calls go through the root methods, and detached methods keep their fields', async () => {
+      const logger = await loadLoggerWithLevel('trace');
+      const info = jest.spyOn(logger, 'info');
+      const { info: log } = logger.child({ topic: 't' });
+      log('detached');
+
+      expect(info).toHaveBeenCalledWith('detached');
+      expect(info.mock.contexts[0].bindings).toEqual({ topic: 't' });
+      expect(spyOut.mock.calls[0][0]).toContain('topic=t detached');
+    });
+  });
+
+  describe('LOG_FORMAT=json', () => {
+    test('writes one JSON object per line with time, level, msg and fields', async () => {
+      const logger = await loadLoggerWithLevel('trace', 'JSON');
+      expect(logger.format).toBe('json');
+      logger.child({ topic: 'orders', partition: 1 }).info('Consumed', 42, { offset: '7', level: 'ignored' });
+
+      const line = spyOut.mock.calls[0][0];
+      expect(line.endsWith('\n')).toBe(true);
+      const record = JSON.parse(line);
+      expect(record).toEqual({
+        time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'info',
+        msg: 'Consumed 42',
+        topic: 'orders',
+        partition: 1,
+        offset: '7',
+      });
+    });
+
+    test('errors become an err field and go to stderr', async () => {
+      const logger = await loadLoggerWithLevel('trace', 'json');
+      const err = new TypeError('boom');
+      logger.error('Failed to send:', err);
+
+      expect(spyOut).not.toHaveBeenCalled();
+      const record = JSON.parse(spyErr.mock.calls[0][0]);
+      expect(record).toMatchObject({ level: 'error', msg: 'Failed to send:', err: { type: 'TypeError', message: 'boom' } });
+      expect(record.err.stack).toContain('boom');
+    });
+
+    test('survives circular references and BigInts', async () => {
+      const logger = await loadLoggerWithLevel('trace', 'json');
+      const obj = { n: 10n }; obj.self = obj;
+      logger.info('state', obj);
+
+      expect(JSON.parse(spyOut.mock.calls[0][0])).toMatchObject({ msg: 'state', n: '10', self: { self: '[Circular]' } });
+    });
+
+    test('falls back to text on an unknown format', async () => {
+      const logger = await loadLoggerWithLevel('trace', 'xml');
+      expect(logger.format).toBe('text');
+    });
+  });
 });
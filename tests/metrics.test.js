@@ -0,0 +1,131 @@
+import {describe, test, expect} from '@jest/globals';
+import {EventEmitter} from 'events';
+import {
+    createMetricsRegistry,
+    instrumentConsumer,
+    instrumentProducer,
+    startMetricsServer,
+} from '../src/metrics.js';
+
+// Minimal stand-in for a KafkaJS client: instrumentation events are emitted as {type, payload}
+function fakeClient(events) {
+    const emitter = new EventEmitter();
+    return {
+        events,
+        on: (event, listener) => emitter.on(event, listener),
+        emit: (event, payload) => emitter.emit(event, {type: event, payload}),
+    };
+}
+
+const CONSUMER_EVENTS = {
+    END_BATCH_PROCESS: 'consumer.end_batch_process',
+    GROUP_JOIN: 'consumer.group_join',
+    COMMIT_OFFSETS: 'consumer.commit_offsets',
+};
+
+async function values(registry, name) {
+    const metric = await registry.getSingleMetric(name).get();
+    return metric.values;
+}
+
+describe('metrics', () => {
+    test('consumer events update consumed, lag, batch duration, rebalance and commit metrics', async () => {
+        const registry = createMetricsRegistry();
+        const consumer = fakeClient(CONSUMER_EVENTS);
+        instrumentConsumer(consumer, {registry, groupId: 'g'});
+
+        consumer.emit(CONSUMER_EVENTS.GROUP_JOIN, {groupId: 'g'});
+        consumer.emit(CONSUMER_EVENTS.END_BATCH_PROCESS, {topic: 'orders', partition: 1, batchSize: 3, offsetLag: '7', duration: 250});
+        consumer.emit(CONSUMER_EVENTS.END_BATCH_PROCESS, {topic: 'orders', partition: 1, batchSize: 2, offsetLag: '0', duration: 50});
+        consumer.emit(CONSUMER_EVENTS.COMMIT_OFFSETS, {groupId: 'g', topics: []});
+
+        const labels = {group: 'g', topic: 'orders', partition: '1'};
+        expect(await values(registry, 'kafka_consumer_messages_consumed_total')).toEqual([{labels, value: 5}]);
+        expect(await values(registry, 'kafka_consumer_lag')).toEqual([{labels, value: 0}]);
+        expect(await values(registry, 'kafka_consumer_rebalances_total')).toEqual([{labels: {group: 'g'}, value: 1}]);
+        expect(await values(registry, 'kafka_consumer_commits_total')).toEqual([{labels: {group: 'g'}, value: 1}]);
+        const text = await registry.metrics();
+        expect(text).toContain('kafka_consumer_batch_duration_seconds_count{group="g",topic="orders"} 2');
+        expect(text).toContain('kafka_consumer_batch_duration_seconds_sum{group="g",topic="orders"} 0.3');
+    });
+
+    test('observeHandler times handler calls and counts the ones that throw', async () => {
+        const registry = createMetricsRegistry();
+        const {observeHandler} = instrumentConsumer(fakeClient(CONSUMER_EVENTS), {registry, groupId: 'g'});
+
+        await expect(observeHandler({topic: 't'}, async () => 'ok')).resolves.toBe('ok');
+        await expect(observeHandler({topic: 't'}, async () => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(await values(registry, 'kafka_consumer_handler_errors_total'))
+            .toEqual([{labels: {group: 'g', topic: 't'}, value: 1}]);
+        expect(await registry.metrics()).toContain('kafka_consumer_handler_duration_seconds_count{group="g",topic="t"} 2');
+    });
+
+    test('clients instrumented with the same registry share its metrics', async () => {
+        const registry = createMetricsRegistry();
+        const main = fakeClient(CONSUMER_EVENTS);
+        const retry = fakeClient(CONSUMER_EVENTS);
+        instrumentConsumer(main, {registry, groupId: 'g'});
+        instrumentConsumer(retry, {registry, groupId: 'g.retry.1'});
+
+        main.emit(CONSUMER_EVENTS.GROUP_JOIN, {});
+        retry.emit(CONSUMER_EVENTS.GROUP_JOIN, {});
+
+        expect(await values(registry, 'kafka_consumer_rebalances_total')).toEqual([
+            {labels: {group: 'g'}, value: 1},
+            {labels: {group: 'g.retry.1'}, value: 1},
+        ]);
+    });
+
+    test('producer metrics count sent and failed messages and Produce request latency', async () => {
+        const registry = createMetricsRegistry();
+        const producer = fakeClient({REQUEST: 'producer.network.request'});
+        const {observeSend} = instrumentProducer(producer, {registry});
+
+        producer.emit('producer.network.request', {apiName: 'Produce', broker: 'b:9092', duration: 12});
+        producer.emit('producer.network.request', {apiName: 'Metadata', broker: 'b:9092', duration: 400});
+        await observeSend([{topic: 'a', messages: [{}, {}]}, {topic: 'b', messages: [{}]}], async () => []);
+        await expect(observeSend([{topic: 'a', messages: [{}]}], async () => {
+            throw new Error('broker down');
+        })).rejects.toThrow('broker down');
+
+        expect(await values(registry, 'kafka_producer_messages_sent_total')).toEqual([
+            {labels: {topic: 'a'}, value: 2},
+            {labels: {topic: 'b'}, value: 1},
+        ]);
+        expect(await values(registry, 'kafka_producer_errors_total')).toEqual([{labels: {topic: 'a'}, value: 1}]);
+        const text = await registry.metrics();
+        expect(text).toContain('kafka_producer_send_duration_seconds_count{broker="b:9092"} 1');
+        expect(text).toContain('kafka_producer_send_duration_seconds_sum{broker="b:9092"} 0.012');
+    });
+
+    test('the server exposes the registry at /metrics in Prometheus text format', async () => {
+        const registry = createMetricsRegistry();
+        await instrumentConsumer(fakeClient(CONSUMER_EVENTS), {registry, groupId: 'g'}).observeHandler({topic: 't'}, async () => {});
+        const server = await startMetricsServer({port: 0, host: '127.0.0.1', registry});
+        try {
+            const res = await fetch(`http://127.0.0.1:${server.port}/metrics`);
+            expect(res.status).toBe(200);
+            expect(res.headers.get('content-type')).toContain('text/plain');
+            const body = await res.text();
+            expect(body).toContain('# TYPE kafka_consumer_handler_duration_seconds histogram');
+
+            expect((await fetch(`http://127.0.0.1:${server.port}/other`)).status).toBe(404);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test('startMetricsServer rejects when the port is taken', async () => {
+        const registry = createMetricsRegistry();
+        const first = await startMetricsServer({port: 0, host: '127.0.0.1', registry});
+        try {
+            await expect(startMetricsServer({port: first.port, host: '127.0.0.1', registry}))
+                .rejects.toThrow('EADDRINUSE');
+        } finally {
+            await first.close();
+        }
+    });
+});
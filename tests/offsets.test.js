@@ -0,0 +1,83 @@
+import {describe, test, expect, jest, afterEach} from '@jest/globals';
+import {nextOffset, createOffsetCommitter} from '../src/offsets.js';
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+function fakeConsumer() {
+    return {commitOffsets: jest.fn().mockResolvedValue(undefined)};
+}
+
+describe('nextOffset', () => {
+    test('returns the following offset, including beyond Number.MAX_SAFE_INTEGER', () => {
+        expect(nextOffset('0')).toBe('1');
+        expect(nextOffset('41')).toBe('42');
+        expect(nextOffset('9007199254740993')).toBe('9007199254740994');
+    });
+});
+
+describe('createOffsetCommitter', () => {
+    test('commits every mark immediately without interval or threshold', async () => {
+        const consumer = fakeConsumer();
+        const committer = createOffsetCommitter({consumer});
+
+        await committer.mark({topic: 't', partition: 0, offset: '5'});
+
+        expect(consumer.commitOffsets).toHaveBeenCalledWith([{topic: 't', partition: 0, offset: '6'}]);
+        expect(committer.pending()).toBe(0);
+        await committer.close();
+    });
+
+    test('commits once the threshold is reached, keeping the highest offset per partition', async () => {
+        const consumer = fakeConsumer();
+        const committer = createOffsetCommitter({consumer, threshold: 3});
+
+        await committer.mark({topic: 't', partition: 0, offset: '7'});
+        await committer.mark({topic: 't', partition: 0, offset: '5'});
+        expect(consumer.commitOffsets).not.toHaveBeenCalled();
+        await committer.mark({topic: 't', partition: 1, offset: '2'});
+
+        expect(consumer.commitOffsets).toHaveBeenCalledWith([
+            {topic: 't', partition: 0, offset: '8'},
+            {topic: 't', partition: 1, offset: '3'},
+        ]);
+        await committer.close();
+    });
+
+    test('commits pending marks on the interval even without new messages', async () => {
+        jest.useFakeTimers();
+        const consumer = fakeConsumer();
+        const committer = createOffsetCommitter({consumer, intervalMs: 1000});
+
+        await committer.mark({topic: 't', partition: 0, offset: '1'});
+        expect(consumer.commitOffsets).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(consumer.commitOffsets).toHaveBeenCalledWith([{topic: 't', partition: 0, offset: '2'}]);
+        await committer.close();
+    });
+
+    test('close flushes pending marks', async () => {
+        const consumer = fakeConsumer();
+        const committer = createOffsetCommitter({consumer, threshold: 100});
+
+        await committer.mark({topic: 't', partition: 0, offset: '9'});
+        await committer.close();
+
+        expect(consumer.commitOffsets).toHaveBeenCalledWith([{topic: 't', partition: 0, offset: '10'}]);
+    });
+
+    test('failed commits keep the offsets for the next flush', async () => {
+        const consumer = fakeConsumer();
+        consumer.commitOffsets.mockRejectedValueOnce(new Error('rebalancing'));
+        const committer = createOffsetCommitter({consumer});
+
+        await expect(committer.mark({topic: 't', partition: 0, offset: '3'})).rejects.toThrow('rebalancing');
+        expect(committer.pending()).toBe(1);
+
+        await committer.flush();
+        expect(consumer.commitOffsets).toHaveBeenLastCalledWith([{topic: 't', partition: 0, offset: '4'}]);
+        expect(committer.pending()).toBe(0);
+    });
+});
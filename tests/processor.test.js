@@ -0,0 +1,65 @@
+import {describe, test, expect} from '@jest/globals';
+import {kafkaClient, uniqueId, ensureTopic} from './kafka-helpers.js';
+import {createProcessor} from '../src/processor.js';
+import {Partitioners} from "kafkajs";
+
+async function produce(kafka, topic, messages) {
+    const producer = kafka.producer({createPartitioner: Partitioners.DefaultPartitioner});
+    await producer.connect();
+    await producer.send({topic, messages});
+    await producer.disconnect();
+}
+
+async function consumeCommitted(kafka, topic, count) {
+    const consumer = kafka.consumer({groupId: uniqueId('g'), readUncommitted: false});
+    await consumer.connect();
+    await consumer.subscribe({topic, fromBeginning: true});
+    const received = [];
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timeout')), 15000);
+        consumer
+            .run({
+                eachMessage: async ({message}) => {
+                    received.push({key: message.key.toString(), value: message.value.toString()});
+                    if (received.length === count) {
+                        clearTimeout(timer);
+                        resolve();
+                    }
+                },
+            })
+            .catch(reject);
+    });
+    await consumer.stop();
+    await consumer.disconnect();
+    return received;
+}
+
+describe('processor with real Kafka (Testcontainers)', () => {
+    test('createProcessor transforms records into the output topic transactionally', async () => {
+        const brokersString = process.env.KAFKA_BROKERS_DYNAMIC;
+        const brokers = brokersString ? brokersString.split(',') : globalThis.__kafka_brokers__?.brokers;
+        const kafka = kafkaClient();
+        const inputTopic = uniqueId('in');
+        const outputTopic = uniqueId('out');
+        await ensureTopic(kafka, inputTopic);
+        await ensureTopic(kafka, outputTopic);
+
+        await produce(kafka, inputTopic, [{key: 'a', value: 'one'}, {key: 'b', value: 'two'}]);
+
+        const {stop} = await createProcessor({
+            brokers,
+            groupId: uniqueId('proc'),
+            inputTopic,
+            outputTopic,
+            transactionalId: uniqueId('tx'),
+            transform: ({message}) => message.value.toString().toUpperCase(),
+        });
+
+        try {
+            const output = await consumeCommitted(kafka, outputTopic, 2);
+            expect(output).toEqual([{key: 'a', value: 'ONE'}, {key: 'b', value: 'TWO'}]);
+        } finally {
+            await stop();
+        }
+    }, 30_000);
+});
@@ -0,0 +1,167 @@
+import {describe, test, expect, jest, beforeEach, afterEach} from '@jest/globals';
+
+// Loads src/processor.js with consumer/producer modules replaced by controllable fakes
+async function importProcessorWithMocks() {
+  jest.resetModules();
+
+  const tx = {
+    send: jest.fn().mockResolvedValue([]),
+    sendOffsets: jest.fn().mockResolvedValue(undefined),
+  };
+  const producer = {
+    transaction: jest.fn(async (fn) => fn(tx)),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+  const createProducer = jest.fn(async () => producer);
+
+  const consumer = {
+    stop: jest.fn().mockResolvedValue(undefined),
+    runPromise: Promise.resolve(),
+  };
+  const consumeMessages = jest.fn(async () => consumer);
+
+  jest.unstable_mockModule('../src/producer.js', () => ({ createProducer }));
+  jest.unstable_mockModule('../src/consumer.js', () => ({ consumeMessages }));
+
+  const mod = await import('../src/processor.js');
+  return { ...mod, tx, producer, createProducer, consumer, consumeMessages };
+}
+
+// Invokes the eachMessage handler that createProcessor registered with consumeMessages
+async function deliver(consumeMessages, { topic = 'in', partition = 0, offset = '41', key = Buffer.from('k'), value = Buffer.from('v') } = {}) {
+  const { eachMessage } = consumeMessages.mock.calls[0][0];
+  await eachMessage({ topic, partition, message: { key, value, offset, headers: {} } });
+}
+
+beforeEach(() => {
+  jest.resetModules();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createProcessor (unit)', () => {
+  test('validates required options', async () => {
+    const { createProcessor } = await importProcessorWithMocks();
+    const base = { brokers: 'b:1', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform: () => null };
+
+    await expect(createProcessor({ ...base, brokers: [] })).rejects.toThrow('brokers is required');
+    await expect(createProcessor({ ...base, inputTopic: '' })).rejects.toThrow('inputTopic is required');
+    await expect(createProcessor({ ...base, outputTopic: undefined })).rejects.toThrow('outputTopic is required');
+    await expect(createProcessor({ ...base, transform: 'nope' })).rejects.toThrow('transform must be a function');
+    await expect(createProcessor({ ...base, instanceId: undefined })).rejects.toThrow('instanceId or transactionalId is required');
+    await expect(createProcessor({ ...base, consumerOptions: { partitionsConsumedConcurrently: 2 } }))
+      .rejects.toThrow('partitionsConsumedConcurrently must be 1');
+  });
+
+  test('uses a transactional producer and disables consumer auto-commit', async () => {
+    const { createProcessor, createProducer, consumeMessages } = await importProcessorWithMocks();
+
+    await createProcessor({ brokers: 'b:1', groupId: 'g', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform: () => null });
+
+    expect(createProducer).toHaveBeenCalledWith(expect.objectContaining({ transactionalId: 'g-in-processor-p-0', topic: 'out' }));
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ topic: 'in', groupId: 'g', autoCommit: false }));
+  });
+
+  test('sends transformed output and the next offset in one transaction', async () => {
+    const { createProcessor, tx, producer, consumeMessages } = await importProcessorWithMocks();
+
+    await createProcessor({
+      brokers: 'b:1',
+      groupId: 'g',
+      inputTopic: 'in',
+      outputTopic: 'out',
+      transactionalId: 'tx-1',
+      transform: ({ message }) => message.value.toString().toUpperCase(),
+    });
+    await deliver(consumeMessages, { partition: 2, offset: '41' });
+
+    expect(producer.transaction).toHaveBeenCalledTimes(1);
+    expect(tx.send).toHaveBeenCalledWith({ topic: 'out', messages: [{ key: Buffer.from('k'), value: 'V' }] });
+    expect(tx.sendOffsets).toHaveBeenCalledWith({
+      consumerGroupId: 'g',
+      topics: [{ topic: 'in', partitions: [{ partition: 2, offset: '42' }] }],
+    });
+  });
+
+  test('accepts message objects and arrays, and commits offsets even without output', async () => {
+    const { createProcessor, tx, consumeMessages } = await importProcessorWithMocks();
+    const transform = jest.fn()
+      .mockReturnValueOnce([{ key: 'a', value: 1, headers: { h: 'x' } }, { key: 'b', value: 2 }])
+      .mockReturnValueOnce(null);
+
+    await createProcessor({ brokers: 'b:1', groupId: 'g', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform });
+    await deliver(consumeMessages, { offset: '0' });
+    await deliver(consumeMessages, { offset: '1' });
+
+    expect(tx.send).toHaveBeenCalledTimes(1);
+    expect(tx.send).toHaveBeenCalledWith({
+      topic: 'out',
+      messages: [{ key: 'a', value: 1, headers: { h: 'x' } }, { key: 'b', value: 2 }],
+    });
+    expect(tx.sendOffsets).toHaveBeenCalledTimes(2);
+    expect(tx.sendOffsets.mock.calls[1][0].topics[0].partitions[0].offset).toBe('2');
+  });
+
+  test('commits the offset of records skipped as undeserializable or invalid', async () => {
+    const { createProcessor, tx, consumeMessages } = await importProcessorWithMocks();
+    const onInvalidMessage = jest.fn();
+
+    await createProcessor({ brokers: 'b:1', groupId: 'g', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform: jest.fn(), onInvalidMessage });
+    const options = consumeMessages.mock.calls[0][0];
+    const record = (offset) => ({ topic: 'in', partition: 1, message: { key: null, value: Buffer.from('x'), offset, headers: {} } });
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    await options.onDeserializationError(new Error('not json'), record('5'));
+    await options.onInvalidMessage(new Error('invalid'), record('6'));
+
+    expect(onInvalidMessage).toHaveBeenCalledWith(new Error('invalid'), record('6'));
+    expect(tx.send).not.toHaveBeenCalled();
+    expect(tx.sendOffsets.mock.calls.map(([{ topics }]) => topics)).toEqual([
+      [{ topic: 'in', partitions: [{ partition: 1, offset: '6' }] }],
+      [{ topic: 'in', partitions: [{ partition: 1, offset: '7' }] }],
+    ]);
+  });
+
+  test('transform errors propagate so the transaction is aborted and the record redelivered', async () => {
+    const { createProcessor, producer, consumeMessages } = await importProcessorWithMocks();
+    producer.transaction.mockImplementation(async (fn) => fn({ send: jest.fn(), sendOffsets: jest.fn() }));
+
+    await createProcessor({
+      brokers: 'b:1', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0',
+      transform: () => { throw new Error('bad record'); },
+    });
+
+    await expect(deliver(consumeMessages)).rejects.toThrow('bad record');
+    expect(producer.transaction).not.toHaveBeenCalled();
+  });
+
+  test('stop stops the consumer and closes the producer once', async () => {
+    const { createProcessor, consumer, producer } = await importProcessorWithMocks();
+
+    const { stop } = await createProcessor({ brokers: 'b:1', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform: () => null });
+    await stop();
+    await stop();
+
+    expect(consumer.stop).toHaveBeenCalledTimes(1);
+    expect(producer.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('closes the producer when the consumer fails to start', async () => {
+    const { createProcessor, consumeMessages, producer } = await importProcessorWithMocks();
+    consumeMessages.mockRejectedValueOnce(new Error('cannot connect'));
+
+    await expect(createProcessor({ brokers: 'b:1', inputTopic: 'in', outputTopic: 'out', instanceId: 'p-0', transform: () => null }))
+      .rejects.toThrow('cannot connect');
+    expect(producer.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('pipe forwards positional arguments to createProcessor', async () => {
+    const { pipe, consumeMessages, createProducer } = await importProcessorWithMocks();
+
+    await pipe('in', 'out', () => null, { brokers: 'b:1', groupId: 'g', instanceId: 'p-0' });
+
+    expect(consumeMessages).toHaveBeenCalledWith(expect.objectContaining({ topic: 'in', groupId: 'g' }));
+    expect(createProducer).toHaveBeenCalledWith(expect.objectContaining({ topic: 'out' }));
+  });
+});
@@ -1,6 +1,6 @@
 import {describe, test, expect} from '@jest/globals';
 import {kafkaClient, uniqueId, ensureTopic} from './kafka-helpers.js';
-import {produceMessage} from "../src/producer.js";
+import {produceMessage, createProducer} from "../src/producer.js";
 
 async function consumeOne(kafka, topic) {
     const groupId = uniqueId("g");
@@ -50,6 +50,26 @@ describe('producer with real Kafka (Testcontainers)', () => {
         const msg = await consumeOne(kafka, topic);
         expect(msg).toEqual({key: null, value: JSON.stringify({a: 1})});
     });
+
+    test('createProducer sends to several topics over one connection', async () => {
+        const topicA = uniqueId();
+        const topicB = uniqueId();
+        await ensureTopic(kafka, topicA);
+        await ensureTopic(kafka, topicB);
+
+        const producer = await createProducer({brokers});
+        try {
+            await producer.sendBatch([
+                {topic: topicA, messages: [{key: 'a', value: 'from-batch'}]},
+                {topic: topicB, messages: [{key: 'b', value: {n: 1}}]},
+            ]);
+        } finally {
+            await producer.close();
+        }
+
+        expect(await consumeOne(kafka, topicA)).toEqual({key: 'a', value: 'from-batch'});
+        expect(await consumeOne(kafka, topicB)).toEqual({key: 'b', value: JSON.stringify({n: 1})});
+    });
 });
 
 
@@ -0,0 +1,584 @@
+import {describe, test, expect, jest, beforeEach, afterEach} from '@jest/globals';
+
+// Builds a KafkaJS mock whose producer methods are jest.fn()s the tests can inspect
+function kafkajsMock(producerObj, producerFactory = jest.fn(() => producerObj)) {
+  const Kafka = jest.fn(() => ({ producer: producerFactory }));
+  const logLevel = { NOTHING: 0, INFO: 4 };
+  const CompressionTypes = { GZIP: 1 };
+  return () => ({ default: { Kafka, logLevel, CompressionTypes }, Kafka, logLevel, CompressionTypes });
+}
+
+function makeTransactionObj() {
+  let active = true;
+  return {
+    send: jest.fn().mockResolvedValue([]),
+    sendBatch: jest.fn().mockResolvedValue([]),
+    sendOffsets: jest.fn().mockResolvedValue(undefined),
+    commit: jest.fn(async () => { active = false; }),
+    abort: jest.fn(async () => { active = false; }),
+    isActive: jest.fn(() => active),
+  };
+}
+
+function makeProducerObj() {
+  return {
+    connect: jest.fn().mockResolvedValue(undefined),
+    send: jest.fn().mockResolvedValue([{ topicName: 't', partition: 0, errorCode: 0 }]),
+    sendBatch: jest.fn().mockResolvedValue([]),
+    transaction: jest.fn(async () => makeTransactionObj()),
+    disconnect: jest.fn().mockResolvedValue(undefined),
+  };
+}
+
+async function importProducerWithMocks(producerObj, producerFactory) {
+  jest.resetModules();
+  jest.unstable_mockModule('kafkajs', kafkajsMock(producerObj, producerFactory));
+  return import('../src/producer.js');
+}
+
+beforeEach(() => {
+  jest.resetModules();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createProducer (unit)', () => {
+  test('connects once and reuses the connection for several sends', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1', topic: 'default-topic' });
+    await producer.send({ messages: [{ key: 'k1', value: 'v1' }] });
+    await producer.send({ topic: 'other', messages: { key: 2, value: { a: 1 } } });
+    await producer.close();
+
+    expect(producerObj.connect).toHaveBeenCalledTimes(1);
+    expect(producerObj.send).toHaveBeenCalledTimes(2);
+    expect(producerObj.send.mock.calls[0][0]).toEqual({
+      topic: 'default-topic',
+      messages: [{ key: 'k1', value: 'v1' }],
+    });
+    expect(producerObj.send.mock.calls[1][0]).toEqual({
+      topic: 'other',
+      messages: [{ key: '2', value: '{"a":1}' }],
+    });
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes headers, partition and timestamp through and applies serialization rules', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: ['b:1'] });
+    const buf = Buffer.from('raw');
+    await producer.send({
+      topic: 't',
+      messages: [
+        { value: buf, headers: { 'content-type': 'application/octet-stream' }, partition: 1, timestamp: 1700000000000 },
+        { value: 42, timestamp: new Date(1700000000001) },
+      ],
+    });
+    await producer.close();
+
+    expect(producerObj.send).toHaveBeenCalledWith({
+      topic: 't',
+      messages: [
+        { key: null, value: buf, headers: { 'content-type': 'application/octet-stream' }, partition: 1, timestamp: '1700000000000' },
+        { key: null, value: '42', timestamp: '1700000000001' },
+      ],
+    });
+  });
+
+  test('sendBatch sends to several topics in one call', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1' });
+    await producer.sendBatch([
+      { topic: 'a', messages: [{ key: 'k', value: 'x' }] },
+      { topic: 'b', messages: [{ value: 'y' }, { value: 'z' }] },
+    ]);
+    await producer.close();
+
+    expect(producerObj.sendBatch).toHaveBeenCalledWith({
+      topicMessages: [
+        { topic: 'a', messages: [{ key: 'k', value: 'x' }] },
+        { topic: 'b', messages: [{ key: null, value: 'y' }, { key: null, value: 'z' }] },
+      ],
+    });
+  });
+
+  test('sends a null value as a tombstone', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1', topic: 't' });
+    await producer.send({ messages: [{ key: 'k', value: null }] });
+    await producer.close();
+
+    expect(producerObj.send).toHaveBeenCalledWith({ topic: 't', messages: [{ key: 'k', value: null }] });
+  });
+
+  test('validates messages before sending', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1' });
+    await expect(producer.send({ messages: [] })).rejects.toThrow('messages is required');
+    await expect(producer.send({ messages: [{ key: 'k' }] })).rejects.toThrow('message is required');
+    await expect(producer.send({ topic: '', messages: [{ value: 'v' }] })).rejects.toThrow('topic is required');
+    await expect(producer.send({ messages: [{ value: 'v', partition: -1 }] })).rejects.toThrow('partition must be');
+    await expect(producer.send({ messages: [{ value: 'v', timestamp: 'soon' }] })).rejects.toThrow('timestamp must be');
+    await expect(producer.send({ messages: [{ value: 'v', headers: { n: 1 } }] })).rejects.toThrow('header "n" must be a string or Buffer');
+    await expect(producer.sendBatch([])).rejects.toThrow('topicMessages is required');
+    await producer.close();
+
+    expect(producerObj.send).not.toHaveBeenCalled();
+    expect(producerObj.sendBatch).not.toHaveBeenCalled();
+  });
+
+  test('flush waits for in-flight sends and close rejects further sends', async () => {
+    const producerObj = makeProducerObj();
+    let resolveSend;
+    producerObj.send.mockImplementationOnce(() => new Promise((res) => { resolveSend = res; }));
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1' });
+    const sending = producer.send({ messages: [{ value: 'v' }] });
+    let flushed = false;
+    const flushing = producer.flush().then(() => { flushed = true; });
+
+    await Promise.resolve();
+    expect(flushed).toBe(false);
+
+    resolveSend([]);
+    await sending;
+    await flushing;
+    expect(flushed).toBe(true);
+
+    await producer.close();
+    await producer.close(); // idempotent
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+    await expect(producer.send({ messages: [{ value: 'v' }] })).rejects.toThrow('producer is closed');
+  });
+
+  test('createProducer requires brokers', async () => {
+    const { createProducer } = await importProducerWithMocks(makeProducerObj());
+    await expect(createProducer({ brokers: [] })).rejects.toThrow('brokers is required');
+  });
+
+  test('produceMessage sends string and Buffer headers', async () => {
+    const producerObj = makeProducerObj();
+    const { produceMessage } = await importProducerWithMocks(producerObj);
+    const traceId = Buffer.from([1, 2, 3]);
+
+    await produceMessage({
+      brokers: 'b:1', topic: 't', message: 'v', headers: { 'correlation-id': 'c-1', 'trace-id': traceId },
+    });
+
+    expect(producerObj.send).toHaveBeenCalledWith({
+      topic: 't',
+      messages: [{ key: null, value: 'v', headers: { 'correlation-id': 'c-1', 'trace-id': traceId } }],
+    });
+  });
+
+  test('produceMessage disconnects even when the send fails', async () => {
+    const producerObj = makeProducerObj();
+    producerObj.send.mockRejectedValueOnce(new Error('send failed'));
+    const { produceMessage } = await importProducerWithMocks(producerObj);
+
+    await expect(produceMessage({ brokers: 'b:1', topic: 't', message: 'v' })).rejects.toThrow('send failed');
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('idempotent and transactional producer (unit)', () => {
+  test('default producer is created without idempotence', async () => {
+    const producerObj = makeProducerObj();
+    const factory = jest.fn(() => producerObj);
+    const { createProducer } = await importProducerWithMocks(producerObj, factory);
+
+    const producer = await createProducer({ brokers: 'b:1' });
+    await producer.close();
+
+    expect(factory).toHaveBeenCalledWith({});
+  });
+
+  test('idempotent mode configures KafkaJS for exactly-once writes', async () => {
+    const producerObj = makeProducerObj();
+    const factory = jest.fn(() => producerObj);
+    const { createProducer } = await importProducerWithMocks(producerObj, factory);
+
+    const producer = await createProducer({ brokers: 'b:1', idempotent: true });
+    await producer.close();
+
+    expect(factory).toHaveBeenCalledWith({ idempotent: true, maxInFlightRequests: 1, transactionalId: undefined });
+  });
+
+  test('transaction() commits writes to several topics on success', async () => {
+    const producerObj = makeProducerObj();
+    const factory = jest.fn(() => producerObj);
+    const { createProducer } = await importProducerWithMocks(producerObj, factory);
+
+    const producer = await createProducer({ brokers: 'b:1', transactionalId: 'billing-tx' });
+    const result = await producer.transaction(async (tx) => {
+      await tx.send({ topic: 'invoices', messages: [{ key: 'i1', value: { amount: 10 } }] });
+      await tx.sendBatch([{ topic: 'ledger', messages: [{ value: 'debit' }] }]);
+      return 'done';
+    });
+    await producer.close();
+
+    expect(result).toBe('done');
+    expect(factory).toHaveBeenCalledWith({ idempotent: true, maxInFlightRequests: 1, transactionalId: 'billing-tx' });
+    const tx = await producerObj.transaction.mock.results[0].value;
+    expect(tx.send).toHaveBeenCalledWith({ topic: 'invoices', messages: [{ key: 'i1', value: '{"amount":10}' }] });
+    expect(tx.sendBatch).toHaveBeenCalledWith({ topicMessages: [{ topic: 'ledger', messages: [{ key: null, value: 'debit' }] }] });
+    expect(tx.commit).toHaveBeenCalledTimes(1);
+    expect(tx.abort).not.toHaveBeenCalled();
+  });
+
+  test('transaction() aborts and rethrows when the callback fails', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1', transactionalId: 'billing-tx' });
+    await expect(producer.transaction(async (tx) => {
+      await tx.send({ topic: 'invoices', messages: [{ value: 'v' }] });
+      throw new Error('downstream failed');
+    })).rejects.toThrow('downstream failed');
+    await producer.close();
+
+    const tx = await producerObj.transaction.mock.results[0].value;
+    expect(tx.abort).toHaveBeenCalledTimes(1);
+    expect(tx.commit).not.toHaveBeenCalled();
+  });
+
+  test('transaction() aborts and asks for a new producer when the commit fails', async () => {
+    const producerObj = makeProducerObj();
+    const raw = makeTransactionObj();
+    raw.commit.mockRejectedValueOnce(new Error('coordinator gone'));
+    producerObj.transaction.mockResolvedValueOnce(raw);
+    const { createProducer, TransactionCommitError } = await importProducerWithMocks(producerObj);
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+    const producer = await createProducer({ brokers: 'b:1', transactionalId: 'billing-tx' });
+    const result = producer.transaction(async (tx) => tx.send({ topic: 'invoices', messages: [{ value: 'v' }] }));
+    await expect(result).rejects.toThrow(TransactionCommitError);
+    await expect(result).rejects.toThrow('Transaction commit failed, the producer must be recreated: coordinator gone');
+    await producer.close();
+
+    expect(raw.abort).toHaveBeenCalledTimes(1);
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('beginTransaction exposes commit/abort and close aborts an open transaction', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1', transactionalId: 'billing-tx' });
+    const tx = await producer.beginTransaction();
+    await tx.sendOffsets({ consumerGroupId: 'g', topics: [{ topic: 't', partitions: [{ partition: 0, offset: '5' }] }] });
+    expect(tx.isActive()).toBe(true);
+    await producer.close();
+
+    const raw = await producerObj.transaction.mock.results[0].value;
+    expect(raw.sendOffsets).toHaveBeenCalledWith({ consumerGroupId: 'g', topics: [{ topic: 't', partitions: [{ partition: 0, offset: '5' }] }] });
+    expect(raw.abort).toHaveBeenCalledTimes(1);
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('transactions require a transactionalId', async () => {
+    const { createProducer } = await importProducerWithMocks(makeProducerObj());
+
+    const producer = await createProducer({ brokers: 'b:1' });
+    await expect(producer.beginTransaction()).rejects.toThrow('transactionalId is required for transactions');
+    await producer.close();
+  });
+
+  test('produceMessage with transactionalId sends inside a committed transaction', async () => {
+    const producerObj = makeProducerObj();
+    const { produceMessage } = await importProducerWithMocks(producerObj);
+
+    await produceMessage({ brokers: 'b:1', topic: 't', message: 'v', key: 'k', transactionalId: 'tx' });
+
+    const tx = await producerObj.transaction.mock.results[0].value;
+    expect(tx.send).toHaveBeenCalledWith({ topic: 't', messages: [{ key: 'k', value: 'v' }] });
+    expect(tx.commit).toHaveBeenCalledTimes(1);
+    expect(producerObj.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('createProducer metrics (unit)', () => {
+  test('counts sent and failed messages by topic and listens for Produce requests', async () => {
+    const producerObj = {
+      ...makeProducerObj(),
+      events: { REQUEST: 'producer.network.request' },
+      on: jest.fn(() => () => {}),
+    };
+    producerObj.sendBatch.mockRejectedValueOnce(new Error('broker down'));
+    const { createProducer } = await importProducerWithMocks(producerObj);
+    const { createMetricsRegistry } = await import('../src/metrics.js');
+    const metricsRegistry = createMetricsRegistry();
+
+    const producer = await createProducer({ brokers: 'b:1', metricsRegistry });
+    await producer.send({ topic: 'a', messages: [{ value: '1' }, { value: '2' }] });
+    await expect(producer.sendBatch([{ topic: 'b', messages: [{ value: '3' }] }])).rejects.toThrow('broker down');
+    await producer.close();
+
+    expect(producerObj.on).toHaveBeenCalledWith('producer.network.request', expect.any(Function));
+    const text = await metricsRegistry.metrics();
+    expect(text).toContain('kafka_producer_messages_sent_total{topic="a"} 2');
+    expect(text).toContain('kafka_producer_errors_total{topic="b"} 1');
+  });
+});
+
+describe('createProducer connection security (unit)', () => {
+  test('strips SASL_SSL:// from brokers and passes ssl/sasl options to the client', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+    const { Kafka } = await import('kafkajs');
+
+    const producer = await createProducer({
+      brokers: 'SASL_SSL://b1:9096,SASL_SSL://b2:9096',
+      security: { saslMechanism: 'SCRAM-SHA-512', saslUsername: 'u', saslPassword: 'p' },
+    });
+    await producer.close();
+
+    expect(Kafka).toHaveBeenCalledWith(expect.objectContaining({
+      brokers: ['b1:9096', 'b2:9096'],
+      ssl: true,
+      sasl: { mechanism: 'scram-sha-512', username: 'u', password: 'p' },
+    }));
+  });
+
+  test('rejects SASL brokers without credentials before connecting', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    await expect(createProducer({ brokers: 'SASL_PLAINTEXT://b:9095', security: { saslMechanism: 'plain' } }))
+      .rejects.toThrow('SASL username and password are required');
+    expect(producerObj.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('createProducer client and producer options (unit)', () => {
+  test('applies client tuning to the Kafka client and send options to every send', async () => {
+    const producerObj = makeProducerObj();
+    const factory = jest.fn(() => producerObj);
+    const { createProducer } = await importProducerWithMocks(producerObj, factory);
+    const { Kafka } = await import('kafkajs');
+
+    const producer = await createProducer({
+      brokers: 'b:9092',
+      client: { requestTimeout: 5000, retry: { retries: 2 }, logLevel: 'info' },
+      producerOptions: { allowAutoTopicCreation: false, acks: 1, timeout: 1000, compression: 'gzip' },
+    });
+    await producer.send({ topic: 't', messages: [{ value: 'v' }] });
+    await producer.close();
+
+    expect(Kafka).toHaveBeenCalledWith(expect.objectContaining({
+      brokers: ['b:9092'], requestTimeout: 5000, retry: { retries: 2 }, logLevel: 4,
+    }));
+    expect(factory).toHaveBeenCalledWith({ allowAutoTopicCreation: false });
+    expect(producerObj.send).toHaveBeenCalledWith({
+      topic: 't', messages: [{ key: null, value: 'v' }], acks: 1, timeout: 1000, compression: 1,
+    });
+  });
+
+  test('producer logs nothing from KafkaJS by default', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+    const { Kafka } = await import('kafkajs');
+
+    const producer = await createProducer({ brokers: 'b:9092' });
+    await producer.close();
+
+    expect(Kafka).toHaveBeenCalledWith(expect.objectContaining({ logLevel: 0, logCreator: expect.any(Function) }));
+  });
+});
+
+describe('produceFromStream (unit)', () => {
+  test('sends lines in batches over one connection and counts invalid lines as failed', async () => {
+    const producerObj = makeProducerObj();
+    const { produceFromStream } = await importProducerWithMocks(producerObj);
+    const { Readable } = await import('stream');
+    const { default: logger } = await import('../src/logger.js');
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const result = await produceFromStream({
+      brokers: 'b:9092',
+      topic: 't',
+      input: Readable.from(['k1:a\nk2:b\nbad\nk3:c\n']),
+      keySeparator: ':',
+      headers: { source: 'cli' },
+      batchSize: 2,
+    });
+
+    expect(result).toEqual({ sent: 3, failed: 1 });
+    expect(producerObj.connect).toHaveBeenCalledTimes(1);
+    expect(producerObj.send).toHaveBeenCalledTimes(2);
+    expect(producerObj.send.mock.calls[0][0]).toEqual({
+      topic: 't',
+      messages: [
+        { key: 'k1', value: 'a', headers: { source: 'cli' } },
+        { key: 'k2', value: 'b', headers: { source: 'cli' } },
+      ],
+    });
+    expect(producerObj.send.mock.calls[1][0].messages).toEqual([{ key: 'k3', value: 'c', headers: { source: 'cli' } }]);
+    expect(logger.warn).toHaveBeenCalledWith('Skipping line 3: missing key separator ":"');
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('JSONL records keep their own key, headers and partition; failed batches are counted', async () => {
+    const producerObj = makeProducerObj();
+    producerObj.send
+      .mockRejectedValueOnce(new Error('broker down'))
+      .mockResolvedValue([]);
+    const { produceFromStream } = await importProducerWithMocks(producerObj);
+    const { Readable } = await import('stream');
+    const { default: logger } = await import('../src/logger.js');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const input = [
+      '{"value":{"id":1},"key":"a","headers":{"source":"file"},"partition":1}',
+      '{"value":"x","partition":-1}',
+      '{"value":"y"}',
+    ].join('\n');
+    const result = await produceFromStream({
+      brokers: 'b:9092', topic: 't', input: Readable.from([input]), inputFormat: 'jsonl', headers: { source: 'cli', run: '7' }, batchSize: 1,
+    });
+
+    expect(result).toEqual({ sent: 1, failed: 2 });
+    expect(producerObj.send.mock.calls[0][0].messages).toEqual([
+      { key: 'a', value: '{"id":1}', headers: { source: 'file', run: '7' }, partition: 1 },
+    ]);
+    expect(producerObj.send.mock.calls[1][0].messages).toEqual([{ key: null, value: 'y', headers: { source: 'cli', run: '7' } }]);
+    expect(logger.warn).toHaveBeenCalledWith('Skipping line 2: partition must be a non-negative integer, got: -1');
+    expect(logger.error).toHaveBeenCalledWith('Failed to send 1 record(s) from lines 1-1:', expect.any(Error));
+  });
+
+  test('the default key only applies to JSONL records without a "key" field', async () => {
+    const producerObj = makeProducerObj();
+    const { produceFromStream } = await importProducerWithMocks(producerObj);
+    const { Readable } = await import('stream');
+
+    const input = ['{"value":"a"}', '{"value":"b","key":null}', '{"value":"c","key":"own"}'].join('\n');
+    await produceFromStream({ brokers: 'b:9092', topic: 't', input: Readable.from([input]), inputFormat: 'jsonl', key: 'default' });
+
+    expect(producerObj.send.mock.calls[0][0].messages).toEqual([
+      { key: 'default', value: 'a' },
+      { key: null, value: 'b' },
+      { key: 'own', value: 'c' },
+    ]);
+  });
+
+  test('stops reading when a batch transaction cannot be committed', async () => {
+    const producerObj = makeProducerObj();
+    const transactions = [makeTransactionObj(), makeTransactionObj()];
+    transactions[1].commit.mockRejectedValueOnce(new Error('coordinator gone'));
+    producerObj.transaction
+      .mockResolvedValueOnce(transactions[0])
+      .mockResolvedValueOnce(transactions[1]);
+    const { produceFromStream, TransactionCommitError } = await importProducerWithMocks(producerObj);
+    const { Readable } = await import('stream');
+    const { default: logger } = await import('../src/logger.js');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(produceFromStream({
+      brokers: 'b:9092', topic: 't', input: Readable.from(['a\nb\nc\nd\n']), batchSize: 1, transactionalId: 'load-tx',
+    })).rejects.toThrow(TransactionCommitError);
+
+    expect(producerObj.transaction).toHaveBeenCalledTimes(2);
+    expect(transactions[1].abort).toHaveBeenCalledTimes(1);
+    expect(producerObj.disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('validates batchSize and input before connecting', async () => {
+    const producerObj = makeProducerObj();
+    const { produceFromStream } = await importProducerWithMocks(producerObj);
+
+    await expect(produceFromStream({ brokers: 'b:9092', input: '-', batchSize: 0 })).rejects.toThrow('batchSize must be a positive integer, got: 0');
+    await expect(produceFromStream({ brokers: 'b:9092' })).rejects.toThrow('input is required');
+    await expect(produceFromStream({ brokers: 'b:9092', input: '/missing.txt' })).rejects.toThrow(/^Cannot read input file/);
+    expect(producerObj.connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('createProducer serializers (unit)', () => {
+  test('serializes keys and values before sending, in sends and transactions', async () => {
+    const producerObj = makeProducerObj();
+    const tx = makeTransactionObj();
+    producerObj.transaction.mockResolvedValue(tx);
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({
+      brokers: 'b:1', topic: 't', transactionalId: 'tx', serializer: { key: 'string', value: 'base64' },
+    });
+    await producer.send({ messages: [{ key: 42, value: 'AP8=' }] });
+    await producer.transaction((t) => t.send({ messages: { key: 'k', value: 'AA==' } }));
+    await producer.close();
+
+    expect(producerObj.send).toHaveBeenCalledWith({ topic: 't', messages: [{ key: '42', value: Buffer.from([0, 255]) }] });
+    expect(tx.send).toHaveBeenCalledWith({ topic: 't', messages: [{ key: 'k', value: Buffer.from([0]) }] });
+  });
+
+  test('rejects sends whose values cannot be serialized', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+
+    const producer = await createProducer({ brokers: 'b:1', topic: 't', serializer: { value: 'bytes' } });
+    await expect(producer.send({ messages: [{ value: 'text' }] }))
+      .rejects.toThrow('Cannot serialize value for topic t: expected a Buffer, got: string');
+    await producer.close();
+    expect(producerObj.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('JSON Schema validation (unit)', () => {
+  const jsonSchemas = { t: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } };
+
+  test('createProducer rejects sends with invalid values before anything is sent', async () => {
+    const producerObj = makeProducerObj();
+    const { createProducer } = await importProducerWithMocks(producerObj);
+    const { ValidationError } = await import('../src/validation.js');
+
+    const producer = await createProducer({ brokers: 'b:1', topic: 't', jsonSchemas });
+    await producer.send({ messages: [{ value: { id: 'a' } }] });
+    await expect(producer.send({ messages: [{ value: { id: 'b' } }, { value: { id: 3 } }] })).rejects.toThrow(ValidationError);
+    await expect(producer.sendBatch([{ topic: 't', messages: [{ value: '{}' }] }]))
+      .rejects.toThrow("Value for topic t does not match its JSON Schema: (root) must have required property 'id'");
+    await producer.send({ topic: 'other', messages: [{ value: 'anything' }] });
+    await producer.close();
+
+    expect(producerObj.send).toHaveBeenCalledTimes(2);
+    expect(producerObj.sendBatch).not.toHaveBeenCalled();
+  });
+
+  test('produceMessage rejects an invalid message without connecting', async () => {
+    const producerObj = makeProducerObj();
+    const { produceMessage } = await importProducerWithMocks(producerObj);
+
+    await expect(produceMessage({ brokers: 'b:1', topic: 't', message: { id: 1 }, jsonSchemas }))
+      .rejects.toThrow('Value for topic t does not match its JSON Schema: /id must be string');
+    expect(producerObj.connect).not.toHaveBeenCalled();
+  });
+
+  test('produceFromStream counts lines with invalid values as failed', async () => {
+    const producerObj = makeProducerObj();
+    const { produceFromStream } = await importProducerWithMocks(producerObj);
+    const { Readable } = await import('stream');
+    const { default: logger } = await import('../src/logger.js');
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const result = await produceFromStream({
+      brokers: 'b:1', topic: 't', input: Readable.from(['{"id":"a"}\n{"id":2}\n']), jsonSchemas,
+    });
+
+    expect(result).toEqual({ sent: 1, failed: 1 });
+    expect(producerObj.send.mock.calls[0][0].messages).toEqual([{ key: null, value: '{"id":"a"}' }]);
+    expect(logger.warn).toHaveBeenCalledWith('Skipping line 2: Value for topic t does not match its JSON Schema: /id must be string');
+  });
+});
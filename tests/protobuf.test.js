@@ -0,0 +1,89 @@
+import {describe, test, expect, beforeAll, afterAll} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {loadMessageType, createProtobufSerde} from '../src/protobuf.js';
+import {createMessageSerializer, createMessageDeserializer, serdesFromConfig} from '../src/serde.js';
+
+const PROTO = `
+syntax = "proto3";
+package demo;
+
+enum Status {
+    PENDING = 0;
+    SHIPPED = 1;
+}
+
+message Order {
+    string id = 1;
+    int64 amount_cents = 2;
+    Status status = 3;
+    repeated string tags = 4;
+}
+
+message OrderKey {
+    string id = 1;
+}
+`;
+
+const context = {topic: 'orders', field: 'value'};
+
+describe('Protobuf serde', () => {
+    let dir;
+    let protoFile;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'protobuf-'));
+        protoFile = path.join(dir, 'orders.proto');
+        fs.writeFileSync(protoFile, PROTO);
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('round-trips objects into JSON-friendly values with defaults', async () => {
+        const serde = createProtobufSerde({protoFile, messageType: 'demo.Order'});
+        const data = serde.serialize({id: 'o-1', amountCents: '9007199254740993', status: 'SHIPPED'}, context);
+
+        expect(Buffer.isBuffer(data)).toBe(true);
+        expect(serde.deserialize(data, context)).toEqual({
+            id: 'o-1', amountCents: '9007199254740993', status: 'SHIPPED', tags: [],
+        });
+    });
+
+    test('passes Buffers through and rejects unknown fields and non-objects', () => {
+        const serde = createProtobufSerde({protoFile, messageType: 'demo.Order'});
+        expect(serde.serialize(Buffer.from([10, 1, 120]))).toEqual(Buffer.from([10, 1, 120]));
+        expect(() => serde.serialize({id: 'o-1', colour: 'red'})).toThrow('unknown field(s) for Order: colour');
+        expect(() => serde.serialize('o-1')).toThrow('expected an object for Order, got: string');
+        expect(() => serde.serialize([])).toThrow('expected an object for Order, got: array');
+    });
+
+    test('reports missing files and unknown message types', () => {
+        const missing = path.join(dir, 'missing.proto');
+        expect(() => loadMessageType(missing, 'demo.Order')).toThrow(`Cannot load proto file ${missing}`);
+        expect(() => loadMessageType(protoFile, 'demo.Invoice')).toThrow(`Unknown message type "demo.Invoice" in ${protoFile}`);
+        expect(() => loadMessageType(protoFile, 'demo.Status')).toThrow('Unknown message type "demo.Status"');
+        expect(() => loadMessageType(protoFile)).toThrow(`A message type is required for proto file ${protoFile}`);
+    });
+
+    test('encodes producer messages and decodes consumed records', async () => {
+        const serdes = {key: createProtobufSerde({protoFile, messageType: 'demo.OrderKey'}), value: createProtobufSerde({protoFile, messageType: 'demo.Order'})};
+        const message = await createMessageSerializer(serdes)({key: {id: 'o-2'}, value: {id: 'o-2', tags: ['a']}}, {topic: 'orders'});
+        const decoded = await createMessageDeserializer(serdes)({topic: 'orders', partition: 0, message: {...message, offset: '0'}});
+
+        expect(decoded.key).toEqual({id: 'o-2'});
+        expect(decoded.value).toEqual({id: 'o-2', amountCents: '0', status: 'PENDING', tags: ['a']});
+    });
+
+    test('serdesFromConfig builds protobuf serdes from the proto file and message types', () => {
+        const serdes = serdesFromConfig({keySerde: 'string', valueSerde: 'protobuf', protoFile, valueProtoType: 'demo.Order'});
+        expect(serdes.key).toBe('string');
+        expect(serdes.value.deserialize(serdes.value.serialize({id: 'x'}))).toMatchObject({id: 'x'});
+
+        expect(() => serdesFromConfig({valueSerde: 'protobuf', valueProtoType: 'demo.Order'}))
+            .toThrow('The protobuf serde requires a proto file (PROTO_FILE)');
+        expect(() => serdesFromConfig({valueSerde: 'protobuf', protoFile})).toThrow('A message type is required');
+    });
+});
@@ -0,0 +1,239 @@
+import {describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {parseManifest, loadManifest, planProvisioning, formatPlan, applyPlan, main} from '../src/provision.js';
+import {fakeAdmin} from './fake-admin.js';
+
+const ORIGINAL_ENV = process.env;
+
+const manifest = (...topics) => parseManifest({topics});
+
+describe('parseManifest', () => {
+    test('applies defaults and turns config values into strings', () => {
+        expect(manifest({name: 'a'}, {name: 'b', partitions: 3, replicationFactor: 2, configs: {'retention.ms': 1000, 'x': true}}))
+            .toEqual({topics: [
+                {name: 'a', partitions: 1, configs: {}},
+                {name: 'b', partitions: 3, replicationFactor: 2, configs: {'retention.ms': '1000', 'x': 'true'}},
+            ]});
+    });
+
+    test.each([
+        [{}, 'expected {"topics": [...]}'],
+        [{topics: [{name: ''}]}, 'topics[0].name must be a non-empty string'],
+        [{topics: [{name: 'a'}, {name: 'a'}]}, 'topic a is listed twice'],
+        [{topics: [{name: 'a', partitions: 0}]}, 'topics[0].partitions must be an integer >= 1'],
+        [{topics: [{name: 'a', retention: 1}]}, 'topics[0] has unknown key "retention"'],
+        [{topics: [{name: 'a', configs: {'retention.ms': null}}]}, 'topics[0].configs.retention.ms must be a string, number or boolean'],
+    ])('rejects %j', (value, message) => {
+        expect(() => parseManifest(value, 'manifest m.json')).toThrow(`Invalid manifest m.json: ${message}`);
+    });
+
+    describe('loadManifest', () => {
+        let dir;
+
+        beforeAll(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+        });
+
+        afterAll(() => {
+            fs.rmSync(dir, {recursive: true, force: true});
+        });
+
+        test('reads the committed topics.json', () => {
+            expect(loadManifest('topics.json').topics.map((t) => t.name)).toEqual(['kafka-nodejs-demo-topic']);
+        });
+
+        test('reports unreadable and malformed files', () => {
+            const file = path.join(dir, 'bad.json');
+            fs.writeFileSync(file, '{');
+            expect(() => loadManifest(file)).toThrow(`Cannot parse manifest ${file}`);
+            expect(() => loadManifest(path.join(dir, 'missing.json'))).toThrow('Cannot read manifest');
+        });
+    });
+});
+
+describe('planProvisioning and applyPlan', () => {
+    test('plans creates, partition growth and config changes, leaving unlisted topics alone', async () => {
+        const admin = fakeAdmin({
+            orders: {partitions: 2, overrides: {'segment.ms': '1000'}},
+            legacy: {partitions: 1, overrides: {}},
+        });
+        const wanted = manifest(
+            {name: 'orders', partitions: 4, configs: {'cleanup.policy': 'compact', 'retention.ms': 604800000}},
+            {name: 'payments', partitions: 2, configs: {'min.insync.replicas': 1}},
+        );
+
+        const plan = await planProvisioning({admin, manifest: wanted});
+
+        expect(plan).toEqual({
+            create: [{name: 'payments', partitions: 2, configs: {'min.insync.replicas': '1'}}],
+            addPartitions: [{topic: 'orders', from: 2, to: 4}],
+            alterConfigs: [{topic: 'orders', changes: {'cleanup.policy': {from: 'delete', to: 'compact'}}}],
+            delete: [],
+            keep: [],
+            problems: [],
+        });
+        expect(formatPlan(plan)).toBe([
+            '+ create payments (partitions=2, min.insync.replicas=1)',
+            '~ orders: partitions 2 -> 4',
+            '~ orders: cleanup.policy delete -> compact',
+            'Plan: 1 to create, 1 to change, 0 to delete.',
+            '',
+        ].join('\n'));
+
+        await applyPlan({admin, plan});
+
+        expect(admin.state.orders).toEqual({partitions: 4, overrides: {'segment.ms': '1000', 'cleanup.policy': 'compact'}});
+        expect(admin.state.payments).toMatchObject({partitions: 2, overrides: {'min.insync.replicas': '1'}});
+        expect(admin.state.legacy).toBeDefined();
+        await expect(planProvisioning({admin, manifest: wanted}))
+            .resolves.toEqual({create: [], addPartitions: [], alterConfigs: [], delete: [], keep: [], problems: []});
+    });
+
+    test('checks the replication factor only when the manifest sets it, and leaves new topics to the broker default', async () => {
+        const admin = fakeAdmin({orders: {partitions: 1, replicationFactor: 3, overrides: {}}});
+
+        const plan = await planProvisioning({admin, manifest: manifest({name: 'orders'}, {name: 'payments'}, {name: 'audit', replicationFactor: 3})});
+        expect(plan.problems).toEqual([]);
+        expect(formatPlan(plan)).toContain('+ create payments (partitions=1)\n+ create audit (partitions=1, replicationFactor=3)\n');
+
+        await applyPlan({admin, plan});
+        expect(admin.createTopics.mock.calls.map(([{topics: [{topic, replicationFactor}]}]) => [topic, replicationFactor]))
+            .toEqual([['payments', -1], ['audit', 3]]);
+    });
+
+    test('applyPlan leaves a topic alone when it was created after planning', async () => {
+        const admin = fakeAdmin();
+        const plan = await planProvisioning({admin, manifest: manifest({name: 'orders', partitions: 3})});
+        admin.state.orders = {partitions: 1, overrides: {'retention.ms': '1000'}};
+
+        await applyPlan({admin, plan});
+
+        expect(admin.createTopics).toHaveBeenCalledTimes(1);
+        expect(admin.state.orders).toEqual({partitions: 1, overrides: {'retention.ms': '1000'}});
+    });
+
+    test('keeps internal topics and the retry and dead-letter topics of listed ones when deleting unlisted topics', async () => {
+        const unlisted = ['_schemas', '_confluent-command', 'orders.retry.5s', 'orders.retry.1m', 'orders.dlq', 'orders.v2', 'old.dlq'];
+        const admin = fakeAdmin(Object.fromEntries(['orders', ...unlisted].map((name) => [name, {partitions: 1, overrides: {}}])));
+
+        const plan = await planProvisioning({admin, manifest: manifest({name: 'orders'}), deleteUnlisted: true});
+
+        expect(plan.delete).toEqual(['old.dlq', 'orders.v2']);
+        expect(formatPlan(plan)).toBe([
+            '- delete old.dlq',
+            '- delete orders.v2',
+            '= keep _confluent-command (internal topic)',
+            '= keep _schemas (internal topic)',
+            '= keep orders.dlq (dead-letter topic of orders)',
+            '= keep orders.retry.1m (retry topic of orders)',
+            '= keep orders.retry.5s (retry topic of orders)',
+            'Plan: 0 to create, 0 to change, 2 to delete.',
+            '',
+        ].join('\n'));
+    });
+
+    test('deletes unlisted topics only when asked, never internal ones', async () => {
+        const admin = fakeAdmin({keep: {partitions: 1, overrides: {}}, legacy: {partitions: 1, overrides: {}}});
+
+        const plan = await planProvisioning({admin, manifest: manifest({name: 'keep'}), deleteUnlisted: true});
+        expect(plan.delete).toEqual(['legacy']);
+        expect(formatPlan(plan)).toContain('- delete legacy\nPlan: 0 to create, 0 to change, 1 to delete.');
+
+        await applyPlan({admin, plan});
+        expect(Object.keys(admin.state)).toEqual(['keep']);
+    });
+
+    test('reports fewer partitions and another replication factor as problems and refuses to apply', async () => {
+        const admin = fakeAdmin({orders: {partitions: 3, overrides: {}}});
+
+        const plan = await planProvisioning({
+            admin,
+            manifest: manifest({name: 'orders', partitions: 2, replicationFactor: 3, configs: {'cleanup.policy': 'compact'}}),
+        });
+
+        expect(plan.problems).toEqual([
+            'orders: has 3 partitions, manifest asks for 2 (partitions cannot be removed)',
+            'orders: replication factor is 1, manifest asks for 3 (changing it needs a partition reassignment)',
+        ]);
+        expect(formatPlan(plan)).toContain('! orders: has 3 partitions');
+        expect(formatPlan(plan)).toContain('Plan: 0 to create, 1 to change, 0 to delete, 2 cannot be applied.');
+        await expect(applyPlan({admin, plan})).rejects.toThrow('Plan cannot be applied: orders: has 3 partitions');
+        expect(admin.alterConfigs).not.toHaveBeenCalled();
+    });
+});
+
+describe('provision CLI', () => {
+    let dir;
+    let stdout;
+    let stderr;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provision-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    beforeEach(() => {
+        process.env = {...ORIGINAL_ENV};
+        for (const name of ['KAFKA_CONFIG', 'TOPICS_MANIFEST', 'PROVISION_DRY_RUN', 'PROVISION_DELETE_UNLISTED']) delete process.env[name];
+        process.exitCode = undefined;
+        stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+        process.env = ORIGINAL_ENV;
+        process.exitCode = undefined;
+        jest.restoreAllMocks();
+    });
+
+    const write = (topics) => {
+        const file = path.join(dir, `m-${Math.random().toString(16).slice(2)}.json`);
+        fs.writeFileSync(file, JSON.stringify({topics}));
+        return file;
+    };
+
+    test('prints the plan and applies it', async () => {
+        const admin = fakeAdmin();
+
+        await main({createAdminClient: () => admin}, ['-f', write([{name: 'orders', partitions: 2}])]);
+
+        expect(stdout.mock.calls[0][0]).toBe('+ create orders (partitions=2)\nPlan: 1 to create, 0 to change, 0 to delete.\n');
+        expect(admin.state.orders).toMatchObject({partitions: 2});
+        expect(process.exitCode).toBeUndefined();
+        expect(admin.disconnect).toHaveBeenCalled();
+    });
+
+    test('--dry-run only prints the plan', async () => {
+        const admin = fakeAdmin();
+
+        await main({createAdminClient: () => admin}, ['-f', write([{name: 'orders'}]), '--dry-run']);
+
+        expect(stdout.mock.calls[0][0]).toContain('+ create orders');
+        expect(admin.createTopics).not.toHaveBeenCalled();
+    });
+
+    test('exits 1 without changing anything when the plan has problems', async () => {
+        const admin = fakeAdmin({orders: {partitions: 2, overrides: {}}});
+
+        await main({createAdminClient: () => admin}, ['-f', write([{name: 'orders', partitions: 1}, {name: 'new'}])]);
+
+        expect(process.exitCode).toBe(1);
+        expect(admin.createTopics).not.toHaveBeenCalled();
+        expect(stderr.mock.calls.join('')).toContain('nothing was changed');
+    });
+
+    test('exits 2 on an invalid manifest', async () => {
+        const createAdminClient = jest.fn();
+
+        await main({createAdminClient}, ['-f', write([{name: 'a', partitions: -1}])]);
+
+        expect(createAdminClient).not.toHaveBeenCalled();
+        expect(stderr.mock.calls.join('')).toContain('topics[0].partitions must be an integer >= 1');
+        expect(process.exitCode).toBe(2);
+    });
+});
@@ -0,0 +1,158 @@
+import {describe, test, expect, jest, beforeEach, afterEach} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {checkCompatibility, createLocalSchemaRegistry, createRemoteSchemaRegistry, createSchemaRegistry} from '../src/registry.js';
+
+const userV1 = {type: 'record', name: 'User', fields: [{name: 'id', type: 'long'}]};
+const userV2 = {type: 'record', name: 'User', fields: [
+    {name: 'id', type: 'long'},
+    {name: 'email', type: ['null', 'string'], default: null},
+]};
+const userV3 = {type: 'record', name: 'User', fields: [
+    {name: 'id', type: 'long'},
+    {name: 'email', type: 'string'},
+]};
+
+describe('checkCompatibility', () => {
+    test('BACKWARD allows adding a field with a default and rejects one without', () => {
+        expect(checkCompatibility(userV2, [userV1], 'BACKWARD')).toEqual({compatible: true});
+        const result = checkCompatibility(userV3, [userV1], 'BACKWARD');
+        expect(result.compatible).toBe(false);
+        expect(result.reason).toMatch(/email/);
+    });
+
+    test('FORWARD checks that the old schema can read the new one', () => {
+        expect(checkCompatibility(userV3, [userV1], 'forward')).toEqual({compatible: true});
+        expect(checkCompatibility(userV1, [userV3], 'FORWARD').compatible).toBe(false);
+        expect(checkCompatibility(userV3, [userV1], 'FULL').compatible).toBe(false);
+        expect(checkCompatibility(userV2, [userV1], 'FULL').compatible).toBe(true);
+    });
+
+    test('only transitive levels check versions before the latest', () => {
+        expect(checkCompatibility(userV3, [userV1, userV3], 'BACKWARD').compatible).toBe(true);
+        expect(checkCompatibility(userV3, [userV1, userV3], 'BACKWARD_TRANSITIVE').compatible).toBe(false);
+    });
+
+    test('NONE and first versions are always compatible; unknown levels throw', () => {
+        expect(checkCompatibility(userV3, [userV1], 'NONE')).toEqual({compatible: true});
+        expect(checkCompatibility(userV3, [])).toEqual({compatible: true});
+        expect(() => checkCompatibility(userV1, [userV1], 'SIDEWAYS')).toThrow('Unknown compatibility level: SIDEWAYS');
+    });
+});
+
+describe('createLocalSchemaRegistry', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('registers versions, reuses IDs for identical schemas and rejects incompatible ones', async () => {
+        const registry = createLocalSchemaRegistry();
+        const id1 = await registry.register('users-value', userV1);
+        expect(await registry.register('users-value', JSON.stringify(userV1, null, 2))).toBe(id1);
+        expect(await registry.register('users-value', {fields: userV1.fields, name: 'User', type: 'record'})).toBe(id1);
+        expect(await registry.register('other-value', userV1)).toBe(id1);
+
+        const id2 = await registry.register('users-value', userV2);
+        expect(id2).not.toBe(id1);
+        expect(await registry.getLatest('users-value')).toEqual({id: id2, version: 2, schema: userV2});
+        expect(await registry.getSchema(id1)).toEqual(userV1);
+
+        expect(await registry.isCompatible('users-value', userV3)).toBe(false);
+        await expect(registry.register('users-value', userV3))
+            .rejects.toThrow(/^Schema for subject users-value is not BACKWARD compatible: /);
+    });
+
+    test('reports unknown subjects and IDs', async () => {
+        const registry = createLocalSchemaRegistry();
+        await expect(registry.getLatest('missing-value')).rejects.toThrow('Subject missing-value not found');
+        await expect(registry.getSchema(42)).rejects.toThrow('Schema 42 not found');
+        expect(await registry.isCompatible('missing-value', userV3)).toBe(true);
+    });
+
+    test('shares schemas between instances through the file', async () => {
+        const file = path.join(dir, 'schemas.json');
+        const id = await createLocalSchemaRegistry({file}).register('users-value', userV1);
+        const other = createLocalSchemaRegistry({file});
+        expect(await other.getSchema(id)).toEqual(userV1);
+        expect((await other.getLatest('users-value')).version).toBe(1);
+    });
+
+    test('rejects an unreadable file and unknown compatibility levels', () => {
+        const file = path.join(dir, 'broken.json');
+        fs.writeFileSync(file, '{');
+        expect(() => createLocalSchemaRegistry({file})).toThrow(`Cannot read schema registry file ${file}`);
+        expect(() => createLocalSchemaRegistry({compatibility: 'sometimes'})).toThrow('Unknown compatibility level: sometimes');
+    });
+});
+
+describe('createRemoteSchemaRegistry', () => {
+    const respond = (status, body) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: 'status',
+        text: async () => (typeof body === 'undefined' ? '' : JSON.stringify(body)),
+    });
+
+    test('uses the Confluent REST API with basic auth and caches schemas', async () => {
+        const fetch = jest.fn(async (url, {method}) => {
+            if (method === 'POST' && url.endsWith('/subjects/users-value/versions')) return respond(200, {id: 7});
+            if (url.endsWith('/schemas/ids/3')) return respond(200, {schema: JSON.stringify(userV1)});
+            if (url.endsWith('/subjects/users-value/versions/latest')) {
+                return respond(200, {id: 7, version: 2, schema: JSON.stringify(userV2)});
+            }
+            return respond(404, {error_code: 40401, message: 'not found'});
+        });
+        const registry = createRemoteSchemaRegistry({url: 'http://registry:8081/', username: 'u', password: 'p', fetch});
+
+        expect(await registry.register('users-value', userV2)).toBe(7);
+        expect(await registry.register('users-value', userV2)).toBe(7);
+        expect(await registry.getSchema(3)).toEqual(userV1);
+        expect(await registry.getSchema(3)).toEqual(userV1);
+        expect(await registry.getSchema(7)).toEqual(userV2);
+        expect(await registry.getLatest('users-value')).toEqual({id: 7, version: 2, schema: userV2});
+        expect(fetch).toHaveBeenCalledTimes(3);
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('http://registry:8081/subjects/users-value/versions');
+        expect(JSON.parse(init.body)).toEqual({schema: JSON.stringify(userV2)});
+        expect(init.headers).toEqual(expect.objectContaining({
+            'Content-Type': 'application/vnd.schemaregistry.v1+json',
+            Authorization: `Basic ${Buffer.from('u:p').toString('base64')}`,
+        }));
+    });
+
+    test('surfaces registry errors and asks the registry about compatibility', async () => {
+        const fetch = jest.fn(async (url) => {
+            if (url.includes('/compatibility/subjects/users-value/')) return respond(200, {is_compatible: false});
+            if (url.includes('/compatibility/')) return respond(404, {error_code: 40401, message: 'Subject not found'});
+            return respond(409, {error_code: 409, message: 'Schema being registered is incompatible with an earlier schema'});
+        });
+        const registry = createRemoteSchemaRegistry({url: 'http://registry:8081', fetch});
+
+        expect(await registry.isCompatible('users-value', userV3)).toBe(false);
+        expect(await registry.isCompatible('new-value', userV3)).toBe(true);
+        await expect(registry.register('users-value', userV3)).rejects.toThrow(
+            'Schema registry POST /subjects/users-value/versions failed with 409: Schema being registered is incompatible with an earlier schema',
+        );
+    });
+
+    test('wraps network failures', async () => {
+        const fetch = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+        const registry = createRemoteSchemaRegistry({url: 'http://registry:8081', fetch});
+        await expect(registry.getSchema(1)).rejects.toThrow('Schema registry GET /schemas/ids/1 failed: ECONNREFUSED');
+    });
+});
+
+describe('createSchemaRegistry', () => {
+    test('uses the local stand-in without a URL', async () => {
+        const registry = createSchemaRegistry();
+        expect(await registry.register('users-value', userV1)).toBe(1);
+    });
+});
@@ -0,0 +1,174 @@
+import {describe, test, expect, jest, afterEach} from '@jest/globals';
+import {
+    RETRY_HEADERS,
+    parseRetryTiers,
+    retryTopicName,
+    deadLetterTopicName,
+    failureHeaders,
+    createFailureRouter,
+    waitUntilDue,
+} from '../src/retry.js';
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+function payload({topic = 'orders', partition = 1, offset = '7', headers = {}, timestamp = String(Date.now())} = {}) {
+    return {topic, partition, message: {key: Buffer.from('k'), value: Buffer.from('v'), offset, headers, timestamp}};
+}
+
+describe('parseRetryTiers', () => {
+    test('parses comma-separated durations and keeps their order', () => {
+        expect(parseRetryTiers('5s, 1m')).toEqual([
+            {name: '5s', delayMs: 5000},
+            {name: '1m', delayMs: 60000},
+        ]);
+    });
+
+    test('accepts arrays of strings, numbers and objects', () => {
+        expect(parseRetryTiers(['5s', 250, {name: 'slow', delayMs: '10m'}])).toEqual([
+            {name: '5s', delayMs: 5000},
+            {name: '250ms', delayMs: 250},
+            {name: 'slow', delayMs: 600000},
+        ]);
+    });
+
+    test('returns no tiers for empty input', () => {
+        expect(parseRetryTiers(undefined)).toEqual([]);
+        expect(parseRetryTiers('')).toEqual([]);
+        expect(parseRetryTiers([])).toEqual([]);
+    });
+
+    test('rejects invalid and duplicate tiers', () => {
+        expect(() => parseRetryTiers('soon')).toThrow('Invalid duration');
+        expect(() => parseRetryTiers('5s,5s')).toThrow('Duplicate retry tier: 5s');
+        expect(() => parseRetryTiers([{delayMs: 5}])).toThrow('retry tier name is required');
+        expect(() => parseRetryTiers({})).toThrow('retry tiers must be a string or an array');
+    });
+});
+
+describe('topic names', () => {
+    test('retry and dead-letter topics are derived from the original topic', () => {
+        expect(retryTopicName('orders', {name: '5s'})).toBe('orders.retry.5s');
+        expect(deadLetterTopicName('orders')).toBe('orders.dlq');
+    });
+});
+
+describe('failureHeaders', () => {
+    test('records origin, error and attempt while keeping existing headers', () => {
+        const error = new Error('boom');
+        const headers = failureHeaders(payload({headers: {'correlation-id': Buffer.from('c1')}}), error, 1);
+
+        expect(headers['correlation-id']).toEqual(Buffer.from('c1'));
+        expect(headers[RETRY_HEADERS.originalTopic]).toBe('orders');
+        expect(headers[RETRY_HEADERS.originalPartition]).toBe('1');
+        expect(headers[RETRY_HEADERS.originalOffset]).toBe('7');
+        expect(headers[RETRY_HEADERS.errorMessage]).toBe('boom');
+        expect(headers[RETRY_HEADERS.errorStack]).toContain('Error: boom');
+        expect(headers[RETRY_HEADERS.attempt]).toBe('1');
+        expect(headers[RETRY_HEADERS.failedAt]).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    test('keeps the original location for records that are already retries', () => {
+        const retried = payload({
+            topic: 'orders.retry.5s',
+            partition: 0,
+            offset: '3',
+            headers: {
+                [RETRY_HEADERS.originalTopic]: Buffer.from('orders'),
+                [RETRY_HEADERS.originalPartition]: Buffer.from('1'),
+                [RETRY_HEADERS.originalOffset]: Buffer.from('7'),
+            },
+        });
+        const headers = failureHeaders(retried, new Error('again'), 2);
+
+        expect(headers[RETRY_HEADERS.originalTopic]).toBe('orders');
+        expect(headers[RETRY_HEADERS.originalPartition]).toBe('1');
+        expect(headers[RETRY_HEADERS.originalOffset]).toBe('7');
+        expect(headers[RETRY_HEADERS.attempt]).toBe('2');
+    });
+});
+
+describe('createFailureRouter', () => {
+    const tiers = [{name: '5s', delayMs: 5000}, {name: '1m', delayMs: 60000}];
+
+    function makeRouter(options = {}) {
+        const producer = {send: jest.fn().mockResolvedValue([])};
+        return {producer, router: createFailureRouter({producer, tiers, ...options})};
+    }
+
+    test('walks the retry tiers and ends in the dead-letter topic', async () => {
+        const {producer, router} = makeRouter();
+
+        expect(await router.route(payload(), new Error('e1'))).toBe('orders.retry.5s');
+        expect(await router.route(payload({
+            topic: 'orders.retry.5s',
+            headers: {[RETRY_HEADERS.attempt]: Buffer.from('1'), [RETRY_HEADERS.originalTopic]: Buffer.from('orders')},
+        }), new Error('e2'))).toBe('orders.retry.1m');
+        expect(await router.route(payload({
+            topic: 'orders.retry.1m',
+            headers: {[RETRY_HEADERS.attempt]: Buffer.from('2'), [RETRY_HEADERS.originalTopic]: Buffer.from('orders')},
+        }), new Error('e3'))).toBe('orders.dlq');
+
+        expect(producer.send).toHaveBeenCalledTimes(3);
+        const last = producer.send.mock.calls[2][0];
+        expect(last.topic).toBe('orders.dlq');
+        expect(last.messages[0].key).toEqual(Buffer.from('k'));
+        expect(last.messages[0].value).toEqual(Buffer.from('v'));
+        expect(last.messages[0].headers[RETRY_HEADERS.attempt]).toBe('3');
+        expect(last.messages[0].headers[RETRY_HEADERS.errorMessage]).toBe('e3');
+    });
+
+    test('republishes tombstones with a null value', async () => {
+        const {producer, router} = makeRouter();
+        const tombstone = payload();
+        tombstone.message.value = null;
+
+        await router.route(tombstone, new Error('bad'));
+
+        expect(producer.send.mock.calls[0][0].messages[0].value).toBeNull();
+    });
+
+    test('uses a configured dead-letter topic and works without tiers', async () => {
+        const producer = {send: jest.fn().mockResolvedValue([])};
+        const router = createFailureRouter({producer, deadLetterTopic: 'poison'});
+
+        expect(await router.route(payload(), new Error('bad'))).toBe('poison');
+    });
+
+    test('propagates producer failures so the record is not committed', async () => {
+        const {producer, router} = makeRouter();
+        producer.send.mockRejectedValueOnce(new Error('broker down'));
+
+        await expect(router.route(payload(), new Error('bad'))).rejects.toThrow('broker down');
+    });
+});
+
+describe('waitUntilDue', () => {
+    test('returns immediately when the record is already due', async () => {
+        const heartbeat = jest.fn();
+        await waitUntilDue({...payload({timestamp: String(Date.now() - 10_000)}), heartbeat}, 5000, () => true);
+        expect(heartbeat).not.toHaveBeenCalled();
+    });
+
+    test('waits for the tier delay and heartbeats meanwhile', async () => {
+        jest.useFakeTimers({now: 1_000_000});
+        const heartbeat = jest.fn().mockResolvedValue(undefined);
+        let done = false;
+        const waiting = waitUntilDue({...payload({timestamp: '1000000'}), heartbeat}, 2500, () => true)
+            .then(() => { done = true; });
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(done).toBe(false);
+        await jest.advanceTimersByTimeAsync(600);
+        await waiting;
+        expect(done).toBe(true);
+        expect(heartbeat).toHaveBeenCalledTimes(3);
+    });
+
+    test('throws when the consumer stops before the record is due', async () => {
+        await expect(waitUntilDue({...payload(), heartbeat: jest.fn()}, 60_000, () => false))
+            .rejects.toThrow('Consumer stopping before retry was due');
+    });
+});
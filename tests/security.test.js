@@ -0,0 +1,59 @@
+import {describe, test, expect, beforeAll, afterAll} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {kafkaSecurityConfig} from '../src/security.js';
+
+let dir;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kafka-security-'));
+    fs.writeFileSync(path.join(dir, 'ca.pem'), 'CA');
+    fs.writeFileSync(path.join(dir, 'client.pem'), 'CERT');
+    fs.writeFileSync(path.join(dir, 'client.key'), 'KEY');
+});
+
+afterAll(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+describe('kafkaSecurityConfig', () => {
+    test('is empty for plaintext brokers', () => {
+        expect(kafkaSecurityConfig('b1:9092,PLAINTEXT://b2:9092')).toEqual({});
+        expect(kafkaSecurityConfig(['b:9092'], undefined)).toEqual({});
+    });
+
+    test('infers TLS from SSL:// brokers', () => {
+        expect(kafkaSecurityConfig('SSL://b:9093')).toEqual({ssl: true});
+    });
+
+    test('loads CA, client certificate and key files for mTLS', () => {
+        const config = kafkaSecurityConfig('b:9093', {
+            caFile: path.join(dir, 'ca.pem'),
+            certFile: path.join(dir, 'client.pem'),
+            keyFile: path.join(dir, 'client.key'),
+            keyPassphrase: 'pw',
+        });
+        expect(config).toEqual({ssl: {ca: ['CA'], cert: 'CERT', key: 'KEY', passphrase: 'pw'}});
+    });
+
+    test('builds SASL options for SASL_SSL and SASL_PLAINTEXT brokers', () => {
+        const credentials = {saslMechanism: 'PLAIN', saslUsername: 'u', saslPassword: 'p'};
+        expect(kafkaSecurityConfig('SASL_SSL://b:9096', credentials)).toEqual({
+            ssl: true,
+            sasl: {mechanism: 'plain', username: 'u', password: 'p'},
+        });
+        expect(kafkaSecurityConfig('SASL_PLAINTEXT://b:9095', credentials)).toEqual({
+            sasl: {mechanism: 'plain', username: 'u', password: 'p'},
+        });
+    });
+
+    test('reports missing or inconsistent settings', () => {
+        expect(() => kafkaSecurityConfig('SASL_SSL://b:9096')).toThrow('SASL mechanism is required for SASL_SSL brokers');
+        expect(() => kafkaSecurityConfig('b:1', {saslMechanism: 'gssapi', saslUsername: 'u', saslPassword: 'p'}))
+            .toThrow('Unsupported SASL mechanism: gssapi');
+        expect(() => kafkaSecurityConfig('b:1', {certFile: 'c.pem'})).toThrow('certFile and keyFile must be set together');
+        expect(() => kafkaSecurityConfig('b:1', {caFile: path.join(dir, 'missing.pem')})).toThrow('Cannot read caFile');
+        expect(() => kafkaSecurityConfig('SSL://a:1,SASL_SSL://b:2')).toThrow('Brokers mix security protocols: SSL, SASL_SSL');
+    });
+});
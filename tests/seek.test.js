@@ -0,0 +1,141 @@
+import {describe, test, expect, jest} from '@jest/globals';
+import {EventEmitter} from 'events';
+import {parseStartPosition, resolveStartOffsets, seekOnAssignment} from '../src/seek.js';
+
+function fakeAdmin() {
+    return {
+        listTopics: jest.fn().mockResolvedValue(['orders.eu', 'orders.us', 'payments']),
+        fetchTopicOffsets: jest.fn().mockResolvedValue([
+            {partition: 0, offset: '90', low: '10', high: '90'},
+            {partition: 1, offset: '50', low: '0', high: '50'},
+        ]),
+        fetchTopicOffsetsByTimestamp: jest.fn().mockResolvedValue([{partition: 0, offset: '33'}]),
+    };
+}
+
+// Minimal consumer exposing KafkaJS' on()/events/seek() surface
+function fakeConsumer() {
+    const emitter = new EventEmitter();
+    return {
+        events: {GROUP_JOIN: 'consumer.group_join'},
+        on: jest.fn((event, listener) => {
+            emitter.on(event, listener);
+            return () => emitter.off(event, listener);
+        }),
+        seek: jest.fn(),
+        join: (memberAssignment) => emitter.emit('consumer.group_join', {payload: {memberAssignment}}),
+    };
+}
+
+describe('parseStartPosition', () => {
+    test('accepts earliest/latest aliases and empty input', () => {
+        expect(parseStartPosition('earliest')).toEqual({type: 'earliest'});
+        expect(parseStartPosition('Beginning')).toEqual({type: 'earliest'});
+        expect(parseStartPosition('latest')).toEqual({type: 'latest'});
+        expect(parseStartPosition(' end ')).toEqual({type: 'latest'});
+        expect(parseStartPosition(undefined)).toBeNull();
+        expect(parseStartPosition('')).toBeNull();
+    });
+
+    test('parses timestamps from dates, strings and epoch milliseconds', () => {
+        const ts = Date.parse('2026-10-18T12:00Z');
+        expect(parseStartPosition('2026-10-18T12:00Z')).toEqual({type: 'timestamp', timestamp: ts});
+        expect(parseStartPosition(new Date(ts))).toEqual({type: 'timestamp', timestamp: ts});
+        expect(parseStartPosition(ts)).toEqual({type: 'timestamp', timestamp: ts});
+        expect(parseStartPosition(String(ts))).toEqual({type: 'timestamp', timestamp: ts});
+        expect(parseStartPosition({timestamp: '2026-10-18T12:00Z'})).toEqual({type: 'timestamp', timestamp: ts});
+    });
+
+    test('parses explicit offsets per partition and per topic', () => {
+        expect(parseStartPosition('0:42, 1:100')).toEqual({
+            type: 'offsets',
+            offsets: [{partition: 0, offset: '42'}, {partition: 1, offset: '100'}],
+        });
+        expect(parseStartPosition('orders.eu:2:7')).toEqual({
+            type: 'offsets',
+            offsets: [{topic: 'orders.eu', partition: 2, offset: '7'}],
+        });
+        expect(parseStartPosition({offsets: {0: 5, 3: '8'}})).toEqual({
+            type: 'offsets',
+            offsets: [{partition: 0, offset: '5'}, {partition: 3, offset: '8'}],
+        });
+    });
+
+    test('rejects invalid positions', () => {
+        expect(() => parseStartPosition('yesterday-ish')).toThrow('Invalid start position: yesterday-ish');
+        expect(() => parseStartPosition({timestamp: 'nope'})).toThrow('Invalid start timestamp: nope');
+        expect(() => parseStartPosition({offsets: [{partition: -1, offset: '1'}]})).toThrow('Invalid start partition: -1');
+        expect(() => parseStartPosition({offsets: {0: 'x'}})).toThrow('Invalid start offset: x');
+        expect(() => parseStartPosition({})).toThrow('start position object must have offsets or timestamp');
+    });
+});
+
+describe('resolveStartOffsets', () => {
+    test('uses low/high watermarks for earliest and latest', async () => {
+        const admin = fakeAdmin();
+
+        await expect(resolveStartOffsets({admin, topics: ['t'], position: {type: 'earliest'}})).resolves.toEqual([
+            {topic: 't', partition: 0, offset: '10'},
+            {topic: 't', partition: 1, offset: '0'},
+        ]);
+        await expect(resolveStartOffsets({admin, topics: ['t'], position: {type: 'latest'}})).resolves.toEqual([
+            {topic: 't', partition: 0, offset: '90'},
+            {topic: 't', partition: 1, offset: '50'},
+        ]);
+    });
+
+    test('looks up offsets by timestamp and expands regex subscriptions', async () => {
+        const admin = fakeAdmin();
+
+        const offsets = await resolveStartOffsets({admin, topics: [/^orders\./], position: {type: 'timestamp', timestamp: 1000}});
+
+        expect(admin.fetchTopicOffsetsByTimestamp).toHaveBeenCalledWith('orders.eu', 1000);
+        expect(admin.fetchTopicOffsetsByTimestamp).toHaveBeenCalledWith('orders.us', 1000);
+        expect(offsets).toEqual([
+            {topic: 'orders.eu', partition: 0, offset: '33'},
+            {topic: 'orders.us', partition: 0, offset: '33'},
+        ]);
+    });
+
+    test('applies explicit offsets to matching topics without admin lookups', async () => {
+        const admin = fakeAdmin();
+        const position = parseStartPosition('0:5,payments:1:9');
+
+        const offsets = await resolveStartOffsets({admin, topics: ['orders', 'payments'], position});
+
+        expect(offsets).toEqual([
+            {topic: 'orders', partition: 0, offset: '5'},
+            {topic: 'payments', partition: 0, offset: '5'},
+            {topic: 'payments', partition: 1, offset: '9'},
+        ]);
+        expect(admin.fetchTopicOffsets).not.toHaveBeenCalled();
+    });
+});
+
+describe('seekOnAssignment', () => {
+    test('seeks each partition once, on its first assignment', () => {
+        const consumer = fakeConsumer();
+        seekOnAssignment(consumer, [
+            {topic: 't', partition: 0, offset: '5'},
+            {topic: 't', partition: 1, offset: '7'},
+        ]);
+
+        consumer.join({t: [0]});
+        expect(consumer.seek).toHaveBeenCalledTimes(1);
+        expect(consumer.seek).toHaveBeenCalledWith({topic: 't', partition: 0, offset: '5'});
+
+        // rebalance: partition 0 is not rewound again, partition 1 is seeked when it arrives
+        consumer.join({t: [0, 1]});
+        expect(consumer.seek).toHaveBeenCalledTimes(2);
+        expect(consumer.seek).toHaveBeenLastCalledWith({topic: 't', partition: 1, offset: '7'});
+
+        consumer.join({t: [0, 1]});
+        expect(consumer.seek).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not listen when there is nothing to seek', () => {
+        const consumer = fakeConsumer();
+        seekOnAssignment(consumer, []);
+        expect(consumer.on).not.toHaveBeenCalled();
+    });
+});
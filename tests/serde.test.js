@@ -0,0 +1,68 @@
+import {describe, test, expect, jest} from '@jest/globals';
+import {CODECS, resolveSerializer, resolveDeserializer, createMessageSerializer, createMessageDeserializer} from '../src/serde.js';
+
+describe('built-in codecs', () => {
+    test('json, string, bytes and base64 round-trip', async () => {
+        const cases = [
+            ['json', {id: 1, tags: ['a']}],
+            ['string', 'héllo'],
+            ['bytes', Buffer.from([0, 255])],
+            ['base64', 'AP8='],
+        ];
+        for (const [name, value] of cases) {
+            const data = await resolveSerializer(name)(value, {topic: 't', field: 'value'});
+            const decoded = await resolveDeserializer(name)(Buffer.from(data), {topic: 't', field: 'value'});
+            expect(decoded).toEqual(value);
+        }
+    });
+
+    test('reject values of the wrong type', () => {
+        expect(() => CODECS.json.serialize(undefined)).toThrow('undefined is not JSON-serializable');
+        expect(() => CODECS.string.serialize({a: 1})).toThrow('expected a string, got: object');
+        expect(() => CODECS.bytes.serialize('text')).toThrow('expected a Buffer, got: string');
+        expect(() => CODECS.base64.serialize('not base64!')).toThrow('expected a base64 string');
+    });
+
+    test('null passes through without calling the codec', async () => {
+        const serialize = jest.fn();
+        expect(await resolveSerializer(serialize)(null, {})).toBeNull();
+        expect(await resolveDeserializer({deserialize: serialize})(null, {})).toBeNull();
+        expect(serialize).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown names and incomplete codec objects', () => {
+        expect(() => resolveSerializer('xml')).toThrow('Unknown serde "xml" (expected one of json, string, bytes, base64)');
+        expect(() => resolveDeserializer({serialize: () => ''})).toThrow('serde must be a codec name, a function or an object with deserialize()');
+    });
+});
+
+describe('message serdes', () => {
+    test('createMessageSerializer converts only the configured parts, with async custom serdes', async () => {
+        const serialize = createMessageSerializer({
+            key: async (key, {topic, field}) => `${topic}/${field}/${key}`,
+            value: 'json',
+        });
+
+        const message = await serialize({key: 'k1', value: {n: 1}, headers: {a: 'b'}}, {topic: 'orders'});
+
+        expect(message).toEqual({key: 'orders/key/k1', value: '{"n":1}', headers: {a: 'b'}});
+        expect(createMessageSerializer(undefined)).toBeNull();
+        expect(createMessageSerializer({})).toBeNull();
+    });
+
+    test('serialization errors name the part and topic', async () => {
+        const serialize = createMessageSerializer({value: 'bytes'});
+        await expect(serialize({value: 'text'}, {topic: 'orders'}))
+            .rejects.toThrow('Cannot serialize value for topic orders: expected a Buffer, got: string');
+    });
+
+    test('createMessageDeserializer decodes a copy of the message and reports the record on failure', async () => {
+        const deserialize = createMessageDeserializer({key: 'string', value: 'json'});
+        const message = {key: Buffer.from('k'), value: Buffer.from('{"n":1}'), offset: '5', headers: {}};
+
+        expect(await deserialize({topic: 't', partition: 0, message})).toEqual({...message, key: 'k', value: {n: 1}});
+        expect(message.value).toEqual(Buffer.from('{"n":1}'));
+        await expect(deserialize({topic: 't', partition: 2, message: {...message, value: Buffer.from('{oops')}}))
+            .rejects.toThrow(/^Cannot deserialize value of t\[2\]@5: /);
+    });
+});
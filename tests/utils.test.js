@@ -1,5 +1,5 @@
 import {describe, test, expect} from '@jest/globals';
-import {parseBrokers} from '../src/utils.js';
+import {parseBrokers, brokerSecurityProtocol, parseDuration, parseTopics, formatTopics, startHttpServer} from '../src/utils.js';
 
 // Consolidated unit tests for parseBrokers from producer/consumer tests
 
@@ -35,4 +35,113 @@ describe('parseBrokers unit tests', () => {
         const input = 'broker1:9092,,broker2:9092,';
         expect(parseBrokers(input)).toEqual(['broker1:9092', 'broker2:9092']);
     });
+
+    test('parseBrokers strips SSL, SASL_SSL and SASL_PLAINTEXT prefixes', () => {
+        expect(parseBrokers('SSL://b1:9093, sasl_ssl://b2:9096')).toEqual(['b1:9093', 'b2:9096']);
+        expect(parseBrokers(['SASL_PLAINTEXT://b3:9095'])).toEqual(['b3:9095']);
+    });
+
+    test('brokerSecurityProtocol infers the protocol from prefixes', () => {
+        expect(brokerSecurityProtocol('b1:9092,b2:9092')).toBeNull();
+        expect(brokerSecurityProtocol('SSL://b1:9093,b2:9093')).toBe('SSL');
+        expect(brokerSecurityProtocol(['sasl_ssl://b:9096'])).toBe('SASL_SSL');
+        expect(() => brokerSecurityProtocol('PLAINTEXT://a:1,SSL://b:2')).toThrow('Brokers mix security protocols');
+    });
+});
+
+describe('parseDuration unit tests', () => {
+    test('parseDuration handles unit suffixes', () => {
+        expect(parseDuration('250ms')).toBe(250);
+        expect(parseDuration('5s')).toBe(5000);
+        expect(parseDuration('1m')).toBe(60000);
+        expect(parseDuration('2h')).toBe(7200000);
+        expect(parseDuration('1d')).toBe(86400000);
+        expect(parseDuration('1.5s')).toBe(1500);
+    });
+
+    test('parseDuration treats numbers and bare numeric strings as milliseconds', () => {
+        expect(parseDuration(1200)).toBe(1200);
+        expect(parseDuration('1200')).toBe(1200);
+        expect(parseDuration(' 3 s ')).toBe(3000);
+    });
+
+    test('parseDuration rejects invalid input', () => {
+        expect(() => parseDuration('soon')).toThrow('Invalid duration: soon');
+        expect(() => parseDuration(-1)).toThrow('Invalid duration: -1');
+        expect(() => parseDuration('5w')).toThrow('Invalid duration');
+        expect(() => parseDuration(undefined)).toThrow('Invalid duration');
+    });
+});
+
+describe('parseTopics unit tests', () => {
+    test('parseTopics splits comma-separated names and removes duplicates', () => {
+        expect(parseTopics('orders')).toEqual(['orders']);
+        expect(parseTopics(' orders , payments,,orders ')).toEqual(['orders', 'payments']);
+        expect(parseTopics(['a', 'b', 'a'])).toEqual(['a', 'b']);
+    });
+
+    test('parseTopics turns /regex/ strings into RegExp patterns', () => {
+        const [pattern] = parseTopics('/orders\\..*/i');
+        expect(pattern).toBeInstanceOf(RegExp);
+        expect(pattern.source).toBe('orders\\..*');
+        expect(pattern.flags).toBe('i');
+        expect(pattern.test('ORDERS.eu')).toBe(true);
+
+        const mixed = parseTopics(['payments', '/^orders\\./', /^audit/]);
+        expect(mixed[0]).toBe('payments');
+        expect(mixed[1]).toBeInstanceOf(RegExp);
+        expect(mixed[2]).toEqual(/^audit/);
+    });
+
+    test('parseTopics keeps commas inside a regex literal', () => {
+        const [pattern] = parseTopics('/^(a|b){1,2}$/');
+        expect(pattern).toBeInstanceOf(RegExp);
+        expect(pattern.test('ab')).toBe(true);
+    });
+
+    test('parseTopics returns [] for empty or invalid input and rejects bad patterns', () => {
+        expect(parseTopics('')).toEqual([]);
+        expect(parseTopics(undefined)).toEqual([]);
+        expect(parseTopics(42)).toEqual([]);
+        expect(() => parseTopics('/(unclosed/')).toThrow('Invalid topic pattern /(unclosed/');
+    });
+
+    test('formatTopics renders names and patterns for logs', () => {
+        expect(formatTopics(['orders', /^payments\./])).toBe('orders, /^payments\\./');
+        expect(formatTopics('a,b')).toBe('a, b');
+    });
+});
+
+describe('startHttpServer', () => {
+    test('serves requests on the bound port until closed', async () => {
+        const server = await startHttpServer((req, res) => res.end(req.url), {port: 0, host: '127.0.0.1'});
+        try {
+            expect(await (await fetch(`http://127.0.0.1:${server.port}/ping`)).text()).toBe('/ping');
+        } finally {
+            await server.close();
+        }
+        await expect(fetch(`http://127.0.0.1:${server.port}/ping`)).rejects.toThrow();
+    });
+
+    test('close does not wait for open connections', async () => {
+        let received;
+        const requested = new Promise((resolve) => { received = resolve; });
+        const server = await startHttpServer(() => received(), {port: 0, host: '127.0.0.1'});
+        const pending = fetch(`http://127.0.0.1:${server.port}/slow`);
+        pending.catch(() => {});
+        await requested;
+
+        await server.close();
+
+        await expect(pending).rejects.toThrow('fetch failed');
+    });
+
+    test('rejects when the port is taken', async () => {
+        const first = await startHttpServer(() => {}, {port: 0, host: '127.0.0.1'});
+        try {
+            await expect(startHttpServer(() => {}, {port: first.port, host: '127.0.0.1'})).rejects.toThrow('EADDRINUSE');
+        } finally {
+            await first.close();
+        }
+    });
 });
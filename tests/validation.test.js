@@ -0,0 +1,87 @@
+import {describe, test, expect, beforeAll, afterAll} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {ValidationError, loadJsonSchemas, createMessageValidator} from '../src/validation.js';
+
+const orderSchema = {
+    type: 'object',
+    required: ['id', 'amount'],
+    properties: {
+        id: {type: 'string'},
+        amount: {type: 'number', minimum: 0},
+        placedAt: {type: 'string', format: 'date-time'},
+    },
+    additionalProperties: false,
+};
+
+describe('createMessageValidator', () => {
+    test('is null without schemas', () => {
+        expect(createMessageValidator()).toBeNull();
+        expect(createMessageValidator({})).toBeNull();
+    });
+
+    test('accepts matching objects, JSON strings and Buffers and ignores topics without a schema', () => {
+        const validate = createMessageValidator({orders: orderSchema});
+        expect(() => validate('orders', {id: 'o-1', amount: 5, placedAt: '2026-10-19T10:00:00Z'})).not.toThrow();
+        expect(() => validate('orders', '{"id":"o-1","amount":5}')).not.toThrow();
+        expect(() => validate('orders', Buffer.from('{"id":"o-1","amount":0}'))).not.toThrow();
+        expect(() => validate('payments', 'not json')).not.toThrow();
+    });
+
+    test('throws a ValidationError listing every problem', () => {
+        const validate = createMessageValidator({orders: orderSchema});
+        let error;
+        try {
+            validate('orders', {amount: -1, placedAt: 'yesterday', note: 'x'});
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.topic).toBe('orders');
+        expect(error.errors).toHaveLength(4);
+        expect(error.message).toBe(
+            'Value for topic orders does not match its JSON Schema: (root) must have required property \'id\'; ' +
+            '(root) must NOT have additional properties; /amount must be >= 0; /placedAt must match format "date-time"',
+        );
+    });
+
+    test('rejects raw values that are not JSON', () => {
+        const validate = createMessageValidator({orders: orderSchema});
+        expect(() => validate('orders', 'hello')).toThrow(/^Value for topic orders is not valid JSON: /);
+    });
+
+    test('reports schemas that do not compile', () => {
+        expect(() => createMessageValidator({orders: {type: 'objekt'}}))
+            .toThrow(/^Invalid JSON Schema for topic orders: /);
+    });
+});
+
+describe('loadJsonSchemas', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    test('reads schemas by topic from a JSON file', () => {
+        const file = path.join(dir, 'schemas.json');
+        fs.writeFileSync(file, JSON.stringify({orders: orderSchema}));
+        expect(loadJsonSchemas(file)).toEqual({orders: orderSchema});
+    });
+
+    test('reports missing, malformed and non-object files', () => {
+        const missing = path.join(dir, 'missing.json');
+        expect(() => loadJsonSchemas(missing)).toThrow(`Cannot read JSON Schema file ${missing}`);
+        const broken = path.join(dir, 'broken.json');
+        fs.writeFileSync(broken, '{');
+        expect(() => loadJsonSchemas(broken)).toThrow(`Invalid JSON in ${broken}`);
+        const list = path.join(dir, 'list.json');
+        fs.writeFileSync(list, '[]');
+        expect(() => loadJsonSchemas(list)).toThrow(`${list} must map topic names to JSON Schemas`);
+    });
+});